@@ -1,6 +1,7 @@
 // js/api/api-core.js
 
-import { API_ENDPOINT, API_KEY, systemSettings } from '../config/config.js';
+import { systemSettings } from '../config/config.js';
+import { browserModelClient } from '../providers/browserClient.js';
 import { createAndProcessBatch } from '../chat/batchProcessor/batch-processor.js';
 import { availableModels, getModelInfo, getModelContextWindow, getModelTokenLimit, getModelTokenizer } from './modelInfo/model-info.js';
 import { 
@@ -17,6 +18,7 @@ import {
 } from './error-handling.js';
 import { logger } from '../utils/logger.js';
 import { executeWithRetryAndCircuitBreaker } from '../utils/retry.js';
+import { createAbortError, isAbortError } from '../utils/abort.js';
 import { FunctionInput, GroqPrompt, FunctionChain, AutonomousQueryHandler } from './functionCalling.js';
 
 const apiQueue = [];
@@ -30,11 +32,13 @@ const autonomousQueryHandler = new AutonomousQueryHandler();
  * @param {number} temperature - Sampling temperature.
  * @param {Function} updateCallback - Callback for partial responses.
  * @param {string} [priority='normal'] - Priority of the request.
+ * @param {AbortSignal} [signal] - Removes the request from the queue, or cancels it if already sent.
  * @returns {Promise<string|Object>} Result of the API call.
  */
-export function queueApiRequest(model, messages, temperature, updateCallback, priority = 'normal') {
+export function queueApiRequest(model, messages, temperature, updateCallback, priority = 'normal', signal) {
     return new Promise((resolve, reject) => {
-        const request = { model, messages, temperature, updateCallback, resolve, reject, priority, timestamp: Date.now() };
+        const request = { model, messages, temperature, updateCallback, resolve, reject, priority, signal, timestamp: Date.now() };
+        if (!attachAbortHandler(request)) return;
         insertRequestIntoQueue(request);
         processApiQueue();
     });
@@ -45,16 +49,55 @@ export function queueApiRequest(model, messages, temperature, updateCallback, pr
  * @param {string} functionName - The name of the function to be called.
  * @param {Object} parameters - The parameters for the function call.
  * @param {string} [priority='normal'] - Priority of the request.
+ * @param {AbortSignal} [signal] - Removes the request from the queue when aborted.
  * @returns {Promise<Object>} Result of the function call.
  */
-export function queueFunctionCall(functionName, parameters, priority = 'normal') {
+export function queueFunctionCall(functionName, parameters, priority = 'normal', signal) {
     return new Promise((resolve, reject) => {
-        const request = { type: 'function', functionName, parameters, resolve, reject, priority, timestamp: Date.now() };
+        const request = { type: 'function', functionName, parameters, resolve, reject, priority, signal, timestamp: Date.now() };
+        if (!attachAbortHandler(request)) return;
         insertRequestIntoQueue(request);
         processApiQueue();
     });
 }
 
+/**
+ * Wires a request's AbortSignal to the queue.
+ * Aborting a request that is still waiting removes it from apiQueue and rejects it with an AbortError;
+ * a request already taken into a batch is cancelled by the signal passed to fetch instead.
+ * @param {Object} request - The API request object.
+ * @returns {boolean} False if the signal was already aborted and the request has been rejected.
+ */
+function attachAbortHandler(request) {
+    const { signal } = request;
+    if (!signal) return true;
+    if (signal.aborted) {
+        request.reject(createAbortError());
+        return false;
+    }
+
+    const onAbort = () => {
+        const index = apiQueue.indexOf(request);
+        if (index !== -1) {
+            apiQueue.splice(index, 1);
+            logger.info(`Removed cancelled request from queue${request.model ? ` for model: ${request.model}` : ''}`);
+            request.reject(createAbortError());
+        }
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    const { resolve, reject } = request;
+    request.resolve = (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+    };
+    request.reject = (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+    };
+    return true;
+}
+
 /**
  * Inserts a request into the API queue based on priority.
  * @param {Object} request - The API request object.
@@ -73,7 +116,7 @@ function insertRequestIntoQueue(request) {
             apiQueue.splice(normalIndex, 0, request);
         }
     }
-    logger.debug(`Inserted request into queue: ${JSON.stringify(request)}`);
+    logger.debug(`Inserted request into queue: ${JSON.stringify(request, (key, value) => (key === 'signal' ? undefined : value))}`);
 }
 
 /**
@@ -122,7 +165,11 @@ async function processSingleRequest(request) {
  * Processes a single API call request.
  * @param {Object} request - The API request object.
  */
-async function processApiCall({ model, messages, temperature, updateCallback, resolve, reject }) {
+async function processApiCall({ model, messages, temperature, updateCallback, resolve, reject, signal }) {
+    if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+    }
     if (!model) {
         const error = new Error('Model parameter is missing or undefined');
         logger.error(error.message);
@@ -142,7 +189,7 @@ async function processApiCall({ model, messages, temperature, updateCallback, re
 
         logger.info(`Executing API call for model: ${model} with estimated tokens: ${estimatedTokens}`);
         const result = await executeWithRetryAndCircuitBreaker(
-            () => enhancedStreamGroqAPI(model, messages, temperature, updateCallback),
+            () => enhancedStreamGroqAPI(model, messages, temperature, updateCallback, signal),
             systemSettings.apiRetryAttempts || 3,
             systemSettings.apiRetryDelay || 1000
         );
@@ -150,6 +197,11 @@ async function processApiCall({ model, messages, temperature, updateCallback, re
         await consumeTokens(model, estimatedTokens);
         resolve(result);
     } catch (error) {
+        if (isAbortError(error)) {
+            logger.info(`API call cancelled for model: ${model}`);
+            reject(error);
+            return;
+        }
         logger.error(`Error processing API call for model ${model}: ${error.message}`);
         const gracefulResult = await handleGracefulDegradation(error, `processSingleRequest:${model}`);
         if (gracefulResult) {
@@ -164,7 +216,11 @@ async function processApiCall({ model, messages, temperature, updateCallback, re
  * Processes a single function call request.
  * @param {Object} request - The function call request object.
  */
-async function processFunctionCall({ functionName, parameters, resolve, reject }) {
+async function processFunctionCall({ functionName, parameters, resolve, reject, signal }) {
+    if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+    }
     try {
         const functionInput = new FunctionInput(functionName, parameters);
         logger.info(`Handling function call: ${functionName} with parameters: ${JSON.stringify(parameters)}`);
@@ -182,35 +238,22 @@ async function processFunctionCall({ functionName, parameters, resolve, reject }
 }
 
 /**
- * Streams data from the Groq API with proper handling.
+ * Streams a reply through the model's provider (see js/providers/browserClient.js).
  * @param {string} model - The model name.
  * @param {Array<Object>} messages - Array of message objects.
  * @param {number} temperature - Sampling temperature.
- * @param {Function} updateCallback - Callback for partial responses.
- * @returns {Promise<string>} The full response from the API.
+ * @param {Function} updateCallback - Called with every chunk of the reply, as { text }.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<string>} The full response.
  */
-async function streamGroqAPI(model, messages, temperature, updateCallback) {
-    // Placeholder implementation
-    // Replace with actual streaming logic as per your Groq API integration
+async function streamGroqAPI(model, messages, temperature, updateCallback, signal) {
     try {
-        // Example: Use fetch or another HTTP client to stream responses
-        // This is highly dependent on the Groq API's capabilities
-        const response = await fetch(`${API_ENDPOINT}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ model, messages, temperature })
-        });
-
-        if (!response.ok) {
-            throw new Error(`Groq API error: ${response.statusText}`);
+        let content = '';
+        for await (const chunk of browserModelClient.stream(messages, { model, temperature, signal })) {
+            content += chunk;
+            updateCallback({ text: chunk });
         }
-
-        const data = await response.json();
-        updateCallback(data);
-        return data.choices[0].message.content;
+        return content;
     } catch (error) {
         logger.error(`Error in streamGroqAPI: ${error.message}`);
         throw error;
@@ -242,11 +285,11 @@ export function estimateTokens(messages, modelName) {
  * Enhanced streaming API with error handling.
  */
 const enhancedStreamGroqAPI = withErrorHandling(
-    async (model, messages, temperature, updateCallback) => {
+    async (model, messages, temperature, updateCallback, signal) => {
         if (!model) {
             throw new Error('Model parameter is missing or undefined in enhancedStreamGroqAPI');
         }
-        return await streamGroqAPI(model, messages, temperature, updateCallback);
+        return await streamGroqAPI(model, messages, temperature, updateCallback, signal);
     },
     'enhancedStreamGroqAPI'
 );
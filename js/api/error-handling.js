@@ -1,4 +1,4 @@
-import { API_ENDPOINT, API_KEY, rateLimits, systemSettings, moaConfig } from '../config/config.js';
+import { API_ENDPOINT, rateLimits, systemSettings, moaConfig } from '../config/config.js';
 import { 
     initializeTokenBuckets, 
     refillTokenBuckets, 
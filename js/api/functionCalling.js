@@ -1,7 +1,10 @@
-import { executeWithRetryAndCircuitBreaker } from '../utils/retry.js';
-import { scheduleRequest } from '../utils/rateLimiter.js';
+import { moaConfig } from '../config/config.js';
+import { browserModelClient } from '../providers/browserClient.js';
+import { extractJson } from '../utils/textAnalysis.js';
 import { logger } from '../utils/logger.js';
-import { API_KEY } from '../config/config.js';
+
+// Output limit of a function call's reply (its arguments as JSON)
+const FUNCTION_CALL_MAX_TOKENS = 1024;
 
 /**
  * Represents the input for a function call.
@@ -133,17 +136,16 @@ function createGroqPrompt(inputData) {
     );
 }
 
-const apiKey = API_KEY;
-
 /**
- * Executes a function call using the Groq API.
+ * Executes a function call with the function calling model (moaConfig.function_calling.model).
  * 
  * How it works:
  * - Validates the input prompt
- * - Prepares messages for the API call
- * - Schedules the request using rate limiting
- * - Executes the API call with retry and circuit breaker patterns
- * - Parses and returns the function call result
+ * - Describes the prompt's functions in the system message and asks for the call as JSON
+ *   (`{"name": ..., "arguments": {...}}`), in JSON mode, so that any provider can serve it
+ * - Sends the request through browserModelClient (js/providers/browserClient.js), which routes
+ *   it to the model's provider and paces and retries it
+ * - Parses and returns the call's arguments
  * 
  * Usage example:
  * ```
@@ -156,10 +158,10 @@ const apiKey = API_KEY;
  * - js/chat/messageHandler.js
  * 
  * Role in program logic:
- * Core function for executing API calls to Groq, handling rate limiting, retries, and error handling.
+ * Core function for executing function calls, whichever provider serves the model.
  * 
  * @param {GroqPrompt} prompt - The prompt for the function call.
- * @returns {Promise<Object>} The result of the function call.
+ * @returns {Promise<Object>} The arguments of the function call.
  * @throws {Error} If there's an error executing the function.
  */
 async function executeGroqFunction(prompt) {
@@ -169,37 +171,50 @@ async function executeGroqFunction(prompt) {
 
     try {
         const messages = [
-            { role: "system", content: prompt.systemMessage },
+            { role: "system", content: `${prompt.systemMessage}\n\n${describeFunctionCall(prompt)}` },
             { role: "user", content: prompt.userMessage }
         ];
 
-        await scheduleRequest("mixtral-8x7b-32768", messages);
-
-        const response = await executeWithRetryAndCircuitBreaker(() =>
-            client.chat.completions.create({
-                model: "mixtral-8x7b-32768",
-                messages: messages,
-                functions: prompt.functions,
-                function_call: prompt.functionCall
-            })
-        );
-
-        if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
-            throw new Error('Invalid response structure from Groq API.');
-        }
+        const reply = await browserModelClient.complete(messages, {
+            model: moaConfig.function_calling.model,
+            max_tokens: FUNCTION_CALL_MAX_TOKENS,
+            temperature: 0,
+            response_format: { type: 'json_object' }
+        });
 
-        const functionCallArgs = response.choices[0].message.function_call.arguments;
-        if (!functionCallArgs) {
+        const call = extractJson(reply);
+        if (!call || typeof call.arguments !== 'object' || call.arguments === null) {
             throw new Error('No arguments returned from function call.');
         }
+        if (!prompt.functions.some(func => func.name === call.name)) {
+            throw new Error(`Unknown function called: ${call.name}`);
+        }
 
-        return JSON.parse(functionCallArgs);
+        return call.arguments;
     } catch (e) {
         logger.error(`Error executing Groq function: ${e.message}`);
         throw new Error(`Error executing Groq function: ${e.message}`);
     }
 }
 
+/**
+ * Describes the functions of a prompt and the JSON reply expected for the call.
+ * @param {GroqPrompt} prompt - The prompt.
+ * @returns {string} Instructions for the system message.
+ */
+function describeFunctionCall(prompt) {
+    const functions = prompt.functions
+        .map(func => `- ${func.name}: ${func.description || ''}\n  parameters (JSON Schema): ${JSON.stringify(func.parameters || {})}`)
+        .join('\n');
+    const forced = prompt.functionCall && typeof prompt.functionCall === 'object' ? prompt.functionCall.name : null;
+    return [
+        'Available functions:',
+        functions,
+        forced ? `Call the function ${forced}.` : 'Call the function that fits the request.',
+        'Reply with JSON only, in the form {"name": "<function name>", "arguments": {<arguments matching its parameters>}}.'
+    ].join('\n');
+}
+
 /**
  * Represents a chain of function calls.
  * 
@@ -352,4 +367,4 @@ class AutonomousQueryHandler {
     }
 }
 
-export { FunctionInput, GroqPrompt, FunctionChain, AutonomousQueryHandler };
+export { FunctionInput, GroqPrompt, FunctionChain, AutonomousQueryHandler, createGroqPrompt, executeGroqFunction };
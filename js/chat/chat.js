@@ -10,24 +10,67 @@ export {
     processBatchedRequests
 };
 
+// Controller of the run in progress, aborted by the Stop button
+let activeRunController = null;
+
 /**
  * Handle user input and process it through the MOA system.
+ * While the run is in progress the Stop button is shown; pressing it cancels the run.
  * @param {string} input - The user's input message.
+ * @param {Object} [options={}] - Run options.
+ * @param {boolean} [options.bypassCache=false] - Run the layers even if the response cache has an answer.
  * @returns {Promise<void>}
  */
-export async function onUserInput(input) {
+export async function onUserInput(input, options = {}) {
+    const controller = new AbortController();
+    activeRunController = controller;
+    setStopButtonVisible(true);
     try {
         displayUserMessage(input);
-        const response = await coreChatWithMOA(input);
-        if (response && response.context) {
-            displayResponse(response.context);
-            artifactManager.addArtifactsToChat(artifactManager.generateArtifacts(response.context));
+        const response = await coreChatWithMOA(input, { signal: controller.signal, bypassCache: options.bypassCache });
+        if (response && response.cancelled) {
+            // chatWithMOA has already left the partial output in the chat, marked as cancelled
+            logger.info("MOA run stopped by the user");
+        } else if (response && response.finalAnswer) {
+            displayResponse(response.finalAnswer);
+            artifactManager.addArtifactsToChat(artifactManager.generateArtifacts(response.finalAnswer));
+            if (!response.error) {
+                // The feedback buttons rate this run (see setupFeedbackButtons in js/main/main.js)
+                window.dispatchEvent(new CustomEvent('moaResponse', { detail: { response: response.finalAnswer, result: response } }));
+            }
         } else {
             throw new Error("Invalid response format");
         }
     } catch (error) {
         logger.error("Failed to process user input:", error);
         displayError("An unexpected error occurred. Please try again later.");
+    } finally {
+        if (activeRunController === controller) {
+            activeRunController = null;
+            setStopButtonVisible(false);
+        }
+    }
+}
+
+/**
+ * Cancel the MOA run in progress, if any.
+ * Queued requests are dropped and in-flight requests are aborted.
+ */
+export function stopActiveRun() {
+    if (activeRunController) {
+        logger.info("Stopping the active MOA run");
+        activeRunController.abort();
+    }
+}
+
+/**
+ * Show or hide the Stop button.
+ * @param {boolean} visible - Whether a run is in progress.
+ */
+function setStopButtonVisible(visible) {
+    const stopButton = document.getElementById('stop-generation');
+    if (stopButton) {
+        stopButton.hidden = !visible;
     }
 }
 
@@ -122,6 +165,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const chatContainer = document.getElementById('chat-messages');
     const positiveFeedbackButton = document.getElementById('positive-feedback');
     const negativeFeedbackButton = document.getElementById('negative-feedback');
+    const stopButton = document.getElementById('stop-generation');
 
     if (chatForm && userInput && chatContainer) {
         logger.info("Chat interface initialized successfully");
@@ -139,6 +183,18 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
+        // "Re-run anyway" on an answer served from the response cache
+        window.addEventListener('moaRerun', (event) => {
+            logger.debug("Re-running a cached answer:", event.detail.message);
+            onUserInput(event.detail.message, { bypassCache: true });
+        });
+
+        if (stopButton) {
+            stopButton.addEventListener('click', stopActiveRun);
+        } else {
+            logger.error("Stop button not found");
+        }
+
         if (positiveFeedbackButton && negativeFeedbackButton) {
             positiveFeedbackButton.addEventListener('click', () => handleFeedback('positive'));
             negativeFeedbackButton.addEventListener('click', () => handleFeedback('negative'));
@@ -1,129 +1,140 @@
 // chatInteractions.js
 
 import { 
-    animateAgent, 
-    createMOADiagram, 
-    updateDiagram 
+    createMOADiagram 
 } from '../diagram/diagram.js';
+import { subscribeDiagram } from '../diagram/diagramSubscriber.js';
 import { 
     addMessageToChat, 
-    updateMessageContent, 
+    markMessageCancelled,
+    markMessageCached,
+    renderJsonOutput,
     formatContent 
 } from './message-formatting.js';
 import { 
     generateUniqueId 
 } from '../utils/idGenerator.js';
-import { 
-    generateLayerPrompt 
-} from './prompts/generateLayerPrompt.js';
-import { 
-    maintainCache, 
-    storeCacheEntryInDatabase, 
-    updateInMemoryCache, 
-    compressContext, 
-} from './caching.js';
+import { getResponseCache, getCacheScope } from './responseCache.js';
+import { measureClient, createComparisonPanes, renderComparisonSummary, recordComparisonVote } from './comparison.js';
 
 import { processBatchedRequests } from './batchProcessing.js';
-import { moaConfig, updateMOAConfig } from '../config/config.js';
+import { moaConfig, updateMOAConfig, systemSettings } from '../config/config.js';
 import { chunkInput } from './utils.js';
 import { MicroPromptAgent } from './microPromptAgents.js';
 import { MetaPromptManager } from '../utils/metaPromptManager.js';
 import { retryWithExponentialBackoff, executeWithRetryAndCircuitBreaker } from '../utils/retry.js';
-import { createChatCompletion, createStreamingChatCompletion, isGroqInitialized, waitForGroqInitialization } from './groqIntegration.js';
+import { isGroqInitialized, waitForGroqInitialization } from './groqIntegration.js';
 import { getTokenCount, validateTokenCount, truncateToFit } from '../utils/tokenUtils.js';
-import { scheduleRequest, getRateLimitStatus, resetRateLimits } from '../utils/rateLimiter.js';
+import { getRateLimitStatus, resetRateLimits } from '../utils/rateLimiter.js';
 import { logger } from '../utils/logger.js';
 import { getSystemContext } from '../utils/systemContext.js';
-import { GROQ_API_KEY } from '../config/api-key.js';
 import { queueFunctionCall } from '../api/api-core.js';
+import { Conversation } from './conversation.js';
+import { subscribeChatView } from './moaChatView.js';
+import { MoaEngine } from '../engine/moaEngine.js';
+import { createRunResult } from '../engine/runResult.js';
+import { TraceRecorder, replayTrace, diffTraces } from '../engine/runTrace.js';
+import { isAbortError } from '../utils/abort.js';
+import { resolveProviderName } from '../providers/providers.js';
+import { browserModelClient } from '../providers/browserClient.js';
+import { getSessionToken } from '../providers/groqProxy.js';
 
 const metaPromptManager = new MetaPromptManager(moaConfig);
 
-const MAX_FALLBACK_ATTEMPTS = 3;
+let activeConversation = createConversation();
+
+// Traces of the latest runs, newest last (see moaConfig.tracing)
+const recentTraces = [];
 
 /**
- * Function to interact with the Hermes3 model through the server endpoint.
+ * Main function to handle chat interactions with MOA.
+ * Enhanced for better performance, error handling, and maintainability.
  * 
- * This function sends a POST request to the '/api/ask-hermes' endpoint with the provided question.
- * It handles the response and potential errors from the server.
+ * This function prepares a run (API key, Groq initialization, system context), then hands
+ * the message to a MoaEngine, which processes it through the layers of AI agents. The chat
+ * view and the diagram render the run by subscribing to the engine's events; this function
+ * then takes care of caching and meta-learning.
  * 
- * @param {string} question - The question to ask Hermes3.
- * @returns {Promise<string>} The response from Hermes3.
+ * Agents within a layer are dispatched in parallel (capped by
+ * SYSTEM_SETTINGS.MAX_CONCURRENT_REQUESTS and paced per model by scheduleRequest),
+ * unless the layer's execution_mode in moaConfig.layer_settings is 'sequential',
+ * in which case each agent also receives the insights of the agents before it.
  * 
- * @example
- * const response = await askHermes3("What is the capital of France?");
- * console.log(response); // Outputs: "The capital of France is Paris."
+ * Unless moaConfig.streaming.enabled is false, agent bubbles, layer summaries and the
+ * final answer are streamed token by token into the chat as they are generated.
  * 
- * @usedBy
- * - chatWithMOA function in this file
- * - handleUserFeedback function in this file
+ * Prior user/assistant turns of the conversation are passed to every agent and to the
+ * summary model, limited to moaConfig.conversation_memory.max_history_tokens, so that
+ * follow-up messages can refer to earlier answers.
  * 
- * @role
- * This function serves as an interface to the Hermes3 model, allowing other parts of the application
- * to easily query the model without dealing with the underlying API communication details.
- */
-async function askHermes3(question) {
-    try {
-        const response = await fetch('/api/ask-hermes', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ question })
-        });
-
-        if (!response.ok) {
-            throw new Error('Network response was not ok');
-        }
-
-        const data = await response.json();
-        return data.response;
-    } catch (error) {
-        logger.error('Error communicating with Hermes3:', error);
-        throw error;
-    }
-}
-
-/**
- * Main function to handle chat interactions with MOA.
- * Enhanced for better performance, error handling, and maintainability.
+ * Aborting options.signal stops the run: queued requests are dropped, in-flight requests
+ * are cancelled, and whatever the agents and the summary had produced so far is kept in
+ * the chat and marked as cancelled. A cancelled run is not cached, learned from or added
+ * to the conversation.
  * 
- * This function processes the user's message through multiple layers of AI agents,
- * generates responses, handles errors, and manages the overall chat flow.
+ * When moaConfig.caching is enabled, the answer of every completed run is cached under the
+ * normalized message, the configuration and the conversation so far (see js/chat/responseCache.js).
+ * A later identical or near-duplicate message in the same context is answered from the cache
+ * without any model request; the answer gets a "Served from cache" badge and a "Re-run anyway"
+ * button, which dispatches a `moaRerun` window event with the message.
  * 
  * @param {string} message - The user's message.
- * @returns {Promise<Object>} An object containing the context and total tokens used.
+ * @param {Object} [options={}] - Run options.
+ * @param {Conversation} [options.conversation] - Conversation to read history from and append to. Defaults to the active conversation.
+ * @param {AbortSignal} [options.signal] - Signal that cancels the run.
+ * @param {{maxTokens?: number, maxTime?: number, maxRequests?: number}} [options.budget] - Token, time (ms) and
+ * request limits of this run, overriding moaConfig.budget. The engine drops low-weight agents, switches to
+ * cheaper models or stops early to stay within them; `result.budget` reports what was sacrificed.
+ * @param {boolean} [options.bypassCache=false] - Run the layers even if the response cache has an answer.
+ * @param {Function|Object} [options.outputSchema] - Output schema of this run (a BaseModel subclass or an object of
+ * field definitions); defaults to moaConfig.structured_output.schema when structured output is enabled. The final
+ * answer is then JSON validated against it, shown as a collapsible tree, and `result.structured` holds the parsed
+ * object. A per-run schema bypasses the response cache.
+ * @returns {Promise<MoaRunResult>} The final answer, the per-layer trace (every agent's model, prompt,
+ * output, tokens, latency, status and fallback attempts), token usage and timings; see
+ * js/engine/runResult.js. `cancelled` is true if the run was stopped, and `error` is set (with an
+ * apology as the final answer) if it failed. An answer from the response cache has no layers and a
+ * `cache` field: `{ hit, key, similarity, exact, matchedInput, cachedAt, originalUsage }`.
  * 
  * @example
  * const result = await chatWithMOA("Tell me about artificial intelligence.");
- * console.log(result.context); // Outputs: Detailed response about AI
- * console.log(result.totalTokens); // Outputs: Total number of tokens used
+ * await chatWithMOA("Make it shorter."); // Answered with the previous turn as context
+ * console.log(result.finalAnswer); // Outputs: The main model's answer about AI
+ * console.log(result.layers[0].agents); // Outputs: What every agent of the first layer did
+ * console.log(result.usage.totalTokens); // Outputs: Total number of tokens used
  * 
  * @usedBy
  * - Main chat interface component (not shown in this file)
  * - API endpoints for chat functionality (not shown in this file)
  * 
  * @role
- * This function is the core of the chat interaction system. It orchestrates the entire process
- * of receiving a user message, processing it through various AI models, and generating a response.
- * It handles error cases, manages caching, and integrates with other system components like
- * the diagram visualization and meta-learning features.
+ * This function is the entry point of the chat interaction system. It connects the
+ * headless MoaEngine to the chat interface, the diagram visualization, caching and
+ * the meta-learning features.
  */
-export async function chatWithMOA(message) {
+export async function chatWithMOA(message, options = {}) {
+    const conversation = options.conversation || activeConversation;
+    const { signal, budget, bypassCache = false } = options;
+    const structuredSettings = moaConfig.structured_output || {};
+    const outputSchema = options.outputSchema
+        || (structuredSettings.enabled && structuredSettings.schema ? structuredSettings.schema : undefined);
     try {
-        if (!GROQ_API_KEY) {
-            throw new Error('API key is missing. Please check your configuration.');
+        const needsGroq = usesGroq(moaConfig);
+        if (needsGroq) {
+            await openGroqSession();
         }
 
         logger.info('Starting chat interaction with MOA');
         await createMOADiagram();
 
-        // Wait for Groq initialization
-        try {
-            await waitForGroqInitialization();
-        } catch (error) {
-            logger.error('Failed to initialize Groq:', error);
-            throw new Error('Groq initialization failed. Please check if groq.min.js is loaded correctly and the API key is set.');
+        // Wait for Groq initialization (not needed when only local or mock providers are used)
+        if (needsGroq) {
+            try {
+                await waitForGroqInitialization();
+            } catch (error) {
+                logger.error('Failed to initialize Groq:', error);
+                throw new Error('Groq initialization failed. Please check if groq.min.js is loaded correctly and the API key is set.');
+            }
         }
 
         const systemContext = await getSystemContext();
@@ -131,7 +142,6 @@ export async function chatWithMOA(message) {
             throw new Error('Failed to retrieve system context');
         }
 
-        const cache = new Map();
         const progressBar = document.getElementById('moa-progress');
         if (progressBar) progressBar.style.width = '0%';
 
@@ -141,211 +151,100 @@ export async function chatWithMOA(message) {
             throw new Error('Chat interface not properly initialized');
         }
 
-        const startTime = Date.now();
         const userMessageDiv = addMessageToChat('user', message, chatMessages);
-
-        let context = message;
-        let totalTokens = 0;
         const conversationId = generateUniqueId();
-        let aggregatedResponse = '';
 
-        // Check if function calling is enabled
-        if (moaConfig.function_calling && moaConfig.function_calling.enabled) {
+        const responseCache = moaConfig.caching.enabled && !options.outputSchema ? getResponseCache(moaConfig.caching) : null;
+        const cacheScope = responseCache ? getCacheScope(moaConfig, conversation.turns) : null;
+        if (responseCache && !bypassCache) {
+            const hit = responseCache.lookup(message, cacheScope);
+            if (hit) {
+                return serveFromCache(message, hit, { conversation, chatMessages, progressBar });
+            }
+        }
+
+        // Check if function calling is enabled (its answers are prose, so not for structured runs)
+        if (moaConfig.function_calling && moaConfig.function_calling.enabled && !outputSchema) {
             try {
-                const functionCallResult = await queueFunctionCall('process_user_input', { user_message: message });
-                context = functionCallResult.result;
-                totalTokens += functionCallResult.totalTokens || 0;
-                aggregatedResponse = context;
+                const functionCallResult = await queueFunctionCall('process_user_input', { user_message: message }, 'normal', signal);
+                const answer = functionCallResult.result;
+                const totalTokens = functionCallResult.totalTokens || 0;
 
                 // Add function call result to chat
-                addMessageToChat('assistant', formatContent(context), chatMessages);
+                addMessageToChat('assistant', formatContent(answer), chatMessages);
+                conversation.addTurn('user', message);
+                conversation.addTurn('assistant', answer);
                 
                 logger.info(`Function call processed. Total tokens used: ${totalTokens}`);
                 
                 if (progressBar) progressBar.style.width = '100%';
                 
-                return { context: aggregatedResponse, totalTokens };
+                return createRunResult(message, { finalAnswer: answer, totalTokens });
             } catch (error) {
+                if (isAbortError(error)) {
+                    markMessageCancelled(addMessageToChat('assistant', 'Run cancelled.', chatMessages));
+                    return createRunResult(message, { cancelled: true });
+                }
                 logger.error('Error in function calling:', error);
                 // Fall back to standard processing if function calling fails
             }
         }
 
         // Standard processing (if function calling is disabled or failed)
-        for (let i = 0; i < moaConfig.layers.length; i++) {
-            const layer = moaConfig.layers[i];
-            const layerMessageDiv = addMessageToChat(
-                'layer',
-                `<layer${i + 1}>Layer ${i + 1}: Initializing...</layer${i + 1}>`,
-                chatMessages
-            );
-
-            let layerContent = '';
-            let layerInsights = [];
-
-            for (let j = 0; j < layer.length; j++) {
-                let fallbackAttempts = 0;
-                let success = false;
-
-                while (!success && fallbackAttempts < MAX_FALLBACK_ATTEMPTS) {
-                    const agentConfig = { ...layer[j] };
-                    const model = agentConfig.model_name;
-
-                    if (!model) {
-                        logger.error(`Model name not specified for Layer ${i + 1}, Agent ${j + 1}`);
-                        break;
-                    }
-
-                    console.log(`Using model: ${model} for Layer ${i + 1}, Agent ${j + 1}`);
-
-                    const agentInput = `${systemContext}\n\nContext: ${context}\n\nPrevious agent insights:\n${layerInsights.join('\n')}\n\nYour task: Process the given context, consider previous agent insights, and provide your unique perspective.`;
-
-                    const agentMessageDiv = addMessageToChat(
-                        'agent',
-                        `Agent ${j + 1}: Processing with ${model}...`,
-                        layerMessageDiv
-                    );
-
-                    try {
-                        let agentOutput;
-                        if (model === 'hermes3') {
-                            agentOutput = await askHermes3(agentInput);
-                        } else {
-                            const tokenCount = await getTokenCount([{ role: 'user', content: agentInput }], model);
-                            if (tokenCount > 0) {
-                                validateTokenCount(tokenCount, model);
-                            } else {
-                                logger.warn(`Unable to estimate token count for ${model}. Proceeding without validation.`);
-                            }
-                            await scheduleRequest(model, [{ role: 'user', content: agentInput }]);
-
-                            const response = await createChatCompletion([{ role: 'user', content: agentInput }], { ...agentConfig, model });
-
-                            if (!response) {
-                                throw new Error('Empty response from createChatCompletion');
-                            }
-
-                            agentOutput = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
-                        }
-
-                        totalTokens += await getTokenCount([{ role: 'user', content: agentInput }, { role: 'assistant', content: agentOutput }], model);
-
-                        updateMessageContent(agentMessageDiv, `Agent ${j + 1}: ${formatContent(agentOutput)}`);
-                        updateDiagram(i, j, model, 'success');
-                        animateAgent(i, j);
-
-                        layerContent += `<agent${j + 1}>${formatContent(agentOutput)}</agent${j + 1}>`;
-                        layerInsights.push(`Agent ${j + 1}: ${agentOutput}`);
-                        aggregatedResponse += agentOutput + '\n';
-
-                        success = true;
-                    } catch (error) {
-                        logger.error(`Error in Layer ${i + 1}, Agent ${j + 1}:`, error);
-                        updateMessageContent(agentMessageDiv, `Agent ${j + 1}: Error - ${error.message}`);
-                        updateDiagram(i, j, model, 'failure');
-
-                        if (moaConfig.error_handling.graceful_degradation.enabled && fallbackAttempts < MAX_FALLBACK_ATTEMPTS - 1) {
-                            fallbackAttempts++;
-                            const fallbackModel = moaConfig.error_handling.graceful_degradation.fallback_chain[fallbackAttempts - 1] || moaConfig.error_handling.fallback_model;
-                            logger.info(`Falling back to ${fallbackModel} for Layer ${i + 1}, Agent ${j + 1} (Attempt ${fallbackAttempts})`);
-                            updateMessageContent(agentMessageDiv, `Agent ${j + 1}: Falling back to ${fallbackModel}...`);
-                            agentConfig.model_name = fallbackModel;
-                        } else {
-                            updateMessageContent(agentMessageDiv, `Agent ${j + 1}: Failed to process after ${fallbackAttempts} attempts.`);
-                            break;
-                        }
-                    }
-                }
-                if (!success) {
-                    logger.error(`Failed to process Layer ${i + 1}, Agent ${j + 1} after ${MAX_FALLBACK_ATTEMPTS} attempts.`);
-                }
-
-                if (progressBar) {
-                    const progress = ((i * layer.length + j + 1) / (moaConfig.layers.length * layer.length)) * 100;
-                    progressBar.style.width = `${Math.min(progress, 100)}%`;
-                }
-            }
-
-            // Generate layer summary
-            if (!moaConfig.summary_model) {
-                logger.error('Summary model not specified in moaConfig');
-                continue;
-            }
-
-            const layerSummaryPrompt = generateLayerPrompt(layer, i);
-            const layerSummaryInput = `
-                ${layerSummaryPrompt}
-
-                Context: ${context}
-
-                Agent insights:
-                ${layerInsights.join('\n')}
-
-                Your task: Synthesize the agent insights and provide a comprehensive summary for this layer.
-            `.trim();
-
-            try {
-                let layerSummary;
-                if (moaConfig.summary_model === 'hermes3') {
-                    layerSummary = await askHermes3(layerSummaryInput);
-                } else {
-                    await scheduleRequest(moaConfig.summary_model, [{ role: 'user', content: layerSummaryInput }]);
-                    layerSummary = await createChatCompletion([{ role: 'user', content: layerSummaryInput }], { model: moaConfig.summary_model, temperature: 0.7 });
-                }
+        const tracer = isTracingEnabled()
+            ? new TraceRecorder({ config: moaConfig, input: message, systemContext, conversation, budget })
+            : null;
+        const engine = new MoaEngine({
+            config: moaConfig,
+            client: tracer ? tracer.wrapClient(browserModelClient) : browserModelClient,
+            maxConcurrency: systemSettings.MAX_CONCURRENT_REQUESTS,
+        });
+        const unsubscribeChatView = subscribeChatView(engine, { chatMessages, progressBar });
+        const unsubscribeDiagram = subscribeDiagram(engine);
+        const stopTracing = tracer ? tracer.attach(engine) : null;
 
-                if (!layerSummary) {
-                    throw new Error('Empty response from createChatCompletion for layer summary');
-                }
+        let result;
+        try {
+            result = await engine.run(message, { conversation, signal, systemContext, budget, outputSchema });
+        } finally {
+            unsubscribeChatView();
+            unsubscribeDiagram();
+            if (stopTracing) stopTracing();
+        }
+        if (tracer) {
+            storeTrace(tracer.finish(result));
+        }
 
-                context = layerSummary;
-                updateMessageContent(
-                    layerMessageDiv,
-                    `<layer${i + 1}>${layerContent}<summary>${formatContent(layerSummary)}</summary></layer${i + 1}>`
-                );
-                animateAgent(i);
-                aggregatedResponse += layerSummary + '\n';
-            } catch (error) {
-                logger.error(`Error generating layer summary for Layer ${i + 1}:`, error);
-                updateMessageContent(layerMessageDiv, `Layer ${i + 1}: Error generating summary - ${error.message}`);
-            }
+        if (result.cancelled) {
+            logger.info(`MOA run cancelled. Tokens used before cancellation: ${result.usage.totalTokens}`);
+            return result;
         }
-        // Add assistant's final response
-        addMessageToChat('assistant', formatContent(context), chatMessages);
-        logger.info(`Total tokens used: ${totalTokens}`);
-
-        // Handle caching
-        if (moaConfig.caching.enabled) {
-            const cacheKey = generateUniqueId();
-            const compressedContext = compressContext(context);
-            const cacheEntry = {
-                id: cacheKey,
-                context: compressedContext || context,
-                totalTokens,
-                timestamp: Date.now(),
-                lastAccessed: Date.now(),
-                hitCount: 0,
-                missCount: 0,
-                compressed: !!compressedContext,
-            };
+        logger.info(`Total tokens used: ${result.usage.totalTokens}`);
 
-            try {
-                if (moaConfig.caching.persistent_storage.enabled) {
-                    await storeCacheEntryInDatabase(cacheEntry);
-                } else {
-                    updateInMemoryCache(cache, cacheKey, cacheEntry);
-                }
-            } catch (error) {
-                logger.error('Failed to store cache entry:', error);
-            }
+        if (responseCache && !result.error) {
+            responseCache.store(message, cacheScope, {
+                finalAnswer: result.finalAnswer,
+                usage: result.usage,
+                ...(result.structured ? { structured: result.structured } : {}),
+            });
         }
 
         // Update meta-learning model if enabled
         if (moaConfig.meta_learning && moaConfig.meta_learning.enabled) {
             const metaLearningData = {
                 input: message,
-                output: context,
-                totalTokens,
-                processingTime: Date.now() - startTime,
+                output: result.finalAnswer,
+                layers: result.layers.map(layer => ({
+                    layerIndex: layer.layerIndex,
+                    status: layer.status,
+                    aggregator: layer.aggregator,
+                    quality: layer.quality,
+                    agents: layer.agents.map(({ model, status, tokens, latency, fallbackAttempts }) => ({
+                        model, status, tokens, latency, fallbacks: fallbackAttempts.length,
+                    })),
+                })),
+                usage: result.usage,
+                timings: result.timings,
             };
             try {
                 await metaPromptManager.updateMetaLearningModel(metaLearningData);
@@ -353,28 +252,300 @@ export async function chatWithMOA(message) {
                 logger.error('Failed to update meta-learning model:', error);
             }
         }
-        if (progressBar) progressBar.style.width = '100%';
 
-        // Maintain cache asynchronously without blocking the main thread
-        if (moaConfig.caching.enabled) {
-            maintainCache(cache).catch(err => logger.error('Cache maintenance failed:', err));
+        return result;
+    } catch (error) {
+        if (isAbortError(error)) {
+            logger.info('MOA run cancelled');
+            return createRunResult(message, { cancelled: true });
         }
+        logger.error('Error in chatWithMOA:', error);
+        const apology = error.message.includes('API key is missing')
+            ? "I'm sorry, there's an issue with the API configuration. Please contact support."
+            : "I'm sorry, I encountered an error. Please try again later.";
+        return createRunResult(message, { finalAnswer: apology, error: error.message });
+    }
+}
 
-        return { context: aggregatedResponse, totalTokens };
+/**
+ * Answers a message from the response cache: the answer is shown with a "Served from cache"
+ * badge and added to the conversation like a fresh one.
+ * 
+ * @param {string} message - The user's message.
+ * @param {{entry: Object, similarity: number, exact: boolean}} hit - The cache hit (see ResponseCache.lookup).
+ * @param {Object} view - Where to render.
+ * @param {Conversation} view.conversation - Conversation to append the turns to.
+ * @param {HTMLElement} view.chatMessages - The chat container.
+ * @param {HTMLElement} [view.progressBar] - The progress bar.
+ * @returns {MoaRunResult} A result without layers, with the `cache` field set.
+ * 
+ * @usedBy
+ * - chatWithMOA function in this file
+ */
+function serveFromCache(message, { entry, similarity, exact }, { conversation, chatMessages, progressBar }) {
+    const { finalAnswer, usage, structured } = entry.value;
+    logger.info(`Answer served from cache (similarity ${similarity.toFixed(2)})`);
+
+    const cache = {
+        hit: true,
+        key: entry.key,
+        similarity,
+        exact,
+        matchedInput: entry.prompt,
+        cachedAt: entry.createdAt,
+        originalUsage: usage || null,
+    };
+    const messageDiv = addMessageToChat('assistant', finalAnswer, chatMessages);
+    if (structured && structured.valid) {
+        renderJsonOutput(messageDiv, structured.data);
+    }
+    markMessageCached(messageDiv, cache, () => {
+        window.dispatchEvent(new CustomEvent('moaRerun', { detail: { message } }));
+    });
+    conversation.addTurn('user', message);
+    conversation.addTurn('assistant', finalAnswer);
+    if (progressBar) progressBar.style.width = '100%';
+
+    const result = createRunResult(message, { finalAnswer });
+    if (structured) {
+        result.structured = structured;
+    }
+    result.cache = cache;
+    return result;
+}
+
+/**
+ * Opens the session of the app server's Groq proxy ahead of a run, so that a server that
+ * cannot reach Groq fails the run before it starts.
+ * 
+ * @throws {Error} If the server refuses the session (it has no Groq API key) or is unreachable.
+ */
+async function openGroqSession() {
+    try {
+        await getSessionToken();
     } catch (error) {
-        logger.error('Error in chatWithMOA:', error);
-        if (error.message.includes('API key is missing')) {
-            return { context: "I'm sorry, there's an issue with the API configuration. Please contact support.", totalTokens: 0 };
-        }
-        return { context: "I'm sorry, I encountered an error. Please try again later.", totalTokens: 0 };
+        logger.error('Failed to open a Groq proxy session:', error);
+        throw new Error('Groq is unavailable: the app server has no Groq API key or cannot be reached. Please check its GROQ_API_KEY.');
     }
 }
 
+/**
+ * Checks whether a run with a configuration sends any request to Groq, and so needs the
+ * proxy session. Requests are routed by moaConfig.providers, whatever configuration is run.
+ * 
+ * @param {Object} config - The configuration to run.
+ * @returns {boolean} True if its main, summary, agent or fallback models go to a Groq provider.
+ */
+function usesGroq(config) {
+    const degradation = (config.error_handling && config.error_handling.graceful_degradation) || {};
+    const requests = [
+        ...[config.main_model, config.summary_model, ...(degradation.fallback_chain || [])].filter(Boolean).map(model => ({ model })),
+        ...(config.layers || []).flat().map(agent => ({ provider: agent.provider, model: agent.model_name })),
+    ];
+    const providers = moaConfig.providers || {};
+    return requests.some(request => {
+        const settings = providers[resolveProviderName(moaConfig, request)];
+        return !settings || settings.type === 'groq';
+    });
+}
+
+/**
+ * Checks whether runs should be recorded as traces.
+ * 
+ * @returns {boolean} False only when moaConfig.tracing.enabled is explicitly false.
+ */
+function isTracingEnabled() {
+    return !moaConfig.tracing || moaConfig.tracing.enabled !== false;
+}
+
+/**
+ * Keeps a trace, dropping the oldest ones beyond moaConfig.tracing.max_traces.
+ * 
+ * @param {Object} trace - A trace from TraceRecorder.finish.
+ */
+function storeTrace(trace) {
+    const maxTraces = (moaConfig.tracing && moaConfig.tracing.max_traces) || 20;
+    recentTraces.push(trace);
+    if (recentTraces.length > maxTraces) {
+        recentTraces.splice(0, recentTraces.length - maxTraces);
+    }
+}
+
+/**
+ * Returns the traces of the latest runs, oldest first.
+ * 
+ * Each trace holds the config snapshot, the exact messages and raw responses of every model
+ * call, the fallback decisions and the timings of a run (see js/engine/runTrace.js). Traces
+ * are plain JSON and can be saved with JSON.stringify.
+ * 
+ * @returns {Object[]} The recorded traces.
+ * 
+ * @example
+ * const traces = getRecentTraces();
+ * const last = traces[traces.length - 1];
+ * console.log(last.calls.length); // Outputs: Number of model calls the last run made
+ */
+export function getRecentTraces() {
+    return [...recentTraces];
+}
+
+/**
+ * Replays a recorded run in the chat and the diagram, answering every model call from the
+ * trace instead of the API.
+ * 
+ * The replay goes through the same engine as chatWithMOA, so the same prompts, fallbacks and
+ * early exits happen again. Nothing is cached, learned or added to the active conversation.
+ * 
+ * @param {Object} trace - A trace from getRecentTraces (or a saved one).
+ * @param {Object} [options={}] - Replay options.
+ * @param {function(Object): (void|Promise<void>)} [options.step] - Called with every recorded call
+ * before it is answered; the replay waits for it, so a debugger can step through the run.
+ * @param {AbortSignal} [options.signal] - Signal that stops the replay.
+ * @returns {Promise<{result: MoaRunResult, trace: Object, unusedCalls: Object[], differences: Array}>}
+ * The replay's result and trace, the recorded calls it did not make, and its differences from
+ * the recorded run (see diffTraces).
+ * 
+ * @example
+ * const [trace] = getRecentTraces();
+ * const replay = await replayRun(trace, { step: (call) => console.log(call.model, call.messages) });
+ * console.log(replay.differences); // Outputs: [] when the run was reproduced exactly
+ */
+export async function replayRun(trace, options = {}) {
+    await createMOADiagram();
+    const chatMessages = document.getElementById('chat-messages');
+    const progressBar = document.getElementById('moa-progress');
+    if (progressBar) progressBar.style.width = '0%';
+    if (chatMessages) {
+        addMessageToChat('user', trace.input, chatMessages);
+    }
+
+    const replay = await replayTrace(trace, {
+        step: options.step,
+        signal: options.signal,
+        onEngine: (engine) => {
+            const unsubscribers = [subscribeDiagram(engine)];
+            if (chatMessages) {
+                unsubscribers.push(subscribeChatView(engine, { chatMessages, progressBar }));
+            }
+            return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+        },
+    });
+    return { ...replay, differences: diffTraces(trace, replay.trace) };
+}
+
+/**
+ * Runs a message through two configurations side by side, in split panes of the chat.
+ * 
+ * Both runs start at once from a copy of the active conversation's history and are rendered
+ * by the chat view into their own pane; the diagram keeps showing moaConfig. Once both are
+ * done, each pane shows its tokens, latency, requests, rate-limit waits and per-layer trace,
+ * and the user can vote for the better answer (stored for later analysis; see
+ * js/chat/comparison.js). Nothing is cached, learned or added to the active conversation.
+ * 
+ * @param {string} message - The user's message.
+ * @param {Object} sides - What to compare.
+ * @param {{label: string, config: Object}} sides.a - Side A: a label and the configuration to run
+ * (e.g. a saved configuration from js/config/savedConfigs.js).
+ * @param {{label: string, config: Object}} sides.b - Side B (e.g. createBaselineConfig(moaConfig)).
+ * @param {AbortSignal} [sides.signal] - Signal that cancels both runs.
+ * @returns {Promise<Comparison>} Both sides' results, request counts and rate-limit waits.
+ * 
+ * @example
+ * const comparison = await compareConfigurations('Explain TCP slow start.', {
+ *     a: { label: 'Current configuration', config: moaConfig },
+ *     b: { label: 'Baseline', config: createBaselineConfig(moaConfig) },
+ * });
+ * console.log(comparison.sides[1].result.usage.totalTokens); // Outputs: Tokens used by the baseline
+ */
+export async function compareConfigurations(message, { a, b, signal } = {}) {
+    if (usesGroq(a.config) || usesGroq(b.config)) {
+        await openGroqSession();
+        await waitForGroqInitialization();
+    }
+    const systemContext = await getSystemContext();
+    const chatMessages = document.getElementById('chat-messages');
+    if (!chatMessages) {
+        throw new Error('Chat interface not properly initialized');
+    }
+
+    addMessageToChat('user', message, chatMessages);
+    const panes = createComparisonPanes(chatMessages, [a.label, b.label]);
+    logger.info(`Comparing "${a.label}" with "${b.label}"`);
+
+    const sides = await Promise.all([a, b].map(async ({ label, config }, index) => {
+        const { client, stats } = measureClient(browserModelClient);
+        const engine = new MoaEngine({ config, client, maxConcurrency: systemSettings.MAX_CONCURRENT_REQUESTS });
+        const unsubscribe = subscribeChatView(engine, { chatMessages: panes.sides[index].body });
+        let result;
+        try {
+            result = await engine.run(message, { conversation: copyConversation(activeConversation), signal, systemContext });
+        } catch (error) {
+            logger.error(`Comparison run "${label}" failed:`, error);
+            result = createRunResult(message, { error: error.message });
+        } finally {
+            unsubscribe();
+        }
+        return { label, config, result, requests: stats.requests, rateLimitWaitMs: stats.rateLimitWaitMs };
+    }));
+
+    const comparison = { id: generateUniqueId(), input: message, sides };
+    renderComparisonSummary(panes, comparison, (winner) => recordComparisonVote(comparison, winner));
+    return comparison;
+}
+
+/**
+ * Copies a conversation, so a run can read its history without appending to it.
+ * 
+ * @param {Conversation} conversation - The conversation to copy.
+ * @returns {Conversation} A conversation with the same turns.
+ */
+function copyConversation(conversation) {
+    const copy = new Conversation({ maxTurns: conversation.maxTurns });
+    copy.turns = conversation.turns.map(turn => ({ ...turn }));
+    return copy;
+}
+
+/**
+ * Creates a conversation sized according to moaConfig.conversation_memory.
+ * 
+ * @returns {Conversation} A new, empty conversation.
+ */
+function createConversation() {
+    const memory = moaConfig.conversation_memory || {};
+    return new Conversation({ maxTurns: memory.max_turns });
+}
+
+/**
+ * Returns the conversation that chatWithMOA uses when no conversation is passed in.
+ * 
+ * @returns {Conversation} The active conversation.
+ * 
+ * @example
+ * const turns = getActiveConversation().turns;
+ */
+export function getActiveConversation() {
+    return activeConversation;
+}
+
+/**
+ * Discards the active conversation history and starts a new one.
+ * 
+ * @returns {Conversation} The new active conversation.
+ * 
+ * @example
+ * resetConversation(); // The next message is treated as a brand-new conversation
+ */
+export function resetConversation() {
+    activeConversation = createConversation();
+    return activeConversation;
+}
+
 /**
  * Function to make an optimized API call based on meta-advice and user input.
  * 
  * This function selects the appropriate model and parameters based on meta-advice,
- * then makes an API call to either Hermes3 or another specified model.
+ * then sends the request to the model's provider through browserModelClient
+ * (e.g. 'hermes3' goes to the app server, Groq models to its proxy).
  * 
  * @param {Object} metaAdvice - Object containing recommendations for the API call.
  * @param {string} userInput - The user's input to be processed.
@@ -400,42 +571,39 @@ export async function chatWithMOA(message) {
  */
 async function makeOptimizedApiCall(metaAdvice, userInput) {
     try {
-        const model = metaAdvice.recommendedModel || moaConfig.default_model;
-        const options = {
+        const model = metaAdvice.recommendedModel || moaConfig.main_model;
+        return await browserModelClient.complete([{ role: 'user', content: userInput }], {
+            model,
             temperature: metaAdvice.temperature || 0.7,
             max_tokens: metaAdvice.maxTokens || 150
-        };
-
-        let response;
-        if (model === 'hermes3') {
-            response = await askHermes3(userInput);
-        } else {
-            await scheduleRequest(model, [{ role: 'user', content: userInput }]);
-            response = await createChatCompletion([{ role: 'user', content: userInput }], { ...options, model });
-        }
-
-        return response;
+        });
     } catch (error) {
         logger.error('Optimized API call failed:', error);
         throw error;
     }
 }
 
+// Model that reviews runs rated negatively (served by the app server; see moaConfig.providers)
+const FEEDBACK_REVIEW_MODEL = 'hermes3';
+const FEEDBACK_REVIEW_MAX_TOKENS = 500;
+
 /**
  * Function to handle user feedback and update the system accordingly.
  * 
  * This function processes user feedback (positive or negative) and adjusts the system's
  * learning rate and feedback threshold. For negative feedback, it also triggers a
- * re-evaluation of the context using Hermes3.
+ * re-evaluation of the run using Hermes3, based on the request, the final answer and
+ * the outcome of every layer.
  * 
  * @param {string} feedback - The user's feedback ('positive' or 'negative').
- * @param {string} context - The context of the interaction.
+ * @param {MoaRunResult} result - The result of the rated run, as returned by chatWithMOA.
  * 
  * @example
- * await handleUserFeedback('positive', 'The AI provided a helpful explanation about climate change.');
+ * const result = await chatWithMOA('Explain climate change.');
+ * await handleUserFeedback('positive', result);
  * // This will slightly increase the learning rate
  * 
- * await handleUserFeedback('negative', 'The AI gave incorrect information about historical events.');
+ * await handleUserFeedback('negative', result);
  * // This will decrease the learning rate and trigger a re-evaluation
  * 
  * @usedBy
@@ -447,7 +615,7 @@ async function makeOptimizedApiCall(metaAdvice, userInput) {
  * the AI to learn from user feedback and potentially improve its performance over time.
  * It's a key component in creating a more adaptive and responsive AI system.
  */
-export async function handleUserFeedback(feedback, context) {
+export async function handleUserFeedback(feedback, result) {
     logger.info(`Received user feedback: ${feedback}`);
 
     if (moaConfig.self_evolving && moaConfig.self_evolving.enabled) {
@@ -475,9 +643,10 @@ export async function handleUserFeedback(feedback, context) {
 
                 // Trigger a re-evaluation of the context with Hermes3
                 try {
-                    const improvementSuggestion = await askHermes3(
-                        `The following interaction received negative feedback. Please analyze and suggest improvements:\n\n${context}`
-                    );
+                    const improvementSuggestion = await browserModelClient.complete([{
+                        role: 'user',
+                        content: `The following interaction received negative feedback. Please analyze and suggest improvements:\n\n${describeRunForReview(result)}`
+                    }], { model: FEEDBACK_REVIEW_MODEL, max_tokens: FEEDBACK_REVIEW_MAX_TOKENS });
                     logger.info('Improvement suggestion:', improvementSuggestion);
                     // Here you could implement logic to apply the suggestion automatically
                     // or present it to a human operator for review
@@ -502,6 +671,26 @@ export async function handleUserFeedback(feedback, context) {
     }
 }
 
+/**
+ * Describes a run for review: the request, the final answer and what every layer did.
+ * 
+ * @param {MoaRunResult} result - The run to describe.
+ * @returns {string} A plain-text description.
+ */
+function describeRunForReview(result) {
+    const layers = result.layers.map(layer => {
+        const agents = layer.agents
+            .map(agent => `${agent.model} (${agent.status}${agent.fallbackAttempts.length ? `, ${agent.fallbackAttempts.length} fallback(s)` : ''})`)
+            .join(', ');
+        return `Layer ${layer.layerIndex + 1} [${layer.status}]: ${agents || 'no agents ran'}`;
+    });
+    return [
+        `Request: ${result.input}`,
+        ...layers,
+        `Final answer: ${result.finalAnswer}`,
+    ].join('\n');
+}
+
 /**
  * Function to calculate a new feedback threshold based on recent feedback.
  * 
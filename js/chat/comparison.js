@@ -0,0 +1,283 @@
+// comparison.js
+
+import { hashValue } from '../utils/hash.js';
+import { generateUniqueId } from '../utils/idGenerator.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * A/B comparison of two MOA configurations on the same prompt.
+ *
+ * How it works:
+ * 1. compareConfigurations (js/chat/chatInteractions.js) runs the prompt through both
+ *    configurations at once, each rendered by the usual chat view into its own pane
+ * 2. Each side's model client is wrapped by measureClient, which counts the requests and the
+ *    time they spent waiting for the rate limiter; both sides share the per-model limits, so
+ *    the waits explain latency that the configuration itself is not responsible for
+ * 3. renderComparisonSummary adds the final numbers under each pane (tokens, latency,
+ *    rate-limit waits, the per-layer trace) and the vote buttons
+ * 4. A vote is stored in localStorage with what both sides were and did, for later analysis
+ *    (getComparisonVotes, summarizeComparisonVotes)
+ *
+ * Usage example:
+ * ```javascript
+ * const { client, stats } = measureClient(modelClient);
+ * const panes = createComparisonPanes(chatMessages, ['Current configuration', 'Baseline']);
+ * // ... run each side into panes.sides[i].body ...
+ * renderComparisonSummary(panes, comparison, (winner) => recordComparisonVote(comparison, winner));
+ * summarizeComparisonVotes(); // [{ label: 'Baseline', wins: 3, losses: 1, ties: 0 }, ...]
+ * ```
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ */
+
+const VOTES_STORAGE_KEY = 'moa_comparison_votes';
+
+// Oldest votes are dropped beyond this; every vote holds both configurations
+const MAX_STORED_VOTES = 200;
+
+/**
+ * @typedef {Object} ComparisonSide
+ * @property {string} label - What the side ran, e.g. 'Current configuration' or a saved name.
+ * @property {Object} config - The configuration it ran with.
+ * @property {MoaRunResult} result - The run result.
+ * @property {number} requests - Model requests made.
+ * @property {number} rateLimitWaitMs - Time its requests waited for the rate limiter.
+ *
+ * @typedef {Object} Comparison
+ * @property {string} id - Identifier of the comparison.
+ * @property {string} input - The prompt.
+ * @property {ComparisonSide[]} sides - Side A, then side B.
+ */
+
+/**
+ * Wraps a model client to count its requests and rate-limit waits.
+ * @param {{complete: Function, stream: Function}} client - The model client.
+ * @returns {{client: Object, stats: {requests: number, rateLimitWaitMs: number}}} The wrapped client
+ *          and its live counters.
+ */
+export function measureClient(client) {
+    const stats = { requests: 0, rateLimitWaitMs: 0 };
+    const measured = (options) => {
+        stats.requests++;
+        return {
+            ...options,
+            onRateLimitWait: (ms) => {
+                stats.rateLimitWaitMs += ms;
+                if (typeof options.onRateLimitWait === 'function') {
+                    options.onRateLimitWait(ms);
+                }
+            },
+        };
+    };
+    return {
+        stats,
+        client: {
+            complete: (messages, options) => client.complete(messages, measured(options)),
+            stream: (messages, options) => client.stream(messages, measured(options)),
+        },
+    };
+}
+
+/**
+ * Adds the split panes of a comparison to the chat.
+ * @param {HTMLElement} container - The chat messages container.
+ * @param {string[]} labels - Labels of side A and side B.
+ * @returns {{root: HTMLElement, sides: Array<{pane: HTMLElement, body: HTMLElement}>}} The comparison
+ *          element and, per side, the element to render the run into.
+ */
+export function createComparisonPanes(container, labels) {
+    const root = document.createElement('div');
+    root.className = 'comparison';
+    const panes = document.createElement('div');
+    panes.className = 'comparison-panes';
+
+    const sides = labels.map((label, index) => {
+        const pane = document.createElement('section');
+        pane.className = 'comparison-pane';
+        const header = document.createElement('div');
+        header.className = 'comparison-pane-header';
+        header.textContent = `${sideName(index)}: ${label}`;
+        const body = document.createElement('div');
+        body.className = 'comparison-pane-body';
+        pane.append(header, body);
+        panes.appendChild(pane);
+        return { pane, body };
+    });
+
+    root.appendChild(panes);
+    container.appendChild(root);
+    return { root, sides };
+}
+
+/**
+ * Adds each side's numbers under its pane, and the vote buttons under both.
+ * @param {{root: HTMLElement, sides: Array<{pane: HTMLElement}>}} panes - From createComparisonPanes.
+ * @param {Comparison} comparison - The finished comparison.
+ * @param {function(string): void} onVote - Called once with 'a', 'b' or 'tie'.
+ */
+export function renderComparisonSummary(panes, comparison, onVote) {
+    comparison.sides.forEach((side, index) => {
+        panes.sides[index].pane.appendChild(createStats(side));
+    });
+
+    const votes = document.createElement('div');
+    votes.className = 'comparison-votes';
+    const buttons = [
+        ['a', `${sideName(0)} is better`],
+        ['tie', 'Tie'],
+        ['b', `${sideName(1)} is better`],
+    ].map(([winner, text]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', () => {
+            buttons.forEach(other => { other.disabled = true; });
+            button.classList.add('selected');
+            onVote(winner);
+        });
+        return button;
+    });
+    votes.append(...buttons);
+    panes.root.appendChild(votes);
+}
+
+/**
+ * Stores a vote on a comparison.
+ * @param {Comparison} comparison - The comparison voted on.
+ * @param {string} winner - 'a', 'b' or 'tie'.
+ * @returns {Object} The stored vote.
+ * @throws {Error} If the winner is not 'a', 'b' or 'tie'.
+ */
+export function recordComparisonVote(comparison, winner) {
+    if (!['a', 'b', 'tie'].includes(winner)) {
+        throw new Error(`Invalid comparison vote: ${winner}`);
+    }
+    const vote = {
+        id: generateUniqueId(),
+        comparisonId: comparison.id,
+        votedAt: Date.now(),
+        input: comparison.input,
+        winner,
+        a: describeSide(comparison.sides[0]),
+        b: describeSide(comparison.sides[1]),
+    };
+    const votes = [...getComparisonVotes(), vote].slice(-MAX_STORED_VOTES);
+    try {
+        localStorage.setItem(VOTES_STORAGE_KEY, JSON.stringify(votes));
+    } catch (error) {
+        logger.error('Failed to store the comparison vote:', error);
+    }
+    return vote;
+}
+
+/**
+ * Returns the stored votes, oldest first. Each vote holds the prompt, the winner and, for
+ * both sides, the label, configuration (and its hash), answer, tokens, latency and waits.
+ * @returns {Object[]} The votes.
+ */
+export function getComparisonVotes() {
+    if (typeof localStorage === 'undefined') {
+        return [];
+    }
+    try {
+        return JSON.parse(localStorage.getItem(VOTES_STORAGE_KEY) || '[]');
+    } catch (error) {
+        logger.warn('Could not read the comparison votes:', error);
+        return [];
+    }
+}
+
+/**
+ * Tallies the stored votes per configuration (by configuration hash, labelled with the
+ * latest label it was compared under).
+ * @param {Object[]} [votes=getComparisonVotes()] - The votes to tally.
+ * @returns {Array<{configHash: string, label: string, wins: number, losses: number, ties: number}>}
+ *          One entry per configuration, most wins first.
+ */
+export function summarizeComparisonVotes(votes = getComparisonVotes()) {
+    const tally = new Map();
+    const count = (side, outcome) => {
+        if (!tally.has(side.configHash)) {
+            tally.set(side.configHash, { configHash: side.configHash, label: side.label, wins: 0, losses: 0, ties: 0 });
+        }
+        const entry = tally.get(side.configHash);
+        entry.label = side.label;
+        entry[outcome]++;
+    };
+    for (const vote of votes) {
+        if (vote.winner === 'tie') {
+            count(vote.a, 'ties');
+            count(vote.b, 'ties');
+        } else {
+            count(vote.a, vote.winner === 'a' ? 'wins' : 'losses');
+            count(vote.b, vote.winner === 'b' ? 'wins' : 'losses');
+        }
+    }
+    return [...tally.values()].sort((x, y) => y.wins - x.wins || x.losses - y.losses);
+}
+
+function describeSide({ label, config, result, requests, rateLimitWaitMs }) {
+    return {
+        label,
+        configHash: hashValue(config),
+        config,
+        finalAnswer: result.finalAnswer,
+        error: result.error,
+        layers: result.layers.length,
+        agents: result.layers.reduce((sum, layer) => sum + layer.agents.length, 0),
+        usage: result.usage,
+        totalMs: result.timings.totalMs,
+        requests,
+        rateLimitWaitMs,
+    };
+}
+
+function createStats({ result, requests, rateLimitWaitMs }) {
+    const stats = document.createElement('div');
+    stats.className = 'comparison-stats';
+
+    const totals = document.createElement('p');
+    totals.textContent = result.error
+        ? `Failed: ${result.error}`
+        : [
+            `${result.usage.totalTokens} tokens`,
+            `${formatSeconds(result.timings.totalMs)} total`,
+            `${requests} requests`,
+            `${formatSeconds(rateLimitWaitMs)} waiting for rate limits`,
+        ].join(' · ');
+    stats.appendChild(totals);
+
+    if (result.layers.length > 0) {
+        const trace = document.createElement('details');
+        const title = document.createElement('summary');
+        title.textContent = 'Layer trace';
+        const list = document.createElement('ul');
+        for (const layer of result.layers) {
+            const item = document.createElement('li');
+            const layerTokens = layer.agents.reduce((sum, agent) => sum + agent.tokens, 0) + (layer.summaryTokens || 0);
+            item.textContent = layer.skipped
+                ? `Layer ${layer.layerIndex + 1}: skipped (${layer.skipped.reason})`
+                : `Layer ${layer.layerIndex + 1}${layer.aggregator ? ` (${layer.aggregator})` : ''}: ${layer.status}, ${layerTokens} tokens, ${formatSeconds(layer.latency)}`;
+            const agents = document.createElement('ul');
+            for (const agent of layer.agents) {
+                const agentItem = document.createElement('li');
+                agentItem.textContent = `Agent ${agent.agentIndex + 1} (${agent.model}): ${agent.status}, ${agent.tokens} tokens, ${formatSeconds(agent.latency)}`;
+                agents.appendChild(agentItem);
+            }
+            item.appendChild(agents);
+            list.appendChild(item);
+        }
+        trace.append(title, list);
+        stats.appendChild(trace);
+    }
+    return stats;
+}
+
+function sideName(index) {
+    return index === 0 ? 'A' : 'B';
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)} s`;
+}
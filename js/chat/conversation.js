@@ -0,0 +1,117 @@
+// conversation.js
+
+import { getTokenCount } from '../utils/tokenUtils.js';
+import { generateUniqueId } from '../utils/idGenerator.js';
+
+/**
+ * Conversation class holds the turn history of a chat with the MOA.
+ *
+ * Each turn is a `{ role, content, timestamp }` entry where role is 'user' or 'assistant'.
+ * The MOA pipeline reads a token-budgeted window of the most recent turns so that
+ * follow-up messages ("make it shorter", "what about the second point?") are understood.
+ */
+export class Conversation {
+    /**
+     * Creates a new, empty conversation.
+     *
+     * @param {Object} [options={}] - Conversation options.
+     * @param {number} [options.maxTurns=20] - Maximum number of turns kept in memory; older turns are dropped.
+     *
+     * Usage example:
+     * const conversation = new Conversation({ maxTurns: 10 });
+     *
+     * This constructor is used in:
+     * - js/chat/chatInteractions.js
+     * - js/engine/runTrace.js
+     */
+    constructor(options = {}) {
+        this.id = generateUniqueId();
+        this.maxTurns = options.maxTurns || 20;
+        this.turns = [];
+    }
+
+    /**
+     * Appends a turn to the history.
+     *
+     * @param {string} role - 'user' or 'assistant'.
+     * @param {string} content - The message content.
+     *
+     * Usage example:
+     * conversation.addTurn('user', 'Explain quantum tunnelling.');
+     * conversation.addTurn('assistant', finalAnswer);
+     */
+    addTurn(role, content) {
+        if (role !== 'user' && role !== 'assistant') {
+            throw new Error(`Invalid conversation role: ${role}`);
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+            return;
+        }
+        this.turns.push({ role, content, timestamp: Date.now() });
+        if (this.turns.length > this.maxTurns) {
+            this.turns.splice(0, this.turns.length - this.maxTurns);
+        }
+    }
+
+    /**
+     * Returns the most recent turns that fit within a token budget, as chat messages.
+     *
+     * How it works:
+     * 1. Walks the history from newest to oldest
+     * 2. Adds each turn while the running token count stays within maxTokens
+     * 3. Stops at the first turn that would exceed the budget
+     * 4. Drops a leading assistant turn so the window always starts with a user turn
+     * 5. Returns the selected turns in chronological order
+     *
+     * Usage example:
+     * const history = conversation.getHistoryWindow(2000, 'llama3-8b-8192');
+     * const messages = [...history, { role: 'user', content: agentInput }];
+     *
+     * @param {number} maxTokens - Token budget for the window.
+     * @param {string} [model='default'] - Model whose tokenizer is used for counting.
+     * @returns {Array<{role: string, content: string}>} Prior turns, oldest first.
+     */
+    getHistoryWindow(maxTokens, model = 'default') {
+        const window = [];
+        let usedTokens = 0;
+
+        for (let index = this.turns.length - 1; index >= 0; index--) {
+            const { role, content } = this.turns[index];
+            const tokens = getTokenCount([{ role, content }], model);
+            if (usedTokens + tokens > maxTokens) {
+                break;
+            }
+            usedTokens += tokens;
+            window.unshift({ role, content });
+        }
+
+        while (window.length > 0 && window[0].role === 'assistant') {
+            window.shift();
+        }
+
+        return window;
+    }
+
+    /**
+     * Renders a history window as plain text, for models that take a single prompt string.
+     *
+     * @param {Array<{role: string, content: string}>} history - Turns returned by getHistoryWindow.
+     * @returns {string} The transcript, or an empty string when there is no history.
+     *
+     * Usage example:
+     * const transcript = Conversation.formatTranscript(history);
+     * // "User: Explain quantum tunnelling.\nAssistant: ..."
+     */
+    static formatTranscript(history) {
+        return history
+            .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`)
+            .join('\n');
+    }
+
+    /**
+     * Removes every turn from the history.
+     */
+    clear() {
+        this.turns = [];
+    }
+}
@@ -3,11 +3,12 @@
 import { retryWithExponentialBackoff, circuitBreaker } from '../utils/retry.js';
 import { scheduleRequest, getRateLimiter } from '../utils/rateLimiter.js';
 import { logger } from '../utils/logger.js';
-import { GROQ_API_KEY } from '../config/api-key.js';
+import { getSessionToken, GROQ_PROXY_URL } from '../providers/groqProxy.js';
+import { isAbortError } from '../utils/abort.js';
 // Remove the import for agentSwarm
 // import { agentSwarm } from '../api/agentSwarm.js';
 
-// Initialize Groq with API key from configuration
+// Groq client of the app server's proxy (the API key stays on the server)
 let groq;
 
 /**
@@ -45,12 +46,12 @@ async function loadGroqLibrary() {
 }
 
 /**
- * Initializes the Groq library with the API key.
+ * Initializes the Groq library with a session of the app server's Groq proxy.
  * 
  * How it works:
  * 1. Calls loadGroqLibrary to dynamically load the Groq script
  * 2. Checks if Groq is defined after loading
- * 3. Initializes the Groq instance with the API key
+ * 3. Initializes the Groq instance with the proxy URL and a session token (see js/providers/groqProxy.js)
  * 4. Logs success or throws an error if initialization fails
  * 
  * Usage example:
@@ -68,13 +69,13 @@ async function loadGroqLibrary() {
  * This function ensures that the Groq library is properly loaded and initialized before any API calls are made, setting up the foundation for all Groq-related operations in the application.
  * 
  * @returns {Promise<void>} A promise that resolves when Groq is initialized or rejects if there's an error
- * @throws {Error} If Groq is not defined after loading the script or if initialization fails
+ * @throws {Error} If Groq is not defined after loading the script, the server refuses the session or initialization fails
  */
 export async function initializeGroq() {
     try {
         await loadGroqLibrary();
         if (typeof Groq !== 'undefined') {
-            groq = new Groq.Groq(GROQ_API_KEY);
+            groq = new Groq.Groq(await getSessionToken(), { baseUrl: GROQ_PROXY_URL });
             logger.info('Groq library initialized successfully');
         } else {
             throw new Error('Groq is not defined after loading the script');
@@ -85,6 +86,11 @@ export async function initializeGroq() {
     }
 }
 
+// Gives the Groq instance the current session token (sessions expire and are then renewed)
+async function renewSessionToken() {
+    groq.apiKey = await getSessionToken();
+}
+
 // Initialize Groq when the script is loaded
 initializeGroq().catch(error => {
     logger.error('Error during Groq initialization:', error);
@@ -118,8 +124,10 @@ initializeGroq().catch(error => {
  * 
  * @param {Array} messages - Array of message objects.
  * @param {Object} options - Additional options.
+ * @param {AbortSignal} [options.signal] - Cancels the request, whether it is still queued or already sent.
+ * @param {{type: string}} [options.response_format] - Groq response format; `{ type: 'json_object' }` makes the model reply with JSON.
  * @returns {Promise<string>} Response content.
- * @throws {Error} If messages are invalid or if API request fails
+ * @throws {Error} If messages are invalid or if API request fails (an AbortError if cancelled)
  */
 export async function createChatCompletion(messages, options = {}) {
     if (!Array.isArray(messages) || messages.length === 0) {
@@ -129,11 +137,12 @@ export async function createChatCompletion(messages, options = {}) {
     const model = options.model || "llama3-groq-8b-8192-tool-use-preview";
 
     try {
-        await scheduleRequest(model, messages);
+        await scheduleRequest(model, messages, { signal: options.signal });
         
         if (!groq) {
             await initializeGroq();
         }
+        await renewSessionToken();
 
         const result = await retryWithExponentialBackoff(async () => {
             const response = await groq.chat.completions.create({
@@ -141,7 +150,9 @@ export async function createChatCompletion(messages, options = {}) {
                 model: model,
                 max_tokens: options.max_tokens || 150,
                 temperature: options.temperature || 0.7,
-            });
+                // JSON mode, e.g. { type: 'json_object' } for the structured final synthesis
+                ...(options.response_format ? { response_format: options.response_format } : {}),
+            }, { signal: options.signal });
             return response;
         }, 5, 1000, 2);
 
@@ -151,6 +162,10 @@ export async function createChatCompletion(messages, options = {}) {
         logger.info(`Chat completion successful for model: ${model}`);
         return result.choices[0].message.content;
     } catch (error) {
+        if (isAbortError(error)) {
+            logger.info(`Chat completion cancelled for model: ${model}`);
+            throw error;
+        }
         logger.error(`Error creating chat completion for model ${model}:`, error);
         if (error.response) {
             logger.error(`API response status: ${error.response.status}`);
@@ -196,17 +211,18 @@ async function handleFallback(messages, options, primaryError) {
     try {
         const fallbackResult = await circuitBreaker.call(async () => {
             const fallbackModel = "llama3-8b-8192"; // Fallback model
-            await scheduleRequest(fallbackModel, messages);
+            await scheduleRequest(fallbackModel, messages, { signal: options.signal });
             
             if (!groq) {
                 await initializeGroq();
             }
+            await renewSessionToken();
             const fallbackResponse = await groq.chat.completions.create({
                 messages: messages,
                 model: fallbackModel,
                 max_tokens: options.max_tokens || 150,
                 temperature: options.temperature || 0.7,
-            });
+            }, { signal: options.signal });
             logger.info(`Fallback successful using model: ${fallbackModel}`);
             return fallbackResponse.choices[0].message.content;
         });
@@ -222,9 +238,9 @@ async function handleFallback(messages, options, primaryError) {
  * 
  * How it works:
  * 1. Validates input messages
- * 2. Schedules the request based on rate limits
+ * 2. Schedules the request based on rate limits (once: callers must not schedule it themselves)
  * 3. Initializes Groq if not already done
- * 4. Creates a streaming request to the Groq API
+ * 4. Creates a streaming request to the Groq API (server-sent events, read by js/lib/groq.min.js)
  * 5. Yields response content chunks as they arrive
  * 
  * Usage example:
@@ -246,6 +262,7 @@ async function handleFallback(messages, options, primaryError) {
  * 
  * @param {Array} messages - Array of message objects.
  * @param {Object} options - Additional options.
+ * @param {AbortSignal} [options.signal] - Cancels the request and closes the stream.
  * @returns {AsyncGenerator<string>} Yields response content chunks.
  * @throws {Error} If messages are invalid or if streaming fails
  */
@@ -257,26 +274,31 @@ export async function* createStreamingChatCompletion(messages, options = {}) {
     const model = options.model || "llama3-groq-8b-8192-tool-use-preview";
 
     try {
-        await scheduleRequest(model, messages);
+        await scheduleRequest(model, messages, { signal: options.signal });
 
         if (!groq) {
             await initializeGroq();
         }
+        await renewSessionToken();
         const stream = await groq.chat.completions.create({
             messages: messages,
             model: model,
             max_tokens: options.max_tokens || 150,
             temperature: options.temperature || 0.7,
             stream: true,
-        });
+        }, { signal: options.signal });
 
         for await (const chunk of stream) {
-            if (chunk.choices[0]?.delta?.content) {
+            if (chunk.choices?.[0]?.delta?.content) {
                 yield chunk.choices[0].delta.content;
             }
         }
         logger.info(`Streaming chat completion successful for model: ${model}`);
     } catch (error) {
+        if (isAbortError(error)) {
+            logger.info(`Streaming chat completion cancelled for model: ${model}`);
+            throw error;
+        }
         logger.error(`Error in streaming chat completion for model ${model}:`, error);
         throw error; // Re-throw after logging
     }
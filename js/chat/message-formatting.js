@@ -40,17 +40,24 @@ marked.setOptions({
  * Role in overall program logic:
  * This function is crucial for displaying messages in the chat interface. It handles the creation and formatting of message elements, ensuring proper sanitization and structure based on the message role.
  * 
+ * Pass `{ streaming: true }` to create a bubble that starts empty with a blinking cursor;
+ * fill it with createMessageStream or updateMessageContent.
+ * 
  * @param {string} role - The role of the message sender (e.g., 'user', 'layer', 'assistant').
  * @param {string|object} content - The content of the message.
  * @param {HTMLElement} container - The chat container element.
+ * @param {Object} [options={}] - Display options.
+ * @param {boolean} [options.streaming=false] - Whether the message will be filled in by a stream.
  * @returns {HTMLElement} The created message element.
  */
-export function addMessageToChat(role, content, container) {
+export function addMessageToChat(role, content, container, options = {}) {
     const messageDiv = document.createElement('div');
     messageDiv.classList.add('message', `${role}-message`);
 
     // Sanitize and format the content
-    const sanitizedContent = DOMPurify.sanitize(formatContent(content));
+    const sanitizedContent = options.streaming && !content
+        ? ''
+        : DOMPurify.sanitize(formatContent(content));
 
     if (role === 'layer') {
         const layerNumber = extractLayerNumber(content) || 'Unknown';
@@ -74,6 +81,11 @@ export function addMessageToChat(role, content, container) {
         `;
     }
 
+    if (options.streaming) {
+        messageDiv.classList.add('streaming');
+        appendStreamCursor(messageDiv.querySelector('.message-content'));
+    }
+
     container.appendChild(messageDiv);
     smoothScrollToBottom(container);
     return messageDiv;
@@ -100,10 +112,16 @@ export function addMessageToChat(role, content, container) {
  * Role in overall program logic:
  * This function allows for dynamic updating of message content, which is useful for real-time updates or corrections to existing messages in the chat interface.
  * 
+ * While `options.streaming` is true the content is treated as partial markdown: open code
+ * fences are closed before rendering and a blinking cursor is kept at the end. Any update
+ * without the flag ends the stream and removes the cursor.
+ * 
  * @param {HTMLElement} messageDiv - The message element to update.
  * @param {string|object} content - The new content.
+ * @param {Object} [options={}] - Display options.
+ * @param {boolean} [options.streaming=false] - Whether more content is still expected.
  */
-export function updateMessageContent(messageDiv, content) {
+export function updateMessageContent(messageDiv, content, options = {}) {
     if (!messageDiv) {
         logger.error('updateMessageContent: messageDiv is null or undefined');
         return;
@@ -111,12 +129,262 @@ export function updateMessageContent(messageDiv, content) {
 
     const contentDiv = messageDiv.querySelector('.message-content');
     if (contentDiv) {
-        contentDiv.innerHTML = DOMPurify.sanitize(formatContent(content));
+        if (options.streaming) {
+            contentDiv.innerHTML = content ? DOMPurify.sanitize(formatContent(closeOpenMarkdown(content))) : '';
+            appendStreamCursor(contentDiv);
+            messageDiv.classList.add('streaming');
+        } else {
+            contentDiv.innerHTML = DOMPurify.sanitize(formatContent(content));
+            messageDiv.classList.remove('streaming');
+        }
     } else {
         logger.error('updateMessageContent: Content div not found in message');
     }
 }
 
+/**
+ * Creates a stream writer that renders incoming tokens into a message element.
+ * 
+ * How it works:
+ * 1. Accumulates tokens as they arrive through append()
+ * 2. Re-renders the accumulated markdown at most once per animation frame
+ * 3. Keeps a blinking cursor at the end of the content while the stream is open
+ * 4. end() cancels any pending frame, renders the final content and removes the cursor
+ * 
+ * Usage example:
+ * ```javascript
+ * const bubble = addMessageToChat('agent', '', layerDiv, { streaming: true });
+ * const stream = createMessageStream(bubble, { prefix: 'Agent 1: ' });
+ * for await (const token of createStreamingChatCompletion(messages, options)) {
+ *     stream.append(token);
+ * }
+ * stream.end();
+ * ```
+ * 
+ * Files that use this function:
+ * - js/chat/moaChatView.js
+ * 
+ * Role in overall program logic:
+ * This function lets agent bubbles, layer summaries and the final answer fill in live
+ * while a streaming chat completion is in progress, instead of appearing only once complete.
+ * 
+ * @param {HTMLElement} messageDiv - The message element to render into.
+ * @param {Object} [options={}] - Stream options.
+ * @param {string} [options.prefix=''] - Markdown placed before the streamed text (e.g. 'Agent 1: ').
+ * @returns {{append: function(string): void, end: function(string=): string, readonly text: string}} The stream writer.
+ */
+export function createMessageStream(messageDiv, options = {}) {
+    const prefix = options.prefix || '';
+    let text = '';
+    let pendingFrame = null;
+    let ended = false;
+
+    const render = () => {
+        pendingFrame = null;
+        updateMessageContent(messageDiv, `${prefix}${text}`, { streaming: true });
+        const container = messageDiv.closest('#chat-messages');
+        if (container) smoothScrollToBottom(container);
+    };
+
+    updateMessageContent(messageDiv, prefix, { streaming: true });
+
+    return {
+        append(token) {
+            if (ended || !token) return;
+            text += token;
+            if (pendingFrame === null) {
+                pendingFrame = requestAnimationFrame(render);
+            }
+        },
+        end(finalContent) {
+            if (pendingFrame !== null) {
+                cancelAnimationFrame(pendingFrame);
+                pendingFrame = null;
+            }
+            ended = true;
+            updateMessageContent(messageDiv, finalContent !== undefined ? finalContent : `${prefix}${text}`);
+            return text;
+        },
+        get text() {
+            return text;
+        }
+    };
+}
+
+/**
+ * Marks a message as cancelled, keeping whatever content it already shows.
+ * 
+ * How it works:
+ * 1. Removes the streaming state (cursor and 'streaming' class)
+ * 2. Adds the 'cancelled' class
+ * 3. Appends a "Cancelled" status note, once
+ * 
+ * Usage example:
+ * ```javascript
+ * stream.end(`Agent 1: ${formatContent(stream.text)}`);
+ * markMessageCancelled(agentMessageDiv);
+ * ```
+ * 
+ * Files that use this function:
+ * - js/chat/chatInteractions.js
+ * - js/chat/moaChatView.js
+ * 
+ * Role in overall program logic:
+ * When the user stops a run, partial agent and layer output stays visible but is
+ * clearly labelled as incomplete.
+ * 
+ * @param {HTMLElement} messageDiv - The message element to mark.
+ * @param {string} [note='Cancelled'] - Text of the status note.
+ */
+export function markMessageCancelled(messageDiv, note = 'Cancelled') {
+    if (!messageDiv) {
+        logger.error('markMessageCancelled: messageDiv is null or undefined');
+        return;
+    }
+
+    messageDiv.classList.remove('streaming');
+    messageDiv.querySelectorAll(':scope > .message-content .stream-cursor').forEach(cursor => cursor.remove());
+    messageDiv.classList.add('cancelled');
+
+    if (!messageDiv.querySelector(':scope > .message-status')) {
+        const status = document.createElement('div');
+        status.className = 'message-status';
+        status.textContent = note;
+        messageDiv.appendChild(status);
+    }
+}
+
+/**
+ * Marks a message as an answer served from the response cache.
+ *
+ * How it works:
+ * 1. Adds the 'cached' class
+ * 2. Appends a "Served from cache" badge: how similar the cached prompt was, the prompt
+ *    itself when it was only a near-duplicate, and the age of the answer
+ * 3. Appends a "Re-run anyway" button that calls onRerun once
+ *
+ * Usage example:
+ * ```javascript
+ * const messageDiv = addMessageToChat('assistant', answer, chatMessages);
+ * markMessageCached(messageDiv, { similarity: 0.9, exact: false, matchedInput, cachedAt }, () => rerun());
+ * ```
+ *
+ * Files that use this function:
+ * - js/chat/chatInteractions.js
+ *
+ * @param {HTMLElement} messageDiv - The message element to mark.
+ * @param {{similarity: number, exact: boolean, matchedInput: string, cachedAt: number}} cache - The cache hit.
+ * @param {Function} [onRerun] - Called when the user asks for a fresh run.
+ */
+export function markMessageCached(messageDiv, { similarity, exact, matchedInput, cachedAt }, onRerun) {
+    if (!messageDiv) {
+        logger.error('markMessageCached: messageDiv is null or undefined');
+        return;
+    }
+
+    messageDiv.classList.add('cached');
+
+    const badge = document.createElement('div');
+    badge.className = 'cache-badge';
+    const ageMinutes = Math.round((Date.now() - cachedAt) / 60000);
+    const age = ageMinutes < 1 ? 'less than a minute ago' : `${ageMinutes} min ago`;
+    badge.textContent = exact
+        ? `Served from cache (answered ${age})`
+        : `Served from cache: ${Math.round(similarity * 100)}% similar to "${matchedInput}" (answered ${age})`;
+
+    if (onRerun) {
+        const rerunButton = document.createElement('button');
+        rerunButton.type = 'button';
+        rerunButton.className = 'cache-rerun';
+        rerunButton.textContent = 'Re-run anyway';
+        rerunButton.addEventListener('click', () => {
+            rerunButton.disabled = true;
+            onRerun();
+        }, { once: true });
+        badge.appendChild(rerunButton);
+    }
+
+    messageDiv.appendChild(badge);
+}
+
+/**
+ * Shows validated JSON in a message as a collapsible tree with a copy button.
+ *
+ * How it works:
+ * 1. Replaces the message content with a tree: every object and array is a `<details>`
+ *    element (the first two levels open), every other value a line with its key
+ * 2. Adds a copy button that copies the pretty-printed JSON (see handleCopyButton)
+ *
+ * Usage example:
+ * ```javascript
+ * renderJsonOutput(messageDiv, { answer: 'Paris', sources: ['atlas'] });
+ * ```
+ *
+ * Files that use this function:
+ * - js/chat/moaChatView.js
+ * - js/chat/chatInteractions.js
+ *
+ * @param {HTMLElement} messageDiv - The message element.
+ * @param {Object} data - The JSON value.
+ */
+export function renderJsonOutput(messageDiv, data) {
+    const contentDiv = messageDiv && messageDiv.querySelector('.message-content');
+    if (!contentDiv) {
+        logger.error('renderJsonOutput: message content not found');
+        return;
+    }
+
+    const output = document.createElement('div');
+    output.className = 'json-output';
+    output.dataset.json = JSON.stringify(data, null, 2);
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'copy-button';
+    copyButton.setAttribute('aria-label', 'Copy JSON');
+    copyButton.textContent = 'Copy';
+    output.append(copyButton, createJsonNode(null, data, 0));
+
+    contentDiv.replaceChildren(output);
+    messageDiv.classList.remove('streaming');
+}
+
+// Objects and arrays collapse below this depth
+const JSON_TREE_OPEN_DEPTH = 2;
+
+function createJsonNode(key, value, depth) {
+    const label = (text) => {
+        const keySpan = document.createElement('span');
+        keySpan.className = 'json-key';
+        keySpan.textContent = key === null ? text : `${key}: ${text}`;
+        return keySpan;
+    };
+
+    if (value && typeof value === 'object') {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        const node = document.createElement('details');
+        node.className = 'json-node';
+        node.open = depth < JSON_TREE_OPEN_DEPTH;
+        const summary = document.createElement('summary');
+        summary.appendChild(label(Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`));
+        node.appendChild(summary);
+        for (const [childKey, child] of entries) {
+            node.appendChild(createJsonNode(childKey, child, depth + 1));
+        }
+        return node;
+    }
+
+    const leaf = document.createElement('div');
+    leaf.className = 'json-leaf';
+    if (key !== null) {
+        leaf.appendChild(label(''));
+    }
+    const valueSpan = document.createElement('span');
+    valueSpan.className = `json-value json-${value === null ? 'null' : typeof value}`;
+    valueSpan.textContent = JSON.stringify(value);
+    leaf.appendChild(valueSpan);
+    return leaf;
+}
+
 /**
  * Formats the message content by processing markdown and code blocks.
  * 
@@ -183,6 +451,44 @@ function extractLayerNumber(content) {
     return match ? parseInt(match[1], 10) : null;
 }
 
+/**
+ * Closes markdown constructs left open by a partial stream so it renders cleanly.
+ * 
+ * An odd number of ``` fences means a code block is still being streamed; a closing
+ * fence is appended so the partial code renders as a code block rather than as text.
+ * 
+ * @param {string} markdown - The partial markdown.
+ * @returns {string} Markdown safe to render.
+ */
+function closeOpenMarkdown(markdown) {
+    const fenceCount = (markdown.match(/^\s*```/gm) || []).length;
+    return fenceCount % 2 === 1 ? `${markdown}\n\`\`\`` : markdown;
+}
+
+/**
+ * Appends the blinking stream cursor to the end of a content element.
+ * 
+ * The cursor is placed inside the last rendered block (paragraph, list item, code) so it
+ * follows the text rather than starting a new line.
+ * 
+ * @param {HTMLElement} contentDiv - The message content element.
+ */
+function appendStreamCursor(contentDiv) {
+    if (!contentDiv) return;
+    let target = contentDiv;
+    while (
+        target.lastElementChild &&
+        !target.lastElementChild.classList.contains('stream-cursor') &&
+        !['BR', 'HR', 'IMG'].includes(target.lastElementChild.tagName)
+    ) {
+        target = target.lastElementChild;
+    }
+    const cursor = document.createElement('span');
+    cursor.className = 'stream-cursor';
+    cursor.setAttribute('aria-hidden', 'true');
+    target.appendChild(cursor);
+}
+
 /**
  * Sets up the toggle functionality for agent visibility.
  * 
@@ -410,8 +716,8 @@ document.addEventListener('click', async (event) => {
  * Handles the copy button functionality.
  * 
  * How it works:
- * 1. Finds the associated code element
- * 2. Copies the code text to the clipboard
+ * 1. Finds the associated code element (or the JSON of a JSON tree)
+ * 2. Copies its text to the clipboard
  * 3. Provides visual feedback to the user
  * 
  * Usage example:
@@ -426,10 +732,12 @@ document.addEventListener('click', async (event) => {
  * @param {HTMLElement} button - The copy button that was clicked.
  */
 async function handleCopyButton(button) {
-    const codeElement = button.closest('.code-block')?.querySelector('code');
-    if (codeElement) {
+    // A JSON tree carries its text; a code block has it in its code element
+    const text = button.closest('.json-output')?.dataset.json
+        ?? button.closest('.code-block')?.querySelector('code')?.textContent;
+    if (text !== undefined) {
         try {
-            await navigator.clipboard.writeText(codeElement.textContent);
+            await navigator.clipboard.writeText(text);
             provideFeedback(button, 'Copied!', true);
         } catch (err) {
             logger.error('Failed to copy text:', err);
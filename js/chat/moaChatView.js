@@ -0,0 +1,370 @@
+// moaChatView.js
+
+import {
+    addMessageToChat,
+    updateMessageContent,
+    createMessageStream,
+    markMessageCancelled,
+    formatContent,
+    renderJsonOutput
+} from './message-formatting.js';
+
+/**
+ * Renders the events of a MoaEngine run into the chat.
+ *
+ * How it works:
+ * 1. `layer:start` adds a layer message; `agent:start` adds an agent bubble inside it
+ * 2. `agent:token` and `summary:token` stream into the bubbles; `final:token` streams the
+ *    main model's final answer into the assistant bubble
+ * 3. `agent:fallback`, `agent:done` and `layer:summary` replace the bubbles with the outcome,
+ *    marking cancelled output as such
+ * 4. Every settled agent advances the progress bar; an agent that sampled notes how many of
+ *    its samples agree with the answer it passed on
+ * 5. In a debate layer, `debate:round:start` adds a collapsible section per round that holds
+ *    that round's agent bubbles (earlier rounds collapse); `debate:round` adds the agreement
+ *    the round reached to its title
+ * 6. `layer:skipped` adds a muted layer message saying why the adaptive early exit or the run
+ *    budget skipped it; `budget:sacrifice` adds a muted bubble for every agent the budget dropped
+ * 7. `run:done` adds (or closes) the assistant bubble with the final answer, and notes what
+ *    the run budget sacrificed; the answer of a structured run is shown as a JSON tree, with
+ *    how many attempts (`final:retry`) it took to match the output schema
+ *
+ * Usage example:
+ * ```javascript
+ * const unsubscribe = subscribeChatView(engine, { chatMessages, progressBar });
+ * try {
+ *     await engine.run(message);
+ * } finally {
+ *     unsubscribe();
+ * }
+ * ```
+ *
+ * Files using this function:
+ * - js/chat/chatInteractions.js
+ *
+ * Role in program logic:
+ * Keeps every DOM update of an MOA run out of the engine, so the engine can be reused
+ * where there is no chat.
+ *
+ * @param {MoaEngine} engine - The engine to listen to.
+ * @param {Object} elements - Target elements.
+ * @param {HTMLElement} elements.chatMessages - The chat messages container.
+ * @param {HTMLElement} [elements.progressBar] - The progress bar, if any.
+ * @returns {Function} Removes every listener.
+ */
+export function subscribeChatView(engine, { chatMessages, progressBar }) {
+    const layerDivs = [];
+    const agentBubbles = new Map();
+    const agentStreams = new Map();
+    const summaryStreams = new Map();
+    const debateRounds = new Map();
+    let finalAnswerDiv = null;
+    let finalAnswerStream = null;
+    let synthesisFailure = null;
+    let totalAgents = 0;
+    let completedAgents = 0;
+
+    const setProgress = (percent) => {
+        if (progressBar) progressBar.style.width = `${Math.min(percent, 100)}%`;
+    };
+
+    // Debate rounds get their own bubbles, inside the round's section
+    const agentKey = (layerIndex, agentIndex, round) => (
+        round === undefined ? `${layerIndex}:${agentIndex}` : `${layerIndex}:${round}:${agentIndex}`
+    );
+
+    const getAgentBubble = (layerIndex, agentIndex, model, round) => {
+        const key = agentKey(layerIndex, agentIndex, round);
+        if (!agentBubbles.has(key)) {
+            const container = (round !== undefined && debateRounds.get(`${layerIndex}:${round}`)) || layerDivs[layerIndex];
+            agentBubbles.set(key, addMessageToChat(
+                'agent',
+                `Agent ${agentIndex + 1}: Processing with ${model}...`,
+                container
+            ));
+        }
+        return agentBubbles.get(key);
+    };
+
+    // Ends an open stream with the given content, or updates the bubble directly
+    const setAgentContent = (layerIndex, agentIndex, model, round, content) => {
+        const key = agentKey(layerIndex, agentIndex, round);
+        const stream = agentStreams.get(key);
+        if (stream) {
+            stream.end(content);
+            agentStreams.delete(key);
+        } else {
+            updateMessageContent(getAgentBubble(layerIndex, agentIndex, model, round), content);
+        }
+    };
+
+    const renderLayer = (layerIndex, agents, summary, note) => {
+        const layerContent = (agents || [])
+            .map((result, j) => (result && result.output ? `<agent${j + 1}>${formatContent(result.output)}</agent${j + 1}>` : ''))
+            .join('');
+        // The aggregator's note says how the summary was chosen (e.g. which agent the judge picked)
+        const noteSection = note ? `<p class="aggregation-note">${escapeHtml(note)}</p>` : '';
+        const summarySection = summary ? `<summary>${formatContent(summary)}</summary>` : '';
+        return `<layer${layerIndex + 1}>${layerContent}${noteSection}${summarySection}</layer${layerIndex + 1}>`;
+    };
+
+    const unsubscribers = [
+        engine.on('run:start', ({ agentCount }) => {
+            totalAgents = agentCount;
+            setProgress(0);
+        }),
+
+        engine.on('layer:start', ({ layerIndex }) => {
+            layerDivs[layerIndex] = addMessageToChat(
+                'layer',
+                `<layer${layerIndex + 1}>Layer ${layerIndex + 1}: Initializing...</layer${layerIndex + 1}>`,
+                chatMessages
+            );
+        }),
+
+        engine.on('debate:round:start', ({ layerIndex, round }) => {
+            const layerDiv = layerDivs[layerIndex];
+            if (!layerDiv) return;
+            layerDiv.querySelectorAll('.debate-round').forEach(section => { section.open = false; });
+            const section = document.createElement('details');
+            section.className = 'debate-round';
+            section.open = true;
+            const title = document.createElement('summary');
+            title.textContent = `Round ${round + 1}`;
+            section.appendChild(title);
+            layerDiv.appendChild(section);
+            debateRounds.set(`${layerIndex}:${round}`, section);
+        }),
+
+        engine.on('debate:round', ({ layerIndex, round, agreement, converged }) => {
+            const section = debateRounds.get(`${layerIndex}:${round}`);
+            if (!section) return;
+            section.querySelector('summary').textContent = [
+                `Round ${round + 1}`,
+                `agreement ${Math.round(agreement * 100)}%`,
+                converged ? 'converged' : '',
+            ].filter(Boolean).join(' · ');
+        }),
+
+        engine.on('agent:start', ({ layerIndex, agentIndex, round, model, samples }) => {
+            const bubble = getAgentBubble(layerIndex, agentIndex, model, round);
+            if (samples) {
+                updateMessageContent(bubble, `Agent ${agentIndex + 1}: Drawing ${samples} samples with ${model}...`);
+            }
+        }),
+
+        engine.on('agent:token', ({ layerIndex, agentIndex, round, model, token }) => {
+            const key = agentKey(layerIndex, agentIndex, round);
+            if (!agentStreams.has(key)) {
+                agentStreams.set(key, createMessageStream(
+                    getAgentBubble(layerIndex, agentIndex, model, round),
+                    { prefix: `Agent ${agentIndex + 1}: ` }
+                ));
+            }
+            agentStreams.get(key).append(token);
+        }),
+
+        engine.on('agent:fallback', ({ layerIndex, agentIndex, round, model, fallbackModel, error }) => {
+            setAgentContent(layerIndex, agentIndex, model, round, `Agent ${agentIndex + 1}: Error - ${error}`);
+            updateMessageContent(
+                getAgentBubble(layerIndex, agentIndex, model, round),
+                `Agent ${agentIndex + 1}: Falling back to ${fallbackModel}...`
+            );
+        }),
+
+        engine.on('agent:done', ({ layerIndex, agentIndex, round, model, status, output, attempts, sampling, error }) => {
+            const label = `Agent ${agentIndex + 1}`;
+            if (status === 'success') {
+                setAgentContent(layerIndex, agentIndex, model, round, `${label}: ${formatContent(output)}`);
+                if (sampling) {
+                    const note = document.createElement('p');
+                    note.className = 'aggregation-note';
+                    note.textContent = `${sampling.succeeded} of ${sampling.samples} samples, ${Math.round(sampling.agreement * 100)}% agree (${sampling.strategy})`;
+                    getAgentBubble(layerIndex, agentIndex, model, round).appendChild(note);
+                }
+            } else if (status === 'cancelled') {
+                setAgentContent(layerIndex, agentIndex, model, round, output
+                    ? `${label}: ${formatContent(output)}`
+                    : `${label}: Cancelled before producing output.`);
+                markMessageCancelled(getAgentBubble(layerIndex, agentIndex, model, round));
+            } else {
+                setAgentContent(layerIndex, agentIndex, model, round, `${label}: Error - ${error}`);
+                updateMessageContent(
+                    getAgentBubble(layerIndex, agentIndex, model, round),
+                    `${label}: Failed to process after ${attempts} attempts.`
+                );
+            }
+
+            // The progress bar counts the agents of a layer once, not every debate round
+            if (round) return;
+            completedAgents++;
+            if (totalAgents > 0) {
+                setProgress((completedAgents / totalAgents) * 100);
+            }
+        }),
+
+        engine.on('summary:token', ({ layerIndex, token }) => {
+            if (!summaryStreams.has(layerIndex)) {
+                summaryStreams.set(layerIndex, createMessageStream(layerDivs[layerIndex]));
+            }
+            summaryStreams.get(layerIndex).append(token);
+        }),
+
+        engine.on('final:token', ({ token }) => {
+            if (!finalAnswerStream) {
+                finalAnswerDiv = addMessageToChat('assistant', '', chatMessages, { streaming: true });
+                finalAnswerStream = createMessageStream(finalAnswerDiv);
+            }
+            finalAnswerStream.append(token);
+        }),
+
+        engine.on('final:done', ({ model, status, error }) => {
+            if (status !== 'failure') return;
+            // run:done falls back to the last layer summary
+            synthesisFailure = `Final synthesis with ${model} failed (${error}); showing the last layer summary.`;
+            if (finalAnswerStream) {
+                finalAnswerStream.end('');
+                finalAnswerDiv.remove();
+                finalAnswerStream = null;
+                finalAnswerDiv = null;
+            }
+        }),
+
+        engine.on('layer:summary', ({ layerIndex, status, summary, agents, note, quality, error }) => {
+            const layerDiv = layerDivs[layerIndex];
+            let content;
+            if (status === 'success') {
+                const qualityNote = quality !== undefined ? `Estimated quality: ${quality}` : '';
+                content = renderLayer(layerIndex, agents, summary, [note, qualityNote].filter(Boolean).join(' · '));
+            } else if (status === 'cancelled') {
+                // Keep the agent output and whatever part of the summary had streamed in
+                const hasOutput = summary || (agents || []).some(result => result && result.output);
+                content = hasOutput
+                    ? renderLayer(layerIndex, agents, summary)
+                    : `Layer ${layerIndex + 1}: Cancelled before any agent finished.`;
+            } else {
+                content = `Layer ${layerIndex + 1}: Error generating summary - ${error}`;
+            }
+
+            const stream = summaryStreams.get(layerIndex);
+            if (stream) {
+                stream.end(content);
+                summaryStreams.delete(layerIndex);
+            } else {
+                updateMessageContent(layerDiv, content);
+            }
+            if (status === 'cancelled') {
+                markMessageCancelled(layerDiv);
+            }
+        }),
+
+        engine.on('budget:sacrifice', ({ type, layerIndex, agentIndex, model, detail }) => {
+            if (type !== 'agent_dropped' || !layerDivs[layerIndex]) return;
+            const bubble = addMessageToChat(
+                'agent',
+                `Agent ${agentIndex + 1}: ${escapeHtml(model)} dropped to stay within the run budget. ${escapeHtml(detail)}`,
+                layerDivs[layerIndex]
+            );
+            bubble.classList.add('skipped');
+            completedAgents++;
+            if (totalAgents > 0) {
+                setProgress((completedAgents / totalAgents) * 100);
+            }
+        }),
+
+        engine.on('layer:skipped', ({ layerIndex, reason, detail }) => {
+            const why = {
+                quality: 'the answer is already good enough',
+                time: 'the time budget is used up',
+                budget: 'the run budget is used up',
+            }[reason] || reason;
+            const layerDiv = addMessageToChat(
+                'layer',
+                `<layer${layerIndex + 1}>Layer ${layerIndex + 1}: Skipped because ${why}.<p class="aggregation-note">${escapeHtml(detail)}</p></layer${layerIndex + 1}>`,
+                chatMessages
+            );
+            layerDiv.classList.add('skipped');
+        }),
+
+        engine.on('run:done', ({ finalAnswer, cancelled, budget, structured }) => {
+            if (cancelled) {
+                const cancelNote = 'Run cancelled. Partial layer output is kept above.';
+                if (finalAnswerStream) {
+                    finalAnswerStream.end(finalAnswerStream.text || cancelNote);
+                } else {
+                    finalAnswerDiv = addMessageToChat('assistant', cancelNote, chatMessages);
+                }
+                markMessageCancelled(finalAnswerDiv);
+                return;
+            }
+
+            if (finalAnswerStream) {
+                finalAnswerStream.end(finalAnswer);
+            } else {
+                finalAnswerDiv = addMessageToChat('assistant', formatContent(finalAnswer), chatMessages);
+            }
+            const budgetNote = budget ? describeBudget(budget) : '';
+            const structuredNote = structured ? describeStructured(structured) : '';
+            if (structured && structured.valid) {
+                renderJsonOutput(finalAnswerDiv, structured.data);
+            }
+            for (const note of [synthesisFailure, structuredNote, budgetNote].filter(Boolean)) {
+                const status = document.createElement('div');
+                status.className = 'message-status';
+                status.textContent = note;
+                finalAnswerDiv.appendChild(status);
+            }
+            setProgress(100);
+        }),
+
+        engine.on('run:error', () => {
+            // Close whatever is still streaming so no cursor keeps blinking
+            agentStreams.forEach(stream => stream.end());
+            summaryStreams.forEach(stream => stream.end());
+            if (finalAnswerStream) finalAnswerStream.end();
+        }),
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
+
+// e.g. 'Run budget: 2 agents dropped, final synthesis skipped. Used 7812 of 8000 tokens, 9 requests.'
+function describeBudget({ limits, used, exceeded, sacrifices }) {
+    const count = (type) => sacrifices.filter(sacrifice => sacrifice.type === type).length;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const given = [
+        count('agent_dropped') && `${plural(count('agent_dropped'), 'agent')} dropped`,
+        count('model_downgraded') && `${plural(count('model_downgraded'), 'model')} downgraded`,
+        count('fallback_skipped') && `${plural(count('fallback_skipped'), 'fallback')} skipped`,
+        count('layer_skipped') && `${plural(count('layer_skipped'), 'layer')} skipped`,
+        count('debate_round_skipped') && `${plural(count('debate_round_skipped'), 'debate round')} skipped`,
+        count('final_synthesis_skipped') && 'final synthesis skipped',
+        count('structured_retry_skipped') && 'JSON retry skipped',
+    ].filter(Boolean);
+
+    const usage = [
+        limits.maxTokens !== null ? `${used.tokens} of ${limits.maxTokens} tokens` : `${used.tokens} tokens`,
+        limits.maxRequests !== null ? `${used.requests} of ${limits.maxRequests} requests` : `${used.requests} requests`,
+        limits.maxTime !== null ? `${used.timeMs} of ${limits.maxTime} ms` : null,
+    ].filter(Boolean);
+
+    return [
+        `Run budget: ${given.length > 0 ? given.join(', ') : 'nothing sacrificed'}.`,
+        `Used ${usage.join(', ')}${exceeded.length > 0 ? ` (over the ${exceeded.join(' and ')} limit)` : ''}.`,
+    ].join(' ');
+}
+
+// e.g. 'JSON matches the output schema after 2 attempts.'
+function describeStructured({ valid, attempts, errors }) {
+    if (valid) {
+        return attempts > 1 ? `JSON matches the output schema after ${attempts} attempts.` : '';
+    }
+    return `Not valid against the output schema${attempts > 0 ? ` (${attempts} attempt${attempts === 1 ? '' : 's'})` : ''}: ${errors.join('; ')}`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
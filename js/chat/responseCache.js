@@ -0,0 +1,270 @@
+// responseCache.js
+
+import { normalizeText, jaccardSimilarity } from '../utils/textAnalysis.js';
+import { logger } from '../utils/logger.js';
+import { hashValue } from '../utils/hash.js';
+
+/**
+ * Cache of MOA answers, consulted before a run.
+ *
+ * How it works:
+ * 1. A prompt is normalized (case, punctuation, whitespace) and looked up under a scope: a
+ *    hash of the settings that shape the answer (models, layers, aggregation, synthesis...)
+ *    and of the conversation so far. A different configuration or a follow-up question in
+ *    another conversation never gets the same answer
+ * 2. Without an exact match, near-duplicate prompts in the same scope are compared by their
+ *    word shingles (runs of `shingle_size` consecutive words); the most similar one is used
+ *    if its Jaccard similarity reaches `similarity_threshold`
+ * 3. Entries expire after `caching.ttl` milliseconds; beyond `caching.max_cache_size` the least
+ *    recently used entry is evicted
+ * 4. With `caching.persistent_storage.enabled` the entries are kept in localStorage, so they
+ *    survive a reload
+ *
+ * The settings come from `moaConfig.caching`:
+ * ```javascript
+ * caching: {
+ *     enabled: true,
+ *     max_cache_size: 1000,
+ *     ttl: 3600000, // ms
+ *     persistent_storage: { enabled: true },
+ *     invalidation: { on_config_change: true }, // false: answers are shared across configurations
+ *     semantic: { enabled: true, shingle_size: 2, similarity_threshold: 0.85 }
+ * }
+ * ```
+ *
+ * Usage example:
+ * ```javascript
+ * const cache = getResponseCache(moaConfig.caching);
+ * const scope = getCacheScope(moaConfig, conversation.turns);
+ * const hit = cache.lookup('What is the capital of France?', scope);
+ * if (hit) return hit.entry.value;
+ * cache.store('What is the capital of France?', scope, { finalAnswer });
+ * ```
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ * - js/config/moa-config.js
+ */
+
+// Settings that change the answer to a prompt; the others (caching, visualization...) do not
+const ANSWER_CONFIG_KEYS = [
+    'main_model', 'main_temperature', 'main_specialization', 'final_synthesis',
+    'summary_model', 'summary_temperature', 'layers', 'layer_settings', 'connections',
+    'adaptive_threshold', 'error_handling', 'conversation_memory', 'function_calling', 'budget',
+    'debate', 'structured_output', 'providers', 'default_provider',
+];
+
+const STORAGE_KEY = 'moa_response_cache';
+
+/**
+ * In-memory LRU cache of answers with exact and near-duplicate lookup.
+ */
+export class ResponseCache {
+    /**
+     * @param {Object} [options={}] - Cache options.
+     * @param {number} [options.maxSize=1000] - Maximum number of entries.
+     * @param {number} [options.ttl=3600000] - Lifetime of an entry in milliseconds.
+     * @param {boolean} [options.semantic=true] - Whether near-duplicate prompts match.
+     * @param {number} [options.shingleSize=2] - Words per shingle.
+     * @param {number} [options.similarityThreshold=0.85] - Minimum Jaccard similarity of a near-duplicate.
+     * @param {Storage} [options.storage] - Storage to persist the entries in (e.g. localStorage).
+     * @param {function(): number} [options.now=Date.now] - Clock used for expiry.
+     */
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.now = options.now || Date.now;
+        this.storage = options.storage || null;
+        this.configure(options);
+        this.load();
+    }
+
+    /**
+     * Applies new limits; entries that no longer fit are dropped.
+     * @param {Object} options - See the constructor.
+     */
+    configure({ maxSize = 1000, ttl = 3600000, semantic = true, shingleSize = 2, similarityThreshold = 0.85 } = {}) {
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.semantic = semantic;
+        this.shingleSize = shingleSize;
+        this.similarityThreshold = similarityThreshold;
+        this.prune();
+    }
+
+    /**
+     * Looks up the answer to a prompt.
+     * @param {string} prompt - The user's message.
+     * @param {string} scope - The cache scope (see getCacheScope).
+     * @returns {{entry: Object, similarity: number, exact: boolean}|null} The matching entry, or null.
+     */
+    lookup(prompt, scope) {
+        this.prune();
+        const normalized = normalizeText(prompt);
+        const exact = this.entries.get(getEntryKey(normalized, scope));
+        if (exact) {
+            return { entry: this.touch(exact), similarity: 1, exact: true };
+        }
+        if (!this.semantic) {
+            return null;
+        }
+
+        const shingles = toShingles(normalized, this.shingleSize);
+        let best = null;
+        for (const entry of this.entries.values()) {
+            if (entry.scope !== scope) continue;
+            const similarity = jaccardSimilarity(shingles, toShingles(entry.normalizedPrompt, this.shingleSize));
+            if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+                best = { entry, similarity };
+            }
+        }
+        return best ? { entry: this.touch(best.entry), similarity: best.similarity, exact: false } : null;
+    }
+
+    /**
+     * Stores the answer to a prompt, replacing an entry for the same prompt and scope.
+     * @param {string} prompt - The user's message.
+     * @param {string} scope - The cache scope (see getCacheScope).
+     * @param {Object} value - What to cache; must be JSON-serializable to be persisted.
+     * @returns {Object} The entry.
+     */
+    store(prompt, scope, value) {
+        const normalizedPrompt = normalizeText(prompt);
+        const key = getEntryKey(normalizedPrompt, scope);
+        const now = this.now();
+        const entry = { key, prompt, normalizedPrompt, scope, value, createdAt: now, lastAccessed: now, hitCount: 0 };
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.prune();
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Removes an entry.
+     * @param {string} key - The entry's key.
+     * @returns {boolean} True if an entry was removed.
+     */
+    delete(key) {
+        const deleted = this.entries.delete(key);
+        if (deleted) this.save();
+        return deleted;
+    }
+
+    /**
+     * Removes every entry.
+     */
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    /**
+     * @returns {number} Number of entries.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    // Marks an entry as used, moving it to the most recently used end
+    touch(entry) {
+        entry.lastAccessed = this.now();
+        entry.hitCount++;
+        this.entries.delete(entry.key);
+        this.entries.set(entry.key, entry);
+        this.save();
+        return entry;
+    }
+
+    // Drops expired entries, then the least recently used ones beyond maxSize
+    prune() {
+        const now = this.now();
+        for (const [key, entry] of this.entries) {
+            if (now - entry.createdAt >= this.ttl) {
+                this.entries.delete(key);
+            }
+        }
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            stored.forEach(entry => this.entries.set(entry.key, entry));
+            this.prune();
+        } catch (error) {
+            logger.warn('Could not load the response cache; starting empty:', error);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify([...this.entries.values()]));
+        } catch (error) {
+            logger.warn('Could not persist the response cache:', error);
+        }
+    }
+}
+
+let sharedCache = null;
+
+/**
+ * Returns the response cache shared by the chat, configured from moaConfig.caching.
+ * @param {Object} [settings={}] - moaConfig.caching.
+ * @returns {ResponseCache} The shared cache.
+ */
+export function getResponseCache(settings = {}) {
+    const semantic = settings.semantic || {};
+    const options = {
+        maxSize: settings.max_cache_size,
+        ttl: settings.ttl,
+        semantic: semantic.enabled !== false,
+        shingleSize: semantic.shingle_size,
+        similarityThreshold: semantic.similarity_threshold,
+    };
+    if (!sharedCache) {
+        const persistent = settings.persistent_storage && settings.persistent_storage.enabled;
+        sharedCache = new ResponseCache({
+            ...options,
+            storage: persistent && typeof localStorage !== 'undefined' ? localStorage : null,
+        });
+    } else {
+        sharedCache.configure(options);
+    }
+    return sharedCache;
+}
+
+/**
+ * Computes the cache scope of a prompt: the answer-shaping settings and the conversation so far.
+ * @param {Object} config - The MOA configuration.
+ * @param {Array<{role: string, content: string}>} [history=[]] - Prior turns of the conversation.
+ * @returns {string} The scope.
+ */
+export function getCacheScope(config, history = []) {
+    const invalidation = (config.caching && config.caching.invalidation) || {};
+    const settings = invalidation.on_config_change === false
+        ? {}
+        : Object.fromEntries(ANSWER_CONFIG_KEYS.filter(key => key in config).map(key => [key, config[key]]));
+    const turns = history.map(({ role, content }) => [role, normalizeText(content)]);
+    return `${hashValue(settings)}-${hashValue(turns)}`;
+}
+
+function getEntryKey(normalizedPrompt, scope) {
+    return `${scope}:${hashValue(normalizedPrompt)}`;
+}
+
+// Runs of `size` consecutive words; a prompt shorter than that is a single shingle
+function toShingles(normalizedText, size) {
+    const words = normalizedText.split(' ').filter(Boolean);
+    if (words.length <= size) {
+        return new Set([words.join(' ')]);
+    }
+    const shingles = new Set();
+    for (let i = 0; i + size <= words.length; i++) {
+        shingles.add(words.slice(i, i + size).join(' '));
+    }
+    return shingles;
+}
@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+// cli/moa.js
+
+import { promises as fs, realpathSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { MOA_CONFIG } from '../config/moa-config.js';
+import { findConfigError } from '../config/configValidation.js';
+import { MoaEngine } from '../engine/moaEngine.js';
+import { createProvider, createProviderClient } from '../providers/providers.js';
+import { createPacedClient } from '../providers/pacedClient.js';
+import { loadGroqApiKey } from '../proxy/completionProxy.js';
+import { parseDataset, runEvaluation, formatReport } from '../eval/evaluation.js';
+import { getScorerNames } from '../eval/scorers.js';
+import { deepMerge } from '../utils/deepMerge.js';
+import { isAbortError } from '../utils/abort.js';
+
+/**
+ * Command line of the MOA: the same engine, providers and evaluation as the browser and the
+ * server, run from a terminal.
+ *
+ * Commands:
+ * - `run [question]` runs a question (read from stdin without one, or with `-`) and prints the
+ *   final answer, or with `--json` the whole MoaRunResult; `--stream` prints the answer as it
+ *   is generated, `--schema file.json` asks for a structured answer (see js/engine/structuredOutput.js)
+ * - `models` lists the models of every configured provider
+ * - `config validate [file...]` checks configuration files (the default one without a file)
+ * - `eval dataset.jsonl` runs a dataset through one or more configurations (`--config` may be
+ *   repeated) and prints the report (see js/eval/evaluation.js)
+ *
+ * Only answers and results go to stdout; the layers' progress and the logs go to stderr, so the
+ * output can be piped. A `--config` file is merged over the default configuration of
+ * js/config/moa-config.js, as the server does for inline configurations. The Groq key is read
+ * like the server's (GROQ_API_KEY, else MOA_SECRETS_FILE or secrets.json); a configuration with
+ * `default_provider: 'mock'` runs without one.
+ *
+ * Exit codes: 0 on success, 1 when the run, a provider or a validation failed, 2 for a wrong
+ * command line, 130 when interrupted (Ctrl+C cancels the run; a second one quits).
+ *
+ * Usage example:
+ * ```bash
+ * node js/cli/moa.js run "Explain TCP slow start." --config my-config.json --stream
+ * echo "Summarize this." | node js/cli/moa.js run --json > result.json
+ * node js/cli/moa.js eval eval/questions.jsonl --config fast.json --config deep.json --scorers exact_match,llm_judge
+ * ```
+ *
+ * Files using this module:
+ * - none; run it with node
+ */
+
+const USAGE = `Usage: moa <command> [options]
+
+Commands:
+  run [question]             Run a question (read from stdin without one, or with "-")
+  models                     List the models of the configured providers
+  config validate [file...]  Check configuration files (the default configuration without one)
+  eval <dataset.jsonl>       Evaluate configurations on a JSONL dataset
+
+Options:
+  -c, --config <file>        Configuration merged over the default one (eval: repeat to compare)
+  -s, --stream               run: print the answer as it is generated
+  -j, --json                 Print JSON (run: the whole result; eval: the report)
+      --schema <file>        run: output schema of a structured answer (JSON)
+      --scorers <names>      eval: comma-separated scorers (${getScorerNames().join(', ')})
+      --judge-model <model>  eval: model of the llm_judge scorer
+  -v, --verbose              Also print the engine's logs to stderr
+  -q, --quiet                Print no progress
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c', multiple: true },
+    stream: { type: 'boolean', short: 's' },
+    json: { type: 'boolean', short: 'j' },
+    schema: { type: 'string' },
+    scorers: { type: 'string' },
+    'judge-model': { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+const DEFAULT_SECRETS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'secrets.json');
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_INTERRUPTED = 130;
+
+/**
+ * Creates the error of a wrong command line.
+ * @param {string} message - What is wrong.
+ * @returns {Error} An error with `exitCode` 2.
+ */
+function createUsageError(message) {
+    const error = new Error(message);
+    error.name = 'UsageError';
+    error.exitCode = EXIT_USAGE;
+    return error;
+}
+
+/**
+ * Runs the command line.
+ * @param {string[]} argv - Arguments, without node and the script.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        return fail(createUsageError(error.message));
+    }
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        process.stderr.write(`${USAGE}\n`);
+        return options.help ? 0 : EXIT_USAGE;
+    }
+
+    // The engine logs with console.log: keep stdout for the results
+    const toStderr = (...values) => console.error(...values);
+    console.log = console.info = console.debug = options.verbose ? toStderr : () => {};
+    if (options.quiet && !options.verbose) {
+        console.warn = console.error = () => {};
+    }
+    const progress = options.quiet ? () => {} : (line) => process.stderr.write(`${line}\n`);
+
+    try {
+        switch (command) {
+            case 'run':
+                return await runCommand(args, options, progress);
+            case 'models':
+                return await modelsCommand(options, progress);
+            case 'config':
+                if (args[0] !== 'validate') {
+                    throw createUsageError(`Unknown config command: ${args[0] || '(none)'}; try "config validate"`);
+                }
+                return await validateCommand(args.slice(1), options, progress);
+            case 'eval':
+                return await evalCommand(args, options, progress);
+            default:
+                throw createUsageError(`Unknown command: ${command}`);
+        }
+    } catch (error) {
+        return fail(error);
+    }
+}
+
+/**
+ * `moa run`: runs a question and prints the answer.
+ * @param {string[]} args - The question's words, if given.
+ * @param {Object} options - Parsed options.
+ * @param {function(string): void} progress - Writes a progress line.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runCommand(args, options, progress) {
+    const input = args.length > 0 && args.join(' ') !== '-' ? args.join(' ') : (await readStdin()).trim();
+    if (!input.trim()) {
+        throw createUsageError('No question: pass it as an argument or on stdin');
+    }
+    const config = await loadConfig(single(options.config));
+    const outputSchema = options.schema ? await readJsonFile(options.schema) : undefined;
+    const engine = new MoaEngine({ config, client: await createClient(config) });
+    followProgress(engine, progress);
+
+    // The answer is streamed unless it may be re-asked (structured runs) or JSON is printed
+    const streaming = options.stream && !options.json && !outputSchema;
+    let streamed = false;
+    if (streaming) {
+        engine.on('final:token', ({ token }) => {
+            streamed = true;
+            process.stdout.write(token);
+        });
+    }
+
+    const controller = new AbortController();
+    const stop = onInterrupt(controller, progress);
+    let result;
+    try {
+        result = await engine.run(input, { signal: controller.signal, outputSchema });
+    } catch (error) {
+        if (isAbortError(error)) return EXIT_INTERRUPTED;
+        throw error;
+    } finally {
+        stop();
+    }
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (streamed) {
+        process.stdout.write('\n');
+    } else if (!result.cancelled) {
+        process.stdout.write(`${result.finalAnswer}\n`);
+    }
+    if (result.cancelled) return EXIT_INTERRUPTED;
+    const failed = (result.finalSynthesis && result.finalSynthesis.status === 'failure') || (result.structured && !result.structured.valid);
+    return failed ? EXIT_FAILURE : 0;
+}
+
+/**
+ * `moa models`: lists the models of every configured provider. Local providers (mock, Ollama)
+ * need no key; Groq is skipped without one. A provider that cannot be reached is reported,
+ * and the others are still listed.
+ * @param {Object} options - Parsed options.
+ * @param {function(string): void} progress - Writes a progress line.
+ * @returns {Promise<number>} The exit code: 1 if no provider could be listed.
+ */
+async function modelsCommand(options, progress) {
+    const config = await loadConfig(single(options.config));
+    const apiKey = await loadGroqApiKey({ file: process.env.MOA_SECRETS_FILE || DEFAULT_SECRETS_FILE });
+    const listed = {};
+    for (const [name, settings] of Object.entries(config.providers || {})) {
+        const key = name === 'groq' ? apiKey : undefined;
+        if (settings && settings.type === 'groq' && !key) {
+            progress(`${name}: skipped, no Groq API key (set GROQ_API_KEY or add it to secrets.json)`);
+            continue;
+        }
+        try {
+            const provider = createProvider(name, settings, { apiKey: key });
+            listed[name] = (await provider.listModels()).map(model => model.id);
+        } catch (error) {
+            progress(`${name}: ${error.message}`);
+        }
+    }
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(listed, null, 2)}\n`);
+    } else {
+        Object.entries(listed).forEach(([name, models]) => models.forEach(model => process.stdout.write(`${name}\t${model}\n`)));
+    }
+    return Object.keys(listed).length > 0 ? 0 : EXIT_FAILURE;
+}
+
+/**
+ * `moa config validate`: checks configuration files as updates of the default configuration.
+ * @param {string[]} files - The files; the default configuration (or `--config`) without any.
+ * @param {Object} options - Parsed options.
+ * @param {function(string): void} progress - Writes a progress line.
+ * @returns {Promise<number>} The exit code: 1 if a file is invalid.
+ */
+async function validateCommand(files, options, progress) {
+    const targets = files.length > 0 ? files : (options.config || [null]);
+    const results = [];
+    for (const file of targets) {
+        let problem;
+        try {
+            const config = file ? await readJsonFile(file) : MOA_CONFIG;
+            problem = findConfigError(config, MOA_CONFIG) || findLayerError(deepMerge(MOA_CONFIG, config));
+        } catch (error) {
+            problem = error.message;
+        }
+        results.push({ file: file || 'default configuration', valid: !problem, error: problem || undefined });
+    }
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    } else {
+        results.forEach(({ file, valid, error }) => process.stdout.write(`${file}: ${valid ? 'valid' : error}\n`));
+    }
+    const invalid = results.filter(result => !result.valid).length;
+    if (invalid > 0) {
+        progress(`${invalid} of ${results.length} configuration(s) invalid`);
+    }
+    return invalid > 0 ? EXIT_FAILURE : 0;
+}
+
+/**
+ * `moa eval`: evaluates one or more configurations on a dataset.
+ * @param {string[]} args - The dataset file.
+ * @param {Object} options - Parsed options.
+ * @param {function(string): void} progress - Writes a progress line.
+ * @returns {Promise<number>} The exit code: 1 if an item failed.
+ */
+async function evalCommand(args, options, progress) {
+    if (args.length !== 1) {
+        throw createUsageError('eval needs one dataset file');
+    }
+    const dataset = parseDataset(await readText(args[0]));
+    const files = options.config || [null];
+    const configs = [];
+    for (const file of files) {
+        configs.push({ label: file ? path.basename(file, '.json') : 'default', config: await loadConfig(file) });
+    }
+    const scorers = options.scorers ? options.scorers.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+    const unknown = (scorers || []).find(name => !getScorerNames().includes(name));
+    if (unknown) {
+        throw createUsageError(`Unknown scorer: ${unknown}`);
+    }
+
+    // Each configuration runs with its own providers; all are graded by the same judge model
+    const judge = { model: options['judge-model'] || configs[0].config.main_model };
+    const controller = new AbortController();
+    const stop = onInterrupt(controller, progress);
+    let report;
+    try {
+        for (const entry of configs) {
+            const partial = await runEvaluation({
+                dataset,
+                configs: [entry],
+                client: await createClient(entry.config),
+                scorers,
+                judge,
+                signal: controller.signal,
+                onProgress: ({ label, index, total, item, result }) => progress(
+                    `[${label}] ${index + 1}/${total} ${item.id}: ${result.error ? `failed: ${result.error}` : describeScores(result.scores)}`,
+                ),
+            });
+            report = report ? { ...report, completedAt: partial.completedAt, configs: [...report.configs, ...partial.configs] } : partial;
+        }
+    } catch (error) {
+        if (isAbortError(error)) return EXIT_INTERRUPTED;
+        throw error;
+    } finally {
+        stop();
+    }
+
+    process.stdout.write(`${options.json ? JSON.stringify(report, null, 2) : formatReport(report)}\n`);
+    return report.configs.some(({ summary }) => summary.errors > 0) ? EXIT_FAILURE : 0;
+}
+
+/**
+ * Writes a line per step of a run: layers, agents, summaries, skipped layers and the final answer.
+ * @param {MoaEngine} engine - The engine.
+ * @param {function(string): void} progress - Writes a progress line.
+ */
+function followProgress(engine, progress) {
+    let layerCount = 0;
+    engine.on('run:start', (data) => {
+        layerCount = data.layerCount;
+        progress(`Running ${data.layerCount} layer(s), ${data.agentCount} agent(s)`);
+    });
+    engine.on('layer:start', ({ layerIndex, agentCount, executionMode }) => {
+        progress(`Layer ${layerIndex + 1}/${layerCount}: ${agentCount} agent(s), ${executionMode}`);
+    });
+    engine.on('agent:done', ({ agentIndex, model, status, tokens, round, error }) => {
+        const where = round !== undefined ? ` (round ${round})` : '';
+        progress(`  agent ${agentIndex + 1} ${model}${where}: ${status === 'success' ? `${tokens} tokens` : `${status}${error ? `: ${error}` : ''}`}`);
+    });
+    engine.on('agent:fallback', ({ agentIndex, model, fallbackModel, error }) => {
+        progress(`  agent ${agentIndex + 1} ${model} failed (${error}); falling back to ${fallbackModel}`);
+    });
+    engine.on('debate:round', ({ round, agreement, converged }) => {
+        progress(`  debate round ${round}: agreement ${agreement.toFixed(2)}${converged ? ', converged' : ''}`);
+    });
+    engine.on('layer:summary', ({ layerIndex, model, aggregator, status, error }) => {
+        progress(`  summary of layer ${layerIndex + 1} (${aggregator || 'summary'}, ${model}): ${status}${error ? `: ${error}` : ''}`);
+    });
+    engine.on('layer:skipped', ({ layerIndex, reason, detail }) => {
+        progress(`Layer ${layerIndex + 1} skipped (${reason}): ${detail}`);
+    });
+    engine.on('budget:sacrifice', ({ type, detail }) => {
+        progress(`Budget: ${type}. ${detail}`);
+    });
+    engine.on('final:retry', ({ attempt, errors }) => {
+        progress(`Final answer does not match the schema (attempt ${attempt}): ${errors.join('; ')}`);
+    });
+    engine.on('final:done', ({ model, status, tokens, latency, error }) => {
+        progress(`Final answer (${model}): ${status === 'success' ? `${tokens} tokens, ${Math.round(latency)} ms` : `${status}${error ? `: ${error}` : ''}`}`);
+    });
+}
+
+/**
+ * Builds the configuration of a command.
+ * @param {string|null} file - Configuration file, merged over the default configuration.
+ * @returns {Promise<Object>} The configuration.
+ * @throws {Error} If the file cannot be read or the configuration is invalid.
+ */
+async function loadConfig(file) {
+    if (!file) return MOA_CONFIG;
+    const overrides = await readJsonFile(file);
+    const problem = findConfigError(overrides, MOA_CONFIG);
+    const config = deepMerge(MOA_CONFIG, overrides);
+    const invalid = problem || findLayerError(config);
+    if (invalid) {
+        throw new Error(`${file}: ${invalid}`);
+    }
+    return config;
+}
+
+// A configuration needs layers to run (see RunManager.resolveConfig)
+function findLayerError(config) {
+    if (!Array.isArray(config.layers) || config.layers.length === 0 || !config.layers.every(Array.isArray)) {
+        return 'The configuration needs a non-empty array of layers';
+    }
+    return null;
+}
+
+// The model client of a configuration, with the server's Groq key
+async function createClient(config) {
+    const apiKey = await loadGroqApiKey({ file: process.env.MOA_SECRETS_FILE || DEFAULT_SECRETS_FILE });
+    return createPacedClient(createProviderClient({ config, apiKeys: { groq: apiKey } }));
+}
+
+// Cancels the run on Ctrl+C; a second Ctrl+C quits at once. Returns the function removing the handler.
+function onInterrupt(controller, progress) {
+    const handler = () => {
+        if (controller.signal.aborted) {
+            process.exit(EXIT_INTERRUPTED);
+        }
+        progress('Cancelling (press Ctrl+C again to quit)');
+        controller.abort();
+    };
+    process.on('SIGINT', handler);
+    return () => process.off('SIGINT', handler);
+}
+
+function describeScores(scores) {
+    return Object.entries(scores)
+        .map(([name, score]) => `${name} ${!score ? 'n/a' : score.error ? 'error' : score.score.toFixed(2)}`)
+        .join(', ');
+}
+
+function single(values) {
+    if (values && values.length > 1) {
+        throw createUsageError('--config may be given once for this command');
+    }
+    return values ? values[0] : null;
+}
+
+async function readText(file) {
+    try {
+        return await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Could not read ${file}: ${error.message}`);
+    }
+}
+
+async function readJsonFile(file) {
+    const text = await readText(file);
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+async function readStdin() {
+    if (process.stdin.isTTY) {
+        throw createUsageError('No question: pass it as an argument or on stdin');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function fail(error) {
+    process.stderr.write(`moa: ${error.message}\n`);
+    if (error.exitCode === EXIT_USAGE) {
+        process.stderr.write('Run "moa --help" for usage.\n');
+    }
+    return error.exitCode || EXIT_FAILURE;
+}
+
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+}
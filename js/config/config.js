@@ -18,10 +18,11 @@ import {
     SYSTEM_SETTINGS,
     ENVIRONMENT,
     isProduction,
-    getApiKey,
   } from './system-config.js';
 
   import { createMOADiagram, updateMOADiagram } from '../diagram/diagram.js';
+  import { findConfigError } from './configValidation.js';
+  import { deepMerge } from '../utils/deepMerge.js';
   
   // Export configurations
   export const rateLimits = RATE_LIMITS;
@@ -31,9 +32,8 @@ import {
   export const environment = ENVIRONMENT;
   export { getLayerConfig, getMainModelConfig, isProduction };
   
-  // Export API configuration
+  // Export API configuration (the app server's Groq proxy; see js/providers/groqProxy.js)
   export const API_ENDPOINT = API_CONFIG.ENDPOINT;
-  export const API_KEY = getApiKey();
   
   // Initialize moaConfig with default values
   export let moaConfig = {
@@ -135,92 +135,13 @@ import {
     console.log('MOA configuration updated:', moaConfig);
   }
   
-  // Helper functions
-  /**
-   * Performs a deep merge of two objects.
-   * 
-   * How it works:
-   * 1. Checks if both target and source are objects
-   * 2. If they are, it recursively merges their properties
-   * 3. If not, it returns the source value
-   * 
-   * Usage example:
-   * ```javascript
-   * const target = { a: { b: 1 }, c: 2 };
-   * const source = { a: { d: 3 }, e: 4 };
-   * const result = deepMerge(target, source);
-   * // result: { a: { b: 1, d: 3 }, c: 2, e: 4 }
-   * ```
-   * 
-   * Files that use this function:
-   * - js/config/config.js (internal use in updateMOAConfig)
-   * 
-   * Role in overall program logic:
-   * This function is essential for updating the MOA configuration while preserving
-   * existing settings that are not explicitly overwritten.
-   * 
-   * [Documentation](./docs/config.md#deepMerge)
-   * 
-   * @param {Object} target - The target object to merge into.
-   * @param {Object} source - The source object to merge from.
-   * @returns {Object} The merged object.
-   */
-  function deepMerge(target, source) {
-    if (isObject(target) && isObject(source)) {
-      const output = { ...target };
-      for (const key of Object.keys(source)) {
-        if (isObject(source[key])) {
-          output[key] = key in target ? deepMerge(target[key], source[key]) : source[key];
-        } else if (Array.isArray(source[key])) {
-          output[key] = [...source[key]];
-        } else {
-          output[key] = source[key];
-        }
-      }
-      return output;
-    }
-    return source;
-  }
-  
-  /**
-   * Checks if the given item is an object (excluding arrays).
-   * 
-   * How it works:
-   * 1. Checks if the item is truthy
-   * 2. Checks if the item is of type 'object'
-   * 3. Ensures the item is not an array
-   * 
-   * Usage example:
-   * ```javascript
-   * console.log(isObject({})); // true
-   * console.log(isObject([])); // false
-   * console.log(isObject(null)); // false
-   * ```
-   * 
-   * Files that use this function:
-   * - js/config/config.js (internal use in deepMerge)
-   * 
-   * Role in overall program logic:
-   * This function supports the deep merge operation by distinguishing
-   * between plain objects and other types of values.
-   * 
-   * [Documentation](./docs/config.md#isObject)
-   * 
-   * @param {*} item - The item to check.
-   * @returns {boolean} True if the item is an object (not an array), false otherwise.
-   */
-  function isObject(item) {
-    return item && typeof item === 'object' && !Array.isArray(item);
-  }
-  
   /**
    * Validates the MOA configuration object.
    * 
    * How it works:
-   * 1. Checks the validity of the main_model
-   * 2. Validates the structure and content of layers
-   * 3. Verifies self_evolving settings
-   * 4. Checks function_calling settings
+   * 1. Looks for the first problem of the configuration with findConfigError
+   *    (js/config/configValidation.js), reading the keys it leaves out from moaConfig
+   * 2. Logs the problem, if there is one
    * 
    * Usage example:
    * ```javascript
@@ -246,69 +167,14 @@ import {
    * @returns {boolean} True if the configuration is valid, false otherwise.
    */
   function isValidConfig(config) {
-    // Validate main_model
-    if (config.main_model && !availableModels.includes(config.main_model)) {
-      console.error(`Invalid main_model: ${config.main_model}`);
+    const problem = findConfigError(config, moaConfig);
+    if (problem) {
+      console.error(problem);
       return false;
     }
-  
-    // Validate layers
-    if (config.layers) {
-      if (!Array.isArray(config.layers)) {
-        console.error('layers should be an array');
-        return false;
-      }
-      for (const layer of config.layers) {
-        if (!Array.isArray(layer)) {
-          console.error('Each layer should be an array');
-          return false;
-        }
-        for (const agent of layer) {
-          if (!availableModels.includes(agent.model_name)) {
-            console.error(`Invalid agent model_name: ${agent.model_name}`);
-            return false;
-          }
-          if (typeof agent.temperature !== 'number' || agent.temperature < 0 || agent.temperature > 1) {
-            console.error(`Invalid agent temperature: ${agent.temperature}`);
-            return false;
-          }
-        }
-      }
-    }
-  
-    // Validate self_evolving settings
-    if (config.self_evolving) {
-      const { learning_rate, feedback_threshold, improvement_interval } = config.self_evolving;
-      if (typeof learning_rate !== 'number' || learning_rate <= 0 || learning_rate > 1) {
-        console.error(`Invalid learning_rate: ${learning_rate}`);
-        return false;
-      }
-      if (typeof feedback_threshold !== 'number' || feedback_threshold < 0 || feedback_threshold > 1) {
-        console.error(`Invalid feedback_threshold: ${feedback_threshold}`);
-        return false;
-      }
-      if (typeof improvement_interval !== 'number' || improvement_interval < 0) {
-        console.error(`Invalid improvement_interval: ${improvement_interval}`);
-        return false;
-      }
-    }
-  
-    // Validate function_calling settings
-    if (config.function_calling) {
-      const { enabled, model } = config.function_calling;
-      if (typeof enabled !== 'boolean') {
-        console.error(`Invalid function_calling enabled: ${enabled}`);
-        return false;
-      }
-      if (model && !availableModels.includes(model)) {
-        console.error(`Invalid function_calling model: ${model}`);
-        return false;
-      }
-    }
-  
     return true;
   }
-  
+
   /**
    * Recalculates adaptive thresholds based on the current MOA configuration.
    * 
@@ -0,0 +1,394 @@
+// config/configValidation.js
+
+import { AVAILABLE_MODELS } from './model-config.js';
+import { getAggregatorNames } from '../engine/aggregators.js';
+import { getSampleStrategyNames } from '../engine/selfConsistency.js';
+import { toSchemaModel } from '../engine/structuredOutput.js';
+import { buildAgentGraph } from '../engine/agentGraph.js';
+import { getProviderTypeNames, resolveProviderName } from '../providers/providers.js';
+
+/**
+ * Validation of MOA configurations, without the browser: the app checks its updates with it
+ * (updateMOAConfig in js/config/config.js) and the command line checks configuration files.
+ *
+ * How it works:
+ * 1. Checks the providers first: they decide which model names are checked
+ * 2. Checks the main_model, the layers and their agents, per-layer settings (execution_mode,
+ *    aggregator, debate) and the debate settings
+ * 3. Checks the structured_output, self_evolving, connections, adaptive_threshold,
+ *    function_calling, budget, tracing and caching settings
+ *
+ * A configuration may be partial (an update): the keys it leaves out (providers,
+ * default_provider, layers) are read from `base`, the configuration it is merged over.
+ *
+ * The inline configuration of a server run comes from the network, and is held to more:
+ * findInlineConfigError lets it set only the keys of INLINE_CONFIG_KEYS (never the providers,
+ * nor a URL), and caps its size with INLINE_CONFIG_LIMITS.
+ *
+ * Usage example:
+ * ```javascript
+ * const problem = findConfigError(newConfig, moaConfig);
+ * if (problem) {
+ *     console.error(problem); // e.g. 'Invalid agent temperature: 3'
+ * }
+ * ```
+ *
+ * Files using these functions:
+ * - js/config/config.js (isValidConfig)
+ * - js/cli/moa.js (config validate)
+ * - js/runs/runManager.js (findInlineConfigError)
+ */
+
+// Top-level keys a run request's inline configuration may set. The rest (providers and
+// default_provider, rate limits, retries and fallbacks, caching, tracing, budget) stays as
+// the server configured it.
+export const INLINE_CONFIG_KEYS = [
+    'main_model', 'main_temperature', 'main_weight', 'main_specialization', 'final_synthesis',
+    'summary_model', 'summary_temperature', 'summary_weight', 'summary_specialization', 'summary_adaptive_weight',
+    'layers', 'layer_settings', 'connections', 'debate', 'adaptive_threshold', 'structured_output',
+];
+
+// Keys that hold a URL, refused anywhere in an inline configuration
+const URL_KEYS = ['base_url', 'endpoint'];
+
+// Largest run an inline configuration may ask for: every agent, sample and debate round is
+// a model call made with the server's key
+export const INLINE_CONFIG_LIMITS = {
+    layers: 4,
+    agents_per_layer: 6,
+    samples: 5,
+    debate_rounds: 3,
+};
+
+/**
+ * Finds the first problem of a configuration.
+ * @param {Object} config - The configuration (or update) to check.
+ * @param {Object} [base={}] - The configuration it is merged over.
+ * @returns {string|null} What is wrong, or null if the configuration is valid.
+ */
+export function findConfigError(config, base = {}) {
+    // Validate providers first: they decide which model names are checked
+    const providerError = findProviderError(config, base);
+    if (providerError) {
+        return providerError;
+    }
+
+    // Validate main_model
+    if (config.main_model && !isServedModel(config, base, { model: config.main_model })) {
+        return `Invalid main_model: ${config.main_model}`;
+    }
+
+    // Validate layers
+    if (config.layers) {
+        if (!Array.isArray(config.layers)) {
+            return 'layers should be an array';
+        }
+        for (const layer of config.layers) {
+            if (!Array.isArray(layer)) {
+                return 'Each layer should be an array';
+            }
+            for (const agent of layer) {
+                if (agent.provider !== undefined && !getProviders(config, base)[agent.provider]) {
+                    return `Invalid agent provider: ${agent.provider}`;
+                }
+                if (!isServedModel(config, base, { provider: agent.provider, model: agent.model_name })) {
+                    return `Invalid agent model_name: ${agent.model_name}`;
+                }
+                if (typeof agent.temperature !== 'number' || agent.temperature < 0 || agent.temperature > 1) {
+                    return `Invalid agent temperature: ${agent.temperature}`;
+                }
+                if (agent.samples !== undefined && (!Number.isInteger(agent.samples) || agent.samples < 1)) {
+                    return `Invalid agent samples: ${agent.samples}`;
+                }
+                if (agent.sample_selection !== undefined && !getSampleStrategyNames().includes(agent.sample_selection)) {
+                    return `Invalid agent sample_selection: ${agent.sample_selection}`;
+                }
+            }
+        }
+    }
+
+    // Validate layer_settings
+    if (config.layer_settings) {
+        if (!Array.isArray(config.layer_settings)) {
+            return 'layer_settings should be an array';
+        }
+        for (const settings of config.layer_settings) {
+            if (settings && settings.execution_mode && !['parallel', 'sequential', 'debate'].includes(settings.execution_mode)) {
+                return `Invalid layer execution_mode: ${settings.execution_mode}`;
+            }
+            if (settings && settings.aggregator && !getAggregatorNames().includes(settings.aggregator)) {
+                return `Invalid layer aggregator: ${settings.aggregator}`;
+            }
+            const debateError = settings && settings.debate && findDebateError(settings.debate);
+            if (debateError) {
+                return debateError;
+            }
+        }
+    }
+
+    // Validate debate settings
+    const debateError = config.debate && findDebateError(config.debate);
+    if (debateError) {
+        return debateError;
+    }
+
+    // Validate structured output settings
+    if (config.structured_output) {
+        const { schema, max_retries, max_tokens } = config.structured_output;
+        if (max_retries !== undefined && (!Number.isInteger(max_retries) || max_retries < 0)) {
+            return `Invalid structured_output max_retries: ${max_retries}`;
+        }
+        if (max_tokens !== undefined && (!Number.isInteger(max_tokens) || max_tokens <= 0)) {
+            return `Invalid structured_output max_tokens: ${max_tokens}`;
+        }
+        if (schema) {
+            try {
+                toSchemaModel(schema);
+            } catch (error) {
+                return `Invalid structured_output schema: ${error.message}`;
+            }
+        }
+    }
+
+    // Validate self_evolving settings
+    if (config.self_evolving) {
+        const { learning_rate, feedback_threshold, improvement_interval } = config.self_evolving;
+        if (typeof learning_rate !== 'number' || learning_rate <= 0 || learning_rate > 1) {
+            return `Invalid learning_rate: ${learning_rate}`;
+        }
+        if (typeof feedback_threshold !== 'number' || feedback_threshold < 0 || feedback_threshold > 1) {
+            return `Invalid feedback_threshold: ${feedback_threshold}`;
+        }
+        if (typeof improvement_interval !== 'number' || improvement_interval < 0) {
+            return `Invalid improvement_interval: ${improvement_interval}`;
+        }
+    }
+
+    // Validate connections: they must name existing agents and form no cycle
+    if (config.connections) {
+        try {
+            buildAgentGraph(config.layers || base.layers, config.connections);
+        } catch (error) {
+            return `Invalid connections: ${error.message}`;
+        }
+    }
+
+    // Validate adaptive early exit settings
+    if (config.adaptive_threshold) {
+        const { output_quality, early_exit } = config.adaptive_threshold;
+        if (output_quality !== undefined && (typeof output_quality !== 'number' || output_quality < 0 || output_quality > 1)) {
+            return `Invalid output_quality: ${output_quality}`;
+        }
+        if (early_exit && early_exit.estimator && !['heuristic', 'llm'].includes(early_exit.estimator)) {
+            return `Invalid early_exit estimator: ${early_exit.estimator}`;
+        }
+    }
+
+    // Validate function_calling settings
+    if (config.function_calling) {
+        const { enabled, model } = config.function_calling;
+        if (typeof enabled !== 'boolean') {
+            return `Invalid function_calling enabled: ${enabled}`;
+        }
+        if (model && !AVAILABLE_MODELS.includes(model)) {
+            return `Invalid function_calling model: ${model}`;
+        }
+    }
+
+    // Validate budget limits: null (no limit) or a positive number
+    if (config.budget) {
+        for (const key of ['max_tokens', 'max_time', 'max_requests', 'output_token_estimate']) {
+            const value = config.budget[key];
+            if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+                return `Invalid budget ${key}: ${value}`;
+            }
+        }
+    }
+
+    // Validate tracing settings
+    if (config.tracing && config.tracing.max_traces !== undefined) {
+        const { max_traces } = config.tracing;
+        if (!Number.isInteger(max_traces) || max_traces < 1) {
+            return `Invalid tracing max_traces: ${max_traces}`;
+        }
+    }
+
+    // Validate semantic cache settings
+    if (config.caching && config.caching.semantic) {
+        const { shingle_size, similarity_threshold } = config.caching.semantic;
+        if (shingle_size !== undefined && (!Number.isInteger(shingle_size) || shingle_size < 1)) {
+            return `Invalid caching shingle_size: ${shingle_size}`;
+        }
+        if (similarity_threshold !== undefined && (typeof similarity_threshold !== 'number' || similarity_threshold < 0 || similarity_threshold > 1)) {
+            return `Invalid caching similarity_threshold: ${similarity_threshold}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the first problem of the inline configuration of a run request: a key outside
+ * INLINE_CONFIG_KEYS, a URL, a size over INLINE_CONFIG_LIMITS, or anything findConfigError
+ * rejects.
+ * @param {Object} config - The inline configuration.
+ * @param {Object} base - The configuration it is merged over.
+ * @returns {string|null} What is wrong, or null if the request may run with it.
+ */
+export function findInlineConfigError(config, base) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return 'config should be an object';
+    }
+    const refusedKey = Object.keys(config).find(key => !INLINE_CONFIG_KEYS.includes(key));
+    if (refusedKey) {
+        return `${refusedKey} cannot be set by a run request`;
+    }
+    const urlPath = findKeyPath(config, URL_KEYS);
+    if (urlPath) {
+        return `${urlPath} cannot be set by a run request`;
+    }
+
+    const { layers, agents_per_layer, samples, debate_rounds } = INLINE_CONFIG_LIMITS;
+    if (Array.isArray(config.layers)) {
+        if (config.layers.length > layers) {
+            return `At most ${layers} layers are allowed`;
+        }
+        for (const layer of config.layers) {
+            if (Array.isArray(layer) && layer.length > agents_per_layer) {
+                return `At most ${agents_per_layer} agents per layer are allowed`;
+            }
+            if (Array.isArray(layer) && layer.some(agent => agent && agent.samples > samples)) {
+                return `At most ${samples} samples per agent are allowed`;
+            }
+        }
+    }
+    const debates = [config.debate, ...(Array.isArray(config.layer_settings) ? config.layer_settings.map(settings => settings && settings.debate) : [])];
+    if (debates.some(debate => debate && debate.rounds > debate_rounds)) {
+        return `At most ${debate_rounds} debate rounds are allowed`;
+    }
+
+    return findConfigError(config, base);
+}
+
+// Path of the first of `keys` found in a value, e.g. 'layers.0.1.base_url'
+function findKeyPath(value, keys, path = '') {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (keys.includes(key)) {
+            return childPath;
+        }
+        const found = findKeyPath(child, keys, childPath);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks the providers and default_provider of a configuration (or of the base one, for the
+ * keys a partial update leaves out).
+ * @param {Object} config - The configuration.
+ * @param {Object} base - The configuration it is merged over.
+ * @returns {string|null} What is wrong, or null.
+ */
+function findProviderError(config, base) {
+    const providers = getProviders(config, base);
+    if (typeof providers !== 'object' || Array.isArray(providers)) {
+        return 'providers should be an object';
+    }
+    for (const [name, settings] of Object.entries(providers)) {
+        if (!settings || !getProviderTypeNames().includes(settings.type)) {
+            return `Invalid type of provider ${name}: ${settings && settings.type}`;
+        }
+        if (settings.type === 'openai_compatible' && typeof settings.base_url !== 'string') {
+            return `Provider ${name} needs a base_url`;
+        }
+        if (settings.models !== undefined && (!Array.isArray(settings.models) || settings.models.some(model => typeof model !== 'string'))) {
+            return `Invalid models of provider ${name}: ${settings.models}`;
+        }
+        const mockError = settings.type === 'mock' && findMockError(name, settings);
+        if (mockError) {
+            return mockError;
+        }
+    }
+    const defaultProvider = config.default_provider || base.default_provider;
+    if (defaultProvider && Object.keys(providers).length > 0 && !providers[defaultProvider]) {
+        return `Invalid default_provider: ${defaultProvider}`;
+    }
+    return null;
+}
+
+/**
+ * Checks the rules and simulated errors of a mock provider.
+ * @param {string} name - Name of the provider.
+ * @param {Object} settings - Its configuration entry.
+ * @returns {string|null} What is wrong, or null.
+ */
+function findMockError(name, settings) {
+    const { rules = [], errors = [] } = settings;
+    if (!Array.isArray(rules) || !Array.isArray(errors)) {
+        return `Provider ${name}: rules and errors should be arrays`;
+    }
+    for (const rule of [...rules, ...errors]) {
+        if (rule.pattern !== undefined) {
+            try {
+                new RegExp(rule.pattern);
+            } catch (error) {
+                return `Provider ${name}: invalid pattern ${rule.pattern}`;
+            }
+        }
+    }
+    if (rules.some(rule => typeof rule.response !== 'string')) {
+        return `Provider ${name}: every rule needs a response`;
+    }
+    const invalidError = errors.find(rule => !['rate_limit', 'server_error', 'timeout'].includes(rule.type));
+    if (invalidError) {
+        return `Provider ${name}: invalid error type ${invalidError.type}`;
+    }
+    return null;
+}
+
+function getProviders(config, base) {
+    return config.providers || base.providers || {};
+}
+
+/**
+ * Checks a model name against the provider its requests would go to. Groq models must be
+ * known (see model-config.js); other providers serve models this app keeps no list of.
+ * @param {Object} config - The configuration.
+ * @param {Object} base - The configuration it is merged over.
+ * @param {{provider: string, model: string}} request - The request's provider (if set) and model.
+ * @returns {boolean} True if the model can be used.
+ */
+function isServedModel(config, base, request) {
+    const providers = getProviders(config, base);
+    const name = resolveProviderName({ providers, default_provider: config.default_provider || base.default_provider }, request);
+    const settings = providers[name];
+    if (settings && settings.type !== 'groq') {
+        return typeof request.model === 'string' && request.model.length > 0;
+    }
+    return AVAILABLE_MODELS.includes(request.model);
+}
+
+/**
+ * Checks debate settings (config.debate or a layer's own `debate`).
+ * @param {Object} debate - The settings.
+ * @returns {string|null} What is wrong, or null.
+ */
+function findDebateError(debate) {
+    const { rounds, convergence_threshold, moderator_model } = debate;
+    if (rounds !== undefined && (!Number.isInteger(rounds) || rounds < 1)) {
+        return `Invalid debate rounds: ${rounds}`;
+    }
+    if (convergence_threshold !== undefined && (typeof convergence_threshold !== 'number' || convergence_threshold < 0 || convergence_threshold > 1)) {
+        return `Invalid debate convergence_threshold: ${convergence_threshold}`;
+    }
+    if (moderator_model !== undefined && moderator_model !== null && typeof moderator_model !== 'string') {
+        return `Invalid debate moderator_model: ${moderator_model}`;
+    }
+    return null;
+}
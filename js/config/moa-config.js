@@ -1,10 +1,18 @@
 // MOA Configuration
 // MOA Configuration
+
+import { getResponseCache, getCacheScope } from '../chat/responseCache.js';
+
 export const MOA_CONFIG = {
     main_model: 'llama3-70b-8192',
     main_temperature: 0.7,
     main_weight: 0.5,
     main_specialization: 'general_intelligence',
+    // The main model turns the layer summaries into the final answer.
+    // Disabled: the last layer summary is the final answer.
+    final_synthesis: {
+        enabled: true
+    },
     summary_model: 'llama3-70b-8192',
     summary_temperature: 0.6,
     summary_weight: 0.5,
@@ -39,7 +47,10 @@ export const MOA_CONFIG = {
         max_tokens_per_minute: 15000,
         dynamic_adjustment: true,
         fair_use_policy: {
+            // Enforced by the app server per user (see js/quota/quotaManager.js): requests and
+            // tokens per window, starting with the user's first request
             enabled: true,
+            window_ms: 24 * 60 * 60 * 1000,
             user_quotas: {
                 default: { requests: 100, tokens: 50000 },
                 premium: { requests: 500, tokens: 250000 }
@@ -76,10 +87,60 @@ export const MOA_CONFIG = {
             algorithm: 'lz4'
         },
         invalidation: {
-            on_config_change: true,
+            on_config_change: true, // Answers are cached per configuration
             on_model_update: true
+        },
+        // Near-duplicate prompts (Jaccard similarity of their word shingles) share an answer
+        semantic: {
+            enabled: true,
+            shingle_size: 2, // Words per shingle
+            similarity_threshold: 0.85
         }
     },
+    // Per-run budget; null means no limit. To stay within it the engine drops the lowest-weight
+    // agents, switches to cheaper models, skips fallbacks, layers or the final synthesis, and
+    // reports what it gave up. output_token_estimate is the output assumed for a request without max_tokens.
+    budget: {
+        max_tokens: null,
+        max_time: null, // ms
+        max_requests: null,
+        output_token_estimate: 512
+    },
+    // Every run is recorded as a trace (config snapshot, model calls and responses, fallbacks,
+    // timings) that can be replayed without API calls; the latest max_traces are kept in memory
+    tracing: {
+        enabled: true,
+        max_traces: 20
+    },
+    // JSON answers: when enabled, chat runs end with the main model answering in JSON mode with an
+    // object matching `schema` (field name -> { type, required, description }, as for BaseModel.Field);
+    // an answer that does not match is sent back with the errors up to max_retries times.
+    // max_tokens is the output limit of each answer. A run can also pass its own `outputSchema`.
+    structured_output: {
+        enabled: false,
+        schema: null,
+        max_retries: 2,
+        max_tokens: 1024
+    },
+    // Where requests go, by provider name. type: 'groq', 'openai_compatible' (any OpenAI-style
+    // base_url), 'ollama' (Ollama's HTTP API at base_url), 'hermes_bridge' (the app server's endpoint)
+    // or 'mock' (offline answers; see js/providers/mockProvider.js for rules and simulated errors).
+    // An agent entry picks one with `provider`; otherwise the provider whose `models` lists the
+    // model is used, then default_provider. API keys are not kept here: the app server holds the
+    // Groq key, and the browser reaches Groq through its proxy (see js/providers/groqProxy.js).
+    // Set default_provider to 'mock' to run the whole pipeline without a key or a network.
+    providers: {
+        groq: { type: 'groq' },
+        ollama: { type: 'ollama', base_url: 'http://localhost:11434', keep_alive: '10m' },
+        hermes: { type: 'hermes_bridge', endpoint: '/api/ask-hermes', models: ['hermes3'] },
+        mock: { type: 'mock', delay_ms: 400, token_delay_ms: 30, rules: [], errors: [] }
+    },
+    default_provider: 'groq',
+    // Agent entries: samples > 1 draws that many answers at the agent's temperature (self-consistency)
+    // and passes on one, chosen by sample_selection: 'majority' (most frequent answer, the most
+    // central one when none repeats) or 'central' (highest word overlap with the other samples).
+    // Every sample is a request of its own, so no agent samples by default; to opt in, e.g.
+    //   { model_name: 'llama3-70b-8192', temperature: 0.6, weight: 0.4, samples: 3, sample_selection: 'majority' }
     layers: [
         [
             { model_name: 'llama3-8b-8192', temperature: 0.5, weight: 0.2, specialization: 'general_knowledge', adaptive_weight: true },
@@ -93,12 +154,49 @@ export const MOA_CONFIG = {
             { model_name: 'llama3-groq-70b-8192-tool-use-preview', temperature: 0.6, weight: 0.3, specialization: 'tool_integration', adaptive_weight: true }
         ]
     ],
+    // Per-layer settings, aligned by index with `layers`
+    // execution_mode: 'parallel' runs all agents at once, 'sequential' lets each agent see the previous agents' insights,
+    //   'debate' lets the agents critique each other's answers and revise their own over several rounds (see `debate`)
+    // aggregator: how the agent outputs are combined, using each agent's `weight`:
+    //   'weighted_synthesis' (summary model merges them), 'llm_judge' (summary model picks the best),
+    //   'majority_vote' (most-weighted identical answer, for short factual answers), 'rank_fusion' (reciprocal rank fusion),
+    //   'moderator' (moderator model declares the consensus of a debate; the default of debate layers)
+    // A debate layer may override the `debate` settings with its own `debate: { rounds, ... }`; with `connections`
+    // every layer runs as a graph and execution_mode is ignored
+    layer_settings: [
+        { execution_mode: 'parallel', aggregator: 'weighted_synthesis' },
+        { execution_mode: 'parallel', aggregator: 'weighted_synthesis' }
+    ],
+    // Debate layers: at most `rounds` rounds (the opening answers included); the debate ends early
+    // once the agents' answers overlap by convergence_threshold (mean pairwise word overlap, 0-1).
+    // moderator_model declares the consensus; null uses summary_model.
+    debate: {
+        rounds: 3,
+        convergence_threshold: 0.5,
+        moderator_model: null
+    },
+    // Optional agent graph. Empty: strict layers, every layer works on the previous layer's summary.
+    // Otherwise a list of edges between agents, named 'layer<i>_agent<j>', e.g.
+    //   { from: 'layer0_agent0', to: 'layer1_agent1' }
+    // Every agent then receives only its upstream agents' outputs (agents without incoming edges
+    // receive the request), and the outputs of agents without outgoing edges are combined into
+    // the answer by the last layer's aggregator. The edges must not form a cycle.
+    connections: [],
     adaptive_threshold: {
         processing_time: 10000, // ms
         output_quality: 0.7,
         max_retries: 3,
         backoff_factor: 1.5,
         dynamic_adjustment: true,
+        // Adaptive early exit: skip the remaining layers once a layer summary's estimated quality
+        // reaches output_quality, or once the run has taken longer than processing_time.
+        // estimator: 'heuristic' (agent agreement and summary support, no extra request) or
+        //   'llm' (the summary model rates the summary; one extra request per layer).
+        // Off by default, so that every layer of the pipeline runs unless a configuration opts in.
+        early_exit: {
+            enabled: false,
+            estimator: 'heuristic'
+        },
         auto_scaling: {
             enabled: true,
             max_concurrent_requests: 10,
@@ -122,7 +220,10 @@ export const MOA_CONFIG = {
         max_tokens_per_minute: 15000,
         dynamic_adjustment: true,
         fair_use_policy: {
+            // Enforced by the app server per user (see js/quota/quotaManager.js): requests and
+            // tokens per window, starting with the user's first request
             enabled: true,
+            window_ms: 24 * 60 * 60 * 1000,
             user_quotas: {
                 default: { requests: 100, tokens: 50000 },
                 premium: { requests: 500, tokens: 250000 }
@@ -159,10 +260,24 @@ export const MOA_CONFIG = {
             algorithm: 'lz4'
         },
         invalidation: {
-            on_config_change: true,
+            on_config_change: true, // Answers are cached per configuration
             on_model_update: true
+        },
+        // Near-duplicate prompts (Jaccard similarity of their word shingles) share an answer
+        semantic: {
+            enabled: true,
+            shingle_size: 2, // Words per shingle
+            similarity_threshold: 0.85
         }
     },
+    conversation_memory: {
+        enabled: true,
+        max_history_tokens: 2000, // Token budget for prior turns sent to agents and the summary model
+        max_turns: 20 // Number of user/assistant turns kept in memory
+    },
+    streaming: {
+        enabled: true // Render agent, summary and final answers token by token
+    },
     quantum_inspired_processing: {
         enabled: true,
         superposition_depth: 3,
@@ -291,36 +406,19 @@ function getTokenCountInLastMinute() {
     return 0; // Placeholder
 }
 
+// Cached answers live in the shared response cache (js/chat/responseCache.js), which honours
+// caching.ttl (ms) and caching.max_cache_size; these helpers use the default configuration's scope
 export function getCachedResponse(prompt) {
     if (!MOA_CONFIG.caching.enabled) return null;
 
-    const cache = getCache();
-    const cachedItem = cache.get(prompt);
-
-    if (cachedItem && (Date.now() - cachedItem.timestamp) < MOA_CONFIG.caching.ttl * 1000) {
-        return cachedItem.response;
-    }
-
-    return null;
+    const hit = getResponseCache(MOA_CONFIG.caching).lookup(prompt, getCacheScope(MOA_CONFIG));
+    return hit ? hit.entry.value.finalAnswer : null;
 }
 
 export function setCachedResponse(prompt, response) {
     if (!MOA_CONFIG.caching.enabled) return;
 
-    const cache = getCache();
-    cache.set(prompt, { response, timestamp: Date.now() });
-
-    if (cache.size > MOA_CONFIG.caching.max_size) {
-        const oldestKey = cache.keys().next().value;
-        cache.delete(oldestKey);
-    }
-}
-
-function getCache() {
-    if (!global.responseCache) {
-        global.responseCache = new Map();
-    }
-    return global.responseCache;
+    getResponseCache(MOA_CONFIG.caching).store(prompt, getCacheScope(MOA_CONFIG), { finalAnswer: response });
 }
 
 export function applyQuantumInspiredProcessing(responses) {
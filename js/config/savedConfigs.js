@@ -0,0 +1,107 @@
+// savedConfigs.js
+
+import { logger } from '../utils/logger.js';
+
+/**
+ * Named snapshots of the MOA configuration, kept in localStorage.
+ *
+ * A configuration is saved as a plain JSON copy, so later changes to moaConfig do not
+ * affect it. Saved configurations are what the A/B comparison runs against each other
+ * (see compareConfigurations in js/chat/chatInteractions.js).
+ *
+ * Usage example:
+ * ```javascript
+ * saveConfig('three layers', moaConfig);
+ * getSavedConfigs();                     // [{ name: 'three layers', savedAt, config }]
+ * const config = getSavedConfig('three layers');
+ * const baseline = createBaselineConfig(moaConfig); // main_model alone
+ * ```
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ * - js/main/setupComparisonControls.js
+ */
+
+const STORAGE_KEY = 'moa_saved_configs';
+
+/**
+ * Lists the saved configurations, oldest first.
+ * @returns {Array<{name: string, savedAt: number, config: Object}>} The saved configurations.
+ */
+export function getSavedConfigs() {
+    if (typeof localStorage === 'undefined') {
+        return [];
+    }
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        logger.warn('Could not read the saved configurations:', error);
+        return [];
+    }
+}
+
+/**
+ * Returns a saved configuration.
+ * @param {string} name - Name it was saved under.
+ * @returns {Object|null} A copy of the configuration, or null if there is none with that name.
+ */
+export function getSavedConfig(name) {
+    const saved = getSavedConfigs().find(entry => entry.name === name);
+    return saved ? saved.config : null;
+}
+
+/**
+ * Saves a copy of a configuration, replacing one with the same name.
+ * @param {string} name - Name to save it under.
+ * @param {Object} config - The MOA configuration.
+ * @returns {{name: string, savedAt: number, config: Object}} The saved entry.
+ * @throws {Error} If the name is empty or the configuration cannot be stored.
+ */
+export function saveConfig(name, config) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new Error('A saved configuration needs a name');
+    }
+    const entry = { name: trimmed, savedAt: Date.now(), config: JSON.parse(JSON.stringify(config)) };
+    writeSavedConfigs([...getSavedConfigs().filter(saved => saved.name !== trimmed), entry]);
+    return entry;
+}
+
+/**
+ * Deletes a saved configuration.
+ * @param {string} name - Name it was saved under.
+ * @returns {boolean} True if a configuration was deleted.
+ */
+export function deleteSavedConfig(name) {
+    const saved = getSavedConfigs();
+    const remaining = saved.filter(entry => entry.name !== name);
+    if (remaining.length === saved.length) {
+        return false;
+    }
+    writeSavedConfigs(remaining);
+    return true;
+}
+
+/**
+ * Derives the single-model baseline of a configuration: one layer with main_model as its
+ * only agent, whose output is the answer as is (no layer summary, no final synthesis).
+ * @param {Object} config - The MOA configuration.
+ * @returns {Object} The baseline configuration.
+ */
+export function createBaselineConfig(config) {
+    return {
+        ...JSON.parse(JSON.stringify(config)),
+        layers: [[{ model_name: config.main_model, temperature: config.main_temperature, weight: 1 }]],
+        // A lone candidate wins the vote without a summary request
+        layer_settings: [{ execution_mode: 'parallel', aggregator: 'majority_vote' }],
+        connections: [],
+        final_synthesis: { ...(config.final_synthesis || {}), enabled: false },
+    };
+}
+
+function writeSavedConfigs(entries) {
+    if (typeof localStorage === 'undefined') {
+        throw new Error('Saved configurations need localStorage');
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+}
@@ -1,10 +1,10 @@
 
-import { GROQ_API_KEY } from './api-key.js';
+import { GROQ_PROXY_URL } from '../providers/groqProxy.js';
 
-// API configuration
+// API configuration: Groq's API is reached through the app server's proxy, which holds the key
+// (requests carry a session token from getSessionToken in js/providers/groqProxy.js)
 export const API_CONFIG = {
-    ENDPOINT: 'https://api.groq.com/openai/v1/chat/completions',
-    KEY: GROQ_API_KEY
+    ENDPOINT: GROQ_PROXY_URL
 };
 
 // System-wide settings
@@ -114,34 +114,6 @@ export function isTest() {
     return ENVIRONMENT === 'test';
 }
 
-/**
- * Retrieves the appropriate API key based on the current environment.
- * 
- * How it works:
- * 1. Checks if the environment is production using isProduction()
- * 2. If in production, returns the API key from window.GROQ_API_KEY
- * 3. Otherwise, returns the API key from API_CONFIG.KEY
- * 
- * Usage example:
- * ```javascript
- * const apiKey = getApiKey();
- * console.log('Using API key:', apiKey);
- * ```
- * 
- * Files that use this function:
- * - js/api/api-core.js
- * - js/services/auth-service.js
- * 
- * Role in overall program logic:
- * This function ensures that the correct API key is used based on the environment.
- * It helps in maintaining security by using different keys for production and non-production environments.
- * 
- * @returns {string} The appropriate API key for the current environment
- */
-export function getApiKey() {
-    return isProduction() ? window.GROQ_API_KEY : API_CONFIG.KEY;
-}
-
 /**
  * Determines the appropriate log level based on the current environment.
  * 
@@ -203,10 +175,10 @@ export function shouldEnableTelemetry() {
  * Validates the configuration settings and throws errors or warnings for invalid values.
  * 
  * How it works:
- * 1. Checks if the API key is present using getApiKey()
- * 2. Validates MAX_RETRIES and RETRY_DELAY in SYSTEM_SETTINGS
- * 3. Throws an error for missing API key
- * 4. Logs warnings and sets default values for invalid settings
+ * 1. Validates MAX_RETRIES and RETRY_DELAY in SYSTEM_SETTINGS
+ * 2. Logs warnings and sets default values for invalid settings
+ * 
+ * The Groq API key is not checked here: it is held by the app server (see js/proxy/completionProxy.js).
  * 
  * Usage example:
  * ```javascript
@@ -225,14 +197,8 @@ export function shouldEnableTelemetry() {
  * Role in overall program logic:
  * This function ensures that the application's configuration is valid before proceeding.
  * It helps prevent runtime errors by catching configuration issues early in the application lifecycle.
- * 
- * @throws {Error} If the API key is missing
  */
 export function validateConfig() {
-    if (!getApiKey()) {
-        throw new Error(ERROR_MESSAGES.API_KEY_MISSING);
-    }
-    
     if (SYSTEM_SETTINGS.MAX_RETRIES < 0) {
         console.warn('MAX_RETRIES should be a non-negative integer. Setting to default value of 3.');
         SYSTEM_SETTINGS.MAX_RETRIES = 3;
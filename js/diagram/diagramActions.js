@@ -2,6 +2,7 @@ import { moaConfig, updateMOAConfig as configUpdateMOAConfig } from '../config/c
 import { createMOADiagram } from './diagram.js';
 import { nodeMap } from './nodeMap.js';
 import {
+  NODE_RADIUS,
   AGENT_FILL_COLOR,
   AGENT_HIGHLIGHT_FILL_COLOR,
   MAIN_MODEL_FILL_COLOR,
@@ -12,6 +13,7 @@ import {
   LINK_HIGHLIGHT_STROKE_COLOR,
 } from './stylesConstants.js';
 import { calculateConnectionStrength } from './helpers.js';
+import { removeFromConnections } from '../engine/agentGraph.js';
 
 /**
  * Adds a new layer to the MOA configuration.
@@ -33,6 +35,9 @@ import { calculateConnectionStrength } from './helpers.js';
 export function addLayer() {
   if (moaConfig && Array.isArray(moaConfig.layers)) {
     moaConfig.layers.push([{ model_name: 'llama3-8b-8192', temperature: 0.5 }]);
+    if (Array.isArray(moaConfig.layer_settings)) {
+      moaConfig.layer_settings[moaConfig.layers.length - 1] = { execution_mode: 'parallel', aggregator: 'weighted_synthesis' };
+    }
     createMOADiagram();
   } else {
     console.error('moaConfig is not properly defined');
@@ -92,6 +97,10 @@ export function addAgent(layerIndex) {
 export function removeLayer(layerIndex) {
   if (moaConfig.layers.length > 1) {
     moaConfig.layers.splice(layerIndex, 1);
+    if (Array.isArray(moaConfig.layer_settings)) {
+      moaConfig.layer_settings.splice(layerIndex, 1);
+    }
+    moaConfig.connections = removeFromConnections(moaConfig.connections, layerIndex);
     createMOADiagram();
   } else {
     console.warn('Cannot remove the last layer.');
@@ -121,6 +130,7 @@ export function removeLayer(layerIndex) {
 export function removeAgent(layerIndex, agentIndex) {
   if (moaConfig.layers[layerIndex] && moaConfig.layers[layerIndex].length > 1) {
     moaConfig.layers[layerIndex].splice(agentIndex, 1);
+    moaConfig.connections = removeFromConnections(moaConfig.connections, layerIndex, agentIndex);
     createMOADiagram();
   } else {
     console.warn('Cannot remove the last agent in a layer.');
@@ -181,8 +191,8 @@ export function updateMOAConfig() {
 /**
  * Animates an agent in the diagram to indicate activity.
  * 
- * This function applies a visual animation to agents in a specific layer,
- * as well as the main model if it's the last layer.
+ * This function applies a visual animation to agents in a specific layer.
+ * The main model is animated separately by animateMainModel.
  * 
  * @param {number} index - The index of the layer to animate.
  * 
@@ -204,7 +214,7 @@ export function animateAgent(index) {
 
   nodes
     .filter((d) => d.layer === index)
-    .select('circle')
+    .select('circle:not(.sample-stack)')
     .transition()
     .duration(NODE_ANIMATION_DURATION)
     .attr('fill', AGENT_HIGHLIGHT_FILL_COLOR)
@@ -225,18 +235,37 @@ export function animateAgent(index) {
     .duration(LINK_ANIMATION_DURATION)
     .attr('stroke', LINK_STROKE_COLOR)
     .attr('stroke-width', 2);
+}
 
-  if (index === moaConfig.layers.length - 1) {
-    nodes
-      .filter((d) => d.id === 'main_model')
-      .select('circle')
-      .transition()
-      .duration(NODE_ANIMATION_DURATION)
-      .attr('fill', MAIN_MODEL_HIGHLIGHT_FILL_COLOR)
-      .transition()
-      .duration(NODE_ANIMATION_DURATION)
-      .attr('fill', MAIN_MODEL_FILL_COLOR);
-  }
+/**
+ * Animates the main model node in the diagram.
+ * 
+ * @param {string} [status='success'] - Outcome of the final synthesis ('success', 'failure' or 'cancelled').
+ * 
+ * Usage example:
+ * animateMainModel('success');
+ * 
+ * Other files that use this function:
+ * - js/diagram/diagramSubscriber.js
+ * 
+ * Role in overall program logic:
+ * Shows when the main model has turned the layer summaries into the final answer.
+ */
+export function animateMainModel(status = 'success') {
+  const highlight = status === 'success'
+    ? MAIN_MODEL_HIGHLIGHT_FILL_COLOR
+    : status === 'cancelled' ? '#9E9E9E' : '#FF5252';
+
+  d3.select('#moa-diagram svg')
+    .selectAll('.node')
+    .filter((d) => d.id === 'main_model')
+    .select('circle:not(.sample-stack)')
+    .transition()
+    .duration(NODE_ANIMATION_DURATION)
+    .attr('fill', highlight)
+    .transition()
+    .duration(NODE_ANIMATION_DURATION)
+    .attr('fill', MAIN_MODEL_FILL_COLOR);
 }
 
 /**
@@ -248,7 +277,7 @@ export function animateAgent(index) {
  * @param {number} layerIndex - The index of the layer containing the agent.
  * @param {number} agentIndex - The index of the agent to update.
  * @param {string} modelName - The new model name for the agent.
- * @param {string} status - The new status of the agent ('success' or 'failure').
+ * @param {string} status - The new status of the agent ('success', 'failure' or 'cancelled').
  * 
  * Usage example:
  * updateDiagram(2, 1, 'new-model-name', 'success');
@@ -284,10 +313,10 @@ export function updateDiagram(layerIndex, agentIndex, modelName, status) {
   agentNode.select('.agent-model').property('value', modelName);
 
   agentNode
-    .select('circle')
+    .select('circle:not(.sample-stack)')
     .transition()
     .duration(NODE_ANIMATION_DURATION)
-    .attr('fill', status === 'success' ? '#4CAF50' : '#FF5252')
+    .attr('fill', status === 'success' ? '#4CAF50' : status === 'cancelled' ? '#9E9E9E' : '#FF5252')
     .transition()
     .duration(NODE_ANIMATION_DURATION)
     .attr('fill', AGENT_FILL_COLOR);
@@ -303,6 +332,171 @@ export function updateDiagram(layerIndex, agentIndex, modelName, status) {
   updateNodeConnections(layerIndex, agentIndex);
 }
 
+/**
+ * Marks every agent of a layer as skipped by the adaptive early exit.
+ * 
+ * The layer's nodes are dimmed and get a tooltip with the reason. The marking lasts
+ * until the diagram is re-created, which happens at the start of every run.
+ * 
+ * @param {number} layerIndex - The index of the skipped layer.
+ * @param {string} detail - Why the layer was skipped.
+ * 
+ * Usage example:
+ * markLayerSkipped(2, 'Estimated quality 0.82 reached the 0.7 threshold');
+ * 
+ * Other files that use this function:
+ * - js/diagram/diagramSubscriber.js
+ * 
+ * Role in overall program logic:
+ * Shows in the diagram which layers did not run and why.
+ */
+export function markLayerSkipped(layerIndex, detail) {
+  const layerNodes = d3
+    .select('#moa-diagram svg')
+    .selectAll(`.node[data-id^="layer${layerIndex}_agent"]`);
+
+  dimNodes(layerNodes, `Layer ${layerIndex + 1} skipped: ${detail}`);
+}
+
+/**
+ * Marks a single agent as dropped by the run budget.
+ * 
+ * Like markLayerSkipped, the node is dimmed until the diagram is re-created.
+ * 
+ * @param {number} layerIndex - The index of the agent's layer.
+ * @param {number} agentIndex - The index of the agent within the layer.
+ * @param {string} detail - Why the agent was dropped.
+ * 
+ * Usage example:
+ * markAgentSkipped(1, 2, 'About 900 tokens did not fit in the budget (400 tokens left)');
+ * 
+ * Other files that use this function:
+ * - js/diagram/diagramSubscriber.js
+ */
+export function markAgentSkipped(layerIndex, agentIndex, detail) {
+  const agentNode = d3
+    .select('#moa-diagram svg')
+    .selectAll(`.node[data-id="layer${layerIndex}_agent${agentIndex}"]`);
+
+  dimNodes(agentNode, `Agent ${agentIndex + 1} dropped: ${detail}`);
+}
+
+/**
+ * Shows how many of an agent's samples agree with the answer it passed on.
+ * 
+ * The agent node is drawn as a stack when its entry has `samples` (see nodeElements.js);
+ * this adds the agreement ratio next to it. The label stays until the diagram is re-created.
+ * 
+ * @param {number} layerIndex - The index of the agent's layer.
+ * @param {number} agentIndex - The index of the agent within the layer.
+ * @param {Object} sampling - The `sampling` of the agent's `agent:done` event.
+ * @param {number} sampling.samples - Samples drawn.
+ * @param {number} sampling.succeeded - Samples that produced an answer.
+ * @param {number} sampling.agreement - Share of those that agree with the selected one.
+ * @param {string} sampling.strategy - Strategy that selected it.
+ * 
+ * Usage example:
+ * showAgentSamples(1, 0, { samples: 5, succeeded: 5, agreement: 0.6, strategy: 'majority' });
+ * 
+ * Other files that use this function:
+ * - js/diagram/diagramSubscriber.js
+ */
+export function showAgentSamples(layerIndex, agentIndex, { samples, succeeded, agreement, strategy }) {
+  const agentNode = d3
+    .select('#moa-diagram svg')
+    .select(`.node[data-id="layer${layerIndex}_agent${agentIndex}"]`);
+  if (agentNode.empty()) return;
+
+  agentNode.select('.sample-agreement').remove();
+  agentNode
+    .append('text')
+    .attr('class', 'sample-agreement')
+    .attr('x', NODE_RADIUS + 4)
+    .attr('y', -NODE_RADIUS)
+    .attr('font-size', '11px')
+    .text(`${Math.round(agreement * succeeded)}/${succeeded}`)
+    .append('title')
+    .text(`${Math.round(agreement * succeeded)} of ${succeeded} answered samples agree (${samples} drawn, ${strategy})`);
+}
+
+/**
+ * Shows a round of a debate layer on the layer's agent nodes.
+ * 
+ * Short-lived lines between every pair of the layer's agents show the exchange of answers,
+ * and a label above the layer gives the round and, once it is known, the agreement the
+ * agents reached. The label stays until the diagram is re-created.
+ * 
+ * @param {number} layerIndex - The index of the debate layer.
+ * @param {number} round - The round (0 for the opening answers).
+ * @param {Object} [outcome] - How the round ended; omitted when the round starts.
+ * @param {number} outcome.agreement - Agreement between the answers, between 0 and 1.
+ * @param {boolean} outcome.converged - Whether the debate converged in this round.
+ * 
+ * Usage example:
+ * showDebateRound(1, 2, { agreement: 0.64, converged: true });
+ * 
+ * Other files that use this function:
+ * - js/diagram/diagramSubscriber.js
+ */
+export function showDebateRound(layerIndex, round, outcome) {
+  const svg = d3.select('#moa-diagram svg');
+  const layerNodes = svg
+    .selectAll(`.node[data-id^="layer${layerIndex}_agent"]`)
+    .data()
+    .filter((d) => d && d.x !== undefined && d.y !== undefined);
+  if (layerNodes.length === 0) return;
+
+  if (!outcome) {
+    layerNodes.forEach((source, k) => {
+      layerNodes.slice(k + 1).forEach((target) => {
+        svg
+          .append('line')
+          .attr('class', 'debate-exchange')
+          .attr('x1', source.x)
+          .attr('y1', source.y)
+          .attr('x2', target.x)
+          .attr('y2', target.y)
+          .attr('stroke', LINK_HIGHLIGHT_STROKE_COLOR)
+          .attr('stroke-width', 2)
+          .attr('stroke-dasharray', '4 3')
+          .transition()
+          .duration(LINK_ANIMATION_DURATION * 2)
+          .style('opacity', 0)
+          .remove();
+      });
+    });
+  }
+
+  let label = svg.select(`.debate-round-label[data-layer="${layerIndex}"]`);
+  if (label.empty()) {
+    label = svg
+      .append('text')
+      .attr('class', 'debate-round-label')
+      .attr('data-layer', layerIndex)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '11px')
+      .attr('fill', LINK_HIGHLIGHT_STROKE_COLOR);
+  }
+  label
+    .attr('x', d3.mean(layerNodes, (d) => d.x))
+    .attr('y', d3.min(layerNodes, (d) => d.y) - 30)
+    .text(outcome
+      ? `Round ${round + 1} · ${Math.round(outcome.agreement * 100)}%${outcome.converged ? ' ✓' : ''}`
+      : `Round ${round + 1}`);
+}
+
+// Dims nodes that did not run and explains why in their tooltip
+function dimNodes(nodes, title) {
+  nodes
+    .classed('skipped', true)
+    .transition()
+    .duration(NODE_ANIMATION_DURATION)
+    .style('opacity', 0.35);
+
+  nodes.selectAll('title').remove();
+  nodes.append('title').text(title);
+}
+
 /**
  * Updates the connections for a specific node in the diagram.
  * 
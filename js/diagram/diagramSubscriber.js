@@ -0,0 +1,77 @@
+import { animateAgent, animateMainModel, updateDiagram, markLayerSkipped, markAgentSkipped, showDebateRound, showAgentSamples } from './diagramActions.js';
+
+/**
+ * Reflects the events of a MoaEngine run in the MOA diagram.
+ *
+ * - `agent:done` colours the agent node by outcome (success, failure, cancelled) and
+ *   pulses its layer on success; for an agent that sampled it adds the agreement ratio
+ * - `agent:fallback` flags the failed model before the fallback model takes over
+ * - `layer:summary` pulses the layer once it has been summarized
+ * - `debate:round:start` and `debate:round` show the exchange between a debate layer's agents
+ *   and the round's agreement
+ * - `final:done` pulses the main model with the outcome of the final synthesis
+ * - `layer:skipped` dims the agents of a layer skipped by the adaptive early exit or the budget
+ * - `budget:sacrifice` dims the agents the run budget dropped
+ *
+ * Usage example:
+ * const unsubscribe = subscribeDiagram(engine);
+ * await engine.run(message);
+ * unsubscribe();
+ *
+ * Other files that use this function:
+ * - js/chat/chatInteractions.js
+ *
+ * Role in overall program logic:
+ * Keeps the diagram animation driven by engine events, so the engine itself stays free of D3.
+ *
+ * @param {MoaEngine} engine - The engine to listen to.
+ * @returns {Function} Removes every listener.
+ */
+export function subscribeDiagram(engine) {
+  const unsubscribers = [
+    engine.on('agent:fallback', ({ layerIndex, agentIndex, model }) => {
+      updateDiagram(layerIndex, agentIndex, model, 'failure');
+    }),
+
+    engine.on('agent:done', ({ layerIndex, agentIndex, model, status, sampling }) => {
+      if (!model) return;
+      updateDiagram(layerIndex, agentIndex, model, status);
+      if (sampling) {
+        showAgentSamples(layerIndex, agentIndex, sampling);
+      }
+      if (status === 'success') {
+        animateAgent(layerIndex);
+      }
+    }),
+
+    engine.on('debate:round:start', ({ layerIndex, round }) => {
+      showDebateRound(layerIndex, round);
+    }),
+
+    engine.on('debate:round', ({ layerIndex, round, agreement, converged }) => {
+      showDebateRound(layerIndex, round, { agreement, converged });
+    }),
+
+    engine.on('layer:summary', ({ layerIndex, status }) => {
+      if (status === 'success') {
+        animateAgent(layerIndex);
+      }
+    }),
+
+    engine.on('layer:skipped', ({ layerIndex, detail }) => {
+      markLayerSkipped(layerIndex, detail);
+    }),
+
+    engine.on('budget:sacrifice', ({ type, layerIndex, agentIndex, detail }) => {
+      if (type === 'agent_dropped') {
+        markAgentSkipped(layerIndex, agentIndex, detail);
+      }
+    }),
+
+    engine.on('final:done', ({ status }) => {
+      animateMainModel(status);
+    }),
+  ];
+
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
@@ -2,6 +2,7 @@ import {
     LINK_STROKE_COLOR,
     LINK_STROKE_OPACITY,
     LINK_GLOW_FILTER,
+    LINK_ARROW_MARKER,
   } from './stylesConstants.js';
   
 /**
@@ -46,5 +47,6 @@ export function createLinkElements(svg, links) {
     .attr('stroke', LINK_STROKE_COLOR)
     .attr('opacity', LINK_STROKE_OPACITY)
     .attr('filter', LINK_GLOW_FILTER)
+    .attr('marker-end', (d) => (d.type === 'connection' ? LINK_ARROW_MARKER : null))
     .attr('class', (d) => d.type);
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ import {
   MAIN_MODEL_FILL_COLOR,
   AGENT_FILL_COLOR,
   NODE_GLOW_FILTER,
+  SAMPLE_STACK_OFFSET,
 } from './stylesConstants.js';
 import { createControlButtons } from './controlButtons.js';
 
@@ -61,6 +62,7 @@ export function createNodeElements(svg, nodes, simulation) {
  * This function:
  * 1. Appends a circle element to each node
  * 2. Sets the radius, fill color, and glow effect
+ * 3. Draws agents that draw several samples (`samples` > 1) as a stack of circles
  * 
  * @param {d3.Selection} node - The node elements to add circles to
  * 
@@ -76,6 +78,25 @@ export function createNodeElements(svg, nodes, simulation) {
  * differentiating between the main model and agent models through color.
  */
 function addNodeCircles(node) {
+  // Offset circles behind the node, one per extra sample (at most two)
+  node
+    .filter((d) => d.type === 'agent' && Number.isInteger(d.samples) && d.samples > 1)
+    .each(function (d) {
+      const layers = Math.min(d.samples - 1, 2);
+      for (let k = layers; k >= 1; k--) {
+        d3.select(this)
+          .append('circle')
+          .attr('class', 'sample-stack')
+          .attr('r', NODE_RADIUS)
+          .attr('cx', k * SAMPLE_STACK_OFFSET)
+          .attr('cy', -k * SAMPLE_STACK_OFFSET)
+          .attr('fill', AGENT_FILL_COLOR)
+          .attr('opacity', 0.4 / k)
+          .append('title')
+          .text(`${d.samples} samples (${d.sample_selection || 'majority'})`);
+      }
+    });
+
   node
     .append('circle')
     .attr('r', NODE_RADIUS)
@@ -1,6 +1,7 @@
 import { moaConfig } from '../config/config.js';
 import { calculateConnectionStrength } from './helpers.js';
 import { nodeMap } from './nodeMap.js';
+import { buildAgentGraph } from '../engine/agentGraph.js';
 
 /**
  * Creates nodes and links for the MOA diagram based on the configuration.
@@ -8,7 +9,8 @@ import { nodeMap } from './nodeMap.js';
  * This function:
  * 1. Iterates through layers and agents in the MOA configuration
  * 2. Creates node objects for each agent and the main model
- * 3. Establishes links between nodes (inter-layer, self, forward, and to main model)
+ * 3. Establishes links between nodes: the edges of moaConfig.connections when it lists any,
+ *    otherwise the implicit full mesh (inter-layer, self, forward), plus links to the main model
  * 4. Calculates positions for nodes based on diagram dimensions
  * 5. Stores node data in the global nodeMap
  * 
@@ -49,6 +51,7 @@ export function createNodesAndLinks({
 }) {
   const nodes = [];
   const links = [];
+  const graph = getAgentGraph();
 
   moaConfig.layers.forEach((layer, layerIndex) => {
     const layerX = margin.left + (layerIndex + 1) * layerWidth;
@@ -68,6 +71,11 @@ export function createNodesAndLinks({
       nodes.push(nodeData);
       nodeMap.set(nodeId, nodeData);
 
+      // Explicit connections replace the implicit mesh below
+      if (graph) {
+        return;
+      }
+
       // Connect to previous layer nodes
       if (layerIndex > 0) {
         moaConfig.layers[layerIndex - 1].forEach((prevAgent, prevAgentIndex) => {
@@ -117,6 +125,29 @@ export function createNodesAndLinks({
   nodes.push(mainModelNode);
   nodeMap.set('main_model', mainModelNode);
 
+  if (graph) {
+    graph.edges.forEach(({ from, to }) => {
+      links.push({
+        source: from,
+        target: to,
+        weight: calculateConnectionStrength(nodeMap.get(from), nodeMap.get(to)),
+        type: 'connection',
+      });
+    });
+
+    // The sink agents' outputs make up the answer
+    graph.sinks.forEach((nodeId) => {
+      links.push({
+        source: nodeId,
+        target: 'main_model',
+        weight: 1,
+        type: 'to-main-model',
+      });
+    });
+
+    return { nodes, links };
+  }
+
   // Connect last layer to main model
   const lastLayerIndex = moaConfig.layers.length - 1;
   moaConfig.layers[lastLayerIndex].forEach((agent, agentIndex) => {
@@ -130,3 +161,13 @@ export function createNodesAndLinks({
 
   return { nodes, links };
 }
+
+// Invalid connections are reported and the diagram falls back to the full mesh
+function getAgentGraph() {
+  try {
+    return buildAgentGraph(moaConfig.layers, moaConfig.connections);
+  } catch (error) {
+    console.warn(`Ignoring moaConfig.connections in the diagram: ${error.message}`);
+    return null;
+  }
+}
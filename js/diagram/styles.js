@@ -4,6 +4,8 @@ import {
     FORM_BORDER_RADIUS,
     FORM_TEXT_COLOR,
     FORM_PADDING,
+    NODE_RADIUS,
+    LINK_STROKE_COLOR,
   } from './stylesConstants.js';
   
 /**
@@ -14,7 +16,8 @@ import {
  * 2. Node Glow: A glowing effect for nodes in the graph
  * 3. Drop Shadow: A shadow effect for depth
  * 
- * Each effect is created by appending filter elements to the SVG's defs section.
+ * Each effect is created by appending filter elements to the SVG's defs section,
+ * which also receives the arrowhead marker used by directed connection links.
  * 
  * @param {d3.Selection} svg - The D3 selection of the SVG element to add effects to.
  * 
@@ -90,6 +93,21 @@ export function addGlowEffects(svg) {
     const feMergeDropShadow = dropShadow.append('feMerge');
     feMergeDropShadow.append('feMergeNode').attr('in', 'offsetBlur');
     feMergeDropShadow.append('feMergeNode').attr('in', 'SourceGraphic');
+
+    // Arrowhead for the directed links of moaConfig.connections
+    defs
+      .append('marker')
+      .attr('id', 'link-arrow')
+      .attr('viewBox', '0 -5 10 10')
+      .attr('refX', NODE_RADIUS + 10)
+      .attr('refY', 0)
+      .attr('markerUnits', 'userSpaceOnUse')
+      .attr('markerWidth', 10)
+      .attr('markerHeight', 10)
+      .attr('orient', 'auto')
+      .append('path')
+      .attr('d', 'M0,-5L10,0L0,5')
+      .attr('fill', LINK_STROKE_COLOR);
   }
   
 /**
@@ -33,11 +33,13 @@ export const MAIN_MODEL_HIGHLIGHT_FILL_COLOR = '#ff7b72';
 export const NODE_GLOW_FILTER = 'url(#node-glow)';
 export const NODE_STROKE_COLOR = '#2c3e50';
 export const NODE_STROKE_WIDTH = 2;
+export const SAMPLE_STACK_OFFSET = 5;
 
 // Link Styles
 export const LINK_STROKE_COLOR = '#999';
 export const LINK_STROKE_OPACITY = 0.6;
 export const LINK_GLOW_FILTER = 'url(#link-glow)';
+export const LINK_ARROW_MARKER = 'url(#link-arrow)';
 export const LINK_HIGHLIGHT_STROKE_COLOR = '#ff4136';
 export const LINK_STROKE_WIDTH = 2;
 export const LINK_HIGHLIGHT_STROKE_WIDTH = 3;
@@ -0,0 +1,175 @@
+// engine/agentGraph.js
+
+/**
+ * Agent graph built from `moaConfig.connections`.
+ *
+ * By default the MOA runs as strict layers: every agent of a layer sees the summary of the
+ * layer before it. When `moaConfig.connections` lists edges, the agents instead form a
+ * directed acyclic graph:
+ *
+ * - nodes are the agents of `moaConfig.layers`, identified as `layer<i>_agent<j>` (the same
+ *   ids as the diagram nodes); layers only group and position the agents
+ * - an edge `{ from, to }` hands the output of `from` to `to`
+ * - agents without incoming edges receive the user's request; the others receive the request
+ *   and the outputs of their upstream agents only
+ * - agents without outgoing edges are the sinks; their outputs are combined into the answer
+ *
+ * How it works:
+ * 1. parseConnections checks that every edge names an existing agent
+ * 2. buildAgentGraph groups the agents into levels with Kahn's algorithm: every agent of a level
+ *    depends only on agents of earlier levels, so a level can run in parallel
+ * 3. A cycle leaves agents that never become ready, which is reported as an error
+ *
+ * Usage example:
+ * ```javascript
+ * const graph = buildAgentGraph(moaConfig.layers, [
+ *     { from: 'layer0_agent0', to: 'layer1_agent0' },
+ *     { from: 'layer0_agent1', to: 'layer1_agent0' },
+ * ]);
+ * graph.levels; // [['layer0_agent0', 'layer0_agent1'], ['layer1_agent0']]
+ * graph.upstream.get('layer1_agent0'); // ['layer0_agent0', 'layer0_agent1']
+ * ```
+ *
+ * Files using these functions:
+ * - js/engine/moaEngine.js
+ * - js/diagram/nodesAndLinks.js
+ * - js/diagram/diagramActions.js
+ * - js/config/configValidation.js
+ */
+
+/**
+ * Returns the id of an agent node.
+ * @param {number} layerIndex - Index of the layer.
+ * @param {number} agentIndex - Index of the agent within the layer.
+ * @returns {string} The node id, e.g. 'layer0_agent1'.
+ */
+export function getAgentNodeId(layerIndex, agentIndex) {
+    return `layer${layerIndex}_agent${agentIndex}`;
+}
+
+/**
+ * Checks and normalizes the configured connections.
+ * @param {Array<Array<Object>>} layers - moaConfig.layers.
+ * @param {Array<{from: string, to: string}>} connections - moaConfig.connections.
+ * @returns {Array<{from: string, to: string}>} The edges, without duplicates.
+ * @throws {Error} If an edge is malformed, names an unknown agent or connects an agent to itself.
+ */
+export function parseConnections(layers, connections) {
+    if (!Array.isArray(connections)) {
+        throw new Error('connections should be an array');
+    }
+    const nodeIds = new Set(listAgentNodes(layers).map(node => node.id));
+    const seen = new Set();
+    const edges = [];
+
+    for (const connection of connections) {
+        if (!connection || typeof connection.from !== 'string' || typeof connection.to !== 'string') {
+            throw new Error(`Invalid connection: ${JSON.stringify(connection)}`);
+        }
+        const { from, to } = connection;
+        for (const id of [from, to]) {
+            if (!nodeIds.has(id)) {
+                throw new Error(`Connection refers to unknown agent: ${id}`);
+            }
+        }
+        if (from === to) {
+            throw new Error(`Connection from ${from} to itself`);
+        }
+        const key = `${from}->${to}`;
+        if (!seen.has(key)) {
+            seen.add(key);
+            edges.push({ from, to });
+        }
+    }
+    return edges;
+}
+
+/**
+ * Builds the agent graph described by the connections.
+ * @param {Array<Array<Object>>} layers - moaConfig.layers.
+ * @param {Array<{from: string, to: string}>} [connections] - moaConfig.connections.
+ * @returns {{
+ *     nodes: Map<string, {id: string, layerIndex: number, agentIndex: number, agentConfig: Object}>,
+ *     edges: Array<{from: string, to: string}>,
+ *     upstream: Map<string, string[]>,
+ *     downstream: Map<string, string[]>,
+ *     levels: string[][],
+ *     sinks: string[]
+ * }|null} The graph, or null when there are no connections (strict layers).
+ * @throws {Error} If the connections are invalid or form a cycle.
+ */
+export function buildAgentGraph(layers, connections) {
+    if (!connections || connections.length === 0) {
+        return null;
+    }
+    const edges = parseConnections(layers, connections);
+    const nodes = new Map(listAgentNodes(layers).map(node => [node.id, node]));
+    const upstream = new Map([...nodes.keys()].map(id => [id, []]));
+    const downstream = new Map([...nodes.keys()].map(id => [id, []]));
+    for (const { from, to } of edges) {
+        upstream.get(to).push(from);
+        downstream.get(from).push(to);
+    }
+
+    const inDegree = new Map([...nodes.keys()].map(id => [id, upstream.get(id).length]));
+    const levels = [];
+    let ready = [...nodes.keys()].filter(id => inDegree.get(id) === 0);
+    let placed = 0;
+    while (ready.length > 0) {
+        levels.push(ready);
+        placed += ready.length;
+        const next = [];
+        for (const id of ready) {
+            for (const target of downstream.get(id)) {
+                inDegree.set(target, inDegree.get(target) - 1);
+                if (inDegree.get(target) === 0) {
+                    next.push(target);
+                }
+            }
+        }
+        ready = next;
+    }
+    if (placed < nodes.size) {
+        const cyclic = [...inDegree.entries()].filter(([, degree]) => degree > 0).map(([id]) => id);
+        throw new Error(`Connections form a cycle through ${cyclic.join(', ')}`);
+    }
+
+    const sinks = [...nodes.keys()].filter(id => downstream.get(id).length === 0);
+    return { nodes, edges, upstream, downstream, levels, sinks };
+}
+
+/**
+ * Updates connections after an agent or a whole layer is removed: edges touching the removed
+ * agents are dropped, and the ids of the agents after them are shifted to their new indices.
+ * @param {Array<{from: string, to: string}>} connections - moaConfig.connections.
+ * @param {number} layerIndex - Index of the layer the removal applies to.
+ * @param {number} [agentIndex] - Index of the removed agent; omit when the whole layer is removed.
+ * @returns {Array<{from: string, to: string}>} The updated connections.
+ */
+export function removeFromConnections(connections, layerIndex, agentIndex) {
+    const remap = (id) => {
+        const match = /^layer(\d+)_agent(\d+)$/.exec(id);
+        if (!match) return id;
+        const layer = Number(match[1]);
+        const agent = Number(match[2]);
+        if (agentIndex === undefined) {
+            if (layer === layerIndex) return null;
+            return layer > layerIndex ? getAgentNodeId(layer - 1, agent) : id;
+        }
+        if (layer !== layerIndex) return id;
+        if (agent === agentIndex) return null;
+        return agent > agentIndex ? getAgentNodeId(layer, agent - 1) : id;
+    };
+    return (connections || [])
+        .map(({ from, to }) => ({ from: remap(from), to: remap(to) }))
+        .filter(({ from, to }) => from && to);
+}
+
+function listAgentNodes(layers) {
+    return layers.flatMap((layer, layerIndex) => layer.map((agentConfig, agentIndex) => ({
+        id: getAgentNodeId(layerIndex, agentIndex),
+        layerIndex,
+        agentIndex,
+        agentConfig,
+    })));
+}
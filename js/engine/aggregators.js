@@ -0,0 +1,304 @@
+// engine/aggregators.js
+
+import { generateLayerPrompt } from '../chat/prompts/generateLayerPrompt.js';
+import { logger } from '../utils/logger.js';
+import { isAbortError } from '../utils/abort.js';
+import { normalizeText, toWordSet, jaccardSimilarity, extractJson } from '../utils/textAnalysis.js';
+
+/**
+ * Layer aggregation strategies.
+ *
+ * An aggregator turns the outputs of a layer's agents into the single text handed to the
+ * next layer (and, after the last layer, the final answer). Each layer names its aggregator
+ * in `moaConfig.layer_settings[i].aggregator`; layers without one use 'weighted_synthesis'.
+ *
+ * Every aggregator is an async function that receives:
+ * - `layerIndex`, `layer` (the agent entries) and `context` (what the layer worked on)
+ * - `candidates`: `[{ agentIndex, model, specialization, output, weight }]` for every agent
+ *   that produced output, where `weight` is the agent's configured `weight` normalized so the
+ *   candidates sum to 1 (agents without a weight get an equal share)
+ * - `generate(prompt, { stream })`: calls the summary model with the conversation history;
+ *   with `stream: true` the tokens are reported as the layer summary streams in
+ * - `debate`: in a debate layer, the debate transcript (`{ rounds, converged, stopReason }`,
+ *   see MoaEngine.runDebate); undefined otherwise
+ *
+ * and resolves to `{ summary, selectedAgent?, note?, details? }`.
+ *
+ * Usage example:
+ * ```javascript
+ * registerAggregator('longest', async ({ candidates }) => {
+ *     const best = candidates.reduce((a, b) => (b.output.length > a.output.length ? b : a));
+ *     return { summary: best.output, selectedAgent: best.agentIndex };
+ * });
+ * // moaConfig.layer_settings[0].aggregator = 'longest';
+ * ```
+ *
+ * Files using these aggregators:
+ * - js/engine/moaEngine.js
+ */
+
+export const DEFAULT_AGGREGATOR = 'weighted_synthesis';
+
+// Constant of reciprocal rank fusion; dampens the influence of the very top ranks
+const RRF_K = 60;
+
+const aggregators = new Map();
+
+/**
+ * Registers (or replaces) a layer aggregator.
+ * @param {string} name - Name used in layer_settings[i].aggregator.
+ * @param {Function} aggregator - The aggregation function.
+ */
+export function registerAggregator(name, aggregator) {
+    if (typeof aggregator !== 'function') {
+        throw new Error(`Aggregator "${name}" must be a function`);
+    }
+    aggregators.set(name, aggregator);
+}
+
+/**
+ * Returns a registered aggregator.
+ * @param {string} [name=DEFAULT_AGGREGATOR] - Aggregator name.
+ * @returns {Function} The aggregation function.
+ * @throws {Error} If no aggregator is registered under that name.
+ */
+export function getAggregator(name = DEFAULT_AGGREGATOR) {
+    const aggregator = aggregators.get(name);
+    if (!aggregator) {
+        throw new Error(`Unknown layer aggregator: ${name}`);
+    }
+    return aggregator;
+}
+
+/**
+ * Lists the names of the registered aggregators.
+ * @returns {string[]} Aggregator names.
+ */
+export function getAggregatorNames() {
+    return [...aggregators.keys()];
+}
+
+/**
+ * Normalizes agent weights so that they sum to 1.
+ * Agents without a positive numeric weight get the average weight of the others (or an equal share).
+ * @param {number[]} weights - Raw weights.
+ * @returns {number[]} Normalized weights, in the same order.
+ */
+export function normalizeWeights(weights) {
+    const valid = weights.filter(weight => typeof weight === 'number' && weight > 0);
+    const fallback = valid.length > 0 ? valid.reduce((sum, weight) => sum + weight, 0) / valid.length : 1;
+    const filled = weights.map(weight => (typeof weight === 'number' && weight > 0 ? weight : fallback));
+    const total = filled.reduce((sum, weight) => sum + weight, 0);
+    return filled.map(weight => (total > 0 ? weight / total : 1 / filled.length));
+}
+
+/**
+ * Weighted synthesis: the summary model merges every answer, giving each agent influence
+ * in proportion to its weight. This is the original behavior of the layer summary, with
+ * the weights made explicit.
+ */
+registerAggregator('weighted_synthesis', async ({ layerIndex, layer, context, candidates, generate }) => {
+    const insights = [...candidates]
+        .sort((a, b) => b.weight - a.weight)
+        .map(candidate => `Agent ${candidate.agentIndex + 1} (weight ${formatPercent(candidate.weight)}${candidate.specialization ? `, ${candidate.specialization}` : ''}): ${candidate.output}`);
+
+    const prompt = `
+        ${generateLayerPrompt(layer, layerIndex)}
+
+        Context: ${context}
+
+        Agent insights (ordered by weight):
+        ${insights.join('\n')}
+
+        Your task: Synthesize the agent insights and provide a comprehensive summary for this layer. Give each agent's insight influence in proportion to its weight; where agents disagree, prefer the view of the higher-weighted agents unless it is clearly wrong.
+    `.trim();
+
+    const summary = await generate(prompt, { stream: true });
+    return { summary };
+});
+
+/**
+ * LLM-as-judge: the summary model scores every answer and the best one is passed on
+ * unchanged. The agent weight breaks ties and nudges close calls.
+ */
+registerAggregator('llm_judge', async ({ context, candidates, generate }) => {
+    if (candidates.length === 1) {
+        return { summary: candidates[0].output, selectedAgent: candidates[0].agentIndex, note: 'Only one answer to judge' };
+    }
+
+    const prompt = `
+        You are judging candidate answers to the same request.
+
+        Request: ${context}
+
+        ${candidates.map(candidate => `Candidate ${candidate.agentIndex + 1}:\n${candidate.output}`).join('\n\n')}
+
+        Score every candidate from 1 (poor) to 10 (excellent) for correctness, completeness and clarity.
+        Reply with JSON only, in the form {"scores": {"<candidate number>": <score>, ...}}.
+    `.trim();
+
+    const verdict = await generate(prompt, { stream: false });
+    const parsed = extractJson(verdict);
+    const rawScores = (parsed && parsed.scores) || {};
+
+    const scored = candidates.map(candidate => {
+        const score = Number(rawScores[candidate.agentIndex + 1]);
+        return { candidate, score: Number.isFinite(score) ? score : 0 };
+    });
+    if (scored.every(({ score }) => score === 0)) {
+        logger.warn('LLM judge returned no usable scores; selecting the highest-weighted answer');
+    }
+
+    // Weight contributes at most one point, enough to break ties but not to overturn the judge
+    const best = scored.reduce((a, b) => (
+        b.score + b.candidate.weight > a.score + a.candidate.weight ? b : a
+    ));
+
+    return {
+        summary: best.candidate.output,
+        selectedAgent: best.candidate.agentIndex,
+        note: `LLM judge selected Agent ${best.candidate.agentIndex + 1} (score ${best.score}/10)`,
+        details: { scores: Object.fromEntries(scored.map(({ candidate, score }) => [candidate.agentIndex + 1, score])) },
+    };
+});
+
+/**
+ * Majority vote: answers are normalized (case, punctuation, whitespace) and grouped; the
+ * group with the largest total weight wins. Meant for short factual answers, where agents
+ * that agree produce the same text. No model call is made.
+ */
+registerAggregator('majority_vote', async ({ candidates }) => {
+    const groups = new Map();
+    for (const candidate of candidates) {
+        const key = normalizeText(candidate.output);
+        if (!groups.has(key)) {
+            groups.set(key, { candidates: [], weight: 0 });
+        }
+        const group = groups.get(key);
+        group.candidates.push(candidate);
+        group.weight += candidate.weight;
+    }
+
+    const winner = [...groups.values()].reduce((a, b) => (
+        b.weight > a.weight || (b.weight === a.weight && b.candidates.length > a.candidates.length) ? b : a
+    ));
+    const representative = winner.candidates.reduce((a, b) => (b.weight > a.weight ? b : a));
+
+    return {
+        summary: representative.output,
+        selectedAgent: representative.agentIndex,
+        note: `Majority vote: ${winner.candidates.length} of ${candidates.length} agents agree (weight ${formatPercent(winner.weight)})`,
+        details: {
+            agreement: winner.candidates.length / candidates.length,
+            votes: [...groups.values()].map(group => ({
+                agents: group.candidates.map(candidate => candidate.agentIndex + 1),
+                weight: group.weight,
+            })),
+        },
+    };
+});
+
+/**
+ * Rank fusion: three rankings of the answers are fused with weighted reciprocal rank fusion:
+ * - by agent weight
+ * - by consensus (average word overlap with the other answers)
+ * - by the summary model's own ranking
+ * The top answer is passed on unchanged.
+ */
+registerAggregator('rank_fusion', async ({ context, candidates, generate }) => {
+    if (candidates.length === 1) {
+        return { summary: candidates[0].output, selectedAgent: candidates[0].agentIndex, note: 'Only one answer to rank' };
+    }
+
+    const byWeight = [...candidates].sort((a, b) => b.weight - a.weight);
+
+    const wordSets = new Map(candidates.map(candidate => [candidate, toWordSet(candidate.output)]));
+    const centrality = new Map(candidates.map(candidate => {
+        const others = candidates.filter(other => other !== candidate);
+        const overlap = others.reduce((sum, other) => sum + jaccardSimilarity(wordSets.get(candidate), wordSets.get(other)), 0);
+        return [candidate, overlap / others.length];
+    }));
+    const byConsensus = [...candidates].sort((a, b) => centrality.get(b) - centrality.get(a));
+
+    const rankings = [byWeight, byConsensus];
+
+    const prompt = `
+        Rank the following candidate answers to the same request from best to worst.
+
+        Request: ${context}
+
+        ${candidates.map(candidate => `Candidate ${candidate.agentIndex + 1}:\n${candidate.output}`).join('\n\n')}
+
+        Reply with JSON only, in the form {"ranking": [<candidate number>, ...]}, best first.
+    `.trim();
+    try {
+        const parsed = extractJson(await generate(prompt, { stream: false }));
+        const ranking = ((parsed && parsed.ranking) || [])
+            .map(number => candidates.find(candidate => candidate.agentIndex + 1 === Number(number)))
+            .filter(Boolean);
+        if (ranking.length > 0) {
+            // Candidates the model left out share the last place
+            rankings.push([...new Set(ranking), ...candidates.filter(candidate => !ranking.includes(candidate))]);
+        }
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        logger.warn('Model ranking failed; fusing weight and consensus rankings only:', error);
+    }
+
+    const fused = new Map(candidates.map(candidate => [candidate, 0]));
+    for (const ranking of rankings) {
+        ranking.forEach((candidate, rank) => {
+            fused.set(candidate, fused.get(candidate) + 1 / (RRF_K + rank + 1));
+        });
+    }
+    const best = candidates.reduce((a, b) => (fused.get(b) > fused.get(a) ? b : a));
+
+    return {
+        summary: best.output,
+        selectedAgent: best.agentIndex,
+        note: `Rank fusion selected Agent ${best.agentIndex + 1} from ${rankings.length} rankings`,
+        details: { scores: Object.fromEntries(candidates.map(candidate => [candidate.agentIndex + 1, fused.get(candidate)])) },
+    };
+});
+
+/**
+ * Moderator: the default aggregator of debate layers. The moderator model (the layer's
+ * `debate.moderator_model`, or the summary model) reads the agents' final positions and the
+ * critiques of the last round, and declares the consensus answer, settling what is still
+ * disputed. Outside a debate it moderates the agents' single answers.
+ */
+registerAggregator('moderator', async ({ context, candidates, generate, debate }) => {
+    const lastRound = debate && debate.rounds.length > 0 ? debate.rounds[debate.rounds.length - 1] : null;
+    const critiques = lastRound
+        ? lastRound.answers.filter(answer => answer.critique).map(answer => `Agent ${answer.agentIndex + 1}: ${answer.critique}`)
+        : [];
+    const outcome = debate
+        ? `The agents debated for ${debate.rounds.length} round(s) and ${debate.converged ? 'converged' : 'did not fully converge'}.`
+        : 'The agents answered independently.';
+
+    const prompt = `
+        You are the moderator of a debate between agents answering the same request.
+        ${outcome}
+
+        Request: ${context}
+
+        Final positions:
+        ${candidates.map(candidate => `Agent ${candidate.agentIndex + 1}: ${candidate.output}`).join('\n\n')}
+        ${critiques.length > 0 ? `\nCritiques from the last round:\n${critiques.join('\n')}\n` : ''}
+        Your task: Declare the consensus answer to the request. Keep what the agents agree on, settle each remaining disagreement in favour of the best-supported position, and answer the request directly.
+    `.trim();
+
+    const summary = await generate(prompt, { stream: true });
+    const agreement = lastRound ? lastRound.agreement : undefined;
+    return {
+        summary,
+        note: debate
+            ? `Moderator declared the consensus after ${debate.rounds.length} round(s)${agreement !== undefined ? ` (agreement ${formatPercent(agreement)})` : ''}`
+            : 'Moderator declared the consensus',
+        details: debate ? { rounds: debate.rounds.length, converged: debate.converged, stopReason: debate.stopReason } : undefined,
+    };
+});
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
@@ -0,0 +1,1651 @@
+// engine/moaEngine.js
+
+import { EventEmitter } from '../utils/eventEmitter.js';
+import { logger } from '../utils/logger.js';
+import { isAbortError } from '../utils/abort.js';
+import { runWithConcurrencyLimit } from '../utils/concurrency.js';
+import { getTokenCount } from '../utils/tokenUtils.js';
+import { toWordSet, jaccardSimilarity } from '../utils/textAnalysis.js';
+import { getAggregator, normalizeWeights, DEFAULT_AGGREGATOR } from './aggregators.js';
+import { estimateOutputQuality } from './qualityEstimator.js';
+import { buildAgentGraph } from './agentGraph.js';
+import { selectSample, getSampleCount, DEFAULT_SAMPLE_STRATEGY } from './selfConsistency.js';
+import { toSchemaModel, describeSchema, parseStructuredOutput } from './structuredOutput.js';
+import { RunRecorder } from './runResult.js';
+import { RunBudget, fitAgentsInBudget, findCheaperModel } from './runBudget.js';
+
+const MAX_FALLBACK_ATTEMPTS = 3;
+
+// Debate defaults when config.debate does not set them
+const DEFAULT_DEBATE_ROUNDS = 3;
+// Mean pairwise word overlap of the answers; free-text answers that agree rarely overlap much more
+const DEFAULT_CONVERGENCE_THRESHOLD = 0.5;
+// A debate has stalled when every answer overlaps its previous round's this much
+const DEBATE_STALL_SIMILARITY = 0.9;
+
+// Re-prompts after an answer that does not match the output schema, unless config.structured_output sets it
+const DEFAULT_STRUCTURED_RETRIES = 2;
+// Output limit of a structured answer, unless config.structured_output sets it: a JSON object
+// with several fields does not fit in the default output of a request
+const DEFAULT_STRUCTURED_MAX_TOKENS = 1024;
+
+/**
+ * Names of the events emitted by MoaEngine, in the order they occur during a run.
+ *
+ * - `run:start`      `{ input, layerCount, agentCount }`
+ * - `layer:start`    `{ layerIndex, agentCount, executionMode }`
+ * - `agent:start`    `{ layerIndex, agentIndex, model, attempt, prompt, samples? }`
+ * - `agent:token`    `{ layerIndex, agentIndex, model, token }`
+ * - `agent:fallback` `{ layerIndex, agentIndex, model, fallbackModel, attempt, error }`
+ * - `agent:done`     `{ layerIndex, agentIndex, model, status, output, tokens, attempts, sampling?, error? }`
+ * - `debate:round:start` `{ layerIndex, round, agentCount }` (debate layers only)
+ * - `debate:round`   `{ layerIndex, round, agreement, stability, converged, answers: [{ agentIndex, model, critique, answer }] }`
+ * - `summary:token`  `{ layerIndex, model, token }`
+ * - `layer:summary`  `{ layerIndex, model, aggregator, status, summary, tokens, agents, quality?, selectedAgent?, note?, details?, error? }`
+ * - `layer:skipped`  `{ layerIndex, reason, detail }` (reason: 'quality', 'time' or 'budget')
+ * - `budget:sacrifice` `{ type, layerIndex?, agentIndex?, model?, replacement?, detail }` (see js/engine/runBudget.js)
+ * - `final:token`    `{ model, token }`
+ * - `final:retry`    `{ model, attempt, errors }` (structured runs: the answer did not match the output schema)
+ * - `final:done`     `{ model, status, answer, tokens, latency, structured?, error? }`
+ * - `run:done`       the MoaRunResult (see js/engine/runResult.js)
+ * - `run:error`      `{ error }`
+ *
+ * In a debate layer the `agent:*` events also carry the `round` (0 for the initial answers).
+ * An agent that samples (see js/engine/selfConsistency.js) has `samples` in `agent:start`, no
+ * `agent:token` events, and `sampling: { samples, succeeded, strategy, agreement, selected }`
+ * in `agent:done`.
+ *
+ * `status` is 'success', 'failure' or 'cancelled'. Errors are passed as messages so that
+ * payloads can be serialized (e.g. to a server-sent event stream).
+ */
+export const MOA_ENGINE_EVENTS = Object.freeze([
+    'run:start',
+    'layer:start',
+    'agent:start',
+    'agent:token',
+    'agent:fallback',
+    'agent:done',
+    'debate:round:start',
+    'debate:round',
+    'summary:token',
+    'layer:summary',
+    'layer:skipped',
+    'budget:sacrifice',
+    'final:token',
+    'final:retry',
+    'final:done',
+    'run:done',
+    'run:error',
+]);
+
+/**
+ * Headless Mixture-of-Agents orchestration engine.
+ *
+ * How it works:
+ * 1. run() walks moaConfig.layers in order
+ * 2. The agents of a layer are dispatched in parallel (capped by maxConcurrency) or, if the
+ *    layer's execution_mode is 'sequential', one after another with the insights of the
+ *    agents before them. In a 'debate' layer the agents answer, then read each other's answers
+ *    and critique and revise their own for several rounds, until they converge (see runDebate);
+ *    a moderator then declares the consensus
+ * 3. An agent entry with `samples` > 1 draws that many answers and passes on the one its
+ *    `sample_selection` strategy picks (see sampleAgent); a failing agent walks
+ *    error_handling.graceful_degradation.fallback_chain
+ * 4. The layer's aggregator (weighted synthesis by default, see js/engine/aggregators.js)
+ *    combines the agent outputs; the result becomes the context of the next layer, and the
+ *    last one is the final answer
+ * 5. With adaptive_threshold.early_exit enabled, the remaining layers are skipped once a
+ *    summary's estimated quality reaches adaptive_threshold.output_quality, or once the run
+ *    has taken longer than adaptive_threshold.processing_time (see js/engine/qualityEstimator.js)
+ * 6. When moaConfig.connections lists edges, the agents form a graph instead (see
+ *    js/engine/agentGraph.js and runGraph); early exit and sequential layers do not apply there
+ * 7. The main model (config.main_model, main_temperature, main_specialization) turns the layer
+ *    summaries into one clean final answer; without a main model, with
+ *    config.final_synthesis.enabled set to false, or if that step fails, the last layer
+ *    summary is the final answer. A run with an `outputSchema` ends with a structured synthesis
+ *    instead: JSON mode with config.structured_output.max_tokens of output, validated against
+ *    the schema, re-prompted with the errors (see synthesizeStructuredAnswer and
+ *    js/engine/structuredOutput.js)
+ * 8. With a token, time or request budget (config.budget or the `budget` run option), agents
+ *    are dropped, models downgraded, fallbacks, layers and the final synthesis skipped to stay
+ *    within it (see js/engine/runBudget.js); in graph mode every level of the graph is planned
+ *    like a layer (see planGraphLevel)
+ * 9. Progress is reported through events (see MOA_ENGINE_EVENTS); the engine never touches
+ *    the DOM, so it runs unchanged in the browser, on the server and in tests
+ *
+ * Model calls go through an injected client with two methods:
+ * - `complete(messages, options)` resolves to the response text
+ * - `stream(messages, options)` is an async iterable of response text chunks
+ * `options` carries `model`, `temperature`, `max_tokens`, `signal` and `onRateLimitWait`,
+ * `response_format` (`{ type: 'json_object' }`) for the structured synthesis, and an agent's
+ * other entry keys, such as the `provider` its requests go to (see js/providers/providers.js).
+ * Rate limiting is the client's job; a client that waits for a rate limiter reports the
+ * wait by calling `options.onRateLimitWait(ms)`, if given, before it sends the request.
+ *
+ * Usage example:
+ * ```javascript
+ * const engine = new MoaEngine({ config: moaConfig, client, maxConcurrency: 4 });
+ * engine.on('agent:token', ({ layerIndex, agentIndex, token }) => process.stdout.write(token));
+ * engine.on('run:done', ({ finalAnswer }) => console.log(finalAnswer));
+ * const result = await engine.run('Explain quantum tunnelling.', { conversation, signal });
+ * ```
+ *
+ * Files using this class:
+ * - js/chat/chatInteractions.js
+ * - js/engine/runTrace.js
+ * - js/runs/runManager.js
+ * - js/eval/evaluation.js
+ * - js/cli/moa.js
+ *
+ * Role in program logic:
+ * This is the core of the MOA pipeline. The chat view (js/chat/moaChatView.js) and the D3
+ * diagram (js/diagram/diagramSubscriber.js) subscribe to its events to render a run.
+ */
+export class MoaEngine extends EventEmitter {
+    /**
+     * @param {Object} options - Engine options.
+     * @param {Object} options.config - MOA configuration (the shape of moaConfig). Read at every run, so live edits apply.
+     * @param {{complete: Function, stream: Function}} options.client - Model client.
+     * @param {number} [options.maxConcurrency=Infinity] - Maximum number of agents of a layer running at once.
+     * @param {function(): number} [options.now=Date.now] - Clock used for timings and the processing time limit.
+     */
+    constructor({ config, client, maxConcurrency = Infinity, now = Date.now } = {}) {
+        super();
+        if (!config || !Array.isArray(config.layers)) {
+            throw new Error('MoaEngine requires a config with a layers array');
+        }
+        if (!client || typeof client.complete !== 'function' || typeof client.stream !== 'function') {
+            throw new Error('MoaEngine requires a client with complete and stream methods');
+        }
+        this.config = config;
+        this.client = client;
+        this.maxConcurrency = maxConcurrency;
+        this.now = now;
+    }
+
+    /**
+     * Runs a message through every layer of the MOA.
+     *
+     * Aborting options.signal stops the run: agents that have not started are skipped,
+     * running requests are cancelled and their partial output is reported with status
+     * 'cancelled'. A cancelled run is not added to the conversation.
+     *
+     * The first layer always runs; later layers may be skipped by the adaptive early exit.
+     * The summaries of the layers that ran are then synthesized into the final answer.
+     *
+     * @param {string} input - The user's message.
+     * @param {Object} [options={}] - Run options.
+     * @param {Conversation} [options.conversation] - Conversation to read history from and append the turn to.
+     * @param {AbortSignal} [options.signal] - Signal that cancels the run.
+     * @param {string} [options.systemContext=''] - System context placed at the top of every agent prompt.
+     * @param {{maxTokens?: number, maxTime?: number, maxRequests?: number}} [options.budget] - Limits of this run;
+     *        each one overrides the matching config.budget setting.
+     * @param {Function|Object} [options.outputSchema] - Makes the final answer JSON matching this schema (a BaseModel
+     *        subclass or an object of field definitions, see js/engine/structuredOutput.js). The main model then
+     *        answers even if config.final_synthesis is disabled.
+     * @returns {Promise<MoaRunResult>} The final answer, the per-layer trace, token usage and timings
+     *          (see js/engine/runResult.js); with an output schema also `structured`.
+     * @throws {Error} Only for unexpected failures; agent and summary errors are reported through events.
+     */
+    async run(input, options = {}) {
+        const { conversation = null, signal, systemContext = '', budget: budgetLimits } = options;
+        const schema = options.outputSchema ? toSchemaModel(options.outputSchema) : null;
+        const layers = this.config.layers;
+        const recorder = new RunRecorder(input, this.now);
+        const stopRecording = recorder.attach(this);
+        const budget = RunBudget.fromSettings(this.config.budget, budgetLimits, this.now);
+        const stopBudget = budget.attach(this);
+
+        let context = input;
+        let cancelled = false;
+        let layerSummaries = [];
+        let structured;
+        const earlyExit = this.getEarlyExitSettings();
+
+        this.emit('run:start', {
+            input,
+            layerCount: layers.length,
+            agentCount: layers.reduce((sum, layer) => sum + layer.length, 0),
+        });
+
+        try {
+            const graph = buildAgentGraph(layers, this.config.connections);
+            if (graph) {
+                ({ context, layerSummaries, cancelled } = await this.runGraph({ graph, input, conversation, signal, systemContext, budget }));
+            } else {
+                for (let i = 0; i < layers.length; i++) {
+                    if (signal && signal.aborted) {
+                        cancelled = true;
+                        break;
+                    }
+
+                    const elapsed = this.now() - recorder.startedAt;
+                    if (i > 0 && earlyExit.enabled && earlyExit.maxTime > 0 && elapsed >= earlyExit.maxTime) {
+                        this.skipLayers(i, 'time', `Processing time ${elapsed} ms reached the ${earlyExit.maxTime} ms limit`);
+                        break;
+                    }
+
+                    const layer = layers[i];
+                    const executionMode = this.getLayerExecutionMode(i);
+                    const plan = this.planLayer({ layerIndex: i, layer, input, context, conversation, systemContext, executionMode, layerSummaries, budget });
+                    if (plan.stop) {
+                        this.skipLayers(i, 'budget', plan.detail).forEach(({ layerIndex, detail }) => {
+                            this.reportSacrifice(budget, { type: 'layer_skipped', layerIndex, detail });
+                        });
+                        break;
+                    }
+                    this.emit('layer:start', { layerIndex: i, agentCount: layer.length, executionMode });
+                    plan.sacrifices.forEach(sacrifice => this.reportSacrifice(budget, sacrifice));
+
+                    const layerInsights = [];
+                    const agentTask = (j) => async () => {
+                        if ((signal && signal.aborted) || !plan.agentConfigs[j]) {
+                            return null;
+                        }
+                        return this.runAgent({
+                            layerIndex: i,
+                            agentIndex: j,
+                            agentConfig: plan.agentConfigs[j],
+                            systemContext,
+                            context,
+                            conversation,
+                            previousInsights: executionMode === 'sequential' ? layerInsights : null,
+                            signal,
+                            budget,
+                        });
+                    };
+
+                    let agentResults;
+                    let debate;
+                    if (executionMode === 'debate') {
+                        const synthesisReserve = this.isFinalSynthesisEnabled()
+                            ? { tokens: this.estimateSynthesisTokens(input, layerSummaries.length + 1, budget), requests: 1 }
+                            : { tokens: 0, requests: 0 };
+                        ({ agentResults, debate } = await this.runDebate({
+                            layerIndex: i, layer, agentConfigs: plan.agentConfigs, context, conversation, systemContext, signal, budget,
+                            reserve: { tokens: budget.outputAllowance() + synthesisReserve.tokens, requests: 1 + synthesisReserve.requests },
+                        }));
+                    } else if (executionMode === 'sequential') {
+                        // Each agent sees the insights of the agents before it in this layer
+                        agentResults = [];
+                        for (let j = 0; j < layer.length; j++) {
+                            if (signal && signal.aborted) break;
+                            const result = await agentTask(j)();
+                            agentResults.push(result);
+                            if (result && result.output) {
+                                layerInsights.push(`Agent ${j + 1}: ${result.output}`);
+                            }
+                        }
+                    } else {
+                        // Dispatch every agent at once; per-model pacing is left to the client
+                        const settled = await runWithConcurrencyLimit(
+                            layer.map((_, j) => agentTask(j)),
+                            this.maxConcurrency
+                        );
+                        agentResults = settled.map(result => (result.status === 'fulfilled' ? result.value : null));
+                    }
+
+                    if (signal && signal.aborted) {
+                        // Keep what the agents produced before the stop and skip the summary
+                        this.emit('layer:summary', {
+                            layerIndex: i,
+                            model: this.config.summary_model,
+                            aggregator: this.getLayerAggregator(i),
+                            status: 'cancelled',
+                            summary: '',
+                            agents: agentResults,
+                        });
+                        cancelled = true;
+                        break;
+                    }
+
+                    const summary = await this.aggregateLayer({ layerIndex: i, layer, context, agentResults, debate, conversation, signal, budget });
+                    const isLastLayer = i === layers.length - 1;
+                    if (summary.status === 'success' && earlyExit.enabled && !isLastLayer) {
+                        summary.quality = await this.estimateQuality({ estimator: earlyExit.estimator, summary: summary.summary, context, layer, agentResults, signal, budget });
+                    }
+                    this.emit('layer:summary', { layerIndex: i, ...summary, agents: agentResults });
+
+                    if (summary.status === 'success') {
+                        context = summary.summary;
+                        layerSummaries.push({ layerIndex: i, summary: summary.summary });
+                        if (summary.quality !== undefined && summary.quality >= earlyExit.minQuality) {
+                            this.skipLayers(i + 1, 'quality', `Estimated quality ${summary.quality} reached the ${earlyExit.minQuality} threshold`);
+                            break;
+                        }
+                    } else if (summary.status === 'cancelled') {
+                        cancelled = true;
+                        break;
+                    }
+                }
+            }
+
+            const synthesize = schema ? Boolean(this.config.main_model) : this.isFinalSynthesisEnabled();
+            if (schema) {
+                structured = { valid: false, data: null, attempts: 0, errors: [this.config.main_model ? 'No layer produced a summary' : 'No main model is set'] };
+            }
+            if (!cancelled && layerSummaries.length > 0 && synthesize) {
+                const shortfall = this.checkSynthesisBudget({ input, layerSummaries, budget });
+                if (shortfall) {
+                    this.reportSacrifice(budget, { type: 'final_synthesis_skipped', model: this.config.main_model, detail: shortfall });
+                    if (schema) structured.errors = [shortfall];
+                } else {
+                    const synthesis = schema
+                        ? await this.synthesizeStructuredAnswer({ input, layerSummaries, schema, conversation, signal, budget })
+                        : await this.synthesizeFinalAnswer({ input, layerSummaries, conversation, signal, budget });
+                    if (synthesis.structured) {
+                        structured = synthesis.structured;
+                    }
+                    if (synthesis.status === 'success') {
+                        context = synthesis.answer;
+                    } else if (synthesis.status === 'cancelled') {
+                        cancelled = true;
+                    }
+                }
+            }
+        } catch (error) {
+            logger.error('Error in MoaEngine run:', error);
+            this.emit('run:error', { error: error.message });
+            stopRecording();
+            stopBudget();
+            throw error;
+        }
+
+        if (!cancelled && conversation) {
+            conversation.addTurn('user', input);
+            conversation.addTurn('assistant', context);
+        }
+
+        stopRecording();
+        stopBudget();
+        const result = recorder.finish({ finalAnswer: context, cancelled, budget: budget.isLimited ? budget.report() : null, structured });
+        this.emit('run:done', result);
+        return result;
+    }
+
+    /**
+     * Runs the agents as the graph described by config.connections.
+     *
+     * The graph's levels run one after another, the agents of a level in parallel (capped by
+     * maxConcurrency). Every agent gets the user's request plus the outputs of its upstream
+     * agents only. Once a layer's agents are all done its layer:summary is emitted without a
+     * summary; the last layer's summary is the aggregation of the sink agents' outputs, made
+     * with that layer's aggregator, and is the final answer.
+     *
+     * Every level is planned within the run's budget like a layer (see planGraphLevel). When a
+     * level cannot run at all, the remaining levels are stopped: the layers that never started
+     * are skipped, and the answer aggregates the agents whose outputs went no further.
+     *
+     * @param {Object} params - Graph run parameters.
+     * @param {Object} params.graph - The graph built by buildAgentGraph.
+     * @param {string} params.input - The user's message.
+     * @param {Conversation} [params.conversation] - Conversation to read history from.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {string} params.systemContext - The system context string.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @returns {Promise<{context: string, layerSummaries: Array<{layerIndex: number, summary: string}>, cancelled: boolean}>}
+     *          `context` is the aggregated answer (the input if there is none).
+     */
+    async runGraph({ graph, input, conversation, signal, systemContext, budget }) {
+        const layers = this.config.layers;
+        const lastLayerIndex = layers.length - 1;
+        const results = new Map();
+        const remaining = layers.map(layer => layer.length);
+        const layerResults = layers.map(layer => layer.map(() => null));
+        const startedLayers = new Set();
+        const summarizedLayers = new Set();
+
+        const startLayer = (layerIndex) => {
+            if (startedLayers.has(layerIndex)) return;
+            startedLayers.add(layerIndex);
+            this.emit('layer:start', { layerIndex, agentCount: layers[layerIndex].length, executionMode: 'graph' });
+        };
+
+        const hasOutput = (id) => {
+            const result = results.get(id);
+            return Boolean(result && result.output);
+        };
+        const getUpstreamOutputs = (node) => graph.upstream.get(node.id)
+            .filter(hasOutput)
+            .map(id => {
+                const source = graph.nodes.get(id);
+                return `Layer ${source.layerIndex + 1} Agent ${source.agentIndex + 1}: ${results.get(id).output}`;
+            });
+
+        const nodeTask = (node, agentConfig) => async () => {
+            if ((signal && signal.aborted) || !agentConfig) {
+                return null;
+            }
+            const upstreamOutputs = getUpstreamOutputs(node);
+            if (graph.upstream.get(node.id).length > 0 && upstreamOutputs.length === 0) {
+                logger.warn(`No upstream output for ${node.id}; it will only see the request`);
+            }
+            return this.runAgent({
+                layerIndex: node.layerIndex,
+                agentIndex: node.agentIndex,
+                agentConfig,
+                systemContext,
+                context: input,
+                conversation,
+                previousInsights: upstreamOutputs.length > 0 ? upstreamOutputs : null,
+                signal,
+                budget,
+            });
+        };
+
+        const finishNode = (node, result) => {
+            results.set(node.id, result);
+            layerResults[node.layerIndex][node.agentIndex] = result;
+            remaining[node.layerIndex]--;
+            if (remaining[node.layerIndex] === 0 && startedLayers.has(node.layerIndex) && node.layerIndex !== lastLayerIndex && !(signal && signal.aborted)) {
+                summarizedLayers.add(node.layerIndex);
+                this.emit('layer:summary', {
+                    layerIndex: node.layerIndex,
+                    model: null,
+                    aggregator: 'graph',
+                    status: 'success',
+                    summary: '',
+                    agents: layerResults[node.layerIndex],
+                    note: 'Agent outputs are passed along the configured connections',
+                });
+            }
+        };
+
+        let stopped = null;
+        for (let levelIndex = 0; levelIndex < graph.levels.length; levelIndex++) {
+            if (signal && signal.aborted) break;
+
+            const levelNodes = graph.levels[levelIndex].map(id => graph.nodes.get(id));
+            const plan = this.planGraphLevel({ levelIndex, levelNodes, input, conversation, systemContext, getUpstreamOutputs, sinkCount: graph.sinks.length, budget });
+            if (plan.stop) {
+                stopped = { levelIndex, detail: plan.detail };
+                break;
+            }
+            levelNodes.forEach(node => startLayer(node.layerIndex));
+            plan.sacrifices.forEach(sacrifice => this.reportSacrifice(budget, sacrifice));
+
+            const settled = await runWithConcurrencyLimit(levelNodes.map((node, k) => nodeTask(node, plan.agentConfigs[k])), this.maxConcurrency);
+            settled.forEach((outcome, k) => finishNode(levelNodes[k], outcome.status === 'fulfilled' ? outcome.value : null));
+        }
+
+        if (stopped) {
+            // The remaining levels do not run; the layers none of whose agents ran are skipped
+            const pending = graph.levels.slice(stopped.levelIndex).flat().map(id => graph.nodes.get(id));
+            const unstarted = [...new Set(pending.map(node => node.layerIndex))]
+                .filter(layerIndex => !startedLayers.has(layerIndex) && layerIndex !== lastLayerIndex);
+            unstarted.forEach(layerIndex => {
+                const entry = { layerIndex, reason: 'budget', detail: stopped.detail };
+                this.emit('layer:skipped', entry);
+                this.reportSacrifice(budget, { type: 'layer_skipped', layerIndex, detail: stopped.detail });
+            });
+            logger.info(`Budget: stopping the agent graph before level ${stopped.levelIndex + 1}. ${stopped.detail}`);
+            pending.forEach(node => finishNode(node, null));
+        }
+
+        if (signal && signal.aborted) {
+            // Keep what the started layers produced before the stop
+            [...startedLayers].filter(layerIndex => !summarizedLayers.has(layerIndex)).forEach(layerIndex => {
+                this.emit('layer:summary', {
+                    layerIndex,
+                    model: layerIndex === lastLayerIndex ? this.config.summary_model : null,
+                    aggregator: layerIndex === lastLayerIndex ? this.getLayerAggregator(layerIndex) : 'graph',
+                    status: 'cancelled',
+                    summary: '',
+                    agents: layerResults[layerIndex],
+                });
+            });
+            return { context: input, layerSummaries: [], cancelled: true };
+        }
+
+        // After a budget stop, the agents whose outputs went no further stand in for the sinks
+        const answerIds = stopped
+            ? [...graph.nodes.keys()].filter(id => hasOutput(id) && !graph.downstream.get(id).some(hasOutput))
+            : graph.sinks;
+        const sinks = answerIds
+            .map(id => ({ node: graph.nodes.get(id), result: results.get(id) }))
+            .filter(({ result }) => result && result.output);
+        const weights = normalizeWeights(sinks.map(({ node }) => node.agentConfig.weight));
+        const candidates = sinks.map(({ node, result }, index) => ({
+            agentIndex: node.agentIndex,
+            model: result.model,
+            specialization: node.agentConfig.specialization,
+            output: result.output,
+            weight: weights[index],
+        }));
+
+        const summary = await this.aggregateLayer({
+            layerIndex: lastLayerIndex,
+            layer: layers[lastLayerIndex],
+            context: input,
+            candidates,
+            conversation,
+            signal,
+            budget,
+        });
+        this.emit('layer:summary', { layerIndex: lastLayerIndex, ...summary, agents: layerResults[lastLayerIndex] });
+
+        if (summary.status === 'success') {
+            return { context: summary.summary, layerSummaries: [{ layerIndex: lastLayerIndex, summary: summary.summary }], cancelled: false };
+        }
+        return { context: input, layerSummaries: [], cancelled: summary.status === 'cancelled' };
+    }
+
+    /**
+     * Runs a single agent, including the graceful-degradation fallback chain.
+     *
+     * @param {Object} params - Agent execution parameters.
+     * @param {number} params.layerIndex - Index of the layer the agent belongs to.
+     * @param {number} params.agentIndex - Index of the agent within the layer.
+     * @param {Object} params.agentConfig - The agent entry from config.layers.
+     * @param {string} params.systemContext - The system context string.
+     * @param {string} params.context - The context handed down from the previous layer.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are prepended to the request.
+     * @param {string[]|null} params.previousInsights - Insights of earlier agents in this layer (sequential mode only).
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget; a fallback is only tried while it allows another request.
+     * @param {number} [params.round] - Debate round; added to the agent's events when set.
+     * @param {string} [params.prompt] - Prompt to send instead of the one built from the context (debate rounds).
+     * @returns {Promise<{output: string, tokens: number, model: string, cancelled?: boolean}|null>}
+     *          The agent result (partial and `cancelled: true` if stopped), or null if every attempt failed.
+     */
+    async runAgent({ layerIndex: i, agentIndex: j, agentConfig: baseAgentConfig, systemContext, context, conversation, previousInsights, signal, budget, round, prompt }) {
+        const agentConfig = { ...baseAgentConfig };
+        const agentInput = prompt || buildAgentInput(systemContext, context, previousInsights);
+        const tag = round === undefined ? {} : { round };
+        const errorHandling = this.config.error_handling || {};
+        const degradation = errorHandling.graceful_degradation || {};
+        let fallbackAttempts = 0;
+
+        while (fallbackAttempts < MAX_FALLBACK_ATTEMPTS) {
+            const model = agentConfig.model_name;
+
+            if (!model) {
+                logger.error(`Model name not specified for Layer ${i + 1}, Agent ${j + 1}`);
+                this.emit('agent:done', {
+                    layerIndex: i, agentIndex: j, ...tag, model, status: 'failure', output: '', tokens: 0,
+                    attempts: fallbackAttempts, error: 'Model name not specified',
+                });
+                return null;
+            }
+
+            logger.info(`Using model: ${model} for Layer ${i + 1}, Agent ${j + 1}`);
+            const samples = getSampleCount(agentConfig);
+            this.emit('agent:start', {
+                layerIndex: i, agentIndex: j, ...tag, model, attempt: fallbackAttempts, prompt: agentInput,
+                ...(samples > 1 ? { samples } : {}),
+            });
+
+            const history = this.getConversationHistory(conversation, model);
+            const agentMessages = [...history, { role: 'user', content: agentInput }];
+            let partialOutput = '';
+
+            try {
+                const requestOptions = { ...agentConfig, model, signal };
+                let response;
+                let sampling;
+                if (samples > 1) {
+                    // Samples are drawn at once and not streamed; only the selected one is passed on
+                    ({ response, sampling } = await this.sampleAgent(agentMessages, requestOptions, samples, agentConfig.sample_selection, budget));
+                } else {
+                    budget.countRequest();
+                    if (this.isStreamingEnabled()) {
+                        response = await this.streamCompletion(agentMessages, requestOptions, (token) => {
+                            partialOutput += token;
+                            this.emit('agent:token', { layerIndex: i, agentIndex: j, ...tag, model, token });
+                        });
+                    } else {
+                        response = await this.client.complete(agentMessages, requestOptions);
+                    }
+                }
+
+                if (!response) {
+                    throw new Error('Empty response from model');
+                }
+
+                const output = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+                const tokens = sampling
+                    ? sampling.tokens
+                    : getTokenCount([...agentMessages, { role: 'assistant', content: output }], model);
+                this.emit('agent:done', {
+                    layerIndex: i, agentIndex: j, ...tag, model, status: 'success', output, tokens, attempts: fallbackAttempts,
+                    ...(sampling ? { sampling: sampling.summary } : {}),
+                });
+                return { output, tokens, model };
+            } catch (error) {
+                if (isAbortError(error)) {
+                    // A stopped run keeps the partial output and does not fall back
+                    const tokens = partialOutput
+                        ? getTokenCount([...agentMessages, { role: 'assistant', content: partialOutput }], model)
+                        : 0;
+                    this.emit('agent:done', {
+                        layerIndex: i, agentIndex: j, ...tag, model, status: 'cancelled', output: partialOutput, tokens,
+                        attempts: fallbackAttempts,
+                    });
+                    return { output: partialOutput, tokens, model, cancelled: true };
+                }
+
+                logger.error(`Error in Layer ${i + 1}, Agent ${j + 1}:`, error);
+
+                const canFallBack = degradation.enabled && fallbackAttempts < MAX_FALLBACK_ATTEMPTS - 1;
+                const fallbackModel = (degradation.fallback_chain || [])[fallbackAttempts] || errorHandling.fallback_model;
+                if (canFallBack && budget.isLimited && (budget.isTimeUp() || !budget.canAfford({
+                    tokens: (getTokenCount(agentMessages, fallbackModel) + budget.outputAllowance(agentConfig)) * samples,
+                    requests: samples,
+                }))) {
+                    this.reportSacrifice(budget, {
+                        type: 'fallback_skipped',
+                        layerIndex: i,
+                        agentIndex: j,
+                        model: fallbackModel,
+                        detail: `No budget left for a fallback attempt after ${model} failed`,
+                    });
+                    this.emit('agent:done', {
+                        layerIndex: i, agentIndex: j, ...tag, model, status: 'failure', output: '', tokens: 0,
+                        attempts: fallbackAttempts, error: error.message,
+                    });
+                    break;
+                }
+
+                if (canFallBack) {
+                    fallbackAttempts++;
+                    logger.info(`Falling back to ${fallbackModel} for Layer ${i + 1}, Agent ${j + 1} (Attempt ${fallbackAttempts})`);
+                    this.emit('agent:fallback', {
+                        layerIndex: i, agentIndex: j, ...tag, model, fallbackModel, attempt: fallbackAttempts, error: error.message,
+                    });
+                    agentConfig.model_name = fallbackModel;
+                    // The fallback model goes to whichever provider serves it (see js/providers/providers.js)
+                    delete agentConfig.provider;
+                } else {
+                    this.emit('agent:done', {
+                        layerIndex: i, agentIndex: j, ...tag, model, status: 'failure', output: '', tokens: 0,
+                        attempts: fallbackAttempts, error: error.message,
+                    });
+                    break;
+                }
+            }
+        }
+
+        logger.error(`Failed to process Layer ${i + 1}, Agent ${j + 1} after ${fallbackAttempts + 1} attempts.`);
+        return null;
+    }
+
+    /**
+     * Draws several answers of an agent at once and selects one (self-consistency).
+     *
+     * Every sample is a separate request with the agent's options, so it is drawn at the
+     * agent's temperature. Failed samples are left out of the selection; only when every
+     * sample fails does the agent fail (and fall back like any agent).
+     *
+     * @param {Array} messages - The agent's messages.
+     * @param {Object} requestOptions - The agent's request options.
+     * @param {number} samples - Number of samples to draw.
+     * @param {string} [strategy='majority'] - Selection strategy (see js/engine/selfConsistency.js).
+     * @param {RunBudget} budget - The run's budget, which counts every sample.
+     * @returns {Promise<{response: string, sampling: {tokens: number, summary: Object}}>} The selected answer,
+     *          the tokens of every sample and the summary reported in `agent:done`.
+     * @throws {Error} The first sample's error if none succeeded, or an AbortError if the run was stopped.
+     */
+    async sampleAgent(messages, requestOptions, samples, strategy = DEFAULT_SAMPLE_STRATEGY, budget) {
+        const model = requestOptions.model;
+        const settled = await Promise.allSettled(Array.from({ length: samples }, () => {
+            budget.countRequest();
+            return this.client.complete(messages, requestOptions);
+        }));
+
+        const aborted = settled.find(outcome => outcome.status === 'rejected' && isAbortError(outcome.reason));
+        if (aborted) {
+            throw aborted.reason;
+        }
+        const outputs = settled
+            .filter(outcome => outcome.status === 'fulfilled' && outcome.value)
+            .map(outcome => (typeof outcome.value === 'string' ? outcome.value : JSON.stringify(outcome.value, null, 2)));
+        if (outputs.length === 0) {
+            const failure = settled.find(outcome => outcome.status === 'rejected');
+            throw failure ? failure.reason : new Error('Empty response from model');
+        }
+
+        const selection = selectSample(outputs, strategy);
+        const tokens = outputs.reduce((sum, output) => sum + getTokenCount([...messages, { role: 'assistant', content: output }], model), 0);
+        return {
+            response: outputs[selection.index],
+            sampling: {
+                tokens,
+                summary: {
+                    samples,
+                    succeeded: outputs.length,
+                    strategy: selection.strategy,
+                    agreement: selection.agreement,
+                    selected: selection.index,
+                },
+            },
+        };
+    }
+
+    /**
+     * Runs a debate layer.
+     *
+     * In round 0 the agents answer as in a parallel layer. In every later round each agent
+     * reads the other agents' latest answers, critiques them and revises its own (see
+     * buildDebateInput). After every round the agreement between the agents' answers (mean
+     * pairwise word overlap) is measured; the debate stops once it reaches the layer's
+     * `convergence_threshold` ('converged'), once no agent changes its answer much any more
+     * ('stalled', see DEBATE_STALL_SIMILARITY), after `rounds` rounds ('max_rounds'), or when the budget
+     * cannot cover another round while keeping the moderator and the final synthesis ('budget').
+     * An agent that fails in a later round keeps its previous answer.
+     *
+     * @param {Object} params - Debate parameters.
+     * @param {number} params.layerIndex - Index of the layer.
+     * @param {Array} params.layer - The layer's agent entries.
+     * @param {Array<Object|null>} params.agentConfigs - The entries to run (null for agents the budget dropped).
+     * @param {string} params.context - The context the layer works on.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are sent along.
+     * @param {string} params.systemContext - The system context string.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @param {{tokens: number, requests: number}} params.reserve - Cost to keep for the moderator and the final synthesis.
+     * @returns {Promise<{agentResults: Array<Object|null>, debate: {rounds: Array, converged: boolean, stopReason: string}}>}
+     *          Every agent's final answer (its tokens summed over the rounds) and the debate transcript.
+     */
+    async runDebate({ layerIndex: i, layer, agentConfigs, context, conversation, systemContext, signal, budget, reserve }) {
+        const settings = this.getDebateSettings(i);
+        const positions = layer.map(() => null);
+        const rounds = [];
+        let converged = false;
+        let stopReason = 'max_rounds';
+
+        for (let round = 0; round < settings.rounds; round++) {
+            if (signal && signal.aborted) {
+                stopReason = 'cancelled';
+                break;
+            }
+            const debaters = layer.map((_, j) => j).filter(j => agentConfigs[j] && (round === 0 || positions[j]));
+            const prompts = new Map(round === 0 ? [] : debaters.map(j => [j, buildDebateInput(systemContext, context, j, positions)]));
+            if (round > 0) {
+                const shortfall = this.checkDebateRoundBudget({ debaters, prompts, agentConfigs, conversation, budget, reserve });
+                if (shortfall) {
+                    this.reportSacrifice(budget, { type: 'debate_round_skipped', layerIndex: i, detail: `Round ${round + 1}: ${shortfall}` });
+                    stopReason = 'budget';
+                    break;
+                }
+            }
+
+            this.emit('debate:round:start', { layerIndex: i, round, agentCount: debaters.length });
+            const settled = await runWithConcurrencyLimit(debaters.map(j => () => this.runAgent({
+                layerIndex: i,
+                agentIndex: j,
+                agentConfig: agentConfigs[j],
+                systemContext,
+                context,
+                conversation,
+                previousInsights: null,
+                signal,
+                budget,
+                round,
+                prompt: prompts.get(j),
+            })), this.maxConcurrency);
+
+            const previous = positions.map(position => position && position.output);
+            const answers = [];
+            settled.forEach((outcome, k) => {
+                const j = debaters[k];
+                const result = outcome.status === 'fulfilled' ? outcome.value : null;
+                if (!result || !result.output) return;
+                const spent = (positions[j] ? positions[j].tokens : 0) + result.tokens;
+                if (result.cancelled) {
+                    // Keep the last complete answer, but count the tokens
+                    positions[j] = positions[j] ? { ...positions[j], tokens: spent } : { output: result.output, tokens: spent, model: result.model };
+                    return;
+                }
+                const { critique, answer } = round === 0 ? { critique: '', answer: result.output } : parseDebateReply(result.output);
+                positions[j] = { output: answer, tokens: spent, model: result.model };
+                answers.push({ agentIndex: j, model: result.model, critique, answer });
+            });
+            if (signal && signal.aborted) {
+                stopReason = 'cancelled';
+                break;
+            }
+
+            const current = positions.filter(Boolean).map(position => position.output);
+            const agreement = current.length > 1 ? measureAgreement(current) : 1;
+            const moved = positions
+                .map((position, j) => (position && previous[j] ? jaccardSimilarity(toWordSet(position.output), toWordSet(previous[j])) : null))
+                .filter(similarity => similarity !== null);
+            const stability = moved.length > 0 ? Math.min(...moved) : undefined;
+            converged = agreement >= settings.convergenceThreshold;
+            rounds.push({ round, agreement, stability, converged, answers });
+            this.emit('debate:round', { layerIndex: i, round, agreement, stability, converged, answers });
+
+            if (converged) {
+                stopReason = 'converged';
+                break;
+            }
+            if (stability !== undefined && stability >= DEBATE_STALL_SIMILARITY) {
+                stopReason = 'stalled';
+                break;
+            }
+        }
+
+        logger.info(`Layer ${i + 1} debate ended after ${rounds.length} round(s): ${stopReason}`);
+        return {
+            agentResults: positions.map(position => (position ? { ...position } : null)),
+            debate: { rounds, converged, stopReason },
+        };
+    }
+
+    /**
+     * Checks whether another debate round fits in the run's budget.
+     * @param {Object} params - Check parameters.
+     * @param {number[]} params.debaters - Agents taking part in the round.
+     * @param {Map<number, string>} params.prompts - Their prompts.
+     * @param {Array<Object>} params.agentConfigs - The agent entries.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are sent along.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @param {{tokens: number, requests: number}} params.reserve - Cost to keep for after the debate.
+     * @returns {string|null} Why the round has to be skipped, or null if it fits.
+     */
+    checkDebateRoundBudget({ debaters, prompts, agentConfigs, conversation, budget, reserve }) {
+        if (!budget.isLimited) {
+            return null;
+        }
+        if (budget.isTimeUp()) {
+            return `The ${budget.limits.maxTime} ms time budget is used up`;
+        }
+        const tokens = debaters.reduce((sum, j) => {
+            const model = agentConfigs[j].model_name;
+            const messages = [...this.getConversationHistory(conversation, model), { role: 'user', content: prompts.get(j) }];
+            return sum + (getTokenCount(messages, model) + budget.outputAllowance(agentConfigs[j])) * getSampleCount(agentConfigs[j]);
+        }, 0);
+        const requests = debaters.reduce((sum, j) => sum + getSampleCount(agentConfigs[j]), 0);
+        if (!budget.canAfford({ tokens: tokens + reserve.tokens, requests: requests + reserve.requests })) {
+            return `About ${tokens} tokens did not fit in the budget (${describeRemaining(budget.remaining())})`;
+        }
+        return null;
+    }
+
+    /**
+     * Combines the agent outputs of a layer with the layer's aggregator.
+     *
+     * The aggregator is named in config.layer_settings[i].aggregator (see js/engine/aggregators.js).
+     * It receives the agents that produced output, with their configured weights normalized,
+     * and a generate() function that calls the summary model.
+     *
+     * @param {Object} params - Aggregation parameters.
+     * @param {number} params.layerIndex - Index of the layer.
+     * @param {Array} params.layer - The layer's agent entries.
+     * @param {string} params.context - The context the layer worked on.
+     * @param {Array<Object|null>} params.agentResults - Results of runAgent, aligned with the layer.
+     * @param {Object} [params.debate] - The debate transcript of a debate layer (see runDebate); the
+     *        aggregator then calls the layer's moderator model instead of the summary model.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are prepended to summary requests.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget, which counts the summary requests.
+     * @returns {Promise<{model: string, aggregator: string, status: string, summary: string, tokens: number, selectedAgent?: number, note?: string, details?: Object, error?: string}>}
+     *          On cancellation `summary` holds whatever had streamed in.
+     */
+    async aggregateLayer({ layerIndex: i, layer, context, agentResults, candidates: givenCandidates, debate, conversation, signal, budget }) {
+        const model = (debate && this.getDebateSettings(i).moderatorModel) || this.config.summary_model;
+        const aggregatorName = this.getLayerAggregator(i);
+        let partialSummary = '';
+        let tokens = 0;
+        let pendingMessages = null;
+
+        const generate = async (prompt, { stream = false } = {}) => {
+            if (!model) {
+                throw new Error('Summary model not specified');
+            }
+            const history = this.getConversationHistory(conversation, model);
+            const messages = [...history, { role: 'user', content: prompt }];
+            const requestOptions = { model, temperature: 0.7, signal };
+            pendingMessages = messages;
+            budget.countRequest();
+            const response = stream && this.isStreamingEnabled()
+                ? await this.streamCompletion(messages, requestOptions, (token) => {
+                    partialSummary += token;
+                    this.emit('summary:token', { layerIndex: i, model, token });
+                })
+                : await this.client.complete(messages, requestOptions);
+            pendingMessages = null;
+            tokens += getTokenCount([...messages, { role: 'assistant', content: response || '' }], model);
+            return response;
+        };
+
+        const candidates = givenCandidates || buildCandidates(layer, agentResults);
+
+        try {
+            if (candidates.length === 0) {
+                throw new Error('No agent output to aggregate');
+            }
+            const aggregator = getAggregator(aggregatorName);
+            const aggregation = await aggregator({ layerIndex: i, layer, context, candidates, generate, debate });
+
+            if (!aggregation || !aggregation.summary) {
+                throw new Error('Empty response for layer summary');
+            }
+            return { model, aggregator: aggregatorName, status: 'success', tokens, ...aggregation };
+        } catch (error) {
+            if (isAbortError(error)) {
+                if (pendingMessages && partialSummary) {
+                    tokens += getTokenCount([...pendingMessages, { role: 'assistant', content: partialSummary }], model);
+                }
+                return { model, aggregator: aggregatorName, status: 'cancelled', summary: partialSummary, tokens };
+            }
+            logger.error(`Error generating layer summary for Layer ${i + 1}:`, error);
+            return { model, aggregator: aggregatorName, status: 'failure', summary: '', tokens, error: error.message };
+        }
+    }
+
+    /**
+     * Scores a layer summary for the adaptive early exit.
+     *
+     * @param {Object} params - Scoring parameters.
+     * @param {string} params.estimator - 'heuristic' or 'llm'.
+     * @param {string} params.summary - The layer summary.
+     * @param {string} params.context - The context the layer worked on.
+     * @param {Array} params.layer - The layer's agent entries.
+     * @param {Array<Object|null>} params.agentResults - Results of runAgent, aligned with the layer.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget, which counts the rating request.
+     * @returns {Promise<number|undefined>} The score between 0 and 1, or undefined if it could not be estimated.
+     */
+    async estimateQuality({ estimator, summary, context, layer, agentResults, signal, budget }) {
+        const ask = (prompt) => {
+            budget.countRequest();
+            return this.client.complete(
+                [{ role: 'user', content: prompt }],
+                { model: this.config.summary_model, temperature: 0, signal }
+            );
+        };
+        try {
+            return await estimateOutputQuality(estimator, {
+                summary,
+                context,
+                candidates: buildCandidates(layer, agentResults),
+                agentCount: layer.length,
+                ask,
+            });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            logger.warn('Could not estimate output quality; continuing with the next layer:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Reports the layers from `fromIndex` on as skipped.
+     *
+     * @param {number} fromIndex - First layer to skip.
+     * @param {string} reason - 'quality', 'time' or 'budget'.
+     * @param {string} detail - Human-readable explanation.
+     * @returns {Array<{layerIndex: number, reason: string, detail: string}>} The skipped layers.
+     */
+    skipLayers(fromIndex, reason, detail) {
+        const skipped = [];
+        for (let k = fromIndex; k < this.config.layers.length; k++) {
+            const entry = { layerIndex: k, reason, detail };
+            skipped.push(entry);
+            this.emit('layer:skipped', entry);
+        }
+        if (skipped.length > 0) {
+            logger.info(`Early exit: skipping ${skipped.length} layer(s). ${detail}`);
+        }
+        return skipped;
+    }
+
+    /**
+     * Plans a layer within the run's budget.
+     *
+     * Every agent's cost is estimated as its prompt plus an output allowance; the agents are
+     * then kept by weight as long as the layer summary and the final synthesis still fit after
+     * them (see fitAgentsInBudget). When the time left is shorter than the average layer so
+     * far, the kept agents switch to cheaper models. The first layer always runs at least
+     * its highest-weight agent.
+     *
+     * @param {Object} params - Planning parameters.
+     * @param {number} params.layerIndex - Index of the layer.
+     * @param {Array} params.layer - The layer's agent entries.
+     * @param {string} params.input - The user's message.
+     * @param {string} params.context - The context the layer will work on.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are sent along.
+     * @param {string} params.systemContext - The system context string.
+     * @param {string} params.executionMode - 'parallel' or 'sequential'.
+     * @param {Array} params.layerSummaries - Summaries of the layers that ran.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @returns {{agentConfigs: Array<Object|null>, sacrifices: BudgetSacrifice[], stop: boolean, detail?: string}}
+     *          The agent entries to run (null for dropped agents) and what was given up, or `stop`
+     *          with the reason when the layer cannot run at all.
+     */
+    planLayer({ layerIndex: i, layer, input, context, conversation, systemContext, executionMode, layerSummaries, budget }) {
+        const agentConfigs = layer.map(agentConfig => ({ ...agentConfig }));
+        if (!budget.isLimited) {
+            return { agentConfigs, sacrifices: [], stop: false };
+        }
+
+        const remaining = budget.remaining();
+        if (i > 0 && remaining.time <= 0) {
+            return { agentConfigs, sacrifices: [], stop: true, detail: `The ${budget.limits.maxTime} ms time budget is used up` };
+        }
+
+        const agentInput = buildAgentInput(systemContext, context, null);
+        const costs = agentConfigs.map((agentConfig, j) => {
+            const model = agentConfig.model_name;
+            const allowance = budget.outputAllowance(agentConfig);
+            const prompt = getTokenCount([...this.getConversationHistory(conversation, model), { role: 'user', content: agentInput }], model);
+            // In a sequential layer every agent also reads the answers of the agents before it
+            const insights = executionMode === 'sequential' ? j * allowance : 0;
+            const samples = getSampleCount(agentConfig);
+            return { agentIndex: j, weight: agentConfig.weight, tokens: (prompt + insights + allowance) * samples, requests: samples };
+        });
+
+        const summaryAllowance = budget.outputAllowance();
+        const contextTokens = getTokenCount([{ role: 'user', content: context }], this.config.summary_model);
+        const synthesisReserve = this.isFinalSynthesisEnabled()
+            ? { tokens: this.estimateSynthesisTokens(input, layerSummaries.length + 1, budget), requests: 1 }
+            : { tokens: 0, requests: 0 };
+        const reserveFor = (agentCount) => ({
+            tokens: contextTokens + summaryAllowance * (agentCount + 1) + synthesisReserve.tokens,
+            requests: 1 + synthesisReserve.requests,
+        });
+
+        const { kept, dropped } = fitAgentsInBudget(budget, costs, reserveFor, i === 0);
+        if (kept.length === 0) {
+            return { agentConfigs, sacrifices: [], stop: true, detail: `Not enough budget left for any agent (${describeRemaining(remaining)})` };
+        }
+
+        const sacrifices = dropped.map(j => ({
+            type: 'agent_dropped',
+            layerIndex: i,
+            agentIndex: j,
+            model: agentConfigs[j].model_name,
+            detail: `About ${costs[j].tokens} tokens did not fit in the budget (${describeRemaining(remaining)})`,
+        }));
+        dropped.forEach(j => {
+            agentConfigs[j] = null;
+        });
+
+        const pace = i > 0 ? budget.elapsed() / i : 0;
+        if (pace > 0 && remaining.time < pace) {
+            for (const j of kept) {
+                const model = agentConfigs[j].model_name;
+                // The context of one request, whatever the number of samples
+                const cheaper = findCheaperModel(model, costs[j].tokens / costs[j].requests);
+                if (cheaper) {
+                    agentConfigs[j].model_name = cheaper;
+                    delete agentConfigs[j].provider;
+                    sacrifices.push({
+                        type: 'model_downgraded',
+                        layerIndex: i,
+                        agentIndex: j,
+                        model,
+                        replacement: cheaper,
+                        detail: `${Math.round(remaining.time)} ms left, layers have taken about ${Math.round(pace)} ms each`,
+                    });
+                }
+            }
+        }
+        return { agentConfigs, sacrifices, stop: false };
+    }
+
+    /**
+     * Plans a level of the agent graph within the run's budget, as planLayer plans a layer.
+     *
+     * Every agent's cost is its prompt (the request and its upstream outputs) plus an output
+     * allowance; the agents are kept by weight as long as the aggregation of the answer and
+     * the final synthesis still fit after them. When the time left is shorter than the average
+     * level so far, the kept agents switch to cheaper models. The first level always runs at
+     * least its highest-weight agent.
+     *
+     * @param {Object} params - Planning parameters.
+     * @param {number} params.levelIndex - Index of the level in graph.levels.
+     * @param {Array<Object>} params.levelNodes - The level's graph nodes.
+     * @param {string} params.input - The user's message.
+     * @param {Conversation} [params.conversation] - Conversation whose prior turns are sent along.
+     * @param {string} params.systemContext - The system context string.
+     * @param {function(Object): string[]} params.getUpstreamOutputs - The upstream outputs a node will see.
+     * @param {number} params.sinkCount - Number of sink agents, whose outputs are aggregated.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @returns {{agentConfigs: Array<Object|null>, sacrifices: BudgetSacrifice[], stop: boolean, detail?: string}}
+     *          The agent entries to run, aligned with levelNodes (null for dropped agents), and what
+     *          was given up, or `stop` with the reason when the level cannot run at all.
+     */
+    planGraphLevel({ levelIndex, levelNodes, input, conversation, systemContext, getUpstreamOutputs, sinkCount, budget }) {
+        const agentConfigs = levelNodes.map(node => ({ ...node.agentConfig }));
+        if (!budget.isLimited) {
+            return { agentConfigs, sacrifices: [], stop: false };
+        }
+
+        const remaining = budget.remaining();
+        if (levelIndex > 0 && remaining.time <= 0) {
+            return { agentConfigs, sacrifices: [], stop: true, detail: `The ${budget.limits.maxTime} ms time budget is used up` };
+        }
+
+        const costs = levelNodes.map((node, k) => {
+            const model = agentConfigs[k].model_name;
+            const upstreamOutputs = getUpstreamOutputs(node);
+            const agentInput = buildAgentInput(systemContext, input, upstreamOutputs.length > 0 ? upstreamOutputs : null);
+            const prompt = getTokenCount([...this.getConversationHistory(conversation, model), { role: 'user', content: agentInput }], model);
+            const samples = getSampleCount(agentConfigs[k]);
+            return { agentIndex: k, weight: agentConfigs[k].weight, tokens: (prompt + budget.outputAllowance(agentConfigs[k])) * samples, requests: samples };
+        });
+
+        const inputTokens = getTokenCount([{ role: 'user', content: input }], this.config.summary_model);
+        const synthesisReserve = this.isFinalSynthesisEnabled()
+            ? { tokens: this.estimateSynthesisTokens(input, 1, budget), requests: 1 }
+            : { tokens: 0, requests: 0 };
+        const reserve = {
+            tokens: inputTokens + budget.outputAllowance() * (sinkCount + 1) + synthesisReserve.tokens,
+            requests: 1 + synthesisReserve.requests,
+        };
+
+        const { kept, dropped } = fitAgentsInBudget(budget, costs, () => reserve, levelIndex === 0);
+        if (kept.length === 0) {
+            return { agentConfigs, sacrifices: [], stop: true, detail: `Not enough budget left for any agent (${describeRemaining(remaining)})` };
+        }
+
+        const sacrifices = dropped.map(k => ({
+            type: 'agent_dropped',
+            layerIndex: levelNodes[k].layerIndex,
+            agentIndex: levelNodes[k].agentIndex,
+            model: agentConfigs[k].model_name,
+            detail: `About ${costs[k].tokens} tokens did not fit in the budget (${describeRemaining(remaining)})`,
+        }));
+        dropped.forEach(k => {
+            agentConfigs[k] = null;
+        });
+
+        const pace = levelIndex > 0 ? budget.elapsed() / levelIndex : 0;
+        if (pace > 0 && remaining.time < pace) {
+            for (const k of kept) {
+                const model = agentConfigs[k].model_name;
+                const cheaper = findCheaperModel(model, costs[k].tokens / costs[k].requests);
+                if (cheaper) {
+                    agentConfigs[k].model_name = cheaper;
+                    delete agentConfigs[k].provider;
+                    sacrifices.push({
+                        type: 'model_downgraded',
+                        layerIndex: levelNodes[k].layerIndex,
+                        agentIndex: levelNodes[k].agentIndex,
+                        model,
+                        replacement: cheaper,
+                        detail: `${Math.round(remaining.time)} ms left, graph levels have taken about ${Math.round(pace)} ms each`,
+                    });
+                }
+            }
+        }
+        return { agentConfigs, sacrifices, stop: false };
+    }
+
+    /**
+     * Checks whether the final synthesis fits in the run's budget.
+     * @param {Object} params - Check parameters.
+     * @param {string} params.input - The user's message.
+     * @param {Array<{layerIndex: number, summary: string}>} params.layerSummaries - Summaries of the layers that ran.
+     * @param {RunBudget} params.budget - The run's budget.
+     * @returns {string|null} Why the synthesis has to be skipped, or null if it fits.
+     */
+    checkSynthesisBudget({ input, layerSummaries, budget }) {
+        if (!budget.isLimited) {
+            return null;
+        }
+        if (budget.isTimeUp()) {
+            return `The ${budget.limits.maxTime} ms time budget is used up; the last layer summary is the answer`;
+        }
+        const summaryTokens = layerSummaries.reduce(
+            (sum, { summary }) => sum + getTokenCount([{ role: 'user', content: summary }], this.config.main_model), 0
+        );
+        const tokens = this.estimateSynthesisTokens(input, 0, budget) + summaryTokens;
+        if (!budget.canAfford({ tokens, requests: 1 })) {
+            return `About ${tokens} tokens did not fit in the budget (${describeRemaining(budget.remaining())}); the last layer summary is the answer`;
+        }
+        return null;
+    }
+
+    /**
+     * Estimates the tokens of the final synthesis.
+     * @param {string} input - The user's message.
+     * @param {number} summaryCount - Layer summaries not yet written, each counted as one output allowance.
+     * @param {RunBudget} budget - The run's budget.
+     * @returns {number} The estimated tokens.
+     */
+    estimateSynthesisTokens(input, summaryCount, budget) {
+        const allowance = budget.outputAllowance();
+        return getTokenCount([{ role: 'user', content: input }], this.config.main_model) + allowance * (summaryCount + 1);
+    }
+
+    /**
+     * Records a budget sacrifice and reports it with a `budget:sacrifice` event.
+     * @param {RunBudget} budget - The run's budget.
+     * @param {BudgetSacrifice} sacrifice - What was given up.
+     */
+    reportSacrifice(budget, sacrifice) {
+        budget.sacrifice(sacrifice);
+        logger.info(`Budget: ${sacrifice.type}${sacrifice.layerIndex !== undefined ? ` in Layer ${sacrifice.layerIndex + 1}` : ''}. ${sacrifice.detail}`);
+        this.emit('budget:sacrifice', sacrifice);
+    }
+
+    /**
+     * Estimates the most a run can cost before it starts: every agent call (times its samples,
+     * and times the rounds of a debate layer), a summary and, with the 'llm' estimator, a quality
+     * estimate per layer, and the final synthesis with its structured retries. Each call is
+     * counted as the input's tokens plus its output allowance (the agent's `max_tokens` or
+     * budget.output_token_estimate). Agent fallbacks and the context that later layers add to
+     * their prompts are not counted. The server reserves this much of a user's quota for a run
+     * (see js/runs/runManager.js).
+     * @param {string} input - The user's message.
+     * @param {Object} [options={}] - The run options (see run); only `outputSchema` matters.
+     * @returns {{requests: number, tokens: number}} The estimated model calls and tokens.
+     */
+    estimateCost(input, options = {}) {
+        const budget = RunBudget.fromSettings(this.config.budget);
+        const promptTokens = getTokenCount([{ role: 'user', content: String(input) }], this.config.main_model);
+        const perLayerCalls = this.getEarlyExitSettings().estimator === 'llm' ? 2 : 1;
+        let requests = 0;
+        let tokens = 0;
+        const add = (calls, requestConfig) => {
+            requests += calls;
+            tokens += calls * (promptTokens + budget.outputAllowance(requestConfig));
+        };
+
+        this.config.layers.forEach((layer, i) => {
+            const rounds = this.getLayerExecutionMode(i) === 'debate' ? this.getDebateSettings(i).rounds : 1;
+            layer.forEach(agentConfig => add(getSampleCount(agentConfig) * rounds, agentConfig));
+            add(perLayerCalls);
+        });
+        if (options.outputSchema) {
+            const { maxRetries, maxTokens } = this.getStructuredOutputSettings();
+            add(1 + maxRetries, { max_tokens: maxTokens });
+        } else if (this.isFinalSynthesisEnabled()) {
+            add(1);
+        }
+        return { requests, tokens };
+    }
+
+    /**
+     * Reads the structured synthesis settings from config.structured_output.
+     * @returns {{maxRetries: number, maxTokens: number}} The settings.
+     */
+    getStructuredOutputSettings() {
+        const settings = this.config.structured_output || {};
+        return {
+            maxRetries: Number.isInteger(settings.max_retries) && settings.max_retries >= 0 ? settings.max_retries : DEFAULT_STRUCTURED_RETRIES,
+            maxTokens: Number.isInteger(settings.max_tokens) && settings.max_tokens > 0 ? settings.max_tokens : DEFAULT_STRUCTURED_MAX_TOKENS,
+        };
+    }
+
+    /**
+     * Reads the early-exit settings from config.adaptive_threshold.
+     * @returns {{enabled: boolean, estimator: string, minQuality: number, maxTime: number}} The settings.
+     */
+    getEarlyExitSettings() {
+        const adaptive = this.config.adaptive_threshold || {};
+        const earlyExit = adaptive.early_exit || {};
+        return {
+            enabled: earlyExit.enabled === true,
+            estimator: earlyExit.estimator || 'heuristic',
+            minQuality: typeof adaptive.output_quality === 'number' ? adaptive.output_quality : 1,
+            maxTime: typeof adaptive.processing_time === 'number' ? adaptive.processing_time : 0,
+        };
+    }
+
+    /**
+     * Has the main model turn the layer summaries into the final answer.
+     *
+     * Streams `final:token` events (unless streaming is disabled) and ends with `final:done`.
+     * Failures are reported rather than thrown, so the caller can keep the last layer summary.
+     *
+     * @param {Object} params - Synthesis parameters.
+     * @param {string} params.input - The user's message.
+     * @param {Array<{layerIndex: number, summary: string}>} params.layerSummaries - Summaries of the layers that ran.
+     * @param {Conversation} [params.conversation] - Conversation to read history from.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget, which counts the request.
+     * @returns {Promise<{model: string, status: string, answer: string, tokens: number, latency: number, error?: string}>}
+     *          `status` is 'success', 'failure' or 'cancelled'; `answer` is partial when cancelled.
+     */
+    async synthesizeFinalAnswer({ input, layerSummaries, conversation, signal, budget }) {
+        const model = this.config.main_model;
+        const temperature = typeof this.config.main_temperature === 'number' ? this.config.main_temperature : 0.7;
+        const specialization = this.config.main_specialization;
+        let partialAnswer = '';
+
+        const prompt = `
+            You are the main model of a Mixture-of-Agents system${specialization ? `, specialized in ${specialization.replace(/_/g, ' ')}` : ''}.
+            Several layers of agents have worked on the user's request; their layer summaries are below, in order.
+
+            User's request: ${input}
+
+            ${layerSummaries.map(({ layerIndex, summary }) => `Layer ${layerIndex + 1} summary:\n${summary}`).join('\n\n')}
+
+            Your task: Write the final answer to the user's request. Build on the later layers where they refine earlier ones, resolve disagreements, and leave out anything that does not help answer the request. Answer the user directly; do not mention layers, agents or summaries.
+        `.trim();
+        const messages = [...this.getConversationHistory(conversation, model), { role: 'user', content: prompt }];
+        const requestOptions = { model, temperature, signal };
+        const startedAt = this.now();
+        budget.countRequest();
+
+        let outcome;
+        try {
+            const answer = this.isStreamingEnabled()
+                ? await this.streamCompletion(messages, requestOptions, (token) => {
+                    partialAnswer += token;
+                    this.emit('final:token', { model, token });
+                })
+                : await this.client.complete(messages, requestOptions);
+            if (!answer) {
+                throw new Error('Empty response for final answer');
+            }
+            const tokens = getTokenCount([...messages, { role: 'assistant', content: answer }], model);
+            outcome = { model, status: 'success', answer, tokens };
+        } catch (error) {
+            if (isAbortError(error)) {
+                const tokens = partialAnswer
+                    ? getTokenCount([...messages, { role: 'assistant', content: partialAnswer }], model)
+                    : 0;
+                outcome = { model, status: 'cancelled', answer: partialAnswer, tokens };
+            } else {
+                logger.error(`Error generating the final answer with ${model}; keeping the last layer summary:`, error);
+                outcome = { model, status: 'failure', answer: '', tokens: 0, error: error.message };
+            }
+        }
+        outcome.latency = this.now() - startedAt;
+        this.emit('final:done', outcome);
+        return outcome;
+    }
+
+    /**
+     * Has the main model turn the layer summaries into a JSON answer that matches a schema.
+     *
+     * The main model answers in JSON mode (`response_format: { type: 'json_object' }`, not
+     * streamed). A reply that is not JSON or does not match the schema is sent back with the
+     * validation errors, up to config.structured_output.max_retries times (while the budget
+     * allows another request); every retry is reported with a `final:retry` event. Ends with
+     * `final:done`, which carries the `structured` outcome.
+     *
+     * @param {Object} params - Synthesis parameters.
+     * @param {string} params.input - The user's message.
+     * @param {Array<{layerIndex: number, summary: string}>} params.layerSummaries - Summaries of the layers that ran.
+     * @param {Function} params.schema - The output schema (a BaseModel subclass).
+     * @param {Conversation} [params.conversation] - Conversation to read history from.
+     * @param {AbortSignal} [params.signal] - Signal that cancels the run.
+     * @param {RunBudget} params.budget - The run's budget, which counts every attempt.
+     * @returns {Promise<{model: string, status: string, answer: string, tokens: number, latency: number,
+     *          structured: {valid: boolean, data: Object|null, attempts: number, errors: string[], raw?: string}, error?: string}>}
+     *          On success `answer` is the validated JSON, pretty-printed; 'failure' if no attempt matched the schema.
+     */
+    async synthesizeStructuredAnswer({ input, layerSummaries, schema, conversation, signal, budget }) {
+        const model = this.config.main_model;
+        const temperature = typeof this.config.main_temperature === 'number' ? this.config.main_temperature : 0.7;
+        const { maxRetries, maxTokens } = this.getStructuredOutputSettings();
+
+        const prompt = `
+            You are the main model of a Mixture-of-Agents system.
+            Several layers of agents have worked on the user's request; their layer summaries are below, in order.
+
+            User's request: ${input}
+
+            ${layerSummaries.map(({ layerIndex, summary }) => `Layer ${layerIndex + 1} summary:\n${summary}`).join('\n\n')}
+
+            Your task: Answer the user's request as a single JSON object with these fields:
+            ${describeSchema(schema)}
+
+            Build on the later layers where they refine earlier ones and resolve disagreements. Reply with the JSON object only.
+        `.trim();
+        let messages = [...this.getConversationHistory(conversation, model), { role: 'user', content: prompt }];
+        const requestOptions = { model, temperature, max_tokens: maxTokens, signal, response_format: { type: 'json_object' } };
+        const startedAt = this.now();
+        const structured = { valid: false, data: null, attempts: 0, errors: [] };
+        let tokens = 0;
+        let outcome;
+
+        try {
+            while (structured.attempts <= maxRetries) {
+                if (structured.attempts > 0 && budget.isLimited && (budget.isTimeUp() || !budget.canAfford({
+                    tokens: getTokenCount(messages, model) + budget.outputAllowance(requestOptions),
+                    requests: 1,
+                }))) {
+                    this.reportSacrifice(budget, {
+                        type: 'structured_retry_skipped',
+                        model,
+                        detail: `No budget left to ask again after ${structured.attempts} invalid answer(s)`,
+                    });
+                    break;
+                }
+                budget.countRequest();
+                structured.attempts++;
+                const reply = await this.client.complete(messages, requestOptions);
+                tokens += getTokenCount([...messages, { role: 'assistant', content: reply || '' }], model);
+                const { data, errors } = parseStructuredOutput(schema, reply);
+                Object.assign(structured, { data, errors, raw: reply || '' });
+                if (errors.length === 0) {
+                    structured.valid = true;
+                    delete structured.raw;
+                    break;
+                }
+                logger.warn(`Structured answer ${structured.attempts} did not match the schema: ${errors.join('; ')}`);
+                if (structured.attempts <= maxRetries) {
+                    this.emit('final:retry', { model, attempt: structured.attempts, errors });
+                    messages = [
+                        ...messages,
+                        { role: 'assistant', content: reply || '' },
+                        { role: 'user', content: `Your answer does not match the required JSON format:\n${errors.map(error => `- ${error}`).join('\n')}\nReply with the corrected JSON object only.` },
+                    ];
+                }
+            }
+            outcome = structured.valid
+                ? { model, status: 'success', answer: JSON.stringify(structured.data, null, 2), tokens }
+                : { model, status: 'failure', answer: '', tokens, error: `The answer did not match the output schema after ${structured.attempts} attempt(s)` };
+        } catch (error) {
+            if (isAbortError(error)) {
+                outcome = { model, status: 'cancelled', answer: '', tokens };
+            } else {
+                logger.error(`Error generating the structured answer with ${model}; keeping the last layer summary:`, error);
+                structured.errors = [...structured.errors, error.message];
+                outcome = { model, status: 'failure', answer: '', tokens, error: error.message };
+            }
+        }
+        outcome.latency = this.now() - startedAt;
+        outcome.structured = structured;
+        this.emit('final:done', outcome);
+        return outcome;
+    }
+
+    /**
+     * Checks whether the main model should synthesize the final answer.
+     * @returns {boolean} True when a main model is set and config.final_synthesis.enabled is not false.
+     */
+    isFinalSynthesisEnabled() {
+        const settings = this.config.final_synthesis;
+        return Boolean(this.config.main_model) && (!settings || settings.enabled !== false);
+    }
+
+    /**
+     * Streams a completion through the client and reports every chunk.
+     *
+     * @param {Array} messages - Array of message objects.
+     * @param {Object} options - Completion options.
+     * @param {function(string): void} onToken - Called for every chunk.
+     * @returns {Promise<string>} The full response text once the stream is complete.
+     */
+    async streamCompletion(messages, options, onToken) {
+        let fullText = '';
+        for await (const token of this.client.stream(messages, options)) {
+            if (!token) continue;
+            fullText += token;
+            onToken(token);
+        }
+        return fullText;
+    }
+
+    /**
+     * Checks whether answers should be streamed token by token.
+     * @returns {boolean} False only when config.streaming.enabled is explicitly false.
+     */
+    isStreamingEnabled() {
+        return !this.config.streaming || this.config.streaming.enabled !== false;
+    }
+
+    /**
+     * Returns the execution mode of a layer from config.layer_settings.
+     * @param {number} layerIndex - Index of the layer.
+     * @returns {string} 'parallel' (the default), 'sequential' or 'debate'.
+     */
+    getLayerExecutionMode(layerIndex) {
+        const settings = (this.config.layer_settings || [])[layerIndex] || {};
+        return ['sequential', 'debate'].includes(settings.execution_mode) ? settings.execution_mode : 'parallel';
+    }
+
+    /**
+     * Returns the aggregator name of a layer from config.layer_settings.
+     * @param {number} layerIndex - Index of the layer.
+     * @returns {string} The aggregator name; 'moderator' by default in a debate layer, 'weighted_synthesis' otherwise.
+     */
+    getLayerAggregator(layerIndex) {
+        const settings = (this.config.layer_settings || [])[layerIndex] || {};
+        if (settings.aggregator) {
+            return settings.aggregator;
+        }
+        return settings.execution_mode === 'debate' ? 'moderator' : DEFAULT_AGGREGATOR;
+    }
+
+    /**
+     * Returns the debate settings of a layer: config.debate, overridden by layer_settings[i].debate.
+     * @param {number} layerIndex - Index of the layer.
+     * @returns {{rounds: number, convergenceThreshold: number, moderatorModel: string|null}} The settings.
+     */
+    getDebateSettings(layerIndex) {
+        const layerSettings = ((this.config.layer_settings || [])[layerIndex] || {}).debate || {};
+        const settings = { ...(this.config.debate || {}), ...layerSettings };
+        return {
+            rounds: Number.isInteger(settings.rounds) && settings.rounds > 0 ? settings.rounds : DEFAULT_DEBATE_ROUNDS,
+            convergenceThreshold: typeof settings.convergence_threshold === 'number' ? settings.convergence_threshold : DEFAULT_CONVERGENCE_THRESHOLD,
+            moderatorModel: settings.moderator_model || null,
+        };
+    }
+
+    /**
+     * Returns the prior turns of a conversation that fit config.conversation_memory.max_history_tokens.
+     * @param {Conversation} [conversation] - The conversation to read from.
+     * @param {string} model - Model whose tokenizer is used to measure the budget.
+     * @returns {Array<{role: string, content: string}>} Prior turns, oldest first; empty when memory is disabled.
+     */
+    getConversationHistory(conversation, model) {
+        const memory = this.config.conversation_memory;
+        if (!conversation || (memory && memory.enabled === false)) {
+            return [];
+        }
+        const maxTokens = (memory && memory.max_history_tokens) || 2000;
+        return conversation.getHistoryWindow(maxTokens, model);
+    }
+}
+
+/**
+ * Describes what is left of a budget.
+ * @param {{tokens: number, requests: number, time: number}} remaining - RunBudget.remaining().
+ * @returns {string} e.g. '1200 tokens, 3 requests left'.
+ */
+function describeRemaining(remaining) {
+    const parts = [];
+    if (remaining.tokens !== Infinity) parts.push(`${Math.max(0, remaining.tokens)} tokens`);
+    if (remaining.requests !== Infinity) parts.push(`${Math.max(0, remaining.requests)} requests`);
+    if (remaining.time !== Infinity) parts.push(`${Math.max(0, Math.round(remaining.time))} ms`);
+    return `${parts.join(', ')} left`;
+}
+
+/**
+ * Builds the prompt of an agent.
+ * @param {string} systemContext - The system context string.
+ * @param {string} context - The context handed down from the previous layer.
+ * @param {string[]|null} previousInsights - Insights of earlier agents in the layer (sequential mode only).
+ * @returns {string} The agent prompt.
+ */
+function buildAgentInput(systemContext, context, previousInsights) {
+    const insightsSection = previousInsights
+        ? `\n\nPrevious agent insights:\n${previousInsights.join('\n')}`
+        : '';
+    const task = previousInsights
+        ? 'Process the given context, consider previous agent insights, and provide your unique perspective.'
+        : 'Process the given context and provide your unique perspective.';
+    return `${systemContext}\n\nContext: ${context}${insightsSection}\n\nYour task: ${task}`;
+}
+
+/**
+ * Builds the prompt of a debate round: the agent's own latest answer and the other agents'.
+ * @param {string} systemContext - The system context string.
+ * @param {string} context - The context the layer works on.
+ * @param {number} agentIndex - The agent the prompt is for.
+ * @param {Array<{output: string}|null>} positions - Every agent's latest answer.
+ * @returns {string} The agent prompt.
+ */
+function buildDebateInput(systemContext, context, agentIndex, positions) {
+    const others = positions
+        .map((position, j) => (position && j !== agentIndex ? `Agent ${j + 1}: ${position.output}` : null))
+        .filter(Boolean);
+    return `${systemContext}
+
+Context: ${context}
+
+Your previous answer:
+${positions[agentIndex].output}
+
+The other agents' answers:
+${others.join('\n\n')}
+
+Your task: Critique the other agents' answers, pointing out errors and gaps, and reconsider your own. Then give your revised answer: keep what was right, fix what was wrong and adopt better arguments from the others.
+Reply in the form:
+Critique: <your critique>
+Revised answer: <your complete revised answer>`;
+}
+
+/**
+ * Splits a debate reply into its critique and its revised answer.
+ * @param {string} output - The agent's reply.
+ * @returns {{critique: string, answer: string}} Without a "Revised answer:" marker the whole reply is the answer.
+ */
+function parseDebateReply(output) {
+    const match = output.match(/revised answer\s*:/i);
+    if (!match) {
+        return { critique: '', answer: output.trim() };
+    }
+    const answer = output.slice(match.index + match[0].length).trim();
+    return {
+        critique: output.slice(0, match.index).replace(/^\s*critique\s*:/i, '').trim(),
+        answer: answer || output.trim(),
+    };
+}
+
+/**
+ * Measures how much a set of answers agree: the mean pairwise word overlap (Jaccard).
+ * @param {string[]} answers - At least two answers.
+ * @returns {number} The agreement, between 0 and 1.
+ */
+function measureAgreement(answers) {
+    const sets = answers.map(toWordSet);
+    let total = 0;
+    let pairs = 0;
+    for (let a = 0; a < sets.length; a++) {
+        for (let b = a + 1; b < sets.length; b++) {
+            total += jaccardSimilarity(sets[a], sets[b]);
+            pairs++;
+        }
+    }
+    return total / pairs;
+}
+
+/**
+ * Lists the agents of a layer that produced output, with their weights normalized.
+ * @param {Array} layer - The layer's agent entries.
+ * @param {Array<Object|null>} agentResults - Results of runAgent, aligned with the layer.
+ * @returns {Array<{agentIndex: number, model: string, specialization: string, output: string, weight: number}>} The candidates.
+ */
+function buildCandidates(layer, agentResults) {
+    const outputs = agentResults
+        .map((result, j) => ({ result, j }))
+        .filter(({ result }) => result && result.output);
+    const weights = normalizeWeights(outputs.map(({ j }) => layer[j].weight));
+    return outputs.map(({ result, j }, index) => ({
+        agentIndex: j,
+        model: result.model,
+        specialization: layer[j].specialization,
+        output: result.output,
+        weight: weights[index],
+    }));
+}
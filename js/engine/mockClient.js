@@ -0,0 +1,201 @@
+// engine/mockClient.js
+
+import { hashValue } from '../utils/hash.js';
+import { getTokenCount } from '../utils/tokenUtils.js';
+import { createAbortError, throwIfAborted } from '../utils/abort.js';
+import { createProviderError } from '../providers/http.js';
+
+/**
+ * Deterministic model client for running the engine without a network.
+ *
+ * It has the same `complete` / `stream` contract as the browser client. Every request is
+ * answered by the first rule that fits it; without one, the fallback answers with a fixed
+ * text derived from the model and the last message, so the same request always gets the
+ * same answer.
+ *
+ * A rule fits a request when both its `model` and its `match` do (a missing one fits any
+ * request):
+ * - `model` is a model name or a RegExp tested against it
+ * - `match` is a string (found in any message), a RegExp (tested against every message) or
+ *   a function `(messages, options) => boolean`
+ *
+ * Its `response` is a string or a function `(messages, options) => string`. A string is a
+ * template: `{{model}}`, `{{prompt}}` (the last message), `{{call}}` (the number of the
+ * request, from 1) and `{{hash}}` (a hash of the model and the last message) are replaced.
+ *
+ * `errors` makes requests fail the way a real API does, to exercise retries and fallback
+ * chains. An error rule fits requests like a response rule, and fails:
+ * - every fitting request, the first `times` of them, or every `every`-th one
+ * - with `type` 'rate_limit' (status 429, with `retryAfterMs`), 'server_error' (status 500)
+ *   or 'timeout' (after `afterMs`, a 'TimeoutError')
+ *
+ * Every answered request is listed in `calls` with realistic `usage` (prompt and completion
+ * tokens, estimated as for the real models); `usage` sums them up.
+ *
+ * Usage example:
+ * ```javascript
+ * const client = createMockClient({
+ *     rules: [
+ *         { match: 'capital of France', response: 'Paris' },
+ *         { model: 'gemma-7b-it', response: '{{model}} thinks about: {{prompt}}' },
+ *     ],
+ *     errors: [{ model: 'mixtral-8x7b-32768', type: 'rate_limit', times: 2 }],
+ *     delayMs: 200,
+ *     tokenDelayMs: 20,
+ * });
+ * const engine = new MoaEngine({ config: moaConfig, client });
+ * await engine.run('What is the capital of France?');
+ * client.calls.length; // Requests the run made
+ * client.usage.total_tokens; // Tokens they would have used
+ * ```
+ *
+ * Meant as the `client` of runEvaluation (js/eval/evaluation.js), of a MoaEngine in a script,
+ * or, through the 'mock' provider type (js/providers/mockProvider.js), of the whole app.
+ */
+
+// Wait of a simulated timeout when its rule sets none
+export const DEFAULT_MOCK_TIMEOUT_MS = 1000;
+
+/**
+ * Creates a mock model client.
+ * @param {Object} [options={}] - Mock options.
+ * @param {Array<{model: (string|RegExp), match: (string|RegExp|Function), response: (string|Function)}>} [options.rules=[]] - Scripted answers.
+ * @param {function(Array, Object): string} [options.fallback] - Answer when no rule fits.
+ * @param {Array<{type: string, model: (string|RegExp), match: (string|RegExp|Function), times: number, every: number, afterMs: number, retryAfterMs: number}>} [options.errors=[]] -
+ *        Simulated failures.
+ * @param {number} [options.delayMs=0] - Delay before an answer, or before its first streamed word.
+ * @param {number} [options.tokenDelayMs=delayMs] - Delay between streamed words.
+ * @param {string} [options.name='mock'] - Provider name in the errors.
+ * @returns {{complete: Function, stream: Function, calls: Array<Object>, usage: Object}} The client;
+ *          `calls` lists the requests it got (`{ model, messages, response, usage }`, or `{ model, messages, error }`
+ *          for a failed one) and `usage` is `{ requests, errors, prompt_tokens, completion_tokens, total_tokens }`.
+ */
+export function createMockClient({ rules = [], fallback = defaultResponse, errors = [], delayMs = 0, tokenDelayMs = delayMs, name = 'mock' } = {}) {
+    const calls = [];
+    const usage = { requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const errorCounts = errors.map(() => ({ fitting: 0, fired: 0 }));
+
+    const fail = async (messages, options) => {
+        const index = errors.findIndex((rule, i) => fits(rule, messages, options) && shouldFail(rule, errorCounts[i]));
+        if (index === -1) {
+            return;
+        }
+        const rule = errors[index];
+        errorCounts[index].fired++;
+        usage.requests++;
+        usage.errors++;
+        calls.push({ model: options.model, messages, error: rule.type });
+        throw await createMockError(rule, options, name);
+    };
+
+    const respond = (messages, options) => {
+        const rule = rules.find(candidate => fits(candidate, messages, options));
+        const response = String(rule
+            ? (typeof rule.response === 'function' ? rule.response(messages, options) : fillTemplate(rule.response, messages, options, calls.length + 1))
+            : fallback(messages, options));
+        const callUsage = measureUsage(messages, response, options.model);
+        usage.requests++;
+        usage.prompt_tokens += callUsage.prompt_tokens;
+        usage.completion_tokens += callUsage.completion_tokens;
+        usage.total_tokens += callUsage.total_tokens;
+        calls.push({ model: options.model, messages, response, usage: callUsage });
+        return response;
+    };
+
+    return {
+        calls,
+        usage,
+
+        async complete(messages, options = {}) {
+            await wait(delayMs, options.signal);
+            await fail(messages, options);
+            return respond(messages, options);
+        },
+
+        async *stream(messages, options = {}) {
+            await fail(messages, options);
+            const response = respond(messages, options);
+            const words = response.match(/\S+\s*/g) || [];
+            for (let i = 0; i < words.length; i++) {
+                await wait(i === 0 ? delayMs : tokenDelayMs, options.signal);
+                yield words[i];
+            }
+        },
+    };
+}
+
+function fits({ model, match }, messages, options) {
+    if (model !== undefined && !(model instanceof RegExp ? model.test(options.model) : model === options.model)) {
+        return false;
+    }
+    if (match === undefined) {
+        return true;
+    }
+    if (typeof match === 'function') {
+        return match(messages, options);
+    }
+    return messages.some(({ content }) => (
+        match instanceof RegExp ? match.test(content) : String(content).includes(match)
+    ));
+}
+
+// Counts the fitting request and tells whether it fails
+function shouldFail({ times, every }, counts) {
+    counts.fitting++;
+    if (times !== undefined && counts.fired >= times) {
+        return false;
+    }
+    return !every || counts.fitting % every === 0;
+}
+
+async function createMockError({ type, afterMs = DEFAULT_MOCK_TIMEOUT_MS, retryAfterMs = 1000 }, options, name) {
+    switch (type) {
+        case 'rate_limit':
+            return createProviderError(name, 429, `Rate limit reached for model ${options.model}`, retryAfterMs);
+        case 'server_error':
+            return createProviderError(name, 500, 'Internal server error');
+        case 'timeout': {
+            await wait(afterMs, options.signal);
+            const error = new Error(`${name} request to ${options.model} timed out after ${afterMs} ms`);
+            error.name = 'TimeoutError';
+            return error;
+        }
+        default:
+            return new Error(`Unknown mock error type: ${type}`);
+    }
+}
+
+function fillTemplate(template, messages, options, call) {
+    const prompt = messages.length > 0 ? messages[messages.length - 1].content : '';
+    const values = { model: options.model, prompt, call, hash: hashValue([options.model, prompt]) };
+    return String(template).replace(/\{\{(\w+)\}\}/g, (placeholder, key) => (key in values ? String(values[key]) : placeholder));
+}
+
+function measureUsage(messages, response, model) {
+    const promptTokens = getTokenCount(messages, model);
+    const completionTokens = getTokenCount([{ role: 'assistant', content: response }], model);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+// e.g. 'Mock answer 3f2a9c1b from llama3-8b-8192.'
+function defaultResponse(messages, options) {
+    return `Mock answer ${hashValue([options.model, messages[messages.length - 1].content])} from ${options.model}.`;
+}
+
+function wait(ms, signal) {
+    throwIfAborted(signal);
+    if (!ms) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
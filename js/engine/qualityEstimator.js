@@ -0,0 +1,142 @@
+// engine/qualityEstimator.js
+
+import { logger } from '../utils/logger.js';
+import { isAbortError } from '../utils/abort.js';
+import { toWordSet, jaccardSimilarity, extractJson } from '../utils/textAnalysis.js';
+
+/**
+ * Output quality estimators used for adaptive early exit.
+ *
+ * After each layer summary the engine scores the summary between 0 and 1. Once the score
+ * reaches `adaptive_threshold.output_quality`, the remaining layers are skipped.
+ * `adaptive_threshold.early_exit.estimator` selects the estimator:
+ *
+ * - 'heuristic' (default, no model call) combines
+ *   - agreement: how much the agents' answers overlap with each other
+ *   - support: how much of the summary is backed by the agents' answers
+ *   - completeness: whether the summary has a reasonable length
+ *   - reliability: the share of the layer's agents that produced an answer
+ * - 'llm' asks the summary model to rate the summary as an answer to the request
+ *
+ * Usage example:
+ * ```javascript
+ * const score = await estimateOutputQuality('heuristic', { summary, candidates, agentCount: 3 });
+ * if (score >= moaConfig.adaptive_threshold.output_quality) { ...skip remaining layers... }
+ * ```
+ *
+ * Files using this function:
+ * - js/engine/moaEngine.js
+ */
+
+// Words in a summary below which it is treated as incomplete
+const MIN_COMPLETE_WORDS = 40;
+
+// Pairwise word overlap of free-text answers rarely exceeds ~0.4 even when they agree
+const AGREEMENT_SCALE = 2.5;
+
+// Agreement carries the score: support, completeness and reliability are close to 1 for
+// almost any synthesized summary, so on their own they must stay well below a pass. With
+// these weights the agents' answers need a mean pairwise overlap of about 0.18 to reach the
+// default output_quality of 0.7; unrelated answers overlap far less.
+const HEURISTIC_WEIGHTS = {
+    agreement: 0.55,
+    support: 0.25,
+    completeness: 0.1,
+    reliability: 0.1,
+};
+
+/**
+ * Scores a layer summary between 0 and 1.
+ *
+ * @param {string} estimator - 'heuristic' or 'llm'.
+ * @param {Object} params - What to score.
+ * @param {string} params.summary - The layer summary.
+ * @param {string} params.context - The request the layer answered.
+ * @param {Array<{output: string}>} params.candidates - The agent answers the summary was built from.
+ * @param {number} params.agentCount - Number of agents in the layer, including failed ones.
+ * @param {function(string): Promise<string>} [params.ask] - Calls the summary model; required by 'llm'.
+ * @returns {Promise<number>} The estimated quality.
+ */
+export async function estimateOutputQuality(estimator, params) {
+    if (estimator === 'llm') {
+        return estimateWithModel(params);
+    }
+    return estimateHeuristically(params);
+}
+
+/**
+ * Heuristic estimate; see the module documentation for the components.
+ * @param {Object} params - See estimateOutputQuality.
+ * @returns {number} The estimated quality.
+ */
+export function estimateHeuristically({ summary, candidates, agentCount }) {
+    if (typeof summary !== 'string' || !summary.trim() || candidates.length === 0) {
+        return 0;
+    }
+
+    const answerSets = candidates.map(candidate => toWordSet(candidate.output));
+    const summarySet = toWordSet(summary);
+
+    let agreement = 1;
+    if (answerSets.length > 1) {
+        let total = 0;
+        let pairs = 0;
+        for (let a = 0; a < answerSets.length; a++) {
+            for (let b = a + 1; b < answerSets.length; b++) {
+                total += jaccardSimilarity(answerSets[a], answerSets[b]);
+                pairs++;
+            }
+        }
+        agreement = Math.min(1, (total / pairs) * AGREEMENT_SCALE);
+    }
+
+    const answerWords = new Set(answerSets.flatMap(set => [...set]));
+    const supported = [...summarySet].filter(word => answerWords.has(word)).length;
+    const support = summarySet.size > 0 ? supported / summarySet.size : 0;
+
+    const completeness = Math.min(1, summary.trim().split(/\s+/).length / MIN_COMPLETE_WORDS);
+    const reliability = agentCount > 0 ? Math.min(1, candidates.length / agentCount) : 1;
+
+    const score = HEURISTIC_WEIGHTS.agreement * agreement
+        + HEURISTIC_WEIGHTS.support * support
+        + HEURISTIC_WEIGHTS.completeness * completeness
+        + HEURISTIC_WEIGHTS.reliability * reliability;
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Asks the summary model to rate the summary. Falls back to the heuristic when the
+ * model's reply cannot be used.
+ * @param {Object} params - See estimateOutputQuality.
+ * @returns {Promise<number>} The estimated quality.
+ */
+async function estimateWithModel(params) {
+    const { summary, context, ask } = params;
+    if (typeof ask !== 'function') {
+        throw new Error("The 'llm' quality estimator needs a model to ask");
+    }
+
+    const prompt = `
+        Rate how well the answer below responds to the request, from 0 (useless) to 1 (complete, correct and clear).
+
+        Request: ${context}
+
+        Answer:
+        ${summary}
+
+        Reply with JSON only, in the form {"score": <number between 0 and 1>}.
+    `.trim();
+
+    try {
+        const parsed = extractJson(await ask(prompt));
+        const score = Number(parsed && parsed.score);
+        if (Number.isFinite(score)) {
+            return Math.max(0, Math.min(1, score));
+        }
+        logger.warn('Quality rating reply had no usable score; using the heuristic estimate');
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        logger.warn('Quality rating failed; using the heuristic estimate:', error);
+    }
+    return estimateHeuristically(params);
+}
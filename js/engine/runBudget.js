@@ -0,0 +1,262 @@
+// engine/runBudget.js
+
+import { getMostEfficientModel, getModelInfo } from '../config/model-config.js';
+
+/**
+ * Per-run budget of tokens, wall time and model requests.
+ *
+ * The limits come from `moaConfig.budget` (`max_tokens`, `max_time` in ms, `max_requests`;
+ * null means no limit) and can be overridden for a single run with the `budget` run option
+ * (`{ maxTokens, maxTime, maxRequests }`). Without any limit the budget only counts.
+ *
+ * The engine asks the budget before it spends:
+ * - before a layer (or a level of the agent graph), the cost of every agent is estimated
+ *   (prompt tokens plus an output allowance: the agent's `max_tokens` or
+ *   `budget.output_token_estimate`), leaving room for the layer summary and the final
+ *   synthesis; the lowest-weight agents that do not fit are dropped, and when none fits the
+ *   remaining layers are skipped (the first layer always runs its highest-weight agent)
+ * - when the remaining time would not cover another layer at the pace so far, the agents
+ *   switch to the most efficient model for their task (getMostEfficientModel in
+ *   js/config/model-config.js)
+ * - a fallback attempt is only made while the budget allows another request
+ * - the final synthesis is skipped, keeping the last layer summary, when it does not fit
+ *
+ * Every such decision is a sacrifice: it is reported with a `budget:sacrifice` event and
+ * listed in the run result's `budget` report.
+ *
+ * Usage example:
+ * ```javascript
+ * const budget = RunBudget.fromSettings(moaConfig.budget, { maxTokens: 8000 });
+ * const detach = budget.attach(engine);
+ * if (budget.canAfford({ tokens: 1200, requests: 1 })) { ... }
+ * budget.report(); // { limits, used, exceeded, sacrifices }
+ * ```
+ *
+ * Files using this class:
+ * - js/engine/moaEngine.js
+ */
+
+// Output tokens assumed for a request without max_tokens
+const DEFAULT_OUTPUT_TOKEN_ESTIMATE = 512;
+
+/**
+ * @typedef {Object} BudgetSacrifice
+ * @property {string} type - 'agent_dropped', 'model_downgraded', 'fallback_skipped', 'layer_skipped',
+ *           'debate_round_skipped', 'final_synthesis_skipped' or 'structured_retry_skipped'.
+ * @property {number} [layerIndex] - Layer concerned.
+ * @property {number} [agentIndex] - Agent concerned.
+ * @property {string} [model] - Model that was dropped, replaced or not tried.
+ * @property {string} [replacement] - The cheaper model used instead ('model_downgraded').
+ * @property {string} detail - Human-readable explanation.
+ *
+ * @typedef {Object} BudgetReport
+ * @property {{maxTokens: number|null, maxTime: number|null, maxRequests: number|null}} limits - The limits of the run.
+ * @property {{tokens: number, requests: number, timeMs: number}} used - What the run used.
+ * @property {string[]} exceeded - The limits that were overrun ('tokens', 'time', 'requests').
+ * @property {BudgetSacrifice[]} sacrifices - What was given up to stay within the limits.
+ */
+export class RunBudget {
+    /**
+     * @param {Object} [limits={}] - Limits; missing, null or non-positive values mean no limit.
+     * @param {number} [limits.maxTokens] - Maximum tokens (prompts and outputs of every request).
+     * @param {number} [limits.maxTime] - Maximum wall time in milliseconds.
+     * @param {number} [limits.maxRequests] - Maximum model requests.
+     * @param {Object} [options={}] - Budget options.
+     * @param {number} [options.outputTokenEstimate=512] - Output tokens assumed for a request without max_tokens.
+     * @param {function(): number} [options.now=Date.now] - Clock used for the time limit.
+     */
+    constructor(limits = {}, { outputTokenEstimate = DEFAULT_OUTPUT_TOKEN_ESTIMATE, now = Date.now } = {}) {
+        this.limits = {
+            maxTokens: toLimit(limits.maxTokens),
+            maxTime: toLimit(limits.maxTime),
+            maxRequests: toLimit(limits.maxRequests),
+        };
+        this.outputTokenEstimate = outputTokenEstimate;
+        this.now = now;
+        this.startedAt = now();
+        this.tokens = 0;
+        this.requests = 0;
+        this.sacrifices = [];
+    }
+
+    /**
+     * Creates the budget of a run from the configured budget and the run's own limits.
+     * @param {Object} [settings] - config.budget (`max_tokens`, `max_time`, `max_requests`, `output_token_estimate`).
+     * @param {Object} [overrides] - The run's `budget` option (`maxTokens`, `maxTime`, `maxRequests`).
+     * @param {function(): number} [now=Date.now] - Clock used for the time limit.
+     * @returns {RunBudget} The budget.
+     */
+    static fromSettings(settings, overrides, now = Date.now) {
+        const configured = settings || {};
+        const run = overrides || {};
+        const pick = (runValue, configValue) => (runValue !== undefined ? runValue : configValue);
+        return new RunBudget({
+            maxTokens: pick(run.maxTokens, configured.max_tokens),
+            maxTime: pick(run.maxTime, configured.max_time),
+            maxRequests: pick(run.maxRequests, configured.max_requests),
+        }, {
+            outputTokenEstimate: configured.output_token_estimate || DEFAULT_OUTPUT_TOKEN_ESTIMATE,
+            now,
+        });
+    }
+
+    /**
+     * Whether any limit is set.
+     * @returns {boolean} True when the run is limited.
+     */
+    get isLimited() {
+        const { maxTokens, maxTime, maxRequests } = this.limits;
+        return maxTokens !== null || maxTime !== null || maxRequests !== null;
+    }
+
+    /**
+     * Starts counting the tokens reported by an engine's events (the same tokens as the run
+     * result's usage).
+     * @param {EventEmitter} engine - The engine to listen to.
+     * @returns {Function} Stops counting.
+     */
+    attach(engine) {
+        const count = ({ tokens }) => {
+            this.tokens += tokens || 0;
+        };
+        const unsubscribers = [
+            engine.on('agent:done', count),
+            engine.on('layer:summary', count),
+            engine.on('final:done', count),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Counts a model request; called right before the request is made.
+     */
+    countRequest() {
+        this.requests++;
+    }
+
+    /**
+     * @returns {number} Milliseconds since the run started.
+     */
+    elapsed() {
+        return this.now() - this.startedAt;
+    }
+
+    /**
+     * What is left of every limit.
+     * @returns {{tokens: number, requests: number, time: number}} Remaining amounts; Infinity without a limit.
+     */
+    remaining() {
+        const { maxTokens, maxTime, maxRequests } = this.limits;
+        return {
+            tokens: maxTokens === null ? Infinity : maxTokens - this.tokens,
+            requests: maxRequests === null ? Infinity : maxRequests - this.requests,
+            time: maxTime === null ? Infinity : maxTime - this.elapsed(),
+        };
+    }
+
+    /**
+     * Checks whether a cost fits in what is left.
+     * @param {{tokens?: number, requests?: number}} cost - Estimated cost.
+     * @returns {boolean} True if neither the tokens nor the requests would exceed their limit.
+     */
+    canAfford({ tokens = 0, requests = 0 }) {
+        const remaining = this.remaining();
+        return tokens <= remaining.tokens && requests <= remaining.requests;
+    }
+
+    /**
+     * @returns {boolean} True once the time limit has been reached.
+     */
+    isTimeUp() {
+        return this.remaining().time <= 0;
+    }
+
+    /**
+     * Output tokens to assume for a request.
+     * @param {Object} [requestConfig] - The agent entry or request options; its max_tokens wins.
+     * @returns {number} The output allowance.
+     */
+    outputAllowance(requestConfig) {
+        const maxTokens = requestConfig && requestConfig.max_tokens;
+        return typeof maxTokens === 'number' && maxTokens > 0 ? maxTokens : this.outputTokenEstimate;
+    }
+
+    /**
+     * Records a sacrifice.
+     * @param {BudgetSacrifice} sacrifice - What was given up.
+     * @returns {BudgetSacrifice} The sacrifice.
+     */
+    sacrifice(sacrifice) {
+        this.sacrifices.push(sacrifice);
+        return sacrifice;
+    }
+
+    /**
+     * @returns {BudgetReport} The limits, the usage and the sacrifices of the run.
+     */
+    report() {
+        const { maxTokens, maxTime, maxRequests } = this.limits;
+        const used = { tokens: this.tokens, requests: this.requests, timeMs: this.elapsed() };
+        const exceeded = [];
+        if (maxTokens !== null && used.tokens > maxTokens) exceeded.push('tokens');
+        if (maxTime !== null && used.timeMs > maxTime) exceeded.push('time');
+        if (maxRequests !== null && used.requests > maxRequests) exceeded.push('requests');
+        return { limits: { ...this.limits }, used, exceeded, sacrifices: [...this.sacrifices] };
+    }
+}
+
+/**
+ * Picks the agents of a layer that fit in the budget, highest weight first.
+ *
+ * @param {RunBudget} budget - The run's budget.
+ * @param {Array<{agentIndex: number, weight?: number, tokens: number, requests?: number}>} agents - Every agent
+ *        of the layer with its estimated cost; `requests` defaults to 1 (more for an agent that samples).
+ * @param {function(number): {tokens: number, requests: number}} reserveFor - Cost that must stay available
+ *        once the given number of agents has run (layer summary and final synthesis).
+ * @param {boolean} [runAtLeastOne=false] - Keep the highest-weight agent even if it does not fit.
+ * @returns {{kept: number[], dropped: number[]}} Agent indices to run and to drop.
+ */
+export function fitAgentsInBudget(budget, agents, reserveFor, runAtLeastOne = false) {
+    const byWeight = [...agents].sort((a, b) => (b.weight || 0) - (a.weight || 0) || a.agentIndex - b.agentIndex);
+    const kept = [];
+    let tokens = 0;
+    let requests = 0;
+    for (const agent of byWeight) {
+        const reserve = reserveFor(kept.length + 1);
+        const cost = {
+            tokens: tokens + agent.tokens + reserve.tokens,
+            requests: requests + (agent.requests || 1) + reserve.requests,
+        };
+        if (budget.canAfford(cost) || (runAtLeastOne && kept.length === 0)) {
+            kept.push(agent.agentIndex);
+            tokens += agent.tokens;
+            requests += agent.requests || 1;
+        }
+    }
+    const keptSet = new Set(kept);
+    return {
+        kept: kept.sort((a, b) => a - b),
+        dropped: agents.map(agent => agent.agentIndex).filter(index => !keptSet.has(index)),
+    };
+}
+
+/**
+ * Finds a cheaper model for the same task: the most efficient model (see getMostEfficientModel)
+ * among those suited to the model's main task that can hold the request.
+ *
+ * @param {string} model - The configured model.
+ * @param {number} contextLength - Tokens the request needs (prompt and output).
+ * @returns {string|null} The cheaper model, or null if the model is already the most efficient one.
+ */
+export function findCheaperModel(model, contextLength) {
+    const info = getModelInfo(model);
+    if (!info || info.bestFor.length === 0) {
+        return null;
+    }
+    const cheaper = getMostEfficientModel(info.bestFor[0], contextLength);
+    return cheaper && cheaper !== model ? cheaper : null;
+}
+
+function toLimit(value) {
+    return typeof value === 'number' && value > 0 ? value : null;
+}
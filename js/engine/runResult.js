@@ -0,0 +1,299 @@
+// engine/runResult.js
+
+/**
+ * The structured result of an MOA run.
+ *
+ * @typedef {Object} MoaAgentTrace
+ * @property {number} agentIndex - Index of the agent within its layer.
+ * @property {string} model - Model that produced the output (the fallback model, if one took over).
+ * @property {string} prompt - The prompt sent to the agent, without conversation history.
+ * @property {string} output - The agent's output ('' if it failed).
+ * @property {number} tokens - Tokens used by the successful (or cancelled) attempt.
+ * @property {number} latency - Milliseconds from the first attempt to the outcome.
+ * @property {string} status - 'success', 'failure' or 'cancelled'.
+ * @property {string} [error] - Error message of the last failed attempt.
+ * @property {Array<{model: string, fallbackModel: string, error: string}>} fallbackAttempts - Failed attempts that led to a fallback model.
+ * @property {{samples: number, succeeded: number, strategy: string, agreement: number, selected: number}} [sampling] -
+ *           How the output was selected from the agent's samples (self-consistency; tokens are those of every sample).
+ * @property {Array<{round: number, status: string, output: string, tokens: number}>} [rounds] - Every round of a debate
+ *           layer; `tokens` is then the sum over the rounds and `output` the last successful reply.
+ *
+ * @typedef {Object} MoaLayerTrace
+ * @property {number} layerIndex - Index of the layer.
+ * @property {string} status - 'success', 'failure', 'cancelled' or 'skipped'.
+ * @property {string} [executionMode] - 'parallel', 'sequential', 'debate' or 'graph'.
+ * @property {string} [aggregator] - Name of the aggregator.
+ * @property {string} [summaryModel] - Model used by the aggregator.
+ * @property {string} [summary] - The layer summary.
+ * @property {number} [summaryTokens] - Tokens used by the aggregator.
+ * @property {number} [quality] - Estimated quality of the summary (adaptive early exit).
+ * @property {string} [note] - The aggregator's note on how the summary was chosen.
+ * @property {{reason: string, detail: string}} [skipped] - Why the layer was skipped.
+ * @property {{rounds: Array<{round: number, agreement: number, stability?: number, converged: boolean}>}} [debate] -
+ *           Agreement between the agents after every round of a debate layer.
+ * @property {string} [error] - Error message if the summary failed.
+ * @property {number} latency - Milliseconds from the start of the layer to its summary.
+ * @property {MoaAgentTrace[]} agents - The agents that ran, by agent index.
+ *
+ * @typedef {Object} MoaRunResult
+ * @property {string} input - The user's message.
+ * @property {string} finalAnswer - The answer to show the user.
+ * @property {boolean} cancelled - Whether the run was stopped.
+ * @property {MoaLayerTrace[]} layers - The per-layer trace.
+ * @property {{model: string, status: string, tokens: number, latency: number, error?: string}|null} finalSynthesis -
+ *           The main model's final synthesis step, or null if it did not run.
+ * @property {{agentTokens: number, summaryTokens: number, finalTokens: number, totalTokens: number}} usage - Token usage.
+ * @property {{startedAt: number, completedAt: number, totalMs: number}} timings - Wall-clock timings (epoch ms).
+ * @property {BudgetReport|null} budget - The run's budget limits, usage and sacrifices (see js/engine/runBudget.js),
+ *           or null if the run had no budget.
+ * @property {{valid: boolean, data: Object|null, attempts: number, errors: string[], raw?: string}} [structured] - Runs
+ *           with an output schema only: the parsed answer, whether it matches the schema, the attempts it took, the
+ *           last validation errors and, if it never matched, the last raw reply. `finalAnswer` is then the JSON text.
+ *
+ * Usage example:
+ * ```javascript
+ * const result = await engine.run('Explain quantum tunnelling.');
+ * result.finalAnswer;                    // The answer
+ * result.layers[0].agents[1].latency;    // How long the second agent of the first layer took
+ * result.usage.totalTokens;              // Tokens used by agents, summaries and the final answer
+ * ```
+ *
+ * Files using these helpers:
+ * - js/engine/moaEngine.js
+ * - js/chat/chatInteractions.js
+ */
+
+/**
+ * Builds a MoaRunResult from the events of a MoaEngine run.
+ *
+ * The engine attaches a recorder at the start of every run; times are taken when the
+ * events arrive.
+ *
+ * Usage example:
+ * ```javascript
+ * const recorder = new RunRecorder(input);
+ * const detach = recorder.attach(engine);
+ * // ... run ...
+ * detach();
+ * const result = recorder.finish({ finalAnswer, cancelled });
+ * ```
+ */
+export class RunRecorder {
+    /**
+     * @param {string} input - The user's message.
+     * @param {function(): number} [now=Date.now] - Clock used for the timings.
+     */
+    constructor(input, now = Date.now) {
+        this.input = input;
+        this.now = now;
+        this.startedAt = now();
+        this.layers = new Map();
+        this.agentStarts = new Map();
+        this.finalSynthesis = null;
+    }
+
+    /**
+     * Starts recording the events of an engine.
+     * @param {EventEmitter} engine - The engine to listen to.
+     * @returns {Function} Stops recording.
+     */
+    attach(engine) {
+        const unsubscribers = [
+            engine.on('layer:start', (payload) => this.onLayerStart(payload)),
+            engine.on('agent:start', (payload) => this.onAgentStart(payload)),
+            engine.on('agent:fallback', (payload) => this.onAgentFallback(payload)),
+            engine.on('agent:done', (payload) => this.onAgentDone(payload)),
+            engine.on('debate:round', (payload) => this.onDebateRound(payload)),
+            engine.on('layer:summary', (payload) => this.onLayerSummary(payload)),
+            engine.on('layer:skipped', (payload) => this.onLayerSkipped(payload)),
+            engine.on('final:done', (payload) => this.onFinalDone(payload)),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    onLayerStart({ layerIndex, executionMode }) {
+        const layer = this.getLayer(layerIndex);
+        layer.executionMode = executionMode;
+        layer.startedAt = this.now();
+    }
+
+    onAgentStart({ layerIndex, agentIndex, model, prompt }) {
+        const agent = this.getAgent(layerIndex, agentIndex);
+        const key = `${layerIndex}:${agentIndex}`;
+        if (!this.agentStarts.has(key)) {
+            this.agentStarts.set(key, this.now());
+        }
+        agent.model = model;
+        if (prompt !== undefined) {
+            agent.prompt = prompt;
+        }
+    }
+
+    onAgentFallback({ layerIndex, agentIndex, model, fallbackModel, error }) {
+        this.getAgent(layerIndex, agentIndex).fallbackAttempts.push({ model, fallbackModel, error });
+    }
+
+    onAgentDone({ layerIndex, agentIndex, round, model, status, output, tokens, sampling, error }) {
+        const agent = this.getAgent(layerIndex, agentIndex);
+        if (sampling) {
+            agent.sampling = sampling;
+        }
+        const startedAt = this.agentStarts.get(`${layerIndex}:${agentIndex}`) || this.now();
+        if (round !== undefined) {
+            // A debater keeps its last answer when a later round fails
+            agent.rounds = [...(agent.rounds || []), { round, status, output: output || '', tokens: tokens || 0 }];
+            agent.tokens += tokens || 0;
+            agent.latency = this.now() - startedAt;
+            agent.model = model || agent.model;
+            if (status === 'success' || !agent.output) {
+                Object.assign(agent, { status, output: output || '' });
+            }
+            if (error) {
+                agent.error = error;
+            }
+            return;
+        }
+        Object.assign(agent, {
+            model: model || agent.model,
+            status,
+            output: output || '',
+            tokens: tokens || 0,
+            latency: this.now() - startedAt,
+        });
+        if (error) {
+            agent.error = error;
+        }
+    }
+
+    onDebateRound({ layerIndex, round, agreement, stability, converged }) {
+        const layer = this.getLayer(layerIndex);
+        layer.debate = layer.debate || { rounds: [] };
+        layer.debate.rounds.push({ round, agreement, stability, converged });
+    }
+
+    onLayerSummary({ layerIndex, model, aggregator, status, summary, tokens, quality, note, error }) {
+        const layer = this.getLayer(layerIndex);
+        Object.assign(layer, {
+            status,
+            aggregator,
+            summaryModel: model,
+            summary: summary || '',
+            summaryTokens: tokens || 0,
+            latency: layer.startedAt ? this.now() - layer.startedAt : 0,
+        });
+        if (quality !== undefined) layer.quality = quality;
+        if (note) layer.note = note;
+        if (error) layer.error = error;
+    }
+
+    onLayerSkipped({ layerIndex, reason, detail }) {
+        Object.assign(this.getLayer(layerIndex), { status: 'skipped', skipped: { reason, detail } });
+    }
+
+    onFinalDone({ model, status, tokens, latency, error }) {
+        this.finalSynthesis = { model, status, tokens: tokens || 0, latency: latency || 0 };
+        if (error) {
+            this.finalSynthesis.error = error;
+        }
+    }
+
+    /**
+     * Completes the result.
+     * @param {Object} outcome - How the run ended.
+     * @param {string} outcome.finalAnswer - The answer to show the user.
+     * @param {boolean} outcome.cancelled - Whether the run was stopped.
+     * @param {BudgetReport|null} [outcome.budget=null] - The budget report, if the run had a budget.
+     * @param {Object} [outcome.structured] - The structured outcome, if the run had an output schema.
+     * @returns {MoaRunResult} The result.
+     */
+    finish({ finalAnswer, cancelled, budget = null, structured }) {
+        const completedAt = this.now();
+        const layers = [...this.layers.values()]
+            .sort((a, b) => a.layerIndex - b.layerIndex)
+            .map(({ startedAt, agents, ...layer }) => ({
+                ...layer,
+                agents: [...agents.values()].sort((a, b) => a.agentIndex - b.agentIndex),
+            }));
+
+        const agentTokens = layers.reduce((sum, layer) => sum + layer.agents.reduce((total, agent) => total + agent.tokens, 0), 0);
+        const summaryTokens = layers.reduce((sum, layer) => sum + (layer.summaryTokens || 0), 0);
+        const finalTokens = this.finalSynthesis ? this.finalSynthesis.tokens : 0;
+
+        const result = {
+            input: this.input,
+            finalAnswer,
+            cancelled,
+            layers,
+            finalSynthesis: this.finalSynthesis,
+            usage: {
+                agentTokens,
+                summaryTokens,
+                finalTokens,
+                totalTokens: agentTokens + summaryTokens + finalTokens,
+            },
+            timings: {
+                startedAt: this.startedAt,
+                completedAt,
+                totalMs: completedAt - this.startedAt,
+            },
+            budget,
+        };
+        if (structured) {
+            result.structured = structured;
+        }
+        return result;
+    }
+
+    getLayer(layerIndex) {
+        if (!this.layers.has(layerIndex)) {
+            this.layers.set(layerIndex, { layerIndex, status: 'pending', latency: 0, agents: new Map() });
+        }
+        return this.layers.get(layerIndex);
+    }
+
+    getAgent(layerIndex, agentIndex) {
+        const agents = this.getLayer(layerIndex).agents;
+        if (!agents.has(agentIndex)) {
+            agents.set(agentIndex, {
+                agentIndex,
+                model: '',
+                prompt: '',
+                output: '',
+                tokens: 0,
+                latency: 0,
+                status: 'pending',
+                fallbackAttempts: [],
+            });
+        }
+        return agents.get(agentIndex);
+    }
+}
+
+/**
+ * Builds a result for an answer that did not come from the layers (e.g. function calling or
+ * an error message).
+ * @param {string} input - The user's message.
+ * @param {Object} [fields={}] - Result fields.
+ * @param {string} [fields.finalAnswer=''] - The answer to show the user.
+ * @param {number} [fields.totalTokens=0] - Tokens used.
+ * @param {boolean} [fields.cancelled=false] - Whether the run was stopped.
+ * @param {string} [fields.error] - Error message, if the run failed.
+ * @returns {MoaRunResult} The result, with no layers.
+ */
+export function createRunResult(input, { finalAnswer = '', totalTokens = 0, cancelled = false, error } = {}) {
+    const now = Date.now();
+    const result = {
+        input,
+        finalAnswer,
+        cancelled,
+        layers: [],
+        finalSynthesis: null,
+        usage: { agentTokens: totalTokens, summaryTokens: 0, finalTokens: 0, totalTokens },
+        timings: { startedAt: now, completedAt: now, totalMs: 0 },
+        budget: null,
+    };
+    if (error) {
+        result.error = error;
+    }
+    return result;
+}
@@ -0,0 +1,452 @@
+// engine/runTrace.js
+
+import { MoaEngine, MOA_ENGINE_EVENTS } from './moaEngine.js';
+import { Conversation } from '../chat/conversation.js';
+import { generateUniqueId } from '../utils/idGenerator.js';
+import { createAbortError, throwIfAborted } from '../utils/abort.js';
+
+/**
+ * Record-and-replay of MOA runs.
+ *
+ * A run depends on more than its input: temperatures, fallbacks and rate-limit waits make
+ * every run different. A trace captures everything needed to reproduce one:
+ *
+ * - `config`: a snapshot of the MOA configuration the run used
+ * - `input`, `systemContext` and `history`: what the engine was asked, with the conversation so far
+ * - `budget`: the run's own budget limits, if any
+ * - `calls`: every model call in the order it was made, with the exact messages, the options,
+ *   the raw response (and its chunks when streamed), the error if it failed, the time spent
+ *   waiting for the rate limiter, and when it started and completed
+ * - `events`: the engine events of the run (without the per-token events), which include the
+ *   fallback decisions, layer summaries and early exits
+ * - `result`: the MoaRunResult (see js/engine/runResult.js)
+ *
+ * How it works:
+ * 1. TraceRecorder wraps the model client, so every call and its outcome are recorded, and
+ *    listens to the engine's events
+ * 2. replayTrace runs a new MoaEngine on the recorded config, input and history with a replay
+ *    client: each call is answered with the recorded response for the same model and messages,
+ *    and recorded errors are thrown again, so the fallbacks are taken again. No API call is made,
+ *    and a call the trace does not contain fails with an error
+ * 3. The replay's clock follows the recorded call times, so the processing time limit of the
+ *    adaptive early exit triggers as it did in the recorded run
+ * 4. The replay is itself recorded, and diffTraces lists where two traces differ
+ *
+ * Usage example:
+ * ```javascript
+ * const recorder = new TraceRecorder({ config: moaConfig, input, systemContext, conversation });
+ * const engine = new MoaEngine({ config: moaConfig, client: recorder.wrapClient(client) });
+ * const detach = recorder.attach(engine);
+ * const result = await engine.run(input, { conversation, systemContext });
+ * detach();
+ * const trace = recorder.finish(result);
+ *
+ * const replay = await replayTrace(trace, {
+ *     step: async (call) => console.log(`Call ${call.seq}: ${call.model}`),
+ * });
+ * diffTraces(trace, replay.trace); // [] when the replay behaved like the recorded run
+ * ```
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ *
+ * Role in program logic:
+ * Lets a run with a bad answer be reproduced and stepped through without API calls, and be
+ * compared with another run of the same request.
+ */
+
+export const TRACE_VERSION = 1;
+
+// Events that are not part of the timeline: the tokens are already in the recorded responses
+const UNTRACED_EVENTS = new Set(['agent:token', 'summary:token', 'final:token']);
+
+/**
+ * Records a trace of one MOA run.
+ */
+export class TraceRecorder {
+    /**
+     * @param {Object} params - What the run starts from.
+     * @param {Object} params.config - The MOA configuration of the run; a copy is kept.
+     * @param {string} params.input - The user's message.
+     * @param {string} [params.systemContext=''] - The system context of the run.
+     * @param {Conversation} [params.conversation] - The conversation before the run.
+     * @param {Object} [params.budget] - The `budget` run option.
+     * @param {function(): number} [params.now=Date.now] - Clock used for the call times.
+     */
+    constructor({ config, input, systemContext = '', conversation = null, budget = null, now = Date.now }) {
+        this.now = now;
+        this.startedAt = now();
+        this.config = cloneJson(config);
+        this.input = input;
+        this.systemContext = systemContext;
+        this.budget = cloneJson(budget);
+        this.history = conversation
+            ? { maxTurns: conversation.maxTurns, turns: conversation.turns.map(turn => ({ ...turn })) }
+            : null;
+        this.calls = [];
+        this.events = [];
+    }
+
+    /**
+     * Wraps a model client so that every call is recorded.
+     * @param {{complete: Function, stream: Function}} client - The client the engine would use.
+     * @returns {{complete: Function, stream: Function}} A client with the same behavior.
+     */
+    wrapClient(client) {
+        const recorder = this;
+        return {
+            async complete(messages, options) {
+                const call = recorder.startCall(messages, options, false);
+                try {
+                    const response = await client.complete(messages, recorder.withWaitReporting(call, options));
+                    call.response = response;
+                    return response;
+                } catch (error) {
+                    call.error = describeError(error);
+                    throw error;
+                } finally {
+                    call.completedAt = recorder.elapsed();
+                }
+            },
+
+            async *stream(messages, options) {
+                const call = recorder.startCall(messages, options, true);
+                try {
+                    for await (const chunk of client.stream(messages, recorder.withWaitReporting(call, options))) {
+                        call.chunks.push(chunk);
+                        yield chunk;
+                    }
+                    call.response = call.chunks.join('');
+                } catch (error) {
+                    call.error = describeError(error);
+                    call.response = call.chunks.join('');
+                    throw error;
+                } finally {
+                    call.completedAt = recorder.elapsed();
+                }
+            },
+        };
+    }
+
+    /**
+     * Starts recording the events of an engine.
+     * @param {EventEmitter} engine - The engine to listen to.
+     * @returns {Function} Stops recording.
+     */
+    attach(engine) {
+        const unsubscribers = MOA_ENGINE_EVENTS
+            .filter(event => !UNTRACED_EVENTS.has(event))
+            .map(event => engine.on(event, (payload) => {
+                this.events.push({ at: this.elapsed(), event, payload: toEventRecord(event, payload) });
+            }));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Completes the trace.
+     * @param {MoaRunResult} result - The result of the run.
+     * @returns {Object} The trace; plain JSON, so it can be stored or downloaded.
+     */
+    finish(result) {
+        return {
+            version: TRACE_VERSION,
+            id: generateUniqueId(),
+            recordedAt: this.startedAt,
+            input: this.input,
+            systemContext: this.systemContext,
+            budget: this.budget,
+            history: this.history,
+            config: this.config,
+            calls: this.calls,
+            events: this.events,
+            result: cloneJson(result),
+        };
+    }
+
+    startCall(messages, options, stream) {
+        const call = {
+            seq: this.calls.length,
+            model: options.model,
+            temperature: options.temperature,
+            max_tokens: options.max_tokens,
+            stream,
+            messages: cloneJson(messages),
+            chunks: [],
+            response: null,
+            error: null,
+            rateLimitWaitMs: 0,
+            startedAt: this.elapsed(),
+            completedAt: null,
+        };
+        this.calls.push(call);
+        return call;
+    }
+
+    withWaitReporting(call, options) {
+        return {
+            ...options,
+            onRateLimitWait: (ms) => {
+                call.rateLimitWaitMs += ms;
+                if (typeof options.onRateLimitWait === 'function') {
+                    options.onRateLimitWait(ms);
+                }
+            },
+        };
+    }
+
+    elapsed() {
+        return this.now() - this.startedAt;
+    }
+}
+
+/**
+ * Creates a model client that answers from a trace instead of calling the models.
+ *
+ * Calls are matched on model and messages; when the same call was made several times
+ * (e.g. two identical agents), the recorded answers are used in their recorded order.
+ *
+ * @param {Object} trace - A trace from TraceRecorder.finish.
+ * @param {Object} [options={}] - Replay options.
+ * @param {function(Object): (void|Promise<void>)} [options.step] - Called with the recorded call
+ *        before it is answered; the replay waits for it, which allows stepping through the run.
+ * @returns {{complete: Function, stream: Function, now: function(): number, getUnusedCalls: function(): Object[]}}
+ *          The client, the replay clock to hand to the engine, and the recorded calls that were not replayed.
+ */
+export function createReplayClient(trace, { step } = {}) {
+    const pending = new Map();
+    for (const call of trace.calls) {
+        const key = getCallKey(call.model, call.messages);
+        if (!pending.has(key)) {
+            pending.set(key, []);
+        }
+        pending.get(key).push(call);
+    }
+    let clock = 0;
+
+    const take = async (messages, options) => {
+        throwIfAborted(options.signal);
+        const queue = pending.get(getCallKey(options.model, messages));
+        if (!queue || queue.length === 0) {
+            throw new Error(`No recorded response for a ${options.model} call in trace ${trace.id}; the replay diverged from the recorded run`);
+        }
+        const call = queue.shift();
+        if (step) {
+            await step(call);
+            throwIfAborted(options.signal);
+        }
+        if (call.rateLimitWaitMs > 0 && typeof options.onRateLimitWait === 'function') {
+            options.onRateLimitWait(call.rateLimitWaitMs);
+        }
+        return call;
+    };
+
+    const finishCall = (call) => {
+        clock = Math.max(clock, call.completedAt || 0);
+        if (call.error) {
+            throw toError(call.error);
+        }
+    };
+
+    return {
+        async complete(messages, options) {
+            const call = await take(messages, options);
+            finishCall(call);
+            return call.response;
+        },
+
+        async *stream(messages, options) {
+            const call = await take(messages, options);
+            const chunks = call.chunks.length > 0 || call.error ? call.chunks : [call.response || ''];
+            for (const chunk of chunks) {
+                throwIfAborted(options.signal);
+                yield chunk;
+            }
+            finishCall(call);
+        },
+
+        now: () => trace.recordedAt + clock,
+
+        getUnusedCalls: () => [...pending.values()].flat().sort((a, b) => a.seq - b.seq),
+    };
+}
+
+/**
+ * Re-executes a trace against its recorded responses, without API calls.
+ *
+ * @param {Object} trace - A trace from TraceRecorder.finish.
+ * @param {Object} [options={}] - Replay options.
+ * @param {function(Object): (void|Promise<void>)} [options.step] - See createReplayClient.
+ * @param {function(MoaEngine): (Function|void)} [options.onEngine] - Called with the replay engine
+ *        before it runs, e.g. to subscribe the chat view; may return a function that unsubscribes.
+ * @param {AbortSignal} [options.signal] - Signal that stops the replay.
+ * @returns {Promise<{result: MoaRunResult, trace: Object, unusedCalls: Object[]}>} The result of the
+ *          replay, its own trace (to diff against the recorded one) and the recorded calls it did not make.
+ * @throws {Error} If the trace has an unsupported version.
+ */
+export async function replayTrace(trace, { step, onEngine, signal } = {}) {
+    if (!trace || trace.version !== TRACE_VERSION) {
+        throw new Error(`Unsupported trace version: ${trace && trace.version}`);
+    }
+
+    const client = createReplayClient(trace, { step });
+    const config = cloneJson(trace.config);
+    const conversation = trace.history ? restoreConversation(trace.history) : null;
+    // The replay is recorded too, so that it can be diffed against the original
+    const recorder = new TraceRecorder({
+        config,
+        input: trace.input,
+        systemContext: trace.systemContext,
+        conversation,
+        budget: trace.budget,
+        now: client.now,
+    });
+    const engine = new MoaEngine({ config, client: recorder.wrapClient(client), now: client.now });
+    const detach = recorder.attach(engine);
+    const unsubscribe = onEngine ? onEngine(engine) : null;
+
+    try {
+        const result = await engine.run(trace.input, {
+            conversation,
+            signal,
+            systemContext: trace.systemContext,
+            budget: trace.budget || undefined,
+        });
+        return { result, trace: recorder.finish(result), unusedCalls: client.getUnusedCalls() };
+    } finally {
+        detach();
+        if (typeof unsubscribe === 'function') {
+            unsubscribe();
+        }
+    }
+}
+
+/**
+ * Lists the differences between two traces, e.g. a run and its replay, or two runs of the
+ * same request with different configurations.
+ *
+ * Compared: the configuration (setting by setting), the input, the final answer, every
+ * layer's status, aggregator and summary, every agent's model, status, output, tokens and
+ * fallbacks, the final synthesis, the token usage and the budget sacrifices.
+ *
+ * @param {Object} before - The first trace.
+ * @param {Object} after - The second trace.
+ * @param {Object} [options={}] - Diff options.
+ * @param {boolean} [options.timings=false] - Also compare latencies and total run time.
+ * @returns {Array<{path: string, before: *, after: *}>} The differences; empty when the traces match.
+ */
+export function diffTraces(before, after, { timings = false } = {}) {
+    const differences = [];
+    const compare = (path, a, b) => {
+        if (!isEqual(a, b)) {
+            differences.push({ path, before: a, after: b });
+        }
+    };
+
+    const beforeConfig = flatten(before.config);
+    const afterConfig = flatten(after.config);
+    for (const key of new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)])) {
+        compare(`config.${key}`, beforeConfig[key], afterConfig[key]);
+    }
+    compare('input', before.input, after.input);
+
+    const a = before.result;
+    const b = after.result;
+    compare('finalAnswer', a.finalAnswer, b.finalAnswer);
+    compare('cancelled', a.cancelled, b.cancelled);
+
+    const layerCount = Math.max(a.layers.length, b.layers.length);
+    for (let i = 0; i < layerCount; i++) {
+        const layerA = a.layers[i] || { agents: [] };
+        const layerB = b.layers[i] || { agents: [] };
+        const layerPath = `layers[${i}]`;
+        for (const field of ['status', 'executionMode', 'aggregator', 'summaryModel', 'summary', 'summaryTokens', 'quality', 'skipped', 'error']) {
+            compare(`${layerPath}.${field}`, layerA[field], layerB[field]);
+        }
+        const agentCount = Math.max(layerA.agents.length, layerB.agents.length);
+        for (let j = 0; j < agentCount; j++) {
+            const agentA = layerA.agents[j] || {};
+            const agentB = layerB.agents[j] || {};
+            const agentPath = `${layerPath}.agents[${j}]`;
+            for (const field of ['model', 'status', 'output', 'tokens', 'error', 'fallbackAttempts']) {
+                compare(`${agentPath}.${field}`, agentA[field], agentB[field]);
+            }
+            if (timings) {
+                compare(`${agentPath}.latency`, agentA.latency, agentB.latency);
+            }
+        }
+        if (timings) {
+            compare(`${layerPath}.latency`, layerA.latency, layerB.latency);
+        }
+    }
+
+    const synthesisA = a.finalSynthesis || {};
+    const synthesisB = b.finalSynthesis || {};
+    for (const field of ['model', 'status', 'tokens', 'error']) {
+        compare(`finalSynthesis.${field}`, synthesisA[field], synthesisB[field]);
+    }
+    compare('usage', a.usage, b.usage);
+    compare('budget.sacrifices', a.budget && a.budget.sacrifices, b.budget && b.budget.sacrifices);
+    if (timings) {
+        compare('timings.totalMs', a.timings.totalMs, b.timings.totalMs);
+    }
+    return differences;
+}
+
+function restoreConversation({ maxTurns, turns }) {
+    const conversation = new Conversation({ maxTurns });
+    conversation.turns = turns.map(turn => ({ ...turn }));
+    return conversation;
+}
+
+function getCallKey(model, messages) {
+    return `${model}\u0000${JSON.stringify(messages)}`;
+}
+
+function describeError(error) {
+    return {
+        name: (error && error.name) || 'Error',
+        message: (error && error.message) || String(error),
+    };
+}
+
+function toError({ name, message }) {
+    if (name === 'AbortError') {
+        return createAbortError(message);
+    }
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+// The per-agent results of layer:summary are already in the agent:done events
+function toEventRecord(event, payload) {
+    if (event === 'run:done') {
+        return { finalAnswer: payload.finalAnswer, cancelled: payload.cancelled };
+    }
+    if (event === 'layer:summary') {
+        const { agents, ...rest } = payload;
+        return cloneJson(rest);
+    }
+    return cloneJson(payload);
+}
+
+function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function flatten(value, prefix = '', out = {}) {
+    if (Array.isArray(value) && value.length > 0) {
+        value.forEach((child, index) => flatten(child, `${prefix}[${index}]`, out));
+    } else if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
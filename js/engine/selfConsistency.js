@@ -0,0 +1,100 @@
+// engine/selfConsistency.js
+
+import { normalizeText, toWordSet, jaccardSimilarity } from '../utils/textAnalysis.js';
+
+/**
+ * Self-consistency sampling: an agent entry with `samples: k` (k > 1) draws k answers at its
+ * temperature and passes on the one its `sample_selection` strategy picks.
+ *
+ * Strategies:
+ * - 'majority' (default): answers are normalized (case, punctuation, whitespace) and grouped;
+ *   the largest group wins, the earliest sample on a tie. When no two answers are the same,
+ *   which is common for long answers, the most central answer is taken instead
+ * - 'central': the answer with the highest mean word overlap (Jaccard) with the other samples
+ *
+ * The agreement ratio is the share of the samples that agree with the selected answer: the
+ * size of the winning group for 'majority', the samples whose word overlap with the selected
+ * answer reaches SAMPLE_AGREEMENT_SIMILARITY for 'central'.
+ *
+ * Usage example:
+ * ```javascript
+ * selectSample(['Paris', 'paris.', 'Lyon'], 'majority');
+ * // { index: 0, strategy: 'majority', agreement: 0.67 }
+ * ```
+ *
+ * Files using these helpers:
+ * - js/engine/moaEngine.js
+ * - js/config/configValidation.js
+ */
+
+export const DEFAULT_SAMPLE_STRATEGY = 'majority';
+
+// Word overlap from which a sample counts as agreeing with the most central answer
+export const SAMPLE_AGREEMENT_SIMILARITY = 0.5;
+
+const strategies = {
+    majority: selectMajority,
+    central: selectCentral,
+};
+
+/**
+ * Returns how many samples an agent entry draws.
+ * @param {Object} agentConfig - The agent entry from config.layers.
+ * @returns {number} `samples` if it is an integer above 1, otherwise 1.
+ */
+export function getSampleCount(agentConfig) {
+    const samples = agentConfig && agentConfig.samples;
+    return Number.isInteger(samples) && samples > 1 ? samples : 1;
+}
+
+/**
+ * Lists the names of the selection strategies.
+ * @returns {string[]} Strategy names.
+ */
+export function getSampleStrategyNames() {
+    return Object.keys(strategies);
+}
+
+/**
+ * Picks one of an agent's samples.
+ * @param {string[]} outputs - The samples' answers (at least one).
+ * @param {string} [strategy='majority'] - Selection strategy.
+ * @returns {{index: number, strategy: string, agreement: number}} The selected sample, the strategy
+ *          that selected it ('central' when 'majority' found no repeated answer) and the agreement ratio.
+ * @throws {Error} If the strategy is unknown.
+ */
+export function selectSample(outputs, strategy = DEFAULT_SAMPLE_STRATEGY) {
+    const select = strategies[strategy];
+    if (!select) {
+        throw new Error(`Unknown sample selection strategy: ${strategy}`);
+    }
+    if (outputs.length === 1) {
+        return { index: 0, strategy, agreement: 1 };
+    }
+    return select(outputs);
+}
+
+function selectMajority(outputs) {
+    const groups = new Map();
+    outputs.forEach((output, index) => {
+        const key = normalizeText(output);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(index);
+    });
+    const winner = [...groups.values()].reduce((a, b) => (b.length > a.length ? b : a));
+    if (winner.length === 1) {
+        return selectCentral(outputs);
+    }
+    return { index: winner[0], strategy: 'majority', agreement: winner.length / outputs.length };
+}
+
+function selectCentral(outputs) {
+    const sets = outputs.map(toWordSet);
+    const similarity = sets.map((a, x) => sets.map((b, y) => (x === y ? 1 : jaccardSimilarity(a, b))));
+    const centrality = similarity.map(row => (row.reduce((sum, value) => sum + value, 0) - 1) / (row.length - 1));
+    const index = centrality.reduce((best, value, k) => (value > centrality[best] ? k : best), 0);
+    const agreeing = similarity[index].filter(value => value >= SAMPLE_AGREEMENT_SIMILARITY).length;
+    return { index, strategy: 'central', agreement: agreeing / outputs.length };
+}
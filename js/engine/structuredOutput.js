@@ -0,0 +1,98 @@
+// engine/structuredOutput.js
+
+import { BaseModel } from '../models/functionModels.js';
+import { extractJson } from '../utils/textAnalysis.js';
+
+/**
+ * Output schemas of structured (JSON) runs.
+ *
+ * A run that declares an output schema ends with a structured synthesis instead of the prose
+ * one: the main model answers in JSON mode, the reply is validated against the schema and, if
+ * it does not match, the main model is asked again with the validation errors (see
+ * MoaEngine.synthesizeStructuredAnswer).
+ *
+ * A schema is a BaseModel subclass (js/models/functionModels.js), or a plain object of field
+ * options that is turned into one, which is what JSON configuration can hold:
+ *
+ * ```javascript
+ * class Verdict extends BaseModel {
+ *     static fields = {
+ *         answer: this.Field({ required: true, type: 'string', description: 'The answer' }),
+ *         confidence: this.Field({ type: 'number', description: 'Confidence from 0 to 1' }),
+ *     };
+ * }
+ * await engine.run('Is the earth flat?', { outputSchema: Verdict });
+ * // Same schema, as configuration:
+ * await engine.run('Is the earth flat?', {
+ *     outputSchema: { answer: { required: true, type: 'string', description: 'The answer' } },
+ * });
+ * ```
+ *
+ * Files using these helpers:
+ * - js/engine/moaEngine.js
+ * - js/config/configValidation.js
+ */
+
+/**
+ * Turns an output schema into a BaseModel subclass.
+ * @param {Function|Object} schema - A BaseModel subclass, or an object mapping field names to Field options.
+ * @returns {Function} The model class.
+ * @throws {Error} If the schema is neither, or a field's options are not an object.
+ */
+export function toSchemaModel(schema) {
+    if (typeof schema === 'function' && schema.prototype instanceof BaseModel) {
+        return schema;
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('An output schema must be a BaseModel subclass or an object of field definitions');
+    }
+    const fields = {};
+    for (const [name, options] of Object.entries(schema)) {
+        if (!options || typeof options !== 'object') {
+            throw new Error(`Output schema field "${name}" must be an object of field options`);
+        }
+        fields[name] = BaseModel.Field(options);
+    }
+    if (Object.keys(fields).length === 0) {
+        throw new Error('An output schema needs at least one field');
+    }
+    return class OutputSchema extends BaseModel {
+        static fields = fields;
+    };
+}
+
+/**
+ * Describes a schema's fields for a prompt.
+ * @param {Function} model - The model class.
+ * @returns {string} One line per field, e.g. `- "answer" (string, required): The answer`.
+ */
+export function describeSchema(model) {
+    return Object.entries(model.fields)
+        .map(([name, field]) => {
+            const traits = [field.type || 'any type', field.required ? 'required' : 'optional'].join(', ');
+            return `- "${name}" (${traits})${field.description ? `: ${field.description}` : ''}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Parses a model reply and validates it against a schema.
+ * @param {Function} model - The model class.
+ * @param {string} reply - The model's reply.
+ * @returns {{data: Object|null, errors: string[]}} The parsed object (null if the reply holds none) and
+ *          the validation errors; the reply matches the schema when `errors` is empty.
+ */
+export function parseStructuredOutput(model, reply) {
+    const text = String(reply || '').trim();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        // Tolerate a code fence or text around the object
+        data = extractJson(text);
+    }
+    if (data === null || data === undefined) {
+        return { data: null, errors: ['The reply is not valid JSON'] };
+    }
+    return { data, errors: model.findErrors(data) };
+}
@@ -0,0 +1,253 @@
+// eval/evaluation.js
+
+import { MoaEngine } from '../engine/moaEngine.js';
+import { getScorer } from './scorers.js';
+import { getTokenCount } from '../utils/tokenUtils.js';
+import { logger } from '../utils/logger.js';
+import { isAbortError, throwIfAborted } from '../utils/abort.js';
+
+/**
+ * Offline evaluation of MOA configurations against a fixed question set.
+ *
+ * How it works:
+ * 1. parseDataset reads a JSONL dataset: one item per line, with a `prompt` and optionally
+ *    a `reference` answer, `keywords` the answer should contain and an `id`
+ * 2. runEvaluation runs every item through every configuration with a fresh MoaEngine (no
+ *    conversation history, no chat, no cache) and scores the final answers with the chosen
+ *    scorers (see js/eval/scorers.js)
+ * 3. The report gives, per configuration, each scorer's mean score and accuracy (share of the
+ *    scored items that passed), token usage, latency and every item's result;
+ *    formatReport turns it into a text table
+ *
+ * Any model client with the engine's `complete` / `stream` contract can be evaluated; with
+ * createMockClient (js/engine/mockClient.js) the evaluation needs no network.
+ *
+ * Usage example:
+ * ```javascript
+ * const dataset = parseDataset(await (await fetch('eval/questions.jsonl')).text());
+ * const report = await runEvaluation({
+ *     dataset,
+ *     configs: [
+ *         { label: 'current', config: moaConfig },
+ *         { label: 'baseline', config: createBaselineConfig(moaConfig) },
+ *     ],
+ *     client: createMockClient(),
+ *     scorers: ['exact_match', 'keyword_recall', 'llm_judge'],
+ * });
+ * console.log(formatReport(report));
+ * ```
+ *
+ * Files using these helpers:
+ * - js/cli/moa.js (moa eval); also meant for scripts and the browser console
+ */
+
+/**
+ * @typedef {Object} EvalItem
+ * @property {string} id - Identifier of the item (its line number when the dataset has none).
+ * @property {string} prompt - The question.
+ * @property {string} [reference] - The expected answer.
+ * @property {string[]} [keywords] - Words or phrases the answer should contain.
+ */
+
+/**
+ * Parses a JSONL dataset. Blank lines are skipped; `question` / `input` are accepted for
+ * `prompt`, and `answer` for `reference`.
+ * @param {string} text - The dataset, one JSON object per line.
+ * @returns {EvalItem[]} The items.
+ * @throws {Error} If a line is not JSON or has no prompt; the message names the line.
+ */
+export function parseDataset(text) {
+    const items = [];
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        let raw;
+        try {
+            raw = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Dataset line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+        const prompt = raw.prompt || raw.question || raw.input;
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            throw new Error(`Dataset line ${index + 1} has no prompt`);
+        }
+        const reference = raw.reference !== undefined ? raw.reference : raw.answer;
+        items.push({
+            id: raw.id !== undefined ? String(raw.id) : String(index + 1),
+            prompt,
+            reference: reference !== undefined && reference !== null ? String(reference) : undefined,
+            keywords: Array.isArray(raw.keywords) ? raw.keywords.map(String) : undefined,
+        });
+    });
+    return items;
+}
+
+/**
+ * Runs a dataset through one or more configurations and scores the answers.
+ *
+ * @param {Object} params - Evaluation parameters.
+ * @param {EvalItem[]} params.dataset - The items (see parseDataset).
+ * @param {Array<{label: string, config: Object}>} params.configs - The configurations to evaluate.
+ * @param {{complete: Function, stream: Function}} params.client - Model client of the runs and the judge.
+ * @param {string[]} [params.scorers=['exact_match', 'keyword_recall']] - Names of the scorers to apply.
+ * @param {Object} [params.judge={}] - Judge model of 'llm_judge'.
+ * @param {string} [params.judge.model] - Defaults to the first configuration's main_model, so every
+ *        configuration is graded by the same model.
+ * @param {number} [params.judge.temperature=0] - Judge temperature.
+ * @param {AbortSignal} [params.signal] - Signal that stops the evaluation.
+ * @param {function(Object): void} [params.onProgress] - Called after every item with
+ *        `{ label, index, total, item, result }`.
+ * @returns {Promise<Object>} The report: `{ startedAt, completedAt, items, scorers, judgeModel,
+ *          configs: [{ label, summary, results }] }` (see summarizeResults for `summary`).
+ */
+export async function runEvaluation({ dataset, configs, client, scorers = ['exact_match', 'keyword_recall'], judge = {}, signal, onProgress }) {
+    const scorerFns = scorers.map(name => [name, getScorer(name)]);
+    const judgeModel = judge.model || configs[0].config.main_model;
+    const judgeTemperature = typeof judge.temperature === 'number' ? judge.temperature : 0;
+    const startedAt = Date.now();
+    const reports = [];
+
+    for (const { label, config } of configs) {
+        const results = [];
+        for (let index = 0; index < dataset.length; index++) {
+            throwIfAborted(signal);
+            const item = dataset[index];
+            const result = await evaluateItem({ item, config, client, scorerFns, signal, judgeModel, judgeTemperature });
+            results.push(result);
+            if (onProgress) {
+                onProgress({ label, index, total: dataset.length, item, result });
+            }
+        }
+        reports.push({ label, summary: summarizeResults(results, scorers), results });
+    }
+
+    return {
+        startedAt,
+        completedAt: Date.now(),
+        items: dataset.length,
+        scorers,
+        judgeModel: scorers.includes('llm_judge') ? judgeModel : null,
+        configs: reports,
+    };
+}
+
+/**
+ * Runs one item through a configuration and scores the answer.
+ *
+ * @param {Object} params - See runEvaluation.
+ * @returns {Promise<Object>} `{ id, prompt, reference, output, error?, tokens, latencyMs, judgeTokens,
+ *          scores: { [scorer]: {score, passed, detail?} | null } }`. A run or scorer failure is
+ *          recorded, not thrown; a scorer that failed has `{ error }` instead of a score.
+ */
+async function evaluateItem({ item, config, client, scorerFns, signal, judgeModel, judgeTemperature }) {
+    const evaluated = { id: item.id, prompt: item.prompt, reference: item.reference, output: '', tokens: 0, latencyMs: 0, judgeTokens: 0, scores: {} };
+
+    try {
+        const engine = new MoaEngine({ config, client });
+        const result = await engine.run(item.prompt, { signal });
+        if (result.cancelled) {
+            throwIfAborted(signal);
+        }
+        evaluated.output = result.finalAnswer;
+        evaluated.tokens = result.usage.totalTokens;
+        evaluated.latencyMs = result.timings.totalMs;
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        logger.error(`Evaluation run of item ${item.id} failed:`, error);
+        evaluated.error = error.message;
+        return evaluated;
+    }
+
+    const judgeFn = async (prompt) => {
+        const messages = [{ role: 'user', content: prompt }];
+        const reply = await client.complete(messages, { model: judgeModel, temperature: judgeTemperature, signal });
+        evaluated.judgeTokens += getTokenCount([...messages, { role: 'assistant', content: reply || '' }], judgeModel);
+        return reply;
+    };
+    for (const [name, scorer] of scorerFns) {
+        try {
+            evaluated.scores[name] = await scorer({ item, output: evaluated.output, judge: judgeFn });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            logger.warn(`Scorer ${name} failed on item ${item.id}:`, error);
+            evaluated.scores[name] = { error: error.message };
+        }
+    }
+    return evaluated;
+}
+
+/**
+ * Aggregates the item results of one configuration.
+ * @param {Object[]} results - Item results from runEvaluation.
+ * @param {string[]} scorers - Scorer names.
+ * @returns {{items: number, errors: number, scores: Object, tokens: {total: number, mean: number, judge: number},
+ *          latencyMs: {mean: number, p50: number, p95: number}}} `scores[name]` is `{ scored, mean, accuracy }`
+ *          over the items that scorer could score (mean and accuracy are null when there are none).
+ */
+export function summarizeResults(results, scorers) {
+    const completed = results.filter(result => !result.error);
+    const latencies = completed.map(result => result.latencyMs).sort((a, b) => a - b);
+    const totalTokens = completed.reduce((sum, result) => sum + result.tokens, 0);
+
+    const scores = {};
+    for (const name of scorers) {
+        const scored = completed
+            .map(result => result.scores[name])
+            .filter(score => score && typeof score.score === 'number');
+        scores[name] = {
+            scored: scored.length,
+            mean: scored.length > 0 ? scored.reduce((sum, score) => sum + score.score, 0) / scored.length : null,
+            accuracy: scored.length > 0 ? scored.filter(score => score.passed).length / scored.length : null,
+        };
+    }
+
+    return {
+        items: results.length,
+        errors: results.length - completed.length,
+        scores,
+        tokens: {
+            total: totalTokens,
+            mean: completed.length > 0 ? totalTokens / completed.length : 0,
+            judge: results.reduce((sum, result) => sum + result.judgeTokens, 0),
+        },
+        latencyMs: {
+            mean: latencies.length > 0 ? latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length : 0,
+            p50: percentile(latencies, 0.5),
+            p95: percentile(latencies, 0.95),
+        },
+    };
+}
+
+/**
+ * Formats a report as a text table, one row per configuration.
+ * @param {Object} report - The report from runEvaluation.
+ * @returns {string} The table.
+ */
+export function formatReport(report) {
+    const header = ['config', ...report.scorers.map(name => `${name} acc`), 'errors', 'tokens/item', 'latency p50', 'latency p95'];
+    const rows = report.configs.map(({ label, summary }) => [
+        label,
+        ...report.scorers.map(name => formatPercent(summary.scores[name].accuracy)),
+        `${summary.errors}/${summary.items}`,
+        String(Math.round(summary.tokens.mean)),
+        `${Math.round(summary.latencyMs.p50)} ms`,
+        `${Math.round(summary.latencyMs.p95)} ms`,
+    ]);
+    const widths = header.map((cell, column) => Math.max(cell.length, ...rows.map(row => row[column].length)));
+    const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    return [
+        `${report.items} items${report.judgeModel ? `, judged by ${report.judgeModel}` : ''}`,
+        line(header),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(line),
+    ].join('\n');
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function formatPercent(value) {
+    return value === null ? 'n/a' : `${Math.round(value * 100)}%`;
+}
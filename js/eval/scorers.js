@@ -0,0 +1,122 @@
+// eval/scorers.js
+
+import { normalizeText, toWordSet, extractJson } from '../utils/textAnalysis.js';
+
+/**
+ * Scorers of the offline evaluation.
+ *
+ * A scorer rates one output of the evaluated configuration against a dataset item. It is an
+ * async function that receives:
+ * - `item`: the dataset item (`prompt`, and the optional `reference` and `keywords`)
+ * - `output`: the final answer of the run
+ * - `judge(prompt)`: asks the judge model and resolves to its reply (see runEvaluation)
+ *
+ * and resolves to `{ score, passed, detail? }` with `score` between 0 and 1, or to null when
+ * the item cannot be scored that way (e.g. exact match without a reference). Built-in scorers:
+ *
+ * - 'exact_match': the normalized output equals the normalized reference
+ * - 'keyword_recall': the share of the item's keywords (or, without any, of the reference's
+ *   words) found in the output; passes from KEYWORD_RECALL_PASS
+ * - 'llm_judge': the judge model rates the answer from 1 to 10 (the score is the rating / 10),
+ *   against the reference when there is one; passes from LLM_JUDGE_PASS
+ *
+ * Usage example:
+ * ```javascript
+ * registerScorer('length_limit', async ({ output }) => {
+ *     const passed = output.split(/\s+/).length <= 100;
+ *     return { score: passed ? 1 : 0, passed };
+ * });
+ * await runEvaluation({ dataset, configs, client, scorers: ['exact_match', 'length_limit'] });
+ * ```
+ *
+ * Files using these scorers:
+ * - js/eval/evaluation.js
+ */
+
+// Share of the keywords an answer must contain to pass keyword_recall
+export const KEYWORD_RECALL_PASS = 0.5;
+
+// Judge score (normalized to 0..1) an answer must reach to pass llm_judge
+export const LLM_JUDGE_PASS = 0.7;
+
+const scorers = new Map();
+
+/**
+ * Registers (or replaces) a scorer.
+ * @param {string} name - Name used in the `scorers` option of runEvaluation.
+ * @param {Function} scorer - The scoring function.
+ */
+export function registerScorer(name, scorer) {
+    if (typeof scorer !== 'function') {
+        throw new Error(`Scorer "${name}" must be a function`);
+    }
+    scorers.set(name, scorer);
+}
+
+/**
+ * Returns a registered scorer.
+ * @param {string} name - Scorer name.
+ * @returns {Function} The scoring function.
+ * @throws {Error} If no scorer is registered under that name.
+ */
+export function getScorer(name) {
+    const scorer = scorers.get(name);
+    if (!scorer) {
+        throw new Error(`Unknown scorer: ${name}`);
+    }
+    return scorer;
+}
+
+/**
+ * Lists the names of the registered scorers.
+ * @returns {string[]} Scorer names.
+ */
+export function getScorerNames() {
+    return [...scorers.keys()];
+}
+
+registerScorer('exact_match', async ({ item, output }) => {
+    if (!item.reference) {
+        return null;
+    }
+    const passed = normalizeText(output) === normalizeText(item.reference);
+    return { score: passed ? 1 : 0, passed };
+});
+
+registerScorer('keyword_recall', async ({ item, output }) => {
+    const keywords = item.keywords && item.keywords.length > 0
+        ? item.keywords.map(normalizeText)
+        : [...toWordSet(item.reference || '')];
+    if (keywords.length === 0) {
+        return null;
+    }
+    const text = ` ${normalizeText(output)} `;
+    const found = keywords.filter(keyword => text.includes(` ${keyword} `));
+    const score = found.length / keywords.length;
+    return {
+        score,
+        passed: score >= KEYWORD_RECALL_PASS,
+        detail: `${found.length} of ${keywords.length} keywords`,
+    };
+});
+
+registerScorer('llm_judge', async ({ item, output, judge }) => {
+    const prompt = `
+        You are grading an answer to a question${item.reference ? ' against a reference answer' : ''}.
+
+        Question: ${item.prompt}
+        ${item.reference ? `\nReference answer: ${item.reference}\n` : ''}
+        Answer to grade: ${output}
+
+        Rate the answer from 1 (wrong or useless) to 10 (fully correct and complete)${item.reference ? ', judging correctness by the reference' : ''}.
+        Reply with JSON only, in the form {"score": <1-10>, "reason": "<one sentence>"}.
+    `.trim();
+
+    const verdict = extractJson(await judge(prompt));
+    const rating = verdict ? Number(verdict.score) : NaN;
+    if (!Number.isFinite(rating)) {
+        throw new Error('The judge returned no usable score');
+    }
+    const score = Math.min(Math.max(rating / 10, 0), 1);
+    return { score, passed: score >= LLM_JUDGE_PASS, detail: verdict.reason || `Rated ${rating}/10` };
+});
@@ -12,6 +12,8 @@
     const DEFAULT_MODEL = 'llama3-groq-70b-8192-tool-use-preview';
     const DEFAULT_MAX_TOKENS = 8192;
     const DEFAULT_TEMPERATURE = 0.7;
+    // Chat completion fields sent as given, when set
+    const OPTIONAL_FIELDS = ['stream', 'top_p', 'stop', 'seed', 'response_format', 'tools', 'tool_choice'];
 
     /**
      * Handles the response from the Groq API.
@@ -37,26 +39,75 @@
      * ensuring consistent behavior across different Groq API endpoints.
      */
     const handleResponse = async (response) => {
+        checkStatus(response);
+        return await response.json();
+    };
+
+    // Throws the error of a response whose status is not ok, with its `status`
+    const checkStatus = (response) => {
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
-        return await response.json();
     };
 
+    /**
+     * Reads a streamed chat completion: the server-sent events of the response, each a
+     * chat completion chunk (`{ choices: [{ delta: { content } }] }`), until `data: [DONE]`.
+     * 
+     * @param {Response} response - The fetch Response object of a request with `stream: true`
+     * @returns {AsyncGenerator<Object>} The parsed chunks
+     * @throws {Error} If an event is not JSON, or the stream breaks
+     * 
+     * Usage example:
+     * for await (const chunk of readChunks(response)) {
+     *   console.log(chunk.choices[0].delta.content);
+     * }
+     * 
+     * Other files that use this function:
+     * - This function is used internally by createChatCompletion
+     */
+    async function* readChunks(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                buffer += decoder.decode(value, { stream: !done });
+                const lines = buffer.split('\n');
+                buffer = done ? '' : lines.pop();
+                for (const line of lines) {
+                    const data = line.trim();
+                    if (!data.startsWith('data:')) continue;
+                    if (data.slice(5).trim() === '[DONE]') return;
+                    yield JSON.parse(data.slice(5));
+                }
+                if (done) return;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
     class Groq {
         /**
          * Creates a new Groq instance.
          * 
          * This constructor:
          * 1. Validates that an API key is provided
-         * 2. Sets up the API key for use in requests
+         * 2. Sets up the API key and base URL for use in requests
          * 3. Initializes the chat and models properties with their respective methods
          * 
-         * @param {string} apiKey - The API key for authenticating with Groq
+         * @param {string} apiKey - The API key for authenticating with Groq (or a proxy session token)
+         * @param {Object} [options={}] - Client options
+         * @param {string} [options.baseUrl=API_BASE_URL] - API base URL, e.g. the app server's proxy '/api/groq'
          * @throws {Error} If no API key is provided
          * 
          * Usage example:
          * const groq = new Groq('your-api-key-here');
+         * const proxied = new Groq(sessionToken, { baseUrl: '/api/groq' });
          * 
          * Other files that use this constructor:
          * - Any file that needs to interact with the Groq API
@@ -66,11 +117,12 @@
          * for interacting with the Groq API. It sets up the necessary authentication
          * and provides methods for making API calls.
          */
-        constructor(apiKey) {
+        constructor(apiKey, { baseUrl = API_BASE_URL } = {}) {
             if (!apiKey) {
                 throw new Error('API key is required');
             }
             this.apiKey = apiKey;
+            this.baseUrl = baseUrl;
             this.chat = {
                 completions: {
                     create: this.createChatCompletion.bind(this)
@@ -87,20 +139,31 @@
          * This method:
          * 1. Prepares the request options with default values and user input
          * 2. Sends a POST request to the Groq API's chat completions endpoint
-         * 3. Handles the response using the handleResponse function
+         * 3. Handles the response using the handleResponse function, or with `stream: true`
+         *    returns the chunks of the streamed response as they arrive
          * 
          * @param {Object} options - The options for creating a chat completion
          * @param {string} [options.model=DEFAULT_MODEL] - The model to use for completion
          * @param {Array} options.messages - The messages to use for completion
          * @param {number} [options.max_tokens=DEFAULT_MAX_TOKENS] - The maximum number of tokens to generate
          * @param {number} [options.temperature=DEFAULT_TEMPERATURE] - The sampling temperature to use
-         * @returns {Promise<Object>} The chat completion response from the API
-         * @throws {Error} If there's an error during the API call
+         * @param {boolean} [options.stream=false] - Stream the response as server-sent events
+         * @param {{type: string}} [options.response_format] - e.g. `{ type: 'json_object' }` for JSON mode; `top_p`,
+         *        `stop`, `seed`, `tools` and `tool_choice` are forwarded as well
+         * @param {Object} [requestOptions={}] - Options of the HTTP request
+         * @param {AbortSignal} [requestOptions.signal] - Aborts the request (and a streamed response) with an AbortError
+         * @returns {Promise<Object|AsyncGenerator<Object>>} The chat completion response from the API, or
+         *          with `stream` an async iterable of its chunks
+         * @throws {Error} If there's an error during the API call (with the HTTP `status` if the API refused it)
          * 
          * Usage example:
          * const completion = await groq.chat.completions.create({
          *   messages: [{ role: 'user', content: 'Hello, how are you?' }]
          * });
+         * const stream = await groq.chat.completions.create({ messages, stream: true }, { signal: controller.signal });
+         * for await (const chunk of stream) {
+         *   console.log(chunk.choices[0]?.delta?.content || '');
+         * }
          * 
          * Other files that use this method:
          * - Any file that needs to generate chat completions using Groq
@@ -110,21 +173,34 @@
          * It allows the application to send prompts and receive AI-generated responses,
          * which can be used for various natural language processing tasks.
          */
-        async createChatCompletion(options) {
-            const { model = DEFAULT_MODEL, messages, max_tokens = DEFAULT_MAX_TOKENS, temperature = DEFAULT_TEMPERATURE } = options;
+        async createChatCompletion(options, { signal } = {}) {
+            const { model = DEFAULT_MODEL, messages, max_tokens = DEFAULT_MAX_TOKENS, temperature = DEFAULT_TEMPERATURE, stream = false } = options;
+            const body = { model, messages, max_tokens, temperature };
+            OPTIONAL_FIELDS.forEach((field) => {
+                if (options[field] !== undefined && options[field] !== false) {
+                    body[field] = options[field];
+                }
+            });
             
             try {
-                const response = await fetch(`${API_BASE_URL}/chat/completions`, {
+                const response = await fetch(`${this.baseUrl}/chat/completions`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'Authorization': `Bearer ${this.apiKey}`
                     },
-                    body: JSON.stringify({ model, messages, max_tokens, temperature })
+                    body: JSON.stringify(body),
+                    signal
                 });
+                if (stream) {
+                    checkStatus(response);
+                    return readChunks(response);
+                }
                 return await handleResponse(response);
             } catch (error) {
-                console.error('Error in createChatCompletion:', error);
+                if (error.name !== 'AbortError') {
+                    console.error('Error in createChatCompletion:', error);
+                }
                 throw error;
             }
         }
@@ -154,7 +230,7 @@
          */
         async listModels() {
             try {
-                const response = await fetch(`${API_BASE_URL}/models`, {
+                const response = await fetch(`${this.baseUrl}/models`, {
                     method: 'GET',
                     headers: {
                         'Authorization': `Bearer ${this.apiKey}`
@@ -1,23 +1,17 @@
 // js/lib/groqAPI.js
-import { API_ENDPOINT, API_KEY } from '../config/config.js';
+import { browserModelClient } from '../providers/browserClient.js';
 import { logger } from '../utils/logger.js';
 import { withErrorHandling } from '../api/error-handling.js';
+// Streams the reply through the model's provider (see js/providers/browserClient.js), passing
+// every chunk to updateCallback as { text }; resolves to the whole reply.
 async function streamGroqAPI(model, messages, temperature, updateCallback) {
     try {
-        const response = await fetch(`${API_ENDPOINT}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ model, messages, temperature })
-        });
-        if (!response.ok) {
-            throw new Error(`Groq API error: ${response.statusText}`);
+        let content = '';
+        for await (const chunk of browserModelClient.stream(messages, { model, temperature })) {
+            content += chunk;
+            updateCallback({ text: chunk });
         }
-        const data = await response.json();
-        updateCallback(data);
-        return data.choices[0].message.content;
+        return content;
     } catch (error) {
         logger.error(`Error in streamGroqAPI: ${error.message}`);
         throw error;
@@ -6,6 +6,7 @@ import { setupAdaptiveThresholdControls } from './setupAdaptiveThresholdControls
 import { setupChatInterface } from './setupChatInterface.js';
 import { setupDiagramControls } from './setupDiagramControls.js';
 import { setupMOAControlsToggle } from './setupMOAControlsToggle.js';
+import { setupComparisonControls } from './setupComparisonControls.js';
 import { updateMOAControls } from './updateMOAControls.js';
 import { chatWithMOA, handleUserFeedback } from '../chat/chatInteractions.js';
 import { moaConfig, updateMOAConfig } from '../config/config.js';
@@ -98,20 +99,20 @@ function setupFeedbackButtons() {
     const positiveButton = document.getElementById('positive-feedback');
     const negativeButton = document.getElementById('negative-feedback');
 
-    let lastResponse = '';
+    let lastResult = null;
 
     window.addEventListener('moaResponse', (event) => {
-        lastResponse = event.detail.response;
+        lastResult = event.detail.result;
         feedbackButtons.classList.remove('hidden');
     });
 
     positiveButton.addEventListener('click', () => {
-        handleUserFeedback('positive', lastResponse);
+        if (lastResult) handleUserFeedback('positive', lastResult);
         feedbackButtons.classList.add('hidden');
     });
 
     negativeButton.addEventListener('click', () => {
-        handleUserFeedback('negative', lastResponse);
+        if (lastResult) handleUserFeedback('negative', lastResult);
         feedbackButtons.classList.add('hidden');
     });
 }
@@ -129,6 +130,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         initializeThemeToggle();
         setupSelfEvolvingControls();
         setupFeedbackButtons();
+        setupComparisonControls();
     } catch (error) {
         console.error('Error initializing app:', error);
     }
@@ -173,19 +175,19 @@ function updateChatInterface() {
 
             try {
                 // Get response from MOA
-                const { context, totalTokens } = await chatWithMOA(message);
+                const result = await chatWithMOA(message);
 
                 // Add MOA response to chat
                 const moaMessageElement = document.createElement('div');
                 moaMessageElement.className = 'message moa-message';
-                moaMessageElement.textContent = context;
+                moaMessageElement.textContent = result.finalAnswer;
                 chatMessages.appendChild(moaMessageElement);
 
                 // Dispatch event with MOA response
-                window.dispatchEvent(new CustomEvent('moaResponse', { detail: { response: context } }));
+                window.dispatchEvent(new CustomEvent('moaResponse', { detail: { response: result.finalAnswer, result } }));
 
                 // Log total tokens used
-                console.log(`Total tokens used: ${totalTokens}`);
+                console.log(`Total tokens used: ${result.usage.totalTokens}`);
             } catch (error) {
                 console.error('Error in chat interaction:', error);
                 const errorMessageElement = document.createElement('div');
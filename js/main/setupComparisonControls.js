@@ -0,0 +1,134 @@
+// src/setupComparisonControls.js
+import { moaConfig } from '../config/config.js';
+import { getSavedConfigs, getSavedConfig, saveConfig, createBaselineConfig } from '../config/savedConfigs.js';
+import { compareConfigurations } from '../chat/chatInteractions.js';
+
+const CURRENT = 'current';
+const BASELINE = 'baseline';
+const SAVED_PREFIX = 'saved:';
+
+/**
+ * Sets up the A/B comparison controls.
+ *
+ * This function lets the user save the current configuration under a name, pick the two
+ * configurations to compare (the current one, a saved one, or the main_model-only
+ * baseline) and run the message in the chat input through both with the Compare button.
+ *
+ * Usage example:
+ * setupComparisonControls();
+ *
+ * Used in:
+ * - main.js
+ *
+ * Role in program logic:
+ * Connects the comparison controls to compareConfigurations, which renders both runs in
+ * split panes of the chat and records the user's vote.
+ */
+export function setupComparisonControls() {
+    const elements = getComparisonControlElements();
+    if (!elements) return;
+
+    populateConfigSelects(elements);
+    addEventListeners(elements);
+}
+
+/**
+ * Retrieves the DOM elements of the comparison controls.
+ *
+ * @returns {Object|null} An object containing the DOM elements, or null if any element is not found.
+ */
+function getComparisonControlElements() {
+    const configNameInput = document.getElementById('comparison-config-name');
+    const saveConfigButton = document.getElementById('save-config-button');
+    const configASelect = document.getElementById('comparison-config-a');
+    const configBSelect = document.getElementById('comparison-config-b');
+    const compareButton = document.getElementById('compare-message');
+    const userInput = document.getElementById('user-input');
+
+    if (!configNameInput || !saveConfigButton || !configASelect || !configBSelect || !compareButton || !userInput) {
+        console.error('Comparison control elements not found');
+        return null;
+    }
+
+    return { configNameInput, saveConfigButton, configASelect, configBSelect, compareButton, userInput };
+}
+
+/**
+ * Fills both configuration selects, keeping their selection when it still exists.
+ * Side A defaults to the current configuration and side B to the baseline.
+ *
+ * @param {Object} param0 - An object containing the DOM elements.
+ * @param {HTMLSelectElement} param0.configASelect - Side A's select.
+ * @param {HTMLSelectElement} param0.configBSelect - Side B's select.
+ */
+function populateConfigSelects({ configASelect, configBSelect }) {
+    const choices = [
+        { value: CURRENT, label: 'Current configuration' },
+        { value: BASELINE, label: 'Baseline: main model only' },
+        ...getSavedConfigs().map(({ name }) => ({ value: `${SAVED_PREFIX}${name}`, label: name })),
+    ];
+    [[configASelect, CURRENT], [configBSelect, BASELINE]].forEach(([select, fallback]) => {
+        const selected = choices.some(choice => choice.value === select.value) ? select.value : fallback;
+        select.innerHTML = '';
+        for (const { value, label } of choices) {
+            select.appendChild(new Option(label, value, false, value === selected));
+        }
+    });
+}
+
+/**
+ * Adds the event listeners of the comparison controls.
+ *
+ * @param {Object} elements - An object containing the DOM elements.
+ */
+function addEventListeners(elements) {
+    const { configNameInput, saveConfigButton, configASelect, configBSelect, compareButton, userInput } = elements;
+
+    saveConfigButton.addEventListener('click', () => {
+        try {
+            const { name } = saveConfig(configNameInput.value, moaConfig);
+            configNameInput.value = '';
+            populateConfigSelects(elements);
+            console.log(`Configuration saved as "${name}"`);
+        } catch (error) {
+            console.error('Failed to save the configuration:', error);
+        }
+    });
+
+    compareButton.addEventListener('click', async () => {
+        const message = userInput.value.trim();
+        if (!message) return;
+        userInput.value = '';
+        compareButton.disabled = true;
+        try {
+            await compareConfigurations(message, {
+                a: resolveChoice(configASelect),
+                b: resolveChoice(configBSelect),
+            });
+        } catch (error) {
+            console.error('Error comparing configurations:', error);
+        } finally {
+            compareButton.disabled = false;
+        }
+    });
+}
+
+/**
+ * Turns a select's value into the label and configuration to run.
+ *
+ * @param {HTMLSelectElement} select - A configuration select.
+ * @returns {{label: string, config: Object}} The side to compare.
+ */
+function resolveChoice(select) {
+    const label = select.options[select.selectedIndex].text;
+    if (select.value === BASELINE) {
+        return { label, config: createBaselineConfig(moaConfig) };
+    }
+    if (select.value.startsWith(SAVED_PREFIX)) {
+        const config = getSavedConfig(select.value.slice(SAVED_PREFIX.length));
+        if (config) {
+            return { label, config };
+        }
+    }
+    return { label, config: moaConfig };
+}
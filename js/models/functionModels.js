@@ -44,21 +44,55 @@ class BaseModel {
    * It's crucial for maintaining consistent and valid data structures.
    */
   validate(data) {
-    // Basic validation, can be extended for more complex checks
-    for (const [key, field] of Object.entries(this.constructor.fields)) {
+    const errors = this.constructor.findErrors(data);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+  }
+
+  /**
+   * Lists every way the data breaks the model's field definitions.
+   * 
+   * Unlike validate, this does not stop at the first problem, so that all of them can be
+   * reported at once (e.g. back to a model whose JSON output did not match a schema).
+   * 
+   * @param {*} data - The data to check
+   * @returns {string[]} The error messages; empty if the data is valid
+   * 
+   * Usage example:
+   * FunctionOutput.findErrors({ confidence: 2 });
+   * // ['Missing required field: result', 'Confidence score must be between 0 and 1']
+   * 
+   * Other files that use this function:
+   * - js/engine/structuredOutput.js
+   */
+  static findErrors(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['Expected an object'];
+    }
+    const errors = [];
+    for (const [key, field] of Object.entries(this.fields)) {
       if (field.required && !(key in data)) {
-        throw new Error(`Missing required field: ${key}`);
+        errors.push(`Missing required field: ${key}`);
+        continue;
       }
       if (key in data) {
         const value = data[key];
-        if (field.type && typeof value !== field.type) {
-          throw new Error(`Invalid type for ${key}: expected ${field.type}, got ${typeof value}`);
+        const actual = describeType(value);
+        if (field.type && !matchesType(value, field.type)) {
+          errors.push(`Invalid type for ${key}: expected ${field.type}, got ${actual}`);
+          continue;
         }
         if (field.validator) {
-          field.validator(value);
+          try {
+            field.validator(value);
+          } catch (error) {
+            errors.push(error.message);
+          }
         }
       }
     }
+    return errors;
   }
 
   /**
@@ -68,7 +102,7 @@ class BaseModel {
    * 
    * @param {Object} options - The options for the field
    * @param {boolean} [options.required=false] - Whether the field is required
-   * @param {string} [options.type] - The expected type of the field
+   * @param {string} [options.type] - The expected type of the field: a `typeof` result, or 'array' or 'integer'
    * @param {string} [options.description=""] - A description of the field
    * @param {Function} [options.validator] - A custom validation function
    * @returns {Object} The field definition object
@@ -150,4 +184,15 @@ class FunctionOutput extends BaseModel {
   };
 }
 
+// 'array' and 'integer' narrow what typeof reports ('object' and 'number')
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return typeof value === type;
+}
+
+function describeType(value) {
+  return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
 export { BaseModel, FunctionInput, FunctionOutput };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// providers/browserClient.js
+
+import { moaConfig } from '../config/config.js';
+import { createProviderClient } from './providers.js';
+import { createPacedClient } from './pacedClient.js';
+import { getSessionToken, GROQ_PROXY_URL } from './groqProxy.js';
+
+/**
+ * Model client of the browser: every model request of the app goes through it.
+ *
+ * A request goes to its provider (see js/providers/providers.js): the `provider` option,
+ * else the provider serving the model (e.g. 'hermes3' on the app server), else
+ * moaConfig.default_provider. The providers are read from the live moaConfig, and Groq
+ * requests go through the app server's proxy, which holds the key (see
+ * js/providers/groqProxy.js). Requests to cloud providers are validated, paced and retried
+ * (see js/providers/pacedClient.js).
+ *
+ * Usage example:
+ * ```javascript
+ * const answer = await browserModelClient.complete(
+ *     [{ role: 'user', content: 'Hi' }],
+ *     { model: 'llama3-8b-8192', max_tokens: 200 }
+ * );
+ * ```
+ *
+ * Files using this client:
+ * - js/chat/chatInteractions.js
+ * - js/api/functionCalling.js
+ * - js/api/api-core.js
+ * - js/lib/groqAPI.js
+ */
+
+export const browserProviderClient = createProviderClient({
+    config: () => moaConfig,
+    apiKeys: { groq: getSessionToken },
+    baseUrls: { groq: GROQ_PROXY_URL },
+});
+
+export const browserModelClient = createPacedClient(browserProviderClient);
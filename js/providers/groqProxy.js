@@ -0,0 +1,67 @@
+// providers/groqProxy.js
+
+import { postJson } from './http.js';
+
+/**
+ * Browser side of the app server's Groq proxy (see the /api/session and /api/groq routes of
+ * server.js): the Groq API key stays on the server, and the browser reaches Groq through
+ * GROQ_PROXY_URL with a session token as its bearer token.
+ *
+ * getSessionToken opens a session on first use and keeps its token until shortly before it
+ * expires. A provider whose key is getSessionToken asks it again with `{ renew: true }` when
+ * the server refuses the token (401), e.g. after a restart.
+ *
+ * On a shared server, the session is opened with the user's API token when one is saved in
+ * localStorage under USER_TOKEN_STORAGE_KEY, so that requests count against that user's
+ * quotas; without one the session is anonymous.
+ *
+ * Usage example:
+ * ```javascript
+ * const client = createProviderClient({
+ *     config: moaConfig,
+ *     apiKeys: { groq: getSessionToken },
+ *     baseUrls: { groq: GROQ_PROXY_URL },
+ * });
+ * ```
+ *
+ * Files using this module:
+ * - js/chat/chatInteractions.js
+ * - js/chat/groqIntegration.js
+ * - js/config/system-config.js
+ * - js/providers/browserClient.js
+ */
+
+export const GROQ_PROXY_URL = '/api/groq';
+export const SESSION_ENDPOINT = '/api/session';
+export const USER_TOKEN_STORAGE_KEY = 'moa_api_token';
+
+// A token is renewed this long before it expires
+const RENEW_MARGIN_MS = 60 * 1000;
+
+let session = null;
+let opening = null;
+
+/**
+ * Returns the token of the current proxy session, opening a session when needed.
+ * @param {Object} [options={}] - Options.
+ * @param {boolean} [options.renew=false] - Open a new session even if the current one has not expired.
+ * @returns {Promise<string>} The session token.
+ * @throws {Error} A ProviderError if the server refuses the session (401: unknown user token; 503: it has no Groq key).
+ */
+export async function getSessionToken({ renew = false } = {}) {
+    if (!renew && session && session.expiresAt - RENEW_MARGIN_MS > Date.now()) {
+        return session.token;
+    }
+    if (!opening) {
+        const userToken = typeof localStorage !== 'undefined' ? localStorage.getItem(USER_TOKEN_STORAGE_KEY) : null;
+        opening = postJson('groq proxy', SESSION_ENDPOINT, {}, { headers: userToken ? { Authorization: `Bearer ${userToken}` } : {} })
+            .then((opened) => {
+                session = opened;
+                return opened;
+            })
+            .finally(() => {
+                opening = null;
+            });
+    }
+    return (await opening).token;
+}
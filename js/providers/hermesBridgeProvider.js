@@ -0,0 +1,83 @@
+// providers/hermesBridgeProvider.js
+
+import { postJson, sendRequest, readLines } from './http.js';
+import { Conversation } from '../chat/conversation.js';
+
+/**
+ * Provider for the app server's `/api/ask-hermes` endpoint (see js/proxy/hermesBridge.js), which relays
+ * one question at a time to a model of the server's Ollama.
+ *
+ * The endpoint takes a single prompt string, so the conversation is sent as a transcript
+ * ahead of the last message. `options.model` picks the Ollama model ('hermes3' by default);
+ * `stream` asks for the answer as server-sent events, one `{ token }` event per token,
+ * ended by `{ done: true }` or `{ error }`.
+ *
+ * Files using this provider:
+ * - js/providers/providers.js
+ */
+
+export const HERMES_BRIDGE_ENDPOINT = '/api/ask-hermes';
+
+/**
+ * Creates a provider for the Hermes endpoint of the app server.
+ * @param {Object} [settings={}] - Provider settings.
+ * @param {string} [settings.name='hermes'] - Name of the provider, for errors.
+ * @param {string} [settings.endpoint=HERMES_BRIDGE_ENDPOINT] - Endpoint URL.
+ * @param {string[]} [settings.models=['hermes3']] - Model names listed by listModels.
+ * @param {Function} [settings.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {ModelProvider} The provider.
+ */
+export function createHermesBridgeProvider({ name = 'hermes', endpoint = HERMES_BRIDGE_ENDPOINT, models = ['hermes3'], fetch = globalThis.fetch } = {}) {
+    const toBody = (messages, options, stream) => ({
+        question: toPrompt(messages),
+        ...(options.model ? { model: options.model } : {}),
+        ...(stream ? { stream: true } : {}),
+    });
+
+    return {
+        name,
+
+        async chat(messages, options = {}) {
+            const data = await postJson(name, endpoint, toBody(messages, options, false), { signal: options.signal, fetch });
+            return data.response;
+        },
+
+        async *stream(messages, options = {}) {
+            const response = await sendRequest(name, endpoint, {
+                method: 'POST',
+                body: toBody(messages, options, true),
+                signal: options.signal,
+                fetch,
+            });
+            for await (const line of readLines(response)) {
+                if (!line.startsWith('data:')) continue;
+                const event = JSON.parse(line.slice(5));
+                if (event.error) {
+                    throw new Error(`${name} stream failed: ${event.error}`);
+                }
+                if (event.done) return;
+                if (event.token) yield event.token;
+            }
+        },
+
+        async listModels() {
+            return models.map(id => ({ id }));
+        },
+
+        capabilities() {
+            return { streaming: true, jsonMode: false, functionCalling: false, local: true };
+        },
+    };
+}
+
+/**
+ * Turns chat messages into the single prompt string the endpoint takes.
+ * @param {Array<{role: string, content: string}>} messages - Prior turns followed by the current prompt.
+ * @returns {string} The prompt, preceded by a transcript of the prior turns when there are any.
+ */
+export function toPrompt(messages) {
+    const history = messages.slice(0, -1);
+    const prompt = messages.length > 0 ? messages[messages.length - 1].content : '';
+    if (history.length === 0) return prompt;
+    return `Conversation so far:\n${Conversation.formatTranscript(history)}\n\n${prompt}`;
+}
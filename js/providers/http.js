@@ -0,0 +1,147 @@
+// providers/http.js
+
+/**
+ * HTTP helpers shared by the model providers.
+ *
+ * - postJson / getJson send a request and parse the JSON reply; a non-2xx status becomes a
+ *   provider error (see createProviderError)
+ * - readLines turns a streamed response body into its lines, for server-sent events and
+ *   newline-delimited JSON
+ *
+ * They only need a `fetch` implementation (the global one by default), so the providers run
+ * in the browser and in Node 18+ alike.
+ *
+ * Files using these helpers:
+ * - js/providers/openAICompatibleProvider.js
+ * - js/providers/ollamaProvider.js
+ * - js/providers/hermesBridgeProvider.js
+ * - js/engine/mockClient.js
+ */
+
+/**
+ * Creates the error of a failed provider request.
+ * @param {string} provider - Name of the provider.
+ * @param {number} status - HTTP status.
+ * @param {string} [detail] - Message from the response body.
+ * @param {number|null} [retryAfterMs=null] - Wait the server asked for (429), if any.
+ * @returns {Error} An error with `name` 'ProviderError' and `provider`, `status` and `retryAfterMs`.
+ */
+export function createProviderError(provider, status, detail, retryAfterMs = null) {
+    const error = new Error(`${provider} request failed with status ${status}${detail ? `: ${detail}` : ''}`);
+    error.name = 'ProviderError';
+    error.provider = provider;
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * Sends a request and returns the response, throwing a provider error on a non-2xx status.
+ * @param {string} provider - Name of the provider, for errors.
+ * @param {string} url - Request URL.
+ * @param {Object} [options={}] - Request options.
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {Object} [options.headers={}] - Request headers.
+ * @param {*} [options.body] - JSON body.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {Promise<Response>} The response.
+ */
+export async function sendRequest(provider, url, { method = 'GET', headers = {}, body, signal, fetch = globalThis.fetch } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) {
+        throw createProviderError(provider, response.status, await readErrorDetail(response), readRetryAfter(response));
+    }
+    return response;
+}
+
+/**
+ * POSTs a JSON body and parses the JSON reply.
+ * @param {string} provider - Name of the provider, for errors.
+ * @param {string} url - Request URL.
+ * @param {*} body - JSON body.
+ * @param {Object} [options={}] - `headers`, `signal` and `fetch`, as for sendRequest.
+ * @returns {Promise<*>} The parsed reply.
+ */
+export async function postJson(provider, url, body, options = {}) {
+    const response = await sendRequest(provider, url, { ...options, method: 'POST', body });
+    return response.json();
+}
+
+/**
+ * GETs a URL and parses the JSON reply.
+ * @param {string} provider - Name of the provider, for errors.
+ * @param {string} url - Request URL.
+ * @param {Object} [options={}] - `headers`, `signal` and `fetch`, as for sendRequest.
+ * @returns {Promise<*>} The parsed reply.
+ */
+export async function getJson(provider, url, options = {}) {
+    const response = await sendRequest(provider, url, { ...options, method: 'GET' });
+    return response.json();
+}
+
+/**
+ * Reads a streamed response body line by line.
+ * @param {Response} response - A fetch response.
+ * @returns {AsyncGenerator<string>} The non-empty lines, without their line breaks.
+ */
+export async function* readLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split(/\r?\n/);
+            buffered = lines.pop();
+            for (const line of lines) {
+                if (line.trim()) yield line;
+            }
+        }
+        buffered += decoder.decode();
+        if (buffered.trim()) yield buffered;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Joins a base URL and a path without doubling or dropping the slash.
+ * @param {string} baseUrl - e.g. 'http://localhost:11434/'.
+ * @param {string} path - e.g. '/api/chat'.
+ * @returns {string} e.g. 'http://localhost:11434/api/chat'.
+ */
+export function joinUrl(baseUrl, path) {
+    return `${String(baseUrl).replace(/\/+$/, '')}/${String(path).replace(/^\/+/, '')}`;
+}
+
+// The `error.message` (OpenAI-style), `error` (Ollama) or raw text of an error body
+async function readErrorDetail(response) {
+    let text = '';
+    try {
+        text = await response.text();
+    } catch (error) {
+        return '';
+    }
+    try {
+        const body = JSON.parse(text);
+        const detail = body.error && typeof body.error === 'object' ? body.error.message : body.error;
+        return String(detail || text).slice(0, 500);
+    } catch (error) {
+        return text.slice(0, 500);
+    }
+}
+
+function readRetryAfter(response) {
+    const header = response.headers && response.headers.get('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
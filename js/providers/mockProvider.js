@@ -0,0 +1,83 @@
+// providers/mockProvider.js
+
+import { createMockClient } from '../engine/mockClient.js';
+import { AVAILABLE_MODELS } from '../config/model-config.js';
+
+/**
+ * Provider that answers without a network, for demos, development and tests: the mock
+ * client of js/engine/mockClient.js behind the provider interface.
+ *
+ * Its configuration entry holds JSON-friendly mock options:
+ *
+ * ```javascript
+ * mock: {
+ *     type: 'mock',
+ *     delay_ms: 400,          // before an answer or its first streamed word
+ *     token_delay_ms: 30,     // between streamed words
+ *     rules: [
+ *         // `pattern` is a regular expression tested against the messages, `match` a plain substring
+ *         { model: 'gemma-7b-it', pattern: 'capital of \\w+', response: 'Paris ({{model}})' },
+ *         { match: 'Summarize', response: 'A summary of: {{prompt}}' },
+ *     ],
+ *     errors: [
+ *         { model: 'llama3-70b-8192', type: 'rate_limit', times: 1 },
+ *         { model: 'mixtral-8x7b-32768', type: 'timeout', after_ms: 2000 },
+ *     ],
+ *     models: ['llama3-8b-8192', 'gemma-7b-it'],
+ * }
+ * ```
+ *
+ * See createMockClient for the templates and error types. It answers for any model;
+ * listModels returns `models`, or without them the Groq models of js/config/model-config.js,
+ * which the mock stands in for.
+ *
+ * Files using this provider:
+ * - js/providers/providers.js
+ */
+
+/**
+ * Creates a mock provider from its configuration entry.
+ * @param {string} name - Name of the provider.
+ * @param {Object} [settings={}] - Its entry in moaConfig.providers.
+ * @returns {ModelProvider} The provider; its `client` is the underlying mock client (for `calls` and `usage`).
+ */
+export function createMockProvider(name, settings = {}) {
+    const client = createMockClient({
+        name,
+        rules: (settings.rules || []).map(toMatcher),
+        errors: (settings.errors || []).map(rule => ({
+            ...toMatcher(rule),
+            type: rule.type,
+            times: rule.times,
+            every: rule.every,
+            afterMs: rule.after_ms,
+            retryAfterMs: rule.retry_after_ms,
+        })),
+        delayMs: settings.delay_ms || 0,
+        tokenDelayMs: settings.token_delay_ms !== undefined ? settings.token_delay_ms : settings.delay_ms || 0,
+    });
+
+    return {
+        name,
+        client,
+        chat: (messages, options) => client.complete(messages, options),
+        stream: (messages, options) => client.stream(messages, options),
+
+        async listModels() {
+            return (settings.models || AVAILABLE_MODELS).map(id => ({ id }));
+        },
+
+        capabilities() {
+            return { streaming: true, jsonMode: true, functionCalling: false, local: true };
+        },
+    };
+}
+
+// Turns a configured rule's `pattern` into the RegExp `match` of the mock client
+function toMatcher({ model, match, pattern, response }) {
+    return {
+        model,
+        match: pattern ? new RegExp(pattern, 'i') : match,
+        response,
+    };
+}
@@ -0,0 +1,96 @@
+// providers/ollamaProvider.js
+
+import { postJson, getJson, sendRequest, readLines, joinUrl } from './http.js';
+
+/**
+ * Provider for a local (or remote) Ollama server, through its native HTTP API.
+ *
+ * - chat: POST {baseUrl}/api/chat with `stream: false`
+ * - stream: the same with `stream: true`, read as newline-delimited JSON (one
+ *   `{ message: { content }, done }` object per line)
+ * - listModels: GET {baseUrl}/api/tags, the models pulled on that server
+ *
+ * `temperature` and `max_tokens` map to Ollama's `options.temperature` and
+ * `options.num_predict`; JSON mode (`response_format: { type: 'json_object' }`) maps to
+ * `format: 'json'`.
+ *
+ * Usage example:
+ * ```javascript
+ * const ollama = createOllamaProvider({ baseUrl: 'http://localhost:11434' });
+ * for await (const token of ollama.stream(messages, { model: 'llama3.1:8b' })) {
+ *     output += token;
+ * }
+ * ```
+ *
+ * Files using this provider:
+ * - js/providers/providers.js
+ * - js/proxy/hermesBridge.js
+ */
+
+export const OLLAMA_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Creates an Ollama provider.
+ * @param {Object} [settings={}] - Provider settings.
+ * @param {string} [settings.name='ollama'] - Name of the provider, for errors.
+ * @param {string} [settings.baseUrl=OLLAMA_BASE_URL] - Server URL.
+ * @param {string|number} [settings.keepAlive] - How long the server keeps the model loaded after a request (e.g. '10m').
+ * @param {Object} [settings.headers={}] - Extra request headers.
+ * @param {Function} [settings.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {ModelProvider} The provider.
+ */
+export function createOllamaProvider({ name = 'ollama', baseUrl = OLLAMA_BASE_URL, keepAlive, headers = {}, fetch = globalThis.fetch } = {}) {
+    const request = (signal) => ({ headers, signal, fetch });
+
+    return {
+        name,
+
+        async chat(messages, options = {}) {
+            const reply = await postJson(name, joinUrl(baseUrl, '/api/chat'), toRequestBody(messages, options, keepAlive, false), request(options.signal));
+            if (!reply || !reply.message) {
+                throw new Error(`Invalid response structure from ${name}`);
+            }
+            return reply.message.content || '';
+        },
+
+        async *stream(messages, options = {}) {
+            const response = await sendRequest(name, joinUrl(baseUrl, '/api/chat'), {
+                ...request(options.signal),
+                method: 'POST',
+                body: toRequestBody(messages, options, keepAlive, true),
+            });
+            for await (const line of readLines(response)) {
+                const chunk = JSON.parse(line);
+                if (chunk.error) {
+                    throw new Error(`${name} stream failed: ${chunk.error}`);
+                }
+                if (chunk.message && chunk.message.content) yield chunk.message.content;
+                if (chunk.done) return;
+            }
+        },
+
+        async listModels({ signal } = {}) {
+            const reply = await getJson(name, joinUrl(baseUrl, '/api/tags'), request(signal));
+            return (reply.models || []).map(model => ({ id: model.name, size: model.size, modifiedAt: model.modified_at }));
+        },
+
+        capabilities() {
+            return { streaming: true, jsonMode: true, functionCalling: false, local: true };
+        },
+    };
+}
+
+function toRequestBody(messages, options, keepAlive, stream) {
+    const modelOptions = {
+        ...(typeof options.temperature === 'number' ? { temperature: options.temperature } : {}),
+        ...(options.max_tokens ? { num_predict: options.max_tokens } : {}),
+    };
+    return {
+        model: options.model,
+        messages,
+        stream,
+        ...(Object.keys(modelOptions).length > 0 ? { options: modelOptions } : {}),
+        ...(options.response_format && options.response_format.type === 'json_object' ? { format: 'json' } : {}),
+        ...(keepAlive !== undefined ? { keep_alive: keepAlive } : {}),
+    };
+}
@@ -0,0 +1,107 @@
+// providers/openAICompatibleProvider.js
+
+import { postJson, getJson, sendRequest, readLines, joinUrl } from './http.js';
+
+/**
+ * Provider for any server with the OpenAI chat completions API: Groq, OpenAI, vLLM,
+ * LM Studio, llama.cpp's server, OpenRouter, ...
+ *
+ * - chat: POST {baseUrl}/chat/completions
+ * - stream: the same with `stream: true`, read as server-sent events (`data: {...}` lines,
+ *   ended by `data: [DONE]`)
+ * - listModels: GET {baseUrl}/models
+ *
+ * The key may be a function, called before every request: the browser passes the session
+ * token of the app server's Groq proxy that way (see js/providers/groqProxy.js). After a 401
+ * the function is called once more with `{ renew: true }` and the request sent again.
+ *
+ * Usage example:
+ * ```javascript
+ * const lmStudio = createOpenAICompatibleProvider({ name: 'lm_studio', baseUrl: 'http://localhost:1234/v1', local: true });
+ * const reply = await lmStudio.chat([{ role: 'user', content: 'Hi' }], { model: 'qwen2.5-7b-instruct' });
+ * ```
+ *
+ * Files using this provider:
+ * - js/providers/providers.js
+ */
+
+export const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+/**
+ * Creates an OpenAI-compatible provider.
+ * @param {Object} settings - Provider settings.
+ * @param {string} settings.name - Name of the provider, for errors.
+ * @param {string} settings.baseUrl - API base URL, up to and including the version (e.g. '.../v1').
+ * @param {string|function({renew: boolean}=): (string|Promise<string>)} [settings.apiKey] - Sent as a bearer
+ *        token when set.
+ * @param {Object} [settings.headers={}] - Extra request headers.
+ * @param {boolean} [settings.local=false] - Whether the server runs on the user's machine.
+ * @param {boolean} [settings.jsonMode=true] - Whether the server supports `response_format`.
+ * @param {Function} [settings.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {ModelProvider} The provider.
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, apiKey, headers = {}, local = false, jsonMode = true, fetch = globalThis.fetch }) {
+    if (!baseUrl) {
+        throw new Error(`Provider "${name}" needs a base URL`);
+    }
+    const request = (key, signal) => ({ headers: key ? { Authorization: `Bearer ${key}`, ...headers } : headers, signal, fetch });
+    // Sends a request with the current key, and with a renewed one after a 401
+    const authorized = async (signal, send) => {
+        if (typeof apiKey !== 'function') {
+            return send(request(apiKey, signal));
+        }
+        try {
+            return await send(request(await apiKey(), signal));
+        } catch (error) {
+            if (error.status !== 401) throw error;
+            return send(request(await apiKey({ renew: true }), signal));
+        }
+    };
+
+    return {
+        name,
+
+        async chat(messages, options = {}) {
+            const reply = await authorized(options.signal, (init) => postJson(name, joinUrl(baseUrl, '/chat/completions'), toRequestBody(messages, options, jsonMode), init));
+            if (!reply || !Array.isArray(reply.choices) || reply.choices.length === 0) {
+                throw new Error(`Invalid response structure from ${name}`);
+            }
+            return reply.choices[0].message.content || '';
+        },
+
+        async *stream(messages, options = {}) {
+            const response = await authorized(options.signal, (init) => sendRequest(name, joinUrl(baseUrl, '/chat/completions'), {
+                ...init,
+                method: 'POST',
+                body: { ...toRequestBody(messages, options, jsonMode), stream: true },
+            }));
+            for await (const line of readLines(response)) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+                const chunk = JSON.parse(data);
+                const content = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+                if (content) yield content;
+            }
+        },
+
+        async listModels({ signal } = {}) {
+            const reply = await authorized(signal, (init) => getJson(name, joinUrl(baseUrl, '/models'), init));
+            return (reply.data || []).map(model => ({ id: model.id, ownedBy: model.owned_by, contextLength: model.context_window }));
+        },
+
+        capabilities() {
+            return { streaming: true, jsonMode, functionCalling: true, local };
+        },
+    };
+}
+
+function toRequestBody(messages, options, jsonMode) {
+    return {
+        model: options.model,
+        messages,
+        ...(typeof options.temperature === 'number' ? { temperature: options.temperature } : {}),
+        ...(options.max_tokens ? { max_tokens: options.max_tokens } : {}),
+        ...(options.response_format && jsonMode ? { response_format: options.response_format } : {}),
+    };
+}
@@ -0,0 +1,88 @@
+// providers/pacedClient.js
+
+import { getTokenCount, validateTokenCount } from '../utils/tokenUtils.js';
+import { scheduleRequest } from '../utils/rateLimiter.js';
+import { retryWithExponentialBackoff } from '../utils/retry.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Model client that sends the engine's requests to their providers (see createProviderClient
+ * in js/providers/providers.js), within the models' rate limits.
+ *
+ * - Requests without `max_tokens` or `temperature` get DEFAULT_MAX_TOKENS and DEFAULT_TEMPERATURE
+ * - Requests to cloud providers have their size validated and wait for the model's rate
+ *   limiter (js/utils/rateLimiter.js) first, and complete() retries them with exponential
+ *   backoff; local providers (Ollama, the app server, the mock) are called directly
+ *
+ * Usage example:
+ * ```javascript
+ * const client = createPacedClient(createProviderClient({ config: moaConfig, apiKeys: { groq: key } }));
+ * const engine = new MoaEngine({ config: moaConfig, client });
+ * ```
+ *
+ * Files using this client:
+ * - js/providers/browserClient.js
+ * - js/runs/runManager.js
+ * - js/cli/moa.js
+ */
+
+// Output limit and temperature of requests that set none
+export const DEFAULT_MAX_TOKENS = 150;
+export const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Wraps a provider client with request validation, rate limiting and retries.
+ * @param {{getProvider: Function}} providerClient - From createProviderClient.
+ * @returns {{complete: Function, stream: Function}} The model client of the engine.
+ */
+export function createPacedClient(providerClient) {
+    return {
+        async complete(messages, options) {
+            const request = withDefaults(options);
+            const provider = providerClient.getProvider(request);
+            if (provider.capabilities().local) {
+                return provider.chat(messages, request);
+            }
+            await prepareRequest(messages, request);
+            return retryWithExponentialBackoff(() => provider.chat(messages, request), 5, 1000, 2);
+        },
+
+        async *stream(messages, options) {
+            const request = withDefaults(options);
+            const provider = providerClient.getProvider(request);
+            if (!provider.capabilities().local) {
+                await prepareRequest(messages, request);
+            }
+            yield* provider.stream(messages, request);
+        },
+    };
+}
+
+function withDefaults(options) {
+    return {
+        ...options,
+        max_tokens: options.max_tokens || DEFAULT_MAX_TOKENS,
+        temperature: typeof options.temperature === 'number' ? options.temperature : DEFAULT_TEMPERATURE,
+    };
+}
+
+/**
+ * Validates the size of a request to a cloud provider and waits for the model's rate limiter.
+ *
+ * @param {Array} messages - Array of message objects.
+ * @param {Object} options - Completion options (model, signal, onRateLimitWait).
+ * @throws {Error} If the request exceeds the model's token limit, or an AbortError if cancelled.
+ */
+async function prepareRequest(messages, options) {
+    const tokenCount = getTokenCount(messages, options.model);
+    if (tokenCount > 0) {
+        validateTokenCount(tokenCount, options.model);
+    } else {
+        logger.warn(`Unable to estimate token count for ${options.model}. Proceeding without validation.`);
+    }
+    const waitStartedAt = Date.now();
+    await scheduleRequest(options.model, messages, { signal: options.signal });
+    if (typeof options.onRateLimitWait === 'function') {
+        options.onRateLimitWait(Date.now() - waitStartedAt);
+    }
+}
@@ -0,0 +1,199 @@
+// providers/providers.js
+
+import { createOpenAICompatibleProvider, GROQ_BASE_URL } from './openAICompatibleProvider.js';
+import { createOllamaProvider } from './ollamaProvider.js';
+import { createHermesBridgeProvider } from './hermesBridgeProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { hashValue } from '../utils/hash.js';
+
+/**
+ * Model providers: where an agent's requests go.
+ *
+ * Every provider has the same interface (see ModelProvider), whatever the API behind it. The
+ * providers of a configuration are declared under moaConfig.providers, each with a `type`:
+ *
+ * - 'groq': Groq's OpenAI-compatible API (`base_url` defaults to GROQ_BASE_URL)
+ * - 'openai_compatible': any OpenAI-compatible server, at `base_url`
+ * - 'ollama': an Ollama server's native API (`base_url` defaults to http://localhost:11434)
+ * - 'hermes_bridge': the app server's /api/ask-hermes endpoint (`endpoint`)
+ * - 'mock': scripted answers and simulated failures, without a network (see js/providers/mockProvider.js)
+ *
+ * Other types can be added with registerProviderType. API keys are not part of the
+ * configuration: they are handed to createProviderClient by whoever builds it. The server
+ * passes its Groq key; the browser never holds it, and reaches Groq through the server's
+ * proxy instead, with a session token as key (see js/providers/groqProxy.js).
+ *
+ * A request goes to the provider named by its `provider` option (an agent entry's `provider`
+ * key), else to the provider whose `models` list the requested model, else to
+ * moaConfig.default_provider. So local and cloud models can be mixed in one layer:
+ *
+ * ```javascript
+ * providers: {
+ *     groq: { type: 'groq' },
+ *     ollama: { type: 'ollama', base_url: 'http://localhost:11434', keep_alive: '10m' },
+ * },
+ * default_provider: 'groq',
+ * layers: [[
+ *     { model_name: 'llama3-70b-8192', temperature: 0.5 },
+ *     { model_name: 'llama3.1:8b', provider: 'ollama', temperature: 0.7 },
+ * ]],
+ * ```
+ *
+ * createProviderClient turns the providers into the `complete` / `stream` client the
+ * MoaEngine takes.
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ * - js/providers/browserClient.js
+ * - js/config/configValidation.js
+ * - js/cli/moa.js
+ * - server.js
+ */
+
+/**
+ * @typedef {Object} ModelProvider
+ * @property {string} name - Name of the provider in the configuration.
+ * @property {function(Array, Object): Promise<string>} chat - Resolves to the reply to the messages;
+ *           options are `model`, `temperature`, `max_tokens`, `response_format` and `signal`.
+ * @property {function(Array, Object): AsyncIterable<string>} stream - The reply as text chunks; same options.
+ * @property {function({signal: AbortSignal}=): Promise<Array<{id: string}>>} listModels - Models the provider serves.
+ * @property {function(): {streaming: boolean, jsonMode: boolean, functionCalling: boolean, local: boolean}} capabilities -
+ *           What the provider supports; `local` providers run on the user's machine and are not rate limited.
+ */
+
+export const DEFAULT_PROVIDER = 'groq';
+
+const providerTypes = new Map();
+
+/**
+ * Registers (or replaces) a provider type.
+ * @param {string} type - Name used as a provider's `type` in the configuration.
+ * @param {function(string, Object, Object): ModelProvider} factory - Called with the provider's name, its
+ *        configuration entry and `{ apiKey, baseUrl, fetch }`.
+ */
+export function registerProviderType(type, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Provider type "${type}" needs a factory function`);
+    }
+    providerTypes.set(type, factory);
+}
+
+/**
+ * Lists the registered provider types.
+ * @returns {string[]} Type names.
+ */
+export function getProviderTypeNames() {
+    return [...providerTypes.keys()];
+}
+
+/**
+ * Creates a provider from its configuration entry.
+ * @param {string} name - Name of the provider.
+ * @param {Object} settings - Its entry in moaConfig.providers.
+ * @param {Object} [environment={}] - What the configuration does not hold.
+ * @param {string|Function} [environment.apiKey] - API key of the provider, or a function returning it.
+ * @param {string} [environment.baseUrl] - Base URL used instead of the entry's `base_url`.
+ * @param {Function} [environment.fetch] - fetch implementation.
+ * @returns {ModelProvider} The provider.
+ * @throws {Error} If the type is unknown.
+ */
+export function createProvider(name, settings, environment = {}) {
+    const factory = providerTypes.get(settings && settings.type);
+    if (!factory) {
+        throw new Error(`Unknown type "${settings && settings.type}" for provider "${name}"`);
+    }
+    return factory(name, settings, environment);
+}
+
+/**
+ * Picks the provider of a request.
+ * @param {Object} config - MOA configuration.
+ * @param {{provider: string, model: string}} options - Request options.
+ * @returns {string} Name of the provider.
+ */
+export function resolveProviderName(config, { provider, model } = {}) {
+    if (provider) return provider;
+    const providers = config.providers || {};
+    const serving = Object.keys(providers).find(name => (providers[name].models || []).includes(model));
+    return serving || config.default_provider || DEFAULT_PROVIDER;
+}
+
+/**
+ * Creates the model client of the engine over the configured providers.
+ *
+ * The configuration is read at every request, so live edits apply; a provider is created on
+ * first use and again only when its entry changes.
+ *
+ * @param {Object} params - Client parameters.
+ * @param {Object|function(): Object} params.config - MOA configuration, or a function returning it.
+ * @param {Object<string, string|Function>} [params.apiKeys={}] - API keys by provider name (see
+ *        createOpenAICompatibleProvider for key functions).
+ * @param {Object<string, string>} [params.baseUrls={}] - Base URLs by provider name, overriding the
+ *        configuration's (the browser sends Groq requests to the app server's proxy).
+ * @param {Function} [params.fetch] - fetch implementation of the providers.
+ * @returns {{complete: Function, stream: Function, getProvider: function(Object): ModelProvider}} The client;
+ *          getProvider returns the provider a request's options go to.
+ * @throws {Error} From a request, if its provider is not configured.
+ */
+export function createProviderClient({ config, apiKeys = {}, baseUrls = {}, fetch }) {
+    const readConfig = typeof config === 'function' ? config : () => config;
+    const instances = new Map();
+
+    const getProvider = (options = {}) => {
+        const current = readConfig();
+        const name = resolveProviderName(current, options);
+        const settings = (current.providers || {})[name];
+        if (!settings) {
+            throw new Error(`Provider "${name}" is not configured`);
+        }
+        const key = hashValue(settings);
+        const cached = instances.get(name);
+        if (cached && cached.key === key) {
+            return cached.provider;
+        }
+        const provider = createProvider(name, settings, { apiKey: apiKeys[name], baseUrl: baseUrls[name], fetch });
+        instances.set(name, { key, provider });
+        return provider;
+    };
+
+    return {
+        getProvider,
+        complete: (messages, options = {}) => getProvider(options).chat(messages, options),
+        stream: (messages, options = {}) => getProvider(options).stream(messages, options),
+    };
+}
+
+registerProviderType('groq', (name, settings, { apiKey, baseUrl, fetch }) => createOpenAICompatibleProvider({
+    name,
+    baseUrl: baseUrl || settings.base_url || GROQ_BASE_URL,
+    apiKey,
+    headers: settings.headers,
+    fetch,
+}));
+
+registerProviderType('openai_compatible', (name, settings, { apiKey, baseUrl, fetch }) => createOpenAICompatibleProvider({
+    name,
+    baseUrl: baseUrl || settings.base_url,
+    apiKey,
+    headers: settings.headers,
+    local: Boolean(settings.local),
+    jsonMode: settings.json_mode !== false,
+    fetch,
+}));
+
+registerProviderType('ollama', (name, settings, { fetch }) => createOllamaProvider({
+    name,
+    baseUrl: settings.base_url,
+    keepAlive: settings.keep_alive,
+    headers: settings.headers,
+    fetch,
+}));
+
+registerProviderType('hermes_bridge', (name, settings, { fetch }) => createHermesBridgeProvider({
+    name,
+    endpoint: settings.endpoint,
+    models: settings.models,
+    fetch,
+}));
+
+registerProviderType('mock', (name, settings) => createMockProvider(name, settings));
@@ -0,0 +1,164 @@
+// proxy/completionProxy.js
+
+import { promises as fs } from 'node:fs';
+import { GROQ_BASE_URL } from '../providers/openAICompatibleProvider.js';
+import { joinUrl } from '../providers/http.js';
+
+/**
+ * Server side of the Groq proxy: the Groq API key stays on the server, and the browser's
+ * chat completion requests are checked and forwarded to Groq with it (see the /api/groq
+ * routes of server.js).
+ *
+ * - loadGroqApiKey reads the key from the GROQ_API_KEY environment variable, else from a
+ *   local secrets file (`{ "GROQ_API_KEY": "gsk_..." }`, kept out of git)
+ * - toUpstreamRequest checks a request against PROXY_LIMITS and keeps only the fields of
+ *   the chat completions API
+ * - sendToGroq forwards it; the response (JSON, or server-sent events when streamed) is
+ *   relayed as is, errors and Retry-After included
+ * - readUsageTokens finds the tokens Groq reports in the relayed response, to count them
+ *   against the user's quota (see js/quota/quotaManager.js)
+ *
+ * Usage example:
+ * ```javascript
+ * const apiKey = await loadGroqApiKey({ file: 'secrets.json' });
+ * const upstream = await sendToGroq('/chat/completions', { apiKey, body: toUpstreamRequest(req.body) });
+ * ```
+ *
+ * Files using these helpers:
+ * - server.js
+ * - js/proxy/sessionStore.js (createProxyError)
+ * - js/cli/moa.js (loadGroqApiKey)
+ */
+
+// Limits of a proxied request
+export const PROXY_LIMITS = {
+    maxBodyBytes: 512 * 1024,
+    maxMessages: 200,
+    maxPromptChars: 120000,
+    maxCompletionTokens: 8192,
+};
+
+// Request fields forwarded to Groq; anything else is dropped
+const FORWARDED_FIELDS = ['model', 'messages', 'temperature', 'top_p', 'max_tokens', 'stop', 'seed', 'stream', 'response_format', 'tools', 'tool_choice'];
+
+/**
+ * Creates the error of a rejected proxy request.
+ * @param {string} message - What is wrong.
+ * @param {number} status - HTTP status to answer with.
+ * @param {number|null} [retryAfterMs=null] - Wait before retrying (429).
+ * @returns {Error} An error with `status` and `retryAfterMs`.
+ */
+export function createProxyError(message, status, retryAfterMs = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * Reads the server's Groq API key.
+ * @param {Object} [sources={}] - Where to look.
+ * @param {Object} [sources.env=process.env] - Environment; GROQ_API_KEY wins over the file.
+ * @param {string} [sources.file] - JSON secrets file with a GROQ_API_KEY entry.
+ * @returns {Promise<string|null>} The key, or null if neither has one.
+ */
+export async function loadGroqApiKey({ env = process.env, file } = {}) {
+    if (env.GROQ_API_KEY) return env.GROQ_API_KEY.trim();
+    if (!file) return null;
+    try {
+        const secrets = JSON.parse(await fs.readFile(file, 'utf8'));
+        return typeof secrets.GROQ_API_KEY === 'string' && secrets.GROQ_API_KEY.trim() ? secrets.GROQ_API_KEY.trim() : null;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read the secrets file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Checks a chat completion request from the browser and builds the one sent to Groq.
+ * @param {Object} body - Parsed request body.
+ * @param {Object} [limits=PROXY_LIMITS] - Limits to enforce.
+ * @returns {Object} The request to forward.
+ * @throws {Error} If the request is malformed (`status` 400) or over the limits (`status` 413).
+ */
+export function toUpstreamRequest(body, limits = PROXY_LIMITS) {
+    if (!body || typeof body !== 'object' || typeof body.model !== 'string' || !body.model) {
+        throw createProxyError('model is required', 400);
+    }
+    const { messages } = body;
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw createProxyError('messages must be a non-empty array', 400);
+    }
+    if (messages.length > limits.maxMessages) {
+        throw createProxyError(`Too many messages (${messages.length}, at most ${limits.maxMessages})`, 413);
+    }
+    const promptChars = messages.reduce((total, message) => total + (typeof message.content === 'string' ? message.content.length : JSON.stringify(message.content || '').length), 0);
+    if (promptChars > limits.maxPromptChars) {
+        throw createProxyError(`Prompt too long (${promptChars} characters, at most ${limits.maxPromptChars})`, 413);
+    }
+    if (body.max_tokens !== undefined && !(Number.isInteger(body.max_tokens) && body.max_tokens > 0 && body.max_tokens <= limits.maxCompletionTokens)) {
+        throw createProxyError(`max_tokens must be an integer between 1 and ${limits.maxCompletionTokens}`, 413);
+    }
+    return Object.fromEntries(FORWARDED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+/**
+ * Reads the tokens used by a completion from its response body: `usage` of a JSON reply, or
+ * `x_groq.usage` / `usage` of a streamed chunk (Groq reports it in the last one).
+ * @param {string} text - Response body.
+ * @returns {number|null} Total tokens, or null if the body reports none.
+ */
+export function readUsageTokens(text) {
+    const readTotal = (data) => {
+        const usage = data && ((data.x_groq && data.x_groq.usage) || data.usage);
+        return usage && typeof usage.total_tokens === 'number' ? usage.total_tokens : null;
+    };
+    try {
+        return readTotal(JSON.parse(text));
+    } catch (error) {
+        // A stream of server-sent events
+    }
+    let total = null;
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.startsWith('data:') || line.includes('[DONE]')) continue;
+        try {
+            total = readTotal(JSON.parse(line.slice(5))) ?? total;
+        } catch (error) {
+            // Not JSON: skip the line
+        }
+    }
+    return total;
+}
+
+/**
+ * Estimates the tokens of a request from its prompt (4 characters per token), for responses
+ * that report no usage.
+ * @param {Object} request - Chat completion request.
+ * @returns {number} Estimated tokens.
+ */
+export function estimatePromptTokens(request) {
+    return Math.ceil(JSON.stringify(request.messages || []).length / 4);
+}
+
+/**
+ * Sends a request to the Groq API with the server's key.
+ * @param {string} path - API path, e.g. '/chat/completions' or '/models'.
+ * @param {Object} options - Request options.
+ * @param {string} options.apiKey - Groq API key.
+ * @param {Object} [options.body] - JSON body (a POST when set, else a GET).
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {string} [options.baseUrl=GROQ_BASE_URL] - Groq API base URL.
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation.
+ * @returns {Promise<Response>} Groq's response, whatever its status.
+ */
+export function sendToGroq(path, { apiKey, body, signal, baseUrl = GROQ_BASE_URL, fetch = globalThis.fetch }) {
+    return fetch(joinUrl(baseUrl, path), {
+        method: body === undefined ? 'GET' : 'POST',
+        headers: {
+            Authorization: `Bearer ${apiKey}`,
+            ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal,
+    });
+}
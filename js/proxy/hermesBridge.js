@@ -0,0 +1,186 @@
+// proxy/hermesBridge.js
+
+import { createOllamaProvider, OLLAMA_BASE_URL } from '../providers/ollamaProvider.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Server side of the Hermes bridge: the /api/ask-hermes route, which sends one question to a
+ * model of the server's Ollama (Hermes3 by default) over Ollama's HTTP chat API. No shell is
+ * involved, so the question cannot inject commands.
+ *
+ * How it works:
+ * 1. Takes the 'question', and the optional 'model' and 'stream', from the request body, and
+ *    checks the question and the model name
+ * 2. Without 'stream', answers with the whole response as JSON
+ * 3. With 'stream', relays the tokens as server-sent events as they arrive: one
+ *    `data: {"token": "..."}` event per token, then `data: {"done": true, "response": "..."}`,
+ *    or `data: {"error": "..."}` if the model fails midway (the contract of the
+ *    'hermes_bridge' provider, js/providers/hermesBridgeProvider.js)
+ * 4. Gives up when the model stays silent for `timeoutMs` (504), and stops the model when the
+ *    client disconnects
+ *
+ * Usage example:
+ * ```javascript
+ * app.post('/api/ask-hermes', createHermesBridgeHandler(readOllamaSettings(process.env)));
+ * ```
+ * POST /api/ask-hermes { "question": "What is the capital of France?" }
+ * → { "response": "The capital of France is Paris.", "model": "hermes3:latest" }
+ * POST /api/ask-hermes { "question": "...", "model": "llama3.1:8b", "stream": true }
+ * → text/event-stream: data: {"token":"The"} ... data: {"done":true,"response":"The capital..."}
+ *
+ * Files using these helpers:
+ * - server.js
+ * - js/server.js
+ *
+ * @see [Ollama API](https://github.com/ollama/ollama/blob/main/docs/api.md)
+ */
+
+/**
+ * @typedef {Object} OllamaSettings
+ * @property {string} baseUrl - Ollama server.
+ * @property {string} defaultModel - Model of questions that name none.
+ * @property {number} timeoutMs - Longest wait for the first token, or between two tokens.
+ * @property {string} keepAlive - How long Ollama keeps the model loaded after a request (e.g. '10m', or -1 for ever).
+ */
+
+// Model names Ollama accepts, e.g. 'hermes3:latest' or 'library/llama3.1:8b-instruct-q4_0'
+const MODEL_NAME_PATTERN = /^[\w.-]+(\/[\w.-]+)*(:[\w.-]+)?$/;
+
+/**
+ * Reads the bridge's settings from environment variables: OLLAMA_URL, OLLAMA_MODEL (default
+ * model), OLLAMA_TIMEOUT_MS and OLLAMA_KEEP_ALIVE.
+ * @param {Object} [env=process.env] - Environment.
+ * @returns {OllamaSettings} The settings.
+ */
+export function readOllamaSettings(env = process.env) {
+    return {
+        baseUrl: env.OLLAMA_URL || OLLAMA_BASE_URL,
+        defaultModel: env.OLLAMA_MODEL || 'hermes3:latest',
+        timeoutMs: Number(env.OLLAMA_TIMEOUT_MS) || 120000,
+        keepAlive: env.OLLAMA_KEEP_ALIVE || '10m',
+    };
+}
+
+/**
+ * Creates the Express handler of /api/ask-hermes.
+ * @param {OllamaSettings} settings - Where the questions go.
+ * @returns {function(Object, Object): Promise<void>} The handler (it needs a JSON body parser).
+ */
+export function createHermesBridgeHandler(settings) {
+    const provider = createOllamaProvider({ name: 'ollama', baseUrl: settings.baseUrl, keepAlive: settings.keepAlive });
+
+    return async (req, res) => {
+        const { question, stream = false } = req.body || {};
+        const model = req.body && req.body.model ? req.body.model : settings.defaultModel;
+
+        if (typeof question !== 'string' || !question.trim()) {
+            logger.warn('No question provided by the user.');
+            return res.status(400).json({ error: 'Question is required.' });
+        }
+        if (typeof model !== 'string' || !MODEL_NAME_PATTERN.test(model)) {
+            logger.warn(`Invalid model requested: ${model}`);
+            return res.status(400).json({ error: 'Invalid model name.' });
+        }
+
+        logger.info(`Received question for ${model}: ${question}`);
+        const messages = [{ role: 'user', content: question }];
+        const request = createRequestSignal(res, settings.timeoutMs);
+
+        if (!stream) {
+            try {
+                const response = (await provider.chat(messages, { model, signal: request.signal })).trim();
+                logger.info(`${model} response: ${response}`);
+                res.json({ response, model });
+            } catch (error) {
+                const { status, message } = describeOllamaError(error, request.timedOut(), settings.timeoutMs);
+                if (!res.writableEnded && !res.destroyed) {
+                    logger.error(`Ollama request to ${model} failed:`, error);
+                    res.status(status).json({ error: message });
+                }
+            } finally {
+                request.done();
+            }
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+        });
+        let response = '';
+        try {
+            for await (const token of provider.stream(messages, { model, signal: request.signal })) {
+                request.touch();
+                response += token;
+                res.write(`data: ${JSON.stringify({ token })}\n\n`);
+            }
+            logger.info(`${model} response: ${response.trim()}`);
+            res.write(`data: ${JSON.stringify({ done: true, response: response.trim(), model })}\n\n`);
+        } catch (error) {
+            if (!res.destroyed) {
+                logger.error(`Ollama stream from ${model} failed:`, error);
+                res.write(`data: ${JSON.stringify({ error: describeOllamaError(error, request.timedOut(), settings.timeoutMs).message })}\n\n`);
+            }
+        } finally {
+            request.done();
+            res.end();
+        }
+    };
+}
+
+/**
+ * Creates the signal of an Ollama request: aborted when the client disconnects, or when the
+ * model stays silent for `timeoutMs`.
+ * @param {Object} res - The Express response.
+ * @param {number} timeoutMs - Longest silence.
+ * @returns {{signal: AbortSignal, touch: Function, timedOut: Function, done: Function}} The signal;
+ *          `touch` restarts the timeout (call it on every token), `timedOut` tells why the signal fired
+ *          and `done` clears the timer.
+ */
+function createRequestSignal(res, timeoutMs) {
+    const controller = new AbortController();
+    let expired = false;
+    let timer;
+    const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            expired = true;
+            controller.abort();
+        }, timeoutMs);
+    };
+    const onClose = () => {
+        if (!res.writableEnded) controller.abort();
+    };
+    res.on('close', onClose);
+    touch();
+    return {
+        signal: controller.signal,
+        touch,
+        timedOut: () => expired,
+        done: () => {
+            clearTimeout(timer);
+            res.off('close', onClose);
+        },
+    };
+}
+
+/**
+ * Maps a failed Ollama request to the status and message sent to the client.
+ * @param {Error} error - The error of the request.
+ * @param {boolean} timedOut - Whether the request was aborted by the timeout.
+ * @param {number} timeoutMs - The timeout.
+ * @returns {{status: number, message: string}} The HTTP status and message.
+ */
+function describeOllamaError(error, timedOut, timeoutMs) {
+    if (timedOut) {
+        return { status: 504, message: `The model did not answer within ${timeoutMs} ms.` };
+    }
+    if (error.status === 404) {
+        return { status: 404, message: 'Model not found on the Ollama server.' };
+    }
+    if (error.name === 'ProviderError') {
+        return { status: 502, message: 'The Ollama server returned an error.' };
+    }
+    return { status: 503, message: 'The Ollama server is not reachable.' };
+}
@@ -0,0 +1,125 @@
+// proxy/sessionStore.js
+
+import { randomBytes } from 'node:crypto';
+import { createProxyError } from './completionProxy.js';
+
+/**
+ * Sessions of the server's Groq proxy (see the /api/session and /api/groq routes of server.js).
+ *
+ * The browser never holds the Groq API key: it opens a session, gets a random token, and sends
+ * it as the bearer token of its proxy requests. A session expires after `ttlMs`, and makes at
+ * most `requestsPerMinute` proxied requests (a request beyond that gets a 429 with the wait).
+ * A session belongs to the user who opened it (see js/quota/userDirectory.js), whose quotas
+ * its requests count against.
+ *
+ * Sessions are kept in memory only, so a restarted server forgets them; the browser then opens
+ * a new one (see js/providers/groqProxy.js).
+ *
+ * Usage example:
+ * ```javascript
+ * const sessions = new SessionStore({ ttlMs: 60 * 60 * 1000 });
+ * const { token, expiresAt } = sessions.create(user);
+ * const { user } = sessions.authorize(token); // throws with `status` 401 or 429
+ * ```
+ *
+ * Files using this class:
+ * - server.js
+ */
+
+export const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+export const DEFAULT_SESSION_REQUESTS_PER_MINUTE = 120;
+export const DEFAULT_MAX_SESSIONS = 10000;
+
+const MINUTE_MS = 60 * 1000;
+
+export class SessionStore {
+    /**
+     * @param {Object} [options={}] - Store options.
+     * @param {number} [options.ttlMs=DEFAULT_SESSION_TTL_MS] - Lifetime of a session.
+     * @param {number} [options.requestsPerMinute=DEFAULT_SESSION_REQUESTS_PER_MINUTE] - Proxied requests a session may make per minute.
+     * @param {number} [options.maxSessions=DEFAULT_MAX_SESSIONS] - Sessions kept; the oldest are dropped beyond it.
+     */
+    constructor({ ttlMs = DEFAULT_SESSION_TTL_MS, requestsPerMinute = DEFAULT_SESSION_REQUESTS_PER_MINUTE, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+        this.ttlMs = ttlMs;
+        this.requestsPerMinute = requestsPerMinute;
+        this.maxSessions = maxSessions;
+        // token -> { token, user, createdAt, expiresAt, requests: [epoch ms of the last minute's requests] }
+        this.sessions = new Map();
+    }
+
+    /**
+     * Opens a session.
+     * @param {User} user - Who opens it.
+     * @returns {{token: string, userId: string, createdAt: number, expiresAt: number}} The session.
+     */
+    create(user) {
+        this.prune();
+        if (this.sessions.size >= this.maxSessions) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+        const createdAt = Date.now();
+        const session = { token: randomBytes(24).toString('base64url'), user, createdAt, expiresAt: createdAt + this.ttlMs, requests: [] };
+        this.sessions.set(session.token, session);
+        return { token: session.token, userId: user.id, createdAt, expiresAt: session.expiresAt };
+    }
+
+    /**
+     * @param {string} token - Session token.
+     * @returns {Object|null} The session, or null if the token is unknown or expired.
+     */
+    get(token) {
+        const session = token ? this.sessions.get(token) : undefined;
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Checks a proxy request's token and counts the request against the session's rate.
+     * @param {string} token - Session token.
+     * @returns {Object} The session.
+     * @throws {Error} If the token is unknown or expired (`status` 401), or the session is over
+     *         its requests per minute (`status` 429, with `retryAfterMs`).
+     */
+    authorize(token) {
+        const session = this.get(token);
+        if (!session) {
+            throw createProxyError('Unknown or expired session', 401);
+        }
+        const now = Date.now();
+        session.requests = session.requests.filter(at => at > now - MINUTE_MS);
+        if (session.requests.length >= this.requestsPerMinute) {
+            throw createProxyError('Too many requests for this session', 429, session.requests[0] + MINUTE_MS - now);
+        }
+        session.requests.push(now);
+        return session;
+    }
+
+    /**
+     * @returns {number} Sessions open.
+     */
+    count() {
+        this.prune();
+        return this.sessions.size;
+    }
+
+    /**
+     * Closes a session.
+     * @param {string} token - Session token.
+     * @returns {boolean} False if there was no such session.
+     */
+    revoke(token) {
+        return this.sessions.delete(token);
+    }
+
+    // Drops the expired sessions
+    prune() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt <= now) this.sessions.delete(token);
+        }
+    }
+}
@@ -0,0 +1,284 @@
+// quota/quotaManager.js
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Per-user accounting of the fair-use quotas of rate_limiting.fair_use_policy.
+ *
+ * How it works:
+ * 1. Every user (see js/quota/userDirectory.js) has a quota window of `window_ms` (a day by
+ *    default), starting with their first request; the window's requests and tokens are
+ *    counted against the quota of their tier in `user_quotas` (`default` for unknown tiers)
+ * 2. check() refuses a request once either count has reached its quota, with a 429 error that
+ *    says when the window resets; record() adds a request's counts
+ * 3. A request whose cost is only known once it ends (a MOA run) reserves its estimated cost
+ *    first: reserve() refuses it unless the estimate fits what remains, and holds the
+ *    estimate against the quota until settle() replaces it with what the request used, so
+ *    that concurrent requests cannot overrun the quota together
+ * 4. With the policy disabled nothing is refused, but usage is still counted
+ * 5. Usage is kept in memory and, with a `file`, written to that JSON file and read back when
+ *    the server starts (reservations are kept in memory only)
+ *
+ * Usage example:
+ * ```javascript
+ * const quotas = new QuotaManager({ policy: MOA_CONFIG.rate_limiting.fair_use_policy, file: 'data/usage.json' });
+ * await quotas.load();
+ * quotas.check(user); // throws with `status` 429 and `resetAt`
+ * quotas.record(user, { requests: 1 });
+ * quotas.record(user, { tokens: 1200 }); // once the answer is in
+ *
+ * const reservation = quotas.reserve(user, { requests: 12, tokens: 6000 }); // throws like check()
+ * quotas.settle(reservation, { requests: 9, tokens: 4100 }); // once the run has ended
+ * ```
+ *
+ * Files using this class:
+ * - server.js
+ */
+
+/**
+ * @typedef {Object} UserUsage
+ * @property {string} userId - User id.
+ * @property {string} tier - Quota tier.
+ * @property {number} windowStartedAt - Epoch ms.
+ * @property {number} resetAt - Epoch ms at which the counts start again from zero.
+ * @property {{used: number, reserved: number, limit: number|null, remaining: number|null}} requests - Requests of the
+ *           window, and those reserved by requests still running (see reserve).
+ * @property {{used: number, reserved: number, limit: number|null, remaining: number|null}} tokens - Tokens of the window,
+ *           and those reserved.
+ * @property {{requests: number, tokens: number}} total - Since the usage was first recorded.
+ * @property {number|null} lastRequestAt - Epoch ms.
+ */
+
+/**
+ * @typedef {Object} QuotaReservation
+ * @property {User} user - Whose quota holds it.
+ * @property {number} requests - Requests reserved.
+ * @property {number} tokens - Tokens reserved.
+ * @property {boolean} settled - Whether settle() has released it.
+ */
+
+export const DEFAULT_QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export class QuotaManager {
+    /**
+     * @param {Object} options - Manager options.
+     * @param {Object} [options.policy={}] - rate_limiting.fair_use_policy: `enabled`, `window_ms` and `user_quotas`.
+     * @param {string} [options.file] - JSON file to persist the usage to; in memory only without one.
+     */
+    constructor({ policy = {}, file } = {}) {
+        this.policy = policy;
+        this.file = file;
+        // user id -> { userId, tier, windowStartedAt, requests, tokens, totalRequests, totalTokens, lastRequestAt }
+        this.usage = new Map();
+        // user id -> { requests, tokens } held by unsettled reservations
+        this.reserved = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * @returns {number} Length of a quota window.
+     */
+    get windowMs() {
+        return this.policy.window_ms || DEFAULT_QUOTA_WINDOW_MS;
+    }
+
+    /**
+     * Reads the usage of the file, if there is one.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.file) return;
+        try {
+            const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            saved.forEach(entry => this.usage.set(entry.userId, entry));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not read the usage from ${this.file}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Returns the quota of a user's tier.
+     * @param {User} user - The user.
+     * @returns {{requests: number, tokens: number}|null} The quota, or null if the policy sets none.
+     */
+    getQuota(user) {
+        const quotas = this.policy.user_quotas || {};
+        return quotas[user.tier] || quotas.default || null;
+    }
+
+    /**
+     * Refuses a request of a user who has used up a quota.
+     * @param {User} user - The user.
+     * @returns {UserUsage} The user's usage, when the request may go ahead.
+     * @throws {Error} With `status` 429, `resetAt`, `retryAfterMs` and `usage`, if a quota is used up.
+     */
+    check(user) {
+        const usage = this.getUsage(user);
+        if (!this.policy.enabled) return usage;
+        const exceeded = ['requests', 'tokens'].find(kind => usage[kind].limit !== null && usage[kind].remaining <= 0);
+        if (exceeded) {
+            throw createQuotaError(
+                `${exceeded === 'requests' ? 'Request' : 'Token'} quota exceeded (${usage[exceeded].limit} per window for the ${usage.tier} tier); it resets at ${new Date(usage.resetAt).toISOString()}`,
+                usage,
+            );
+        }
+        return usage;
+    }
+
+    /**
+     * Holds the estimated cost of a request against a user's quota until it is settled.
+     * @param {User} user - The user.
+     * @param {{requests: number, tokens: number}} estimate - What the request may use.
+     * @returns {QuotaReservation} The reservation, to settle once the request has ended.
+     * @throws {Error} With `status` 429, `resetAt`, `retryAfterMs` and `usage`, if the estimate
+     *         does not fit what remains of a quota.
+     */
+    reserve(user, { requests = 0, tokens = 0 }) {
+        const usage = this.check(user);
+        if (this.policy.enabled) {
+            const estimate = { requests, tokens };
+            const exceeded = ['requests', 'tokens'].find(kind => usage[kind].limit !== null && estimate[kind] > usage[kind].remaining);
+            if (exceeded) {
+                throw createQuotaError(
+                    `${exceeded === 'requests' ? 'Request' : 'Token'} quota exceeded: this run may use up to ${estimate[exceeded]} ${exceeded} and ${usage[exceeded].remaining} remain (${usage[exceeded].limit} per window for the ${usage.tier} tier); it resets at ${new Date(usage.resetAt).toISOString()}`,
+                    usage,
+                );
+            }
+        }
+        const held = this.reserved.get(user.id) || { requests: 0, tokens: 0 };
+        this.reserved.set(user.id, { requests: held.requests + requests, tokens: held.tokens + tokens });
+        return { user, requests, tokens, settled: false };
+    }
+
+    /**
+     * Releases a reservation and counts what the request actually used instead. Settling a
+     * reservation twice does nothing.
+     * @param {QuotaReservation} reservation - The reservation.
+     * @param {{requests: number, tokens: number}} used - What the request used.
+     */
+    settle(reservation, used) {
+        if (reservation.settled) return;
+        reservation.settled = true;
+        const { user } = reservation;
+        const held = this.reserved.get(user.id);
+        if (held) {
+            const rest = { requests: held.requests - reservation.requests, tokens: held.tokens - reservation.tokens };
+            if (rest.requests > 0 || rest.tokens > 0) {
+                this.reserved.set(user.id, rest);
+            } else {
+                this.reserved.delete(user.id);
+            }
+        }
+        this.record(user, used);
+    }
+
+    /**
+     * Counts requests and tokens against a user's quota.
+     * @param {User} user - The user.
+     * @param {{requests: number, tokens: number}} counts - What to add.
+     */
+    record(user, { requests = 0, tokens = 0 }) {
+        const entry = this.getEntry(user);
+        entry.requests += requests;
+        entry.tokens += tokens;
+        entry.totalRequests += requests;
+        entry.totalTokens += tokens;
+        if (requests > 0) entry.lastRequestAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * @param {User} user - The user.
+     * @returns {UserUsage} The user's usage of the current window.
+     */
+    getUsage(user) {
+        return this.describe(this.getEntry(user), this.getQuota(user));
+    }
+
+    /**
+     * @returns {UserUsage[]} The usage of every user who made a request, most recent first.
+     */
+    list() {
+        return [...this.usage.values()]
+            .map(entry => this.describe(this.rollWindow(entry), this.getQuota({ tier: entry.tier })))
+            .sort((a, b) => (b.lastRequestAt || 0) - (a.lastRequestAt || 0));
+    }
+
+    /**
+     * Writes the usage to the file (writes are queued, so they never overlap).
+     * @returns {Promise<void>} Resolves once written; a failed write is logged.
+     */
+    save() {
+        if (!this.file) return Promise.resolve();
+        const entries = [...this.usage.values()];
+        this.writing = this.writing.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(this.file, JSON.stringify(entries));
+            } catch (error) {
+                logger.error(`Could not write the usage to ${this.file}:`, error);
+            }
+        });
+        return this.writing;
+    }
+
+    // The user's entry, in its current window (a user's tier may change in the users file)
+    getEntry(user) {
+        let entry = this.usage.get(user.id);
+        if (!entry) {
+            entry = { userId: user.id, tier: user.tier, windowStartedAt: Date.now(), requests: 0, tokens: 0, totalRequests: 0, totalTokens: 0, lastRequestAt: null };
+            this.usage.set(user.id, entry);
+        }
+        entry.tier = user.tier;
+        return this.rollWindow(entry);
+    }
+
+    // Starts a new window once the entry's one is over
+    rollWindow(entry) {
+        const now = Date.now();
+        if (now >= entry.windowStartedAt + this.windowMs) {
+            Object.assign(entry, { windowStartedAt: now, requests: 0, tokens: 0 });
+        }
+        return entry;
+    }
+
+    describe(entry, quota) {
+        const reserved = this.reserved.get(entry.userId) || { requests: 0, tokens: 0 };
+        const count = (used, held, limit) => ({
+            used,
+            reserved: held,
+            limit: typeof limit === 'number' ? limit : null,
+            remaining: typeof limit === 'number' ? Math.max(0, limit - used - held) : null,
+        });
+        return {
+            userId: entry.userId,
+            tier: entry.tier,
+            windowStartedAt: entry.windowStartedAt,
+            resetAt: entry.windowStartedAt + this.windowMs,
+            requests: count(entry.requests, reserved.requests, quota && quota.requests),
+            tokens: count(entry.tokens, reserved.tokens, quota && quota.tokens),
+            total: { requests: entry.totalRequests, tokens: entry.totalTokens },
+            lastRequestAt: entry.lastRequestAt,
+        };
+    }
+}
+
+/**
+ * Creates the error of a request over its user's quota.
+ * @param {string} message - What is exceeded.
+ * @param {UserUsage} usage - The user's usage.
+ * @returns {Error} An error with `status` 429, `resetAt`, `retryAfterMs` and `usage`.
+ */
+export function createQuotaError(message, usage) {
+    const error = new Error(message);
+    error.name = 'QuotaExceededError';
+    error.status = 429;
+    error.resetAt = usage.resetAt;
+    error.retryAfterMs = Math.max(0, usage.resetAt - Date.now());
+    error.usage = usage;
+    return error;
+}
@@ -0,0 +1,93 @@
+// quota/userDirectory.js
+
+import { promises as fs } from 'node:fs';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Users of a shared server, identified by their API tokens.
+ *
+ * Users are listed in a local JSON file (kept out of git), each with a token, a quota tier
+ * (a key of rate_limiting.fair_use_policy.user_quotas) and whether they may see the usage
+ * of everyone:
+ *
+ * ```json
+ * { "users": [
+ *     { "id": "alice", "token": "a-long-random-token", "tier": "premium", "admin": true },
+ *     { "id": "batch-service", "token": "another-token" }
+ * ] }
+ * ```
+ *
+ * A request without a known token is made by ANONYMOUS_USER: all anonymous requests share
+ * one quota, so opening new sessions does not get round it.
+ *
+ * Usage example:
+ * ```javascript
+ * const users = new UserDirectory({ file: 'users.json' });
+ * await users.load();
+ * const user = users.findByToken(token) || ANONYMOUS_USER;
+ * ```
+ *
+ * Files using this class:
+ * - server.js
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} id - User id.
+ * @property {string} tier - Quota tier ('default' unless set).
+ * @property {boolean} admin - Whether the user may see everyone's usage.
+ */
+
+export const ANONYMOUS_USER = Object.freeze({ id: 'anonymous', tier: 'default', admin: false });
+
+export class UserDirectory {
+    /**
+     * @param {Object} [options={}] - Directory options.
+     * @param {string} [options.file] - JSON users file; nobody is identified without one.
+     */
+    constructor({ file } = {}) {
+        this.file = file;
+        // token -> User
+        this.byToken = new Map();
+    }
+
+    /**
+     * Reads the users file. Entries without an id or a token are skipped.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.file) return;
+        let saved;
+        try {
+            saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not read the users from ${this.file}:`, error);
+            }
+            return;
+        }
+        this.byToken.clear();
+        for (const entry of saved.users || []) {
+            if (!entry || typeof entry.id !== 'string' || typeof entry.token !== 'string' || !entry.token) {
+                logger.warn('Skipping a user without an id or a token');
+                continue;
+            }
+            this.byToken.set(entry.token, { id: entry.id, tier: entry.tier || 'default', admin: entry.admin === true });
+        }
+    }
+
+    /**
+     * @param {string} [token] - API token.
+     * @returns {User|null} Its user, or null if the token is unknown.
+     */
+    findByToken(token) {
+        return (token && this.byToken.get(token)) || null;
+    }
+
+    /**
+     * @returns {User[]} Every user.
+     */
+    list() {
+        return [...this.byToken.values()];
+    }
+}
@@ -0,0 +1,293 @@
+// runs/runManager.js
+
+import { MoaEngine, MOA_ENGINE_EVENTS } from '../engine/moaEngine.js';
+import { deepMerge } from '../utils/deepMerge.js';
+import { findInlineConfigError } from '../config/configValidation.js';
+import { generateUniqueId } from '../utils/idGenerator.js';
+import { getTokenCount } from '../utils/tokenUtils.js';
+import { isAbortError } from '../utils/abort.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * MOA runs submitted to the server (see the /api/runs routes of server.js).
+ *
+ * How it works:
+ * 1. start() resolves the run's configuration (a named configuration or the default one,
+ *    with the request's inline configuration merged over it), then runs a fresh MoaEngine
+ *    in the background and returns the run at once. The inline configuration may only tune
+ *    the models and layers, within limits: it can never change the providers or name a URL
+ *    (see findInlineConfigError in js/config/configValidation.js)
+ * 2. Every model call of the run is counted in its `usage`, with its tokens (prompt and answer,
+ *    estimated as for the run's budget). A caller that accounts for runs (the server's
+ *    quotas) passes `reserve`: it gets the run's estimated cost before the run starts (see
+ *    MoaEngine.estimateCost), and the function it returns gets the run's `usage` once the run
+ *    has ended, whatever its status
+ * 3. Every engine event is numbered and appended to the run's `events`; subscribers get
+ *    them live, and a subscriber that reconnects can resume after the last event it saw
+ * 4. The run ends with a 'run:end' event `{ status, usage, error? }`: 'completed', 'failed' or
+ *    'cancelled' (see cancel); its MoaRunResult is then in `result`
+ * 5. Runs are kept in a RunStore (js/runs/runStore.js), in memory or in a JSON file
+ *
+ * Usage example:
+ * ```javascript
+ * const runs = new RunManager({ store, createClient, defaultConfig: MOA_CONFIG, getNamedConfig });
+ * const run = await runs.start({ input: 'Explain TCP slow start.', configName: 'fast' });
+ * const unsubscribe = runs.subscribe(run.id, 0, (event) => console.log(event.type));
+ * runs.cancel(run.id);
+ * ```
+ *
+ * Files using this class:
+ * - server.js
+ */
+
+/**
+ * @typedef {Object} ServerRun
+ * @property {string} id - Run id.
+ * @property {string} status - 'running', 'completed', 'failed' or 'cancelled'.
+ * @property {string} input - The prompt.
+ * @property {string|null} userId - Who started it (see js/quota/userDirectory.js).
+ * @property {string|null} configName - The named configuration it ran with (null for the default one).
+ * @property {boolean} inlineConfig - Whether the request brought its own configuration.
+ * @property {number} createdAt - Epoch ms.
+ * @property {number|null} finishedAt - Epoch ms.
+ * @property {string} [error] - Why it failed.
+ * @property {{requests: number, tokens: number}} usage - Model calls made so far, and their tokens.
+ * @property {Array<{id: number, type: string, data: Object, at: number}>} events - Its events, oldest first.
+ * @property {MoaRunResult|null} result - The result, once finished.
+ */
+
+export const RUN_END_EVENT = 'run:end';
+
+export class RunManager {
+    /**
+     * @param {Object} options - Manager options.
+     * @param {RunStore} options.store - Where runs are kept.
+     * @param {function(Object): {complete: Function, stream: Function}} options.createClient - Creates the model
+     *        client of a run from its configuration (whose `providers` it may use).
+     * @param {Object} options.defaultConfig - Configuration of runs that name none.
+     * @param {function(string): (Object|null|Promise<Object|null>)} [options.getNamedConfig] - Returns a named configuration.
+     * @param {number} [options.maxConcurrency=Infinity] - Agents of a layer running at once, per run.
+     */
+    constructor({ store, createClient, defaultConfig, getNamedConfig = () => null, maxConcurrency = Infinity }) {
+        this.store = store;
+        this.createClient = createClient;
+        this.defaultConfig = defaultConfig;
+        this.getNamedConfig = getNamedConfig;
+        this.maxConcurrency = maxConcurrency;
+        // Live state of the running runs: id -> { controller, listeners }
+        this.live = new Map();
+    }
+
+    /**
+     * Starts a run in the background.
+     * @param {Object} request - The run request.
+     * @param {string} request.input - The prompt.
+     * @param {string} [request.configName] - Named configuration to run with.
+     * @param {Object} [request.config] - Configuration merged over the named (or default) one.
+     * @param {Object} [request.budget] - Budget of the run (see RunBudget).
+     * @param {Object} [request.outputSchema] - Output schema of a structured run (see js/engine/structuredOutput.js).
+     * @param {string} [request.userId] - Who starts it.
+     * @param {function({requests: number, tokens: number}): ?function({requests: number, tokens: number}): void} [request.reserve] -
+     *        Called with the run's estimated cost just before it starts, and may throw to refuse it. The function
+     *        it returns is called with the run's `usage` once the run has ended.
+     * @returns {Promise<ServerRun>} The run, already running.
+     * @throws {Error} If the input is empty, the named configuration does not exist (`status` 404),
+     *         the inline configuration is refused (400), the configuration has no layers, or `reserve` threw.
+     */
+    async start({ input, configName, config, budget, outputSchema, userId, reserve }) {
+        if (typeof input !== 'string' || !input.trim()) {
+            throw createRunError('input is required', 400);
+        }
+        const runConfig = await this.resolveConfig(configName, config);
+        const usage = { requests: 0, tokens: 0 };
+        const engine = new MoaEngine({ config: runConfig, client: meterClient(this.createClient(runConfig), usage), maxConcurrency: this.maxConcurrency });
+        const settle = reserve ? reserve(engine.estimateCost(input, { outputSchema })) : null;
+        const run = {
+            id: generateUniqueId(),
+            status: 'running',
+            input,
+            userId: userId || null,
+            configName: configName || null,
+            inlineConfig: Boolean(config),
+            createdAt: Date.now(),
+            finishedAt: null,
+            usage,
+            events: [],
+            result: null,
+        };
+        this.store.add(run);
+
+        const controller = new AbortController();
+        this.live.set(run.id, { controller, listeners: new Set(), settle });
+        MOA_ENGINE_EVENTS.forEach(type => engine.on(type, (data) => this.record(run, type, data)));
+
+        engine.run(input, { signal: controller.signal, budget, outputSchema })
+            .then((result) => {
+                run.result = result;
+                this.finish(run, result.cancelled ? 'cancelled' : 'completed');
+            })
+            .catch((error) => {
+                if (isAbortError(error)) {
+                    this.finish(run, 'cancelled');
+                } else {
+                    logger.error(`Run ${run.id} failed:`, error);
+                    this.finish(run, 'failed', error.message);
+                }
+            });
+        return run;
+    }
+
+    /**
+     * @param {string} id - Run id.
+     * @returns {ServerRun|undefined} The run.
+     */
+    get(id) {
+        return this.store.get(id);
+    }
+
+    /**
+     * @returns {ServerRun[]} Every stored run, oldest first.
+     */
+    list() {
+        return this.store.list();
+    }
+
+    /**
+     * Cancels a running run; it ends with the status 'cancelled' once the engine has stopped.
+     * @param {string} id - Run id.
+     * @returns {boolean} False if the run is not running.
+     */
+    cancel(id) {
+        const live = this.live.get(id);
+        if (!live) return false;
+        live.controller.abort();
+        return true;
+    }
+
+    /**
+     * Calls a listener with the events of a run after a given one, then with its new events
+     * until it ends (the last event is always 'run:end').
+     * @param {string} id - Run id.
+     * @param {number} afterEventId - Id of the last event already seen (0 for all of them).
+     * @param {function(Object): void} listener - Called with every event.
+     * @returns {Function} Stops the subscription.
+     */
+    subscribe(id, afterEventId, listener) {
+        const run = this.store.get(id);
+        if (!run) {
+            throw createRunError(`Unknown run: ${id}`, 404);
+        }
+        run.events.filter(event => event.id > afterEventId).forEach(listener);
+        const live = this.live.get(id);
+        if (!live) return () => {};
+        live.listeners.add(listener);
+        return () => live.listeners.delete(listener);
+    }
+
+    /**
+     * Builds the configuration of a run.
+     * @param {string} [configName] - Named configuration; the default one without a name.
+     * @param {Object} [config] - Inline configuration, merged over it.
+     * @returns {Promise<Object>} The configuration.
+     * @throws {Error} If the name is unknown (404), the inline configuration is refused (400) or
+     *         the configuration has no layers (400).
+     */
+    async resolveConfig(configName, config) {
+        let base = this.defaultConfig;
+        if (configName) {
+            base = await this.getNamedConfig(configName);
+            if (!base) {
+                throw createRunError(`Unknown configuration: ${configName}`, 404);
+            }
+        }
+        if (config !== undefined && config !== null) {
+            const problem = findInlineConfigError(config, base);
+            if (problem) {
+                throw createRunError(`Invalid config: ${problem}`, 400);
+            }
+        }
+        const resolved = config ? deepMerge(base, config) : base;
+        if (!Array.isArray(resolved.layers) || resolved.layers.length === 0 || !resolved.layers.every(Array.isArray)) {
+            throw createRunError('The configuration needs a non-empty array of layers', 400);
+        }
+        return resolved;
+    }
+
+    // Numbers an event, stores it and hands it to the subscribers
+    record(run, type, data) {
+        const event = { id: run.events.length > 0 ? run.events[run.events.length - 1].id + 1 : 1, type, data, at: Date.now() };
+        run.events.push(event);
+        const live = this.live.get(run.id);
+        if (live) {
+            live.listeners.forEach(listener => listener(event));
+        }
+    }
+
+    // Ends a run with its final status and the 'run:end' event, and settles its reservation
+    finish(run, status, error) {
+        run.status = status;
+        run.finishedAt = Date.now();
+        if (error) run.error = error;
+        const live = this.live.get(run.id);
+        if (live && live.settle) {
+            try {
+                live.settle({ ...run.usage });
+            } catch (settleError) {
+                logger.error(`Could not settle the usage of run ${run.id}:`, settleError);
+            }
+        }
+        this.record(run, RUN_END_EVENT, { status, usage: { ...run.usage }, ...(error ? { error } : {}) });
+        this.live.delete(run.id);
+        this.store.save();
+    }
+}
+
+/**
+ * Wraps a run's model client to count its calls and their tokens in `usage`, failed and
+ * cancelled calls included (their prompt was sent).
+ * @param {{complete: Function, stream: Function}} client - The run's client.
+ * @param {{requests: number, tokens: number}} usage - Counts to add to.
+ * @returns {{complete: Function, stream: Function}} The counting client.
+ */
+function meterClient(client, usage) {
+    const count = (messages, options, answer) => {
+        usage.tokens += getTokenCount([...messages, { role: 'assistant', content: answer }], options.model);
+    };
+    return {
+        async complete(messages, options = {}) {
+            usage.requests++;
+            let answer = '';
+            try {
+                answer = await client.complete(messages, options);
+                return answer;
+            } finally {
+                count(messages, options, typeof answer === 'string' ? answer : '');
+            }
+        },
+
+        async *stream(messages, options = {}) {
+            usage.requests++;
+            let answer = '';
+            try {
+                for await (const token of client.stream(messages, options)) {
+                    answer += token;
+                    yield token;
+                }
+            } finally {
+                count(messages, options, answer);
+            }
+        },
+    };
+}
+
+/**
+ * Creates the error of a rejected run request.
+ * @param {string} message - What is wrong.
+ * @param {number} status - HTTP status to answer with.
+ * @returns {Error} An error with `status`.
+ */
+export function createRunError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
@@ -0,0 +1,115 @@
+// runs/runStore.js
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Storage of the server's MOA runs.
+ *
+ * Runs are kept in memory; with a `file`, every run is also written to that JSON file when
+ * its status changes, and read back when the server starts. Streamed tokens are not written
+ * (the events of a reloaded run are its progress events only), and a run that was still
+ * going when the server stopped is reloaded as failed.
+ *
+ * The oldest finished runs are dropped beyond `maxRuns`.
+ *
+ * Usage example:
+ * ```javascript
+ * const store = new RunStore({ file: 'data/runs.json' });
+ * await store.load();
+ * store.add(run);
+ * store.save(); // after changing a run
+ * ```
+ *
+ * Files using this class:
+ * - js/runs/runManager.js
+ */
+
+// Events that are not written to the file
+const TOKEN_EVENTS = new Set(['agent:token', 'summary:token', 'final:token']);
+
+export const DEFAULT_MAX_RUNS = 200;
+
+export class RunStore {
+    /**
+     * @param {Object} [options={}] - Store options.
+     * @param {string} [options.file] - JSON file to persist the runs to; in memory only without one.
+     * @param {number} [options.maxRuns=DEFAULT_MAX_RUNS] - Runs kept, finished or not.
+     */
+    constructor({ file, maxRuns = DEFAULT_MAX_RUNS } = {}) {
+        this.file = file;
+        this.maxRuns = maxRuns;
+        this.runs = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Reads the runs of the file, if there is one. Runs that were still going are marked failed.
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (!this.file) return;
+        let saved;
+        try {
+            saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Could not read the runs from ${this.file}:`, error);
+            }
+            return;
+        }
+        for (const run of saved) {
+            if (run.status === 'queued' || run.status === 'running') {
+                Object.assign(run, { status: 'failed', error: 'The server stopped during the run', finishedAt: run.finishedAt || Date.now() });
+            }
+            this.runs.set(run.id, run);
+        }
+    }
+
+    /**
+     * Adds a run, dropping the oldest finished runs beyond maxRuns.
+     * @param {Object} run - The run.
+     */
+    add(run) {
+        this.runs.set(run.id, run);
+        const finished = [...this.runs.values()].filter(({ finishedAt }) => finishedAt);
+        for (let excess = this.runs.size - this.maxRuns; excess > 0 && finished.length > 0; excess--) {
+            this.runs.delete(finished.shift().id);
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string} id - Run id.
+     * @returns {Object|undefined} The run.
+     */
+    get(id) {
+        return this.runs.get(id);
+    }
+
+    /**
+     * @returns {Object[]} Every run, oldest first.
+     */
+    list() {
+        return [...this.runs.values()];
+    }
+
+    /**
+     * Writes the runs to the file (writes are queued, so they never overlap).
+     * @returns {Promise<void>} Resolves once written; a failed write is logged.
+     */
+    save() {
+        if (!this.file) return Promise.resolve();
+        const runs = this.list().map(run => ({ ...run, events: run.events.filter(({ type }) => !TOKEN_EVENTS.has(type)) }));
+        this.writing = this.writing.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.writeFile(this.file, JSON.stringify(runs));
+            } catch (error) {
+                logger.error(`Could not write the runs to ${this.file}:`, error);
+            }
+        });
+        return this.writing;
+    }
+}
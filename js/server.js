@@ -1,6 +1,10 @@
-const express = require('express');
-const { exec } = require('child_process');
-const path = require('path');
+import express from 'express';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { logger } from './utils/logger.js';
+import { createHermesBridgeHandler, readOllamaSettings } from './proxy/hermesBridge.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,68 +15,23 @@ app.use(express.json());
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Import logger
-const { logger } = require('./public/js/utils/logger.js');
-
 /**
  * Route to Handle Ollama Requests
  * 
- * This function sets up a POST route at '/api/ask-hermes' to handle requests to the Hermes3 AI model.
- * It receives a question from the client, sends it to the Hermes3 model via the Ollama command-line interface,
- * and returns the model's response.
- * 
- * How it works:
- * 1. Extracts the 'question' from the request body.
- * 2. Validates that a question was provided.
- * 3. Logs the received question.
- * 4. Executes the Ollama command with the Hermes3 model.
- * 5. Handles any errors that occur during execution.
- * 6. Logs and sends the model's response back to the client.
- * 
- * Usage example:
- * POST /api/ask-hermes
- * Body: { "question": "What is the capital of France?" }
- * Response: { "response": "The capital of France is Paris." }
- * 
- * Files that use this function:
- * - public/js/main.js (Client-side JavaScript that sends requests to this endpoint)
- * - public/index.html (HTML file that includes the client-side JavaScript)
+ * Sends a question to the Hermes3 AI model (or another model pulled on the Ollama server) and
+ * returns the model's response, whole or streamed as server-sent events. The route is shared
+ * with the app server (server.js); see js/proxy/hermesBridge.js for the request and response
+ * formats.
  * 
- * Role in overall program logic:
- * This function serves as the bridge between the client-side application and the Hermes3 AI model.
- * It enables users to interact with the AI model through a web interface, facilitating question-answering
- * capabilities in the application.
+ * Settings (environment variables): OLLAMA_URL, OLLAMA_MODEL (default model), OLLAMA_TIMEOUT_MS,
+ * OLLAMA_KEEP_ALIVE.
  * 
- * @see [Ollama Documentation](https://github.com/jmorganca/ollama)
- * @see [Hermes3 Model](https://huggingface.co/models?search=hermes3)
+ * Files that use this route:
+ * - js/providers/hermesBridgeProvider.js (the 'hermes_bridge' provider)
  */
-app.post('/api/ask-hermes', (req, res) => {
-  const { question } = req.body;
-
-  if (!question) {
-    logger.warn('No question provided by the user.');
-    return res.status(400).json({ error: 'Question is required.' });
-  }
-
-  logger.info(`Received question: ${question}`);
-
-  // Execute the Ollama command with the Hermes3 model
-  exec(`echo "${question}" | ollama run hermes3:latest`, (error, stdout, stderr) => {
-    if (error) {
-      logger.error('Execution error:', error);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
-    if (stderr) {
-      logger.error('Standard error:', stderr);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
-    logger.info(`Hermes3 response: ${stdout.trim()}`);
-    // Send the model's response back to the client
-    res.json({ response: stdout.trim() });
-  });
-});
+app.post('/api/ask-hermes', createHermesBridgeHandler(readOllamaSettings()));
 
 // Start the server
 app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+  logger.info(`Server is running on port ${PORT}`);
+});
@@ -0,0 +1,148 @@
+// tests/aggregators.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_AGGREGATOR, getAggregator, getAggregatorNames, normalizeWeights } from '../engine/aggregators.js';
+
+/**
+ * Unit tests of the layer aggregators (js/engine/aggregators.js). The summary model is
+ * replaced by a `generate` stub that records its prompts.
+ *
+ * Run with `npm test`.
+ */
+
+function candidate(agentIndex, output, weight) {
+    return { agentIndex, model: `model-${agentIndex}`, specialization: null, output, weight };
+}
+
+function createGenerate(reply) {
+    const prompts = [];
+    const generate = async (prompt, options) => {
+        prompts.push({ prompt, options });
+        return typeof reply === 'function' ? reply(prompt) : reply;
+    };
+    return { generate, prompts };
+}
+
+test('normalizeWeights scales weights to sum to 1', () => {
+    assert.deepEqual(normalizeWeights([1, 3]), [0.25, 0.75]);
+});
+
+test('normalizeWeights gives missing weights the average of the others', () => {
+    const weights = normalizeWeights([0.2, undefined, 0.6]);
+    [1 / 6, 1 / 3, 1 / 2].forEach((expected, i) => assert.ok(Math.abs(weights[i] - expected) < 1e-9, `weight ${i}: ${weights[i]}`));
+    assert.deepEqual(normalizeWeights([undefined, 0]), [0.5, 0.5]);
+});
+
+test('the default aggregator is registered', () => {
+    assert.equal(getAggregator(), getAggregator(DEFAULT_AGGREGATOR));
+    for (const name of ['weighted_synthesis', 'llm_judge', 'majority_vote', 'rank_fusion', 'moderator']) {
+        assert.ok(getAggregatorNames().includes(name), name);
+    }
+    assert.throws(() => getAggregator('no_such_aggregator'), /Unknown layer aggregator/);
+});
+
+test('weighted_synthesis streams a summary of the answers ordered by weight', async () => {
+    const { generate, prompts } = createGenerate('Merged answer');
+    const result = await getAggregator('weighted_synthesis')({
+        layerIndex: 0,
+        layer: [],
+        context: 'Explain TCP slow start.',
+        candidates: [candidate(0, 'Light answer', 0.25), candidate(1, 'Heavy answer', 0.75)],
+        generate,
+    });
+    assert.deepEqual(result, { summary: 'Merged answer' });
+    assert.equal(prompts.length, 1);
+    assert.deepEqual(prompts[0].options, { stream: true });
+    const { prompt } = prompts[0];
+    assert.ok(prompt.indexOf('Agent 2 (weight 75%): Heavy answer') < prompt.indexOf('Agent 1 (weight 25%): Light answer'));
+});
+
+test('majority_vote picks the group with the largest weight without a model call', async () => {
+    const { generate, prompts } = createGenerate('unused');
+    const result = await getAggregator('majority_vote')({
+        candidates: [candidate(0, 'Paris.', 0.3), candidate(1, 'paris', 0.3), candidate(2, 'Lyon', 0.4)],
+        generate,
+    });
+    assert.equal(result.summary, 'Paris.');
+    assert.equal(result.selectedAgent, 0);
+    assert.equal(result.details.agreement, 2 / 3);
+    assert.deepEqual(result.details.votes, [{ agents: [1, 2], weight: 0.6 }, { agents: [3], weight: 0.4 }]);
+    assert.equal(prompts.length, 0);
+});
+
+test('llm_judge selects the best-scored answer', async () => {
+    const { generate } = createGenerate('{"scores": {"1": 4, "2": 9}}');
+    const result = await getAggregator('llm_judge')({
+        context: 'Capital of France?',
+        candidates: [candidate(0, 'Lyon', 0.5), candidate(1, 'Paris', 0.5)],
+        generate,
+    });
+    assert.equal(result.summary, 'Paris');
+    assert.equal(result.selectedAgent, 1);
+    assert.deepEqual(result.details.scores, { 1: 4, 2: 9 });
+});
+
+test('llm_judge falls back to the weights when the judge gives no scores', async () => {
+    const { generate } = createGenerate('No opinion.');
+    const result = await getAggregator('llm_judge')({
+        context: 'Capital of France?',
+        candidates: [candidate(0, 'Lyon', 0.2), candidate(1, 'Paris', 0.8)],
+        generate,
+    });
+    assert.equal(result.selectedAgent, 1);
+});
+
+test('llm_judge passes a single answer on without a model call', async () => {
+    const { generate, prompts } = createGenerate('unused');
+    const result = await getAggregator('llm_judge')({ context: 'Q', candidates: [candidate(2, 'Only answer', 1)], generate });
+    assert.equal(result.summary, 'Only answer');
+    assert.equal(result.selectedAgent, 2);
+    assert.equal(prompts.length, 0);
+});
+
+test('rank_fusion fuses the weight, consensus and model rankings', async () => {
+    const { generate } = createGenerate('{"ranking": [2, 1, 3]}');
+    const result = await getAggregator('rank_fusion')({
+        context: 'Capital of France?',
+        candidates: [
+            candidate(0, 'The capital of France is Lyon', 0.2),
+            candidate(1, 'The capital of France is Paris', 0.6),
+            candidate(2, 'Bananas are yellow', 0.2),
+        ],
+        generate,
+    });
+    assert.equal(result.selectedAgent, 1);
+    assert.match(result.note, /from 3 rankings/);
+});
+
+test('rank_fusion ranks without the model when its ranking fails', async () => {
+    const { generate } = createGenerate(() => {
+        throw new Error('Model unavailable');
+    });
+    const result = await getAggregator('rank_fusion')({
+        context: 'Q',
+        candidates: [candidate(0, 'alpha beta', 0.7), candidate(1, 'gamma delta', 0.3)],
+        generate,
+    });
+    assert.equal(result.selectedAgent, 0);
+    assert.match(result.note, /from 2 rankings/);
+});
+
+test('moderator reports the debate outcome', async () => {
+    const { generate, prompts } = createGenerate('Consensus: Paris');
+    const result = await getAggregator('moderator')({
+        context: 'Capital of France?',
+        candidates: [candidate(0, 'Paris', 0.5), candidate(1, 'Paris, France', 0.5)],
+        generate,
+        debate: {
+            rounds: [{ agreement: 0.9, answers: [{ agentIndex: 1, critique: 'Agent 1 is right' }] }],
+            converged: true,
+            stopReason: 'converged',
+        },
+    });
+    assert.equal(result.summary, 'Consensus: Paris');
+    assert.equal(result.note, 'Moderator declared the consensus after 1 round(s) (agreement 90%)');
+    assert.deepEqual(result.details, { rounds: 1, converged: true, stopReason: 'converged' });
+    assert.match(prompts[0].prompt, /Agent 2: Agent 1 is right/);
+});
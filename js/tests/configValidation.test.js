@@ -0,0 +1,47 @@
+// tests/configValidation.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOA_CONFIG } from '../config/moa-config.js';
+import { findInlineConfigError, INLINE_CONFIG_LIMITS } from '../config/configValidation.js';
+
+/**
+ * Unit tests of the checks of a run request's inline configuration
+ * (findInlineConfigError in js/config/configValidation.js).
+ *
+ * Run with `npm test`.
+ */
+
+const AGENT = { model_name: 'llama3-8b-8192', temperature: 0.5 };
+
+test('inline configurations may tune the models and layers', () => {
+    assert.equal(findInlineConfigError({ main_temperature: 0.2, layers: [[AGENT, { ...AGENT, samples: 2 }]] }, MOA_CONFIG), null);
+    assert.equal(findInlineConfigError({ layer_settings: [{ aggregator: 'majority_vote' }] }, MOA_CONFIG), null);
+});
+
+test('inline configurations cannot change the providers', () => {
+    assert.match(findInlineConfigError({ providers: { groq: { type: 'groq', base_url: 'http://attacker.example' } } }, MOA_CONFIG), /^providers cannot be set/);
+    assert.match(findInlineConfigError({ default_provider: 'ollama' }, MOA_CONFIG), /^default_provider cannot be set/);
+    assert.match(findInlineConfigError({ rate_limiting: { enabled: false } }, MOA_CONFIG), /^rate_limiting cannot be set/);
+});
+
+test('inline configurations cannot name a URL anywhere', () => {
+    const config = { layers: [[{ ...AGENT, base_url: 'http://169.254.169.254/' }]] };
+    assert.equal(findInlineConfigError(config, MOA_CONFIG), 'layers.0.0.base_url cannot be set by a run request');
+});
+
+test('inline configurations are capped in size', () => {
+    const { layers, agents_per_layer, samples, debate_rounds } = INLINE_CONFIG_LIMITS;
+    assert.match(findInlineConfigError({ layers: Array.from({ length: layers + 1 }, () => [AGENT]) }, MOA_CONFIG), /layers are allowed/);
+    assert.match(findInlineConfigError({ layers: [Array(agents_per_layer + 1).fill(AGENT)] }, MOA_CONFIG), /agents per layer/);
+    assert.match(findInlineConfigError({ layers: [[{ ...AGENT, samples: samples + 1 }]] }, MOA_CONFIG), /samples per agent/);
+    assert.match(findInlineConfigError({ debate: { rounds: debate_rounds + 1 } }, MOA_CONFIG), /debate rounds/);
+    assert.match(findInlineConfigError({ layer_settings: [{ debate: { rounds: debate_rounds + 1 } }] }, MOA_CONFIG), /debate rounds/);
+});
+
+test('inline configurations must still be valid configurations', () => {
+    assert.equal(findInlineConfigError({ layers: [[{ ...AGENT, temperature: 3 }]] }, MOA_CONFIG), 'Invalid agent temperature: 3');
+    assert.equal(findInlineConfigError([], MOA_CONFIG), 'config should be an object');
+    assert.equal(findInlineConfigError({ structured_output: { max_tokens: 0 } }, MOA_CONFIG), 'Invalid structured_output max_tokens: 0');
+    assert.equal(findInlineConfigError({ structured_output: { max_tokens: 512 } }, MOA_CONFIG), null);
+});
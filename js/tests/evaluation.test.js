@@ -0,0 +1,68 @@
+// tests/evaluation.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOA_CONFIG } from '../config/moa-config.js';
+import { createMockClient } from '../engine/mockClient.js';
+import { parseDataset, runEvaluation, formatReport } from '../eval/evaluation.js';
+
+/**
+ * Tests of the offline evaluation (js/eval/evaluation.js) run against the mock client
+ * (js/engine/mockClient.js), so no network or API key is needed.
+ *
+ * Run with `npm test`.
+ */
+
+const DATASET = `
+{"id": "france", "prompt": "What is the capital of France?", "reference": "Paris"}
+
+{"id": "italy", "question": "What is the capital of Italy?", "answer": "Rome", "keywords": ["rome"]}
+`;
+
+test('parseDataset reads JSONL items and their aliases', () => {
+    assert.deepEqual(parseDataset(DATASET).map(({ id, prompt, reference }) => ({ id, prompt, reference })), [
+        { id: 'france', prompt: 'What is the capital of France?', reference: 'Paris' },
+        { id: 'italy', prompt: 'What is the capital of Italy?', reference: 'Rome' },
+    ]);
+    assert.throws(() => parseDataset('{"prompt": "ok"}\nnot json'), /line 2/);
+});
+
+test('runEvaluation scores the mock answers of every configuration', async () => {
+    const client = createMockClient({ rules: [{ response: 'Paris' }] });
+    const report = await runEvaluation({
+        dataset: parseDataset(DATASET),
+        configs: [{ label: 'default', config: MOA_CONFIG }],
+        client,
+    });
+
+    const [{ label, summary, results }] = report.configs;
+    assert.equal(label, 'default');
+    assert.deepEqual(results.map(result => result.output), ['Paris', 'Paris']);
+    assert.deepEqual(summary.scores.exact_match, { scored: 2, mean: 0.5, accuracy: 0.5 });
+    assert.deepEqual(summary.scores.keyword_recall, { scored: 2, mean: 0.5, accuracy: 0.5 });
+    assert.equal(summary.errors, 0);
+    assert.ok(summary.tokens.total > 0);
+    assert.ok(client.calls.length > 0);
+    assert.match(formatReport(report), /default\s+50%\s+50%\s+0\/2/);
+});
+
+test('runEvaluation scores with the model judge', async () => {
+    const client = createMockClient({
+        rules: [
+            { match: 'You are grading an answer', response: '{"score": 9, "reason": "Correct"}' },
+            { response: 'Paris' },
+        ],
+    });
+    const report = await runEvaluation({
+        dataset: parseDataset(DATASET),
+        configs: [{ label: 'judged', config: MOA_CONFIG }],
+        client,
+        scorers: ['llm_judge'],
+    });
+
+    const [{ summary, results }] = report.configs;
+    assert.equal(report.judgeModel, MOA_CONFIG.main_model);
+    assert.deepEqual(results[0].scores.llm_judge, { score: 0.9, passed: true, detail: 'Correct' });
+    assert.ok(results[0].judgeTokens > 0);
+    assert.deepEqual(summary.scores.llm_judge, { scored: 2, mean: 0.9, accuracy: 1 });
+});
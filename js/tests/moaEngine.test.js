@@ -0,0 +1,285 @@
+// tests/moaEngine.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MoaEngine } from '../engine/moaEngine.js';
+import { createMockClient } from '../engine/mockClient.js';
+
+/**
+ * Tests of whole MoaEngine runs (js/engine/moaEngine.js) against the mock client, so every
+ * model call is scripted and counted.
+ *
+ * Run with `npm test`.
+ */
+
+const AGENT_MODELS = ['llama3-8b-8192', 'gemma-7b-it', 'mixtral-8x7b-32768'];
+
+// A small configuration: `layerCount` layers of three agents, no early exit or caching
+function createConfig(overrides = {}, layerCount = 2) {
+    return {
+        main_model: 'llama3-70b-8192',
+        summary_model: 'llama3-70b-8192',
+        final_synthesis: { enabled: true },
+        layers: Array.from({ length: layerCount }, () => AGENT_MODELS.map((model_name, j) => ({
+            model_name,
+            temperature: 0.5,
+            weight: [0.5, 0.3, 0.2][j],
+        }))),
+        layer_settings: [],
+        connections: [],
+        adaptive_threshold: { early_exit: { enabled: false } },
+        error_handling: { max_retries: 0, graceful_degradation: { enabled: false } },
+        ...overrides,
+    };
+}
+
+function collectEvents(engine, types) {
+    const events = [];
+    types.forEach(type => engine.on(type, data => events.push({ type, data })));
+    return events;
+}
+
+test('a request cap holds in graph mode as in layered mode', async () => {
+    for (const connections of [[], [{ from: 'layer0_agent0', to: 'layer1_agent1' }]]) {
+        const client = createMockClient();
+        const engine = new MoaEngine({ config: createConfig({ connections }), client });
+        const result = await engine.run('What is the capital of France?', { budget: { maxRequests: 3 } });
+
+        assert.ok(client.calls.length <= 3, `${connections.length > 0 ? 'graph' : 'layered'} run made ${client.calls.length} calls`);
+        assert.ok(result.finalAnswer);
+        assert.ok(result.budget.sacrifices.some(sacrifice => sacrifice.type === 'agent_dropped'));
+    }
+});
+
+test('a graph run stops at the level the budget cannot cover and skips the layers left', async () => {
+    const client = createMockClient();
+    const config = createConfig({
+        connections: [
+            { from: 'layer0_agent0', to: 'layer1_agent0' },
+            { from: 'layer1_agent0', to: 'layer2_agent0' },
+        ],
+    }, 3);
+    // A chain of one agent per layer: layer0 -> layer1 -> layer2
+    config.layers = config.layers.map(layer => [layer[0]]);
+    const engine = new MoaEngine({ config, client });
+    const events = collectEvents(engine, ['layer:skipped', 'layer:summary']);
+    const result = await engine.run('What is the capital of France?', { budget: { maxRequests: 3 } });
+
+    assert.ok(client.calls.length <= 3, `made ${client.calls.length} calls`);
+    assert.deepEqual(events.filter(event => event.type === 'layer:skipped').map(event => event.data.layerIndex), [1]);
+    assert.ok(result.budget.sacrifices.some(sacrifice => sacrifice.type === 'layer_skipped' && sacrifice.layerIndex === 1));
+    // The first agent stands in for the sink of the chain, so the run still has an answer
+    const last = events.filter(event => event.type === 'layer:summary').pop();
+    assert.equal(last.data.layerIndex, 2);
+    assert.equal(last.data.status, 'success');
+    assert.ok(result.finalAnswer);
+});
+
+test('a layered run hands every layer the summary of the layer before it', async () => {
+    const client = createMockClient();
+    const engine = new MoaEngine({ config: createConfig(), client });
+    const events = collectEvents(engine, ['agent:start', 'layer:summary', 'final:done']);
+    const result = await engine.run('What is the capital of France?');
+
+    const summaries = events.filter(event => event.type === 'layer:summary');
+    assert.deepEqual(summaries.map(event => [event.data.layerIndex, event.data.status]), [[0, 'success'], [1, 'success']]);
+    const starts = events.filter(event => event.type === 'agent:start');
+    assert.deepEqual(starts.map(event => event.data.layerIndex), [0, 0, 0, 1, 1, 1]);
+    starts.filter(event => event.data.layerIndex === 1).forEach(event => {
+        assert.ok(event.data.prompt.includes(summaries[0].data.summary));
+    });
+    // Six agents, two summaries and the final synthesis
+    assert.equal(client.calls.length, 9);
+    assert.equal(result.finalAnswer, events.find(event => event.type === 'final:done').data.answer);
+});
+
+test('a graph run follows the connections rather than the layers', async () => {
+    const client = createMockClient();
+    const connections = [
+        { from: 'layer0_agent0', to: 'layer0_agent1' },
+        { from: 'layer0_agent1', to: 'layer1_agent0' },
+    ];
+    const config = createConfig({ connections });
+    config.layers = [config.layers[0].slice(0, 2), config.layers[1].slice(0, 1)];
+    const engine = new MoaEngine({ config, client });
+    const events = collectEvents(engine, ['agent:start', 'agent:done']);
+    const result = await engine.run('What is the capital of France?');
+
+    const order = events.map(event => `${event.type} ${event.data.layerIndex}.${event.data.agentIndex}`);
+    assert.deepEqual(order, [
+        'agent:start 0.0', 'agent:done 0.0',
+        'agent:start 0.1', 'agent:done 0.1',
+        'agent:start 1.0', 'agent:done 1.0',
+    ]);
+    // Every agent reads the outputs of its upstream agents only
+    const output = (layerIndex, agentIndex) => events.find(event => event.type === 'agent:done'
+        && event.data.layerIndex === layerIndex && event.data.agentIndex === agentIndex).data.output;
+    const prompt = (layerIndex, agentIndex) => events.find(event => event.type === 'agent:start'
+        && event.data.layerIndex === layerIndex && event.data.agentIndex === agentIndex).data.prompt;
+    assert.ok(prompt(0, 1).includes(output(0, 0)));
+    assert.ok(prompt(1, 0).includes(output(0, 1)));
+    assert.ok(!prompt(1, 0).includes(output(0, 0)));
+    assert.ok(result.finalAnswer);
+});
+
+test('a graph run rejects connections that form a cycle before calling any model', async () => {
+    const client = createMockClient();
+    const connections = [
+        { from: 'layer0_agent0', to: 'layer1_agent0' },
+        { from: 'layer1_agent0', to: 'layer0_agent0' },
+    ];
+    const engine = new MoaEngine({ config: createConfig({ connections }), client });
+    const events = collectEvents(engine, ['run:error']);
+
+    await assert.rejects(engine.run('What is the capital of France?'), /cycle/);
+    assert.equal(client.calls.length, 0);
+    assert.equal(events.length, 1);
+});
+
+test('a layered run degrades within a token budget and reports what it gave up', async () => {
+    const client = createMockClient();
+    const engine = new MoaEngine({ config: createConfig({}, 3), client });
+    const unlimited = await new MoaEngine({ config: createConfig({}, 3), client: createMockClient() }).run('What is the capital of France?');
+    const result = await engine.run('What is the capital of France?', { budget: { maxTokens: Math.floor(unlimited.usage.totalTokens / 2) } });
+
+    assert.ok(result.finalAnswer);
+    assert.ok(client.calls.length < 13, `made ${client.calls.length} calls`);
+    assert.ok(result.budget.sacrifices.length > 0);
+    result.budget.sacrifices.forEach(sacrifice => {
+        assert.ok(['agent_dropped', 'model_downgrade', 'layer_skipped'].includes(sacrifice.type), sacrifice.type);
+    });
+});
+
+test('a layered run skips the layers a request cap cannot cover', async () => {
+    const client = createMockClient();
+    const config = createConfig({}, 3);
+    config.layers = config.layers.map(layer => [layer[0]]);
+    const engine = new MoaEngine({ config, client });
+    const events = collectEvents(engine, ['layer:skipped']);
+    const result = await engine.run('What is the capital of France?', { budget: { maxRequests: 3 } });
+
+    assert.ok(client.calls.length <= 3, `made ${client.calls.length} calls`);
+    assert.ok(events.length > 0);
+    events.forEach(event => assert.equal(event.data.reason, 'budget'));
+    assert.ok(result.budget.sacrifices.some(sacrifice => sacrifice.type === 'layer_skipped'));
+    assert.ok(result.finalAnswer);
+});
+
+// A debate layer of three agents whose first answers differ
+function createDebateConfig(rounds) {
+    return createConfig({
+        layer_settings: [{ execution_mode: 'debate', debate: { rounds, convergence_threshold: 0.6 } }],
+    }, 1);
+}
+
+const FIRST_ANSWERS = {
+    'llama3-8b-8192': 'Paris is the capital of France.',
+    'gemma-7b-it': 'Lyon is the largest city of the Rhone valley.',
+    'mixtral-8x7b-32768': 'Marseille has the oldest harbour of the country.',
+};
+
+test('a debate stops once the agents converge', async () => {
+    const client = createMockClient({
+        rules: [
+            { match: 'Revised answer', response: 'Critique: The others named other cities.\nRevised answer: Paris is the capital of France.' },
+            ...Object.entries(FIRST_ANSWERS).map(([model, response]) => ({ model, response })),
+        ],
+    });
+    const engine = new MoaEngine({ config: createDebateConfig(4), client });
+    const events = collectEvents(engine, ['debate:round']);
+    await engine.run('What is the capital of France?');
+
+    assert.deepEqual(events.map(event => event.data.converged), [false, true]);
+    assert.equal(events[1].data.agreement, 1);
+    assert.deepEqual(events[1].data.answers.map(answer => answer.answer), Array(3).fill('Paris is the capital of France.'));
+    // Two rounds of three agents, the moderator's summary and the final synthesis
+    assert.equal(client.calls.length, 8);
+});
+
+test('a debate whose agents keep their answers stops after the round nobody moved', async () => {
+    const client = createMockClient({
+        rules: Object.entries(FIRST_ANSWERS).map(([model, response]) => ({
+            model,
+            response: (messages) => (messages[messages.length - 1].content.includes('Revised answer') ? `Critique: None.\nRevised answer: ${response}` : response),
+        })),
+    });
+    const engine = new MoaEngine({ config: createDebateConfig(4), client });
+    const events = collectEvents(engine, ['debate:round']);
+    await engine.run('What is the capital of France?');
+
+    assert.equal(events.length, 2);
+    assert.equal(events[1].data.converged, false);
+    assert.equal(events[1].data.stability, 1);
+});
+
+test('an agent that samples passes on the answer most samples agree on', async () => {
+    const sampled = ['Lyon', 'Paris', 'Paris'];
+    let sample = 0;
+    const client = createMockClient({
+        rules: [{ model: 'llama3-8b-8192', response: () => `The capital of France is ${sampled[sample++ % sampled.length]}.` }],
+    });
+    const config = createConfig({}, 1);
+    config.layers[0][0] = { ...config.layers[0][0], samples: 3, sample_selection: 'majority' };
+    const engine = new MoaEngine({ config, client });
+    const events = collectEvents(engine, ['agent:done']);
+    await engine.run('What is the capital of France?');
+
+    const sampler = events.find(event => event.data.agentIndex === 0).data;
+    assert.equal(sampler.output, 'The capital of France is Paris.');
+    assert.deepEqual({ ...sampler.sampling, agreement: undefined }, { samples: 3, succeeded: 3, strategy: 'majority', agreement: undefined, selected: 1 });
+    assert.equal(client.calls.filter(call => call.model === 'llama3-8b-8192').length, 3);
+});
+
+const VERDICT_SCHEMA = { answer: { required: true, type: 'string', description: 'The answer' } };
+
+// Answers structured requests (JSON mode) with the replies in turn, the last one from then on;
+// `structuredRequests` lists their options
+function createStructuredClient(replies) {
+    let reply = 0;
+    const client = createMockClient({
+        rules: [{
+            match: (messages, options) => Boolean(options.response_format),
+            response: (messages, options) => {
+                client.structuredRequests.push(options);
+                return replies[Math.min(reply++, replies.length - 1)];
+            },
+        }],
+    });
+    client.structuredRequests = [];
+    return client;
+}
+
+test('a structured run asks again until the answer matches the schema', async () => {
+    const client = createStructuredClient(['Paris', '{"city": "Paris"}', '{"answer": "Paris"}']);
+    const engine = new MoaEngine({ config: createConfig({}, 1), client });
+    const events = collectEvents(engine, ['final:retry']);
+    const result = await engine.run('What is the capital of France?', { outputSchema: VERDICT_SCHEMA });
+
+    assert.equal(events.length, 2);
+    assert.deepEqual(result.structured, { valid: true, data: { answer: 'Paris' }, attempts: 3, errors: [] });
+});
+
+test('a structured run gives up after structured_output.max_retries', async () => {
+    const client = createStructuredClient(['Paris']);
+    const engine = new MoaEngine({ config: createConfig({ structured_output: { max_retries: 1 } }, 1), client });
+    const result = await engine.run('What is the capital of France?', { outputSchema: VERDICT_SCHEMA });
+
+    assert.equal(result.structured.valid, false);
+    assert.equal(result.structured.attempts, 2);
+    // The layer summary and two structured attempts
+    assert.equal(client.calls.filter(call => call.model === 'llama3-70b-8192').length, 3);
+});
+
+test('a structured answer gets the output limit of structured_output.max_tokens', async () => {
+    for (const [settings, maxTokens] of [[undefined, 1024], [{ max_tokens: 300 }, 300]]) {
+        const client = createStructuredClient(['{"answer": "Paris"}']);
+        const engine = new MoaEngine({ config: createConfig({ structured_output: settings }, 1), client });
+        await engine.run('What is the capital of France?', { outputSchema: VERDICT_SCHEMA });
+
+        assert.deepEqual(client.structuredRequests.map(options => options.max_tokens), [maxTokens]);
+    }
+    // The cost estimate counts the limit for the first answer and every retry
+    const estimate = (max_tokens) => new MoaEngine({ config: createConfig({ structured_output: { max_tokens, max_retries: 2 } }, 1), client: createMockClient() })
+        .estimateCost('What is the capital of France?', { outputSchema: VERDICT_SCHEMA }).tokens;
+    assert.equal(estimate(600) - estimate(300), 3 * 300);
+});
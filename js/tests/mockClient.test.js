@@ -0,0 +1,115 @@
+// tests/mockClient.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockClient } from '../engine/mockClient.js';
+import { createProvider } from '../providers/providers.js';
+
+/**
+ * Unit tests of the mock client (js/engine/mockClient.js) and of the 'mock' provider type
+ * built on it (js/providers/mockProvider.js).
+ *
+ * Run with `npm test`.
+ */
+
+const MODEL = 'llama3-8b-8192';
+
+function ask(content) {
+    return [{ role: 'user', content }];
+}
+
+test('the first fitting rule answers, with its template filled in', async () => {
+    const client = createMockClient({
+        rules: [
+            { model: 'gemma-7b-it', response: 'Gemma says hi' },
+            { match: /capital of \w+/, response: '{{model}} #{{call}}: {{prompt}}' },
+        ],
+    });
+    assert.equal(await client.complete(ask('What is the capital of France?'), { model: MODEL }), `${MODEL} #1: What is the capital of France?`);
+    assert.equal(await client.complete(ask('What is the capital of Peru?'), { model: 'gemma-7b-it' }), 'Gemma says hi');
+});
+
+test('the fallback answer is the same for the same request', async () => {
+    const client = createMockClient();
+    const first = await client.complete(ask('Hello'), { model: MODEL });
+    assert.match(first, new RegExp(`^Mock answer \\w+ from ${MODEL}\\.$`));
+    assert.equal(await client.complete(ask('Hello'), { model: MODEL }), first);
+    assert.notEqual(await client.complete(ask('Goodbye'), { model: MODEL }), first);
+});
+
+test('stream yields the answer word by word', async () => {
+    const client = createMockClient({ rules: [{ response: 'The capital is Paris.' }] });
+    const tokens = [];
+    for await (const token of client.stream(ask('Capital?'), { model: MODEL })) {
+        tokens.push(token);
+    }
+    assert.deepEqual(tokens, ['The ', 'capital ', 'is ', 'Paris.']);
+});
+
+test('calls and usage record every request', async () => {
+    const client = createMockClient({ rules: [{ response: 'Paris' }] });
+    await client.complete(ask('Capital of France?'), { model: MODEL });
+    await client.complete(ask('Capital of France, again?'), { model: MODEL });
+    assert.equal(client.calls.length, 2);
+    assert.equal(client.calls[0].response, 'Paris');
+    assert.equal(client.usage.requests, 2);
+    assert.equal(client.usage.total_tokens, client.calls.reduce((sum, call) => sum + call.usage.total_tokens, 0));
+    assert.ok(client.usage.prompt_tokens > 0 && client.usage.completion_tokens > 0);
+});
+
+test('error rules fail the first `times` fitting requests like the real API', async () => {
+    const client = createMockClient({ errors: [{ model: MODEL, type: 'rate_limit', times: 2, retryAfterMs: 50 }] });
+    for (let i = 0; i < 2; i++) {
+        await assert.rejects(client.complete(ask('Hi'), { model: MODEL }), (error) => {
+            assert.equal(error.name, 'ProviderError');
+            assert.equal(error.status, 429);
+            assert.equal(error.retryAfterMs, 50);
+            return true;
+        });
+    }
+    assert.match(await client.complete(ask('Hi'), { model: MODEL }), /^Mock answer/);
+    assert.equal(await client.complete(ask('Hi'), { model: 'gemma-7b-it' }).then(() => 'answered'), 'answered');
+    assert.equal(client.usage.errors, 2);
+});
+
+test('error rules with `every` fail every n-th fitting request', async () => {
+    const client = createMockClient({ errors: [{ type: 'server_error', every: 2 }] });
+    const outcomes = [];
+    for (let i = 0; i < 4; i++) {
+        outcomes.push(await client.complete(ask('Hi'), { model: MODEL }).then(() => 'ok', error => error.status));
+    }
+    assert.deepEqual(outcomes, ['ok', 500, 'ok', 500]);
+});
+
+test('simulated timeouts fail after their wait', async () => {
+    const client = createMockClient({ errors: [{ type: 'timeout', afterMs: 10 }] });
+    await assert.rejects(client.complete(ask('Hi'), { model: MODEL }), { name: 'TimeoutError' });
+});
+
+test('an aborted signal stops a delayed answer', async () => {
+    const client = createMockClient({ delayMs: 1000 });
+    const controller = new AbortController();
+    const answer = client.complete(ask('Hi'), { model: MODEL, signal: controller.signal });
+    controller.abort();
+    await assert.rejects(answer, { name: 'AbortError' });
+    assert.equal(client.calls.length, 0);
+});
+
+test('the mock provider turns its JSON settings into rules and lists its models', async () => {
+    const provider = createProvider('mock', {
+        type: 'mock',
+        rules: [{ pattern: 'capital of \\w+', response: 'Paris ({{model}})' }],
+        errors: [{ model: 'gemma-7b-it', type: 'rate_limit', times: 1, retry_after_ms: 20 }],
+        models: [MODEL, 'gemma-7b-it'],
+    });
+    assert.equal(await provider.chat(ask('The CAPITAL OF France?'), { model: MODEL }), `Paris (${MODEL})`);
+    await assert.rejects(provider.chat(ask('Hi'), { model: 'gemma-7b-it' }), { status: 429, retryAfterMs: 20 });
+    assert.deepEqual(await provider.listModels(), [{ id: MODEL }, { id: 'gemma-7b-it' }]);
+    assert.equal(provider.capabilities().local, true);
+    assert.equal(provider.client.calls.length, 2);
+});
+
+test('the mock provider lists the Groq models it stands in for without a models setting', async () => {
+    const models = await createProvider('mock', { type: 'mock' }).listModels();
+    assert.ok(models.some(model => model.id === MODEL));
+});
@@ -0,0 +1,62 @@
+// tests/qualityEstimator.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateHeuristically, estimateOutputQuality } from '../engine/qualityEstimator.js';
+import { MOA_CONFIG } from '../config/moa-config.js';
+
+/**
+ * Unit tests of the output quality estimators of the adaptive early exit
+ * (js/engine/qualityEstimator.js).
+ *
+ * Run with `npm test`.
+ */
+
+const THRESHOLD = MOA_CONFIG.adaptive_threshold.output_quality;
+
+const AGREEING = [
+    'TCP slow start doubles the congestion window every round trip until it reaches the slow start threshold, then congestion avoidance grows it linearly.',
+    'In slow start, TCP increases the congestion window exponentially, doubling it each round trip, until the threshold is reached; after that congestion avoidance takes over with linear growth.',
+    'Slow start makes the congestion window grow exponentially per round trip until the slow start threshold, where TCP switches to linear congestion avoidance.',
+];
+
+const UNRELATED = [
+    'The capital of France is Paris, which sits on the Seine and is known for the Eiffel Tower.',
+    'Photosynthesis converts light energy into chemical energy stored in glucose inside plant chloroplasts.',
+    'A binary search tree keeps smaller keys in the left subtree and larger keys in the right one for fast lookups.',
+];
+
+function estimate(answers, agentCount = answers.length) {
+    return estimateHeuristically({
+        summary: answers.join(' '),
+        candidates: answers.map(output => ({ output })),
+        agentCount,
+    });
+}
+
+test('answers that agree reach the default threshold', () => {
+    assert.ok(estimate(AGREEING) >= THRESHOLD, `scored ${estimate(AGREEING)}`);
+});
+
+test('unrelated answers stay below the default threshold, even with a complete summary', () => {
+    assert.ok(estimate(UNRELATED) < THRESHOLD, `scored ${estimate(UNRELATED)}`);
+});
+
+test('failed agents lower the score', () => {
+    assert.ok(estimate(AGREEING, 6) < estimate(AGREEING));
+});
+
+test('an empty summary or no answers score 0', () => {
+    assert.equal(estimateHeuristically({ summary: '  ', candidates: [{ output: 'x' }], agentCount: 1 }), 0);
+    assert.equal(estimateHeuristically({ summary: 'Summary', candidates: [], agentCount: 3 }), 0);
+});
+
+test('the llm estimator uses the model rating and needs a model', async () => {
+    const score = await estimateOutputQuality('llm', { summary: 'Paris', context: 'Capital of France?', candidates: [{ output: 'Paris' }], agentCount: 1, ask: async () => '{"score": 0.9}' });
+    assert.equal(score, 0.9);
+    await assert.rejects(estimateOutputQuality('llm', { summary: 'Paris', candidates: [], agentCount: 1 }), /needs a model/);
+});
+
+test('early exit is off in the default configuration', () => {
+    assert.equal(MOA_CONFIG.adaptive_threshold.early_exit.enabled, false);
+});
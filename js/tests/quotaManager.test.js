@@ -0,0 +1,69 @@
+// tests/quotaManager.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaManager } from '../quota/quotaManager.js';
+
+/**
+ * Unit tests of the fair-use quota accounting (js/quota/quotaManager.js), in memory.
+ *
+ * Run with `npm test`.
+ */
+
+const USER = { id: 'alice', tier: 'default' };
+
+function createQuotas(quota = { requests: 20, tokens: 10000 }) {
+    return new QuotaManager({ policy: { enabled: true, user_quotas: { default: quota } } });
+}
+
+test('record counts requests and tokens against the quota', () => {
+    const quotas = createQuotas();
+    quotas.record(USER, { requests: 1, tokens: 400 });
+    const usage = quotas.getUsage(USER);
+    assert.deepEqual(usage.requests, { used: 1, reserved: 0, limit: 20, remaining: 19 });
+    assert.deepEqual(usage.tokens, { used: 400, reserved: 0, limit: 10000, remaining: 9600 });
+});
+
+test('check refuses a user who has used up a quota', () => {
+    const quotas = createQuotas({ requests: 2, tokens: 10000 });
+    quotas.record(USER, { requests: 2 });
+    assert.throws(() => quotas.check(USER), { name: 'QuotaExceededError', status: 429 });
+});
+
+test('reservations hold their estimate until they are settled', () => {
+    const quotas = createQuotas();
+    const reservation = quotas.reserve(USER, { requests: 12, tokens: 6000 });
+    assert.deepEqual(quotas.getUsage(USER).tokens, { used: 0, reserved: 6000, limit: 10000, remaining: 4000 });
+
+    // A second run that would overrun the quota together with the first is refused
+    assert.throws(() => quotas.reserve(USER, { requests: 1, tokens: 5000 }), (error) => {
+        assert.equal(error.status, 429);
+        assert.match(error.message, /may use up to 5000 tokens and 4000 remain/);
+        return true;
+    });
+
+    quotas.settle(reservation, { requests: 9, tokens: 4100 });
+    const usage = quotas.getUsage(USER);
+    assert.deepEqual(usage.requests, { used: 9, reserved: 0, limit: 20, remaining: 11 });
+    assert.deepEqual(usage.tokens, { used: 4100, reserved: 0, limit: 10000, remaining: 5900 });
+});
+
+test('settling a reservation twice counts it once', () => {
+    const quotas = createQuotas();
+    const first = quotas.reserve(USER, { requests: 2, tokens: 100 });
+    const second = quotas.reserve(USER, { requests: 3, tokens: 200 });
+    quotas.settle(first, { requests: 2, tokens: 80 });
+    quotas.settle(first, { requests: 2, tokens: 80 });
+    const usage = quotas.getUsage(USER);
+    assert.equal(usage.requests.used, 2);
+    assert.equal(usage.tokens.reserved, 200);
+    quotas.settle(second, { requests: 1, tokens: 0 });
+    assert.equal(quotas.getUsage(USER).tokens.reserved, 0);
+});
+
+test('without the policy nothing is refused but usage is counted', () => {
+    const quotas = new QuotaManager({ policy: { enabled: false, user_quotas: { default: { requests: 1, tokens: 1 } } } });
+    const reservation = quotas.reserve(USER, { requests: 5, tokens: 500 });
+    quotas.settle(reservation, { requests: 5, tokens: 450 });
+    assert.equal(quotas.check(USER).tokens.used, 450);
+});
@@ -0,0 +1,66 @@
+// tests/responseCache.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache, getCacheScope } from '../chat/responseCache.js';
+import { MOA_CONFIG } from '../config/moa-config.js';
+
+/**
+ * Unit tests of the response cache (js/chat/responseCache.js).
+ *
+ * Run with `npm test`.
+ */
+
+test('changing the provider of the models changes the cache scope', () => {
+    const scope = getCacheScope(MOA_CONFIG);
+    assert.equal(getCacheScope({ ...MOA_CONFIG }), scope);
+    assert.notEqual(getCacheScope({ ...MOA_CONFIG, default_provider: 'ollama' }), scope);
+    assert.notEqual(getCacheScope({
+        ...MOA_CONFIG,
+        providers: { ...MOA_CONFIG.providers, groq: { type: 'openai_compatible', base_url: 'http://localhost:1234/v1' } },
+    }), scope);
+});
+
+test('settings that do not shape the answer keep the cache scope', () => {
+    const scope = getCacheScope(MOA_CONFIG);
+    assert.equal(getCacheScope({ ...MOA_CONFIG, visualization: { enabled: false } }), scope);
+});
+
+test('a stored answer is found again, for the same or a near-duplicate prompt in its scope', () => {
+    const cache = new ResponseCache({ similarityThreshold: 0.8 });
+    cache.store('What is the capital of France?', 'scope-a', { finalAnswer: 'Paris' });
+
+    const exact = cache.lookup('  what is the CAPITAL of France? ', 'scope-a');
+    assert.equal(exact.exact, true);
+    assert.equal(exact.entry.value.finalAnswer, 'Paris');
+    assert.equal(exact.entry.hitCount, 1);
+
+    const near = cache.lookup('What is the capital of France today?', 'scope-a');
+    assert.equal(near.exact, false);
+    assert.ok(near.similarity >= 0.8 && near.similarity < 1);
+    assert.equal(cache.lookup('What is the capital of France?', 'scope-b'), null);
+    assert.equal(cache.lookup('What is the capital of Spain?', 'scope-a'), null);
+});
+
+test('an answer expires once it is older than the ttl', () => {
+    let now = 1000;
+    const cache = new ResponseCache({ ttl: 60000, now: () => now });
+    cache.store('What is the capital of France?', 'scope', { finalAnswer: 'Paris' });
+
+    now += 59999;
+    assert.ok(cache.lookup('What is the capital of France?', 'scope'));
+    now += 1;
+    assert.equal(cache.lookup('What is the capital of France?', 'scope'), null);
+    assert.equal(cache.size, 0);
+});
+
+test('the least recently used answer goes first once the cache is full', () => {
+    const cache = new ResponseCache({ maxSize: 2, semantic: false });
+    cache.store('First question', 'scope', { finalAnswer: '1' });
+    cache.store('Second question', 'scope', { finalAnswer: '2' });
+    cache.lookup('First question', 'scope');
+    cache.store('Third question', 'scope', { finalAnswer: '3' });
+
+    assert.ok(cache.lookup('First question', 'scope'));
+    assert.equal(cache.lookup('Second question', 'scope'), null);
+});
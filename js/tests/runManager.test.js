@@ -0,0 +1,88 @@
+// tests/runManager.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOA_CONFIG } from '../config/moa-config.js';
+import { createMockClient } from '../engine/mockClient.js';
+import { RunManager, RUN_END_EVENT } from '../runs/runManager.js';
+import { RunStore } from '../runs/runStore.js';
+
+/**
+ * Tests of the server's run manager (js/runs/runManager.js) with the mock client: the
+ * accounting of a run's model calls, and its reservation.
+ *
+ * Run with `npm test`.
+ */
+
+function createRuns(client) {
+    return new RunManager({ store: new RunStore(), createClient: () => client, defaultConfig: MOA_CONFIG });
+}
+
+function waitForEnd(runs, run) {
+    return new Promise((resolve) => {
+        runs.subscribe(run.id, 0, (event) => {
+            if (event.type === RUN_END_EVENT) resolve(event);
+        });
+    });
+}
+
+test('a run counts its model calls and settles its reservation when it completes', async () => {
+    const client = createMockClient({ rules: [{ response: 'Paris' }] });
+    const runs = createRuns(client);
+    const estimates = [];
+    const settled = [];
+    const run = await runs.start({
+        input: 'What is the capital of France?',
+        reserve: (estimate) => {
+            estimates.push(estimate);
+            return (usage) => settled.push(usage);
+        },
+    });
+    const end = await waitForEnd(runs, run);
+
+    assert.equal(end.data.status, 'completed');
+    assert.equal(estimates.length, 1);
+    assert.ok(estimates[0].requests >= client.calls.length);
+    assert.deepEqual(settled, [end.data.usage]);
+    assert.equal(end.data.usage.requests, client.calls.length);
+    assert.ok(end.data.usage.tokens > 0);
+    assert.deepEqual(run.usage, end.data.usage);
+});
+
+test('a failed run settles its reservation too', async () => {
+    const runs = createRuns(createMockClient());
+    const settled = [];
+    // An output schema that is not one makes the engine fail once the run has started
+    const run = await runs.start({ input: 'Hi', outputSchema: { answer: 'string' }, reserve: () => (usage) => settled.push(usage) });
+    const end = await waitForEnd(runs, run);
+
+    assert.equal(end.data.status, 'failed');
+    assert.deepEqual(settled, [{ requests: 0, tokens: 0 }]);
+    assert.deepEqual(end.data.usage, settled[0]);
+});
+
+test('a refused reservation refuses the run', async () => {
+    const client = createMockClient();
+    const runs = createRuns(client);
+    await assert.rejects(runs.start({
+        input: 'Hi',
+        reserve: () => {
+            throw Object.assign(new Error('Token quota exceeded'), { status: 429 });
+        },
+    }), { status: 429 });
+    assert.equal(runs.list().length, 0);
+    assert.equal(client.calls.length, 0);
+});
+
+test('a cancelled run settles what it used', async () => {
+    const client = createMockClient({ delayMs: 200 });
+    const runs = createRuns(client);
+    const settled = [];
+    const run = await runs.start({ input: 'Hi', reserve: () => (usage) => settled.push(usage) });
+    const ended = waitForEnd(runs, run);
+    runs.cancel(run.id);
+    const end = await ended;
+
+    assert.equal(end.data.status, 'cancelled');
+    assert.deepEqual(settled, [end.data.usage]);
+});
@@ -0,0 +1,82 @@
+// tests/scorers.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScorer, getScorerNames, registerScorer, KEYWORD_RECALL_PASS, LLM_JUDGE_PASS } from '../eval/scorers.js';
+
+/**
+ * Unit tests of the evaluation scorers (js/eval/scorers.js).
+ *
+ * Run with `npm test`.
+ */
+
+test('exact_match ignores case, punctuation and whitespace', async () => {
+    const exactMatch = getScorer('exact_match');
+    assert.deepEqual(await exactMatch({ item: { reference: 'Paris' }, output: '  paris. ' }), { score: 1, passed: true });
+    assert.deepEqual(await exactMatch({ item: { reference: 'Paris' }, output: 'Lyon' }), { score: 0, passed: false });
+});
+
+test('exact_match skips items without a reference', async () => {
+    assert.equal(await getScorer('exact_match')({ item: {}, output: 'Paris' }), null);
+});
+
+test('keyword_recall scores the share of keywords found', async () => {
+    const keywordRecall = getScorer('keyword_recall');
+    const result = await keywordRecall({
+        item: { keywords: ['slow start', 'congestion window', 'ACK', 'timeout'] },
+        output: 'Slow start grows the congestion window by one segment per ACK.',
+    });
+    assert.equal(result.score, 0.75);
+    assert.equal(result.passed, true);
+    assert.equal(result.detail, '3 of 4 keywords');
+});
+
+test('keyword_recall falls back to the words of the reference', async () => {
+    const result = await getScorer('keyword_recall')({ item: { reference: 'red green blue' }, output: 'Red only' });
+    assert.equal(result.score, 1 / 3);
+    assert.equal(result.passed, 1 / 3 >= KEYWORD_RECALL_PASS);
+});
+
+test('keyword_recall matches whole words only', async () => {
+    const result = await getScorer('keyword_recall')({ item: { keywords: ['cat'] }, output: 'concatenate' });
+    assert.equal(result.score, 0);
+});
+
+test('keyword_recall skips items with neither keywords nor reference', async () => {
+    assert.equal(await getScorer('keyword_recall')({ item: {}, output: 'anything' }), null);
+});
+
+test('llm_judge turns the judge rating into a score', async () => {
+    const prompts = [];
+    const judge = async (prompt) => {
+        prompts.push(prompt);
+        return 'Verdict: {"score": 8, "reason": "Correct but terse"}';
+    };
+    const result = await getScorer('llm_judge')({ item: { prompt: 'Capital of France?', reference: 'Paris' }, output: 'Paris', judge });
+    assert.deepEqual(result, { score: 0.8, passed: 0.8 >= LLM_JUDGE_PASS, detail: 'Correct but terse' });
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /Reference answer: Paris/);
+});
+
+test('llm_judge clamps ratings outside 1-10', async () => {
+    const result = await getScorer('llm_judge')({ item: { prompt: 'Q' }, output: 'A', judge: async () => '{"score": 14}' });
+    assert.equal(result.score, 1);
+    assert.equal(result.detail, 'Rated 14/10');
+});
+
+test('llm_judge fails when the judge gives no score', async () => {
+    await assert.rejects(
+        getScorer('llm_judge')({ item: { prompt: 'Q' }, output: 'A', judge: async () => 'I cannot grade this.' }),
+        /no usable score/,
+    );
+});
+
+test('custom scorers can be registered and looked up', async () => {
+    registerScorer('test_length_limit', async ({ output }) => ({ score: output.length <= 5 ? 1 : 0, passed: output.length <= 5 }));
+    assert.ok(getScorerNames().includes('test_length_limit'));
+    assert.deepEqual(await getScorer('test_length_limit')({ item: {}, output: 'short' }), { score: 1, passed: true });
+});
+
+test('getScorer rejects unknown names', () => {
+    assert.throws(() => getScorer('no_such_scorer'), /Unknown scorer: no_such_scorer/);
+});
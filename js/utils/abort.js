@@ -0,0 +1,63 @@
+/**
+ * Helpers for cancelling in-flight work with an AbortSignal.
+ *
+ * How it works:
+ * - createAbortError builds the same 'AbortError' that fetch and the Groq SDK throw
+ * - isAbortError recognises it, so retry and fallback logic can stop instead of retrying
+ * - throwIfAborted is called at checkpoints (between layers, before queuing a request)
+ *
+ * Usage example:
+ * ```javascript
+ * const controller = new AbortController();
+ * stopButton.onclick = () => controller.abort();
+ * try {
+ *     throwIfAborted(controller.signal);
+ *     await createChatCompletion(messages, { model, signal: controller.signal });
+ * } catch (error) {
+ *     if (isAbortError(error)) console.log('Run cancelled by the user');
+ * }
+ * ```
+ *
+ * Files using these helpers:
+ * - js/chat/chatInteractions.js
+ * - js/engine/moaEngine.js
+ * - js/chat/groqIntegration.js
+ * - js/utils/rateLimiter.js
+ * - js/utils/retry.js
+ * - js/api/api-core.js
+ *
+ * Role in program logic:
+ * These helpers let a Stop control in the UI cancel an MOA run: the signal is threaded from
+ * chatWithMOA through the rate limiter and request queues down to the HTTP requests.
+ */
+
+/**
+ * Creates an error that identifies a cancelled operation.
+ * @param {string} [message='The operation was aborted'] - Error message.
+ * @returns {Error} An error whose name is 'AbortError'.
+ */
+export function createAbortError(message = 'The operation was aborted') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Checks whether an error was caused by an aborted signal.
+ * @param {*} error - The caught error.
+ * @returns {boolean} True for AbortError instances (including DOMException).
+ */
+export function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ * @param {AbortSignal} [signal] - The signal to check; undefined signals are ignored.
+ * @throws {Error} AbortError when the signal is aborted.
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
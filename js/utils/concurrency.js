@@ -0,0 +1,51 @@
+/**
+ * Runs a list of asynchronous task functions with a cap on how many run at the same time.
+ *
+ * How it works:
+ * 1. Starts up to `limit` workers
+ * 2. Each worker repeatedly takes the next unstarted task and awaits it
+ * 3. Results and errors are stored in the same order as the input tasks
+ * 4. Resolves once every task has settled, never rejects
+ *
+ * Usage example:
+ * ```javascript
+ * const results = await runWithConcurrencyLimit([
+ *   () => fetchAgentOutput(0),
+ *   () => fetchAgentOutput(1),
+ *   () => fetchAgentOutput(2)
+ * ], 2);
+ * results.forEach(({ status, value, reason }) => console.log(status, value || reason));
+ * ```
+ *
+ * Files that use this function:
+ * - js/engine/moaEngine.js
+ *
+ * Role in overall program logic:
+ * This function lets independent work (such as the agents of one MOA layer) be dispatched
+ * in parallel while keeping the number of in-flight requests within
+ * SYSTEM_SETTINGS.MAX_CONCURRENT_REQUESTS. Per-model throughput is still governed by
+ * scheduleRequest in js/utils/rateLimiter.js.
+ *
+ * @param {Function[]} taskFns - Functions that each return a promise.
+ * @param {number} [limit=Infinity] - Maximum number of tasks running at once.
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} Settled results in input order.
+ */
+export async function runWithConcurrencyLimit(taskFns, limit = Infinity) {
+    const results = new Array(taskFns.length);
+    const workerCount = Math.max(1, Math.min(limit || 1, taskFns.length));
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < taskFns.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await taskFns[index]() };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+}
@@ -0,0 +1,80 @@
+// utils/deepMerge.js
+
+/**
+ * Performs a deep merge of two objects.
+ *
+ * How it works:
+ * 1. Checks if both target and source are objects
+ * 2. If they are, it recursively merges their properties
+ * 3. If not, it returns the source value
+ *
+ * Usage example:
+ * ```javascript
+ * const target = { a: { b: 1 }, c: 2 };
+ * const source = { a: { d: 3 }, e: 4 };
+ * const result = deepMerge(target, source);
+ * // result: { a: { b: 1, d: 3 }, c: 2, e: 4 }
+ * ```
+ *
+ * Files that use this function:
+ * - js/config/config.js (updateMOAConfig)
+ * - js/runs/runManager.js (inline run configurations)
+ * - js/cli/moa.js (--config files)
+ *
+ * Role in overall program logic:
+ * This function is essential for updating the MOA configuration while preserving
+ * existing settings that are not explicitly overwritten.
+ *
+ * [Documentation](./docs/config.md#deepMerge)
+ *
+ * @param {Object} target - The target object to merge into.
+ * @param {Object} source - The source object to merge from.
+ * @returns {Object} The merged object.
+ */
+export function deepMerge(target, source) {
+    if (isObject(target) && isObject(source)) {
+        const output = { ...target };
+        for (const key of Object.keys(source)) {
+            if (isObject(source[key])) {
+                output[key] = key in target ? deepMerge(target[key], source[key]) : source[key];
+            } else if (Array.isArray(source[key])) {
+                output[key] = [...source[key]];
+            } else {
+                output[key] = source[key];
+            }
+        }
+        return output;
+    }
+    return source;
+}
+
+/**
+ * Checks if the given item is an object (excluding arrays).
+ *
+ * How it works:
+ * 1. Checks if the item is truthy
+ * 2. Checks if the item is of type 'object'
+ * 3. Ensures the item is not an array
+ *
+ * Usage example:
+ * ```javascript
+ * console.log(isObject({})); // true
+ * console.log(isObject([])); // false
+ * console.log(isObject(null)); // false
+ * ```
+ *
+ * Files that use this function:
+ * - js/utils/deepMerge.js (internal use in deepMerge)
+ *
+ * Role in overall program logic:
+ * This function supports the deep merge operation by distinguishing
+ * between plain objects and other types of values.
+ *
+ * [Documentation](./docs/config.md#isObject)
+ *
+ * @param {*} item - The item to check.
+ * @returns {boolean} True if the item is an object (not an array), false otherwise.
+ */
+export function isObject(item) {
+    return item && typeof item === 'object' && !Array.isArray(item);
+}
@@ -0,0 +1,95 @@
+// utils/eventEmitter.js
+
+import { logger } from './logger.js';
+
+/**
+ * Minimal event emitter that works the same in the browser and in Node.
+ *
+ * How it works:
+ * - on() registers a listener for an event name and returns a function that removes it
+ * - once() registers a listener that is removed after its first call
+ * - emit() calls the listeners of an event synchronously, in registration order
+ * - A listener that throws is logged and does not stop the other listeners or the emitter
+ *
+ * Usage example:
+ * ```javascript
+ * const emitter = new EventEmitter();
+ * const unsubscribe = emitter.on('layer:start', ({ layerIndex }) => console.log(layerIndex));
+ * emitter.emit('layer:start', { layerIndex: 0 });
+ * unsubscribe();
+ * ```
+ *
+ * Files using this class:
+ * - js/engine/moaEngine.js
+ *
+ * Role in program logic:
+ * Lets headless components (such as the MOA engine) report progress without knowing who
+ * is listening: the chat view, the D3 diagram, a server stream or a test.
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Registers a listener.
+     * @param {string} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} Removes the listener when called.
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for "${event}" must be a function`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Registers a listener that is removed after it has been called once.
+     * @param {string} event - Event name.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} Removes the listener when called.
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Removes a listener.
+     * @param {string} event - Event name.
+     * @param {Function} listener - The listener passed to on().
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Calls every listener of an event with the payload.
+     * @param {string} event - Event name.
+     * @param {*} payload - Event payload.
+     */
+    emit(event, payload) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                logger.error(`Error in "${event}" listener:`, error);
+            }
+        }
+    }
+}
@@ -0,0 +1,40 @@
+// utils/hash.js
+
+/**
+ * Short, stable hashes of JSON values, for cache keys and for telling configurations apart.
+ *
+ * Usage example:
+ * ```javascript
+ * hashValue({ b: 1, a: 2 }) === hashValue({ a: 2, b: 1 }); // true
+ * ```
+ *
+ * Files using this helper:
+ * - js/chat/responseCache.js
+ * - js/chat/comparison.js
+ * - js/engine/mockClient.js
+ */
+
+/**
+ * Hashes a JSON value (FNV-1a over a stable serialization, so key order does not matter).
+ * @param {*} value - The value to hash.
+ * @returns {string} An 8-character hex hash.
+ */
+export function hashValue(value) {
+    const text = stableStringify(value);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
@@ -1,5 +1,6 @@
 import { getTokenCount } from './tokenUtils.js';
 import { logger } from './logger.js';
+import { createAbortError } from './abort.js';
 
 const RATE_LIMITS = {
     "llama3-groq-8b-8192-tool-use-preview": { rpm: 60, tpm: 100000 },
@@ -41,12 +42,35 @@ class ModelRateLimiter {
 
     /**
      * Schedules a request to be processed when rate limits allow.
+     * If the signal is aborted while the request is still waiting, it is removed from the queue.
      * @param {number} tokens - The number of tokens in the request.
-     * @returns {Promise} Resolves when the request can be processed.
+     * @param {AbortSignal} [signal] - Signal that cancels the wait.
+     * @returns {Promise} Resolves when the request can be processed, rejects with an AbortError if cancelled.
      */
-    async scheduleRequest(tokens) {
+    async scheduleRequest(tokens, signal) {
         return new Promise((resolve, reject) => {
-            this.requestQueue.push({ tokens, resolve, reject });
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const entry = { tokens, resolve, reject };
+            if (signal) {
+                const onAbort = () => {
+                    const index = this.requestQueue.indexOf(entry);
+                    if (index !== -1) {
+                        this.requestQueue.splice(index, 1);
+                        reject(createAbortError());
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.resolve = (value) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(value);
+                };
+            }
+
+            this.requestQueue.push(entry);
             this.processQueue();
         });
     }
@@ -107,7 +131,9 @@ export function getRateLimiter(model) {
  * 
  * @param {string} model - The name of the AI model.
  * @param {Array} messages - The messages to be processed by the model.
- * @throws {Error} If the model parameter is invalid.
+ * @param {Object} [options={}] - Scheduling options.
+ * @param {AbortSignal} [options.signal] - Removes the request from the queue when aborted.
+ * @throws {Error} If the model parameter is invalid, or an AbortError if the signal is aborted.
  * 
  * Usage example:
  * ```javascript
@@ -130,14 +156,14 @@ export function getRateLimiter(model) {
  * of the request pipeline, sitting between the application logic and the actual
  * API calls to the AI models.
  */
-export async function scheduleRequest(model, messages) {
+export async function scheduleRequest(model, messages, options = {}) {
     if (typeof model !== 'string' || !model) {
         logger.error(`Invalid model parameter in scheduleRequest: ${model}`);
         throw new Error('Invalid input: model must be a string');
     }
     const tokens = await getTokenCount(messages);
     const limiter = getRateLimiter(model);
-    await limiter.scheduleRequest(tokens);
+    await limiter.scheduleRequest(tokens, options.signal);
 }
 
 /**
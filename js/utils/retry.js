@@ -1,4 +1,5 @@
 import { logger } from './logger.js';
+import { isAbortError } from './abort.js';
 
 /**
  * Implements an exponential backoff retry strategy with jitter and enhanced logging.
@@ -52,6 +53,10 @@ export const retryWithExponentialBackoff = async (fn, maxRetries = 5, baseDelay
         try {
             return await fn();
         } catch (error) {
+            // A cancelled request must not be retried
+            if (isAbortError(error)) {
+                throw error;
+            }
             retries++;
             if (retries >= maxRetries) {
                 logger.error(`Operation failed after ${maxRetries} retries. Last error:`, error);
@@ -232,6 +237,10 @@ class CircuitBreaker {
      * @param {Error} error - The error that occurred.
      */
     onFailure(error) {
+        // A cancelled call says nothing about the health of the service
+        if (isAbortError(error)) {
+            return;
+        }
         this.failures++;
         this.lastFailureTime = Date.now();
 
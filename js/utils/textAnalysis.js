@@ -0,0 +1,76 @@
+// utils/textAnalysis.js
+
+import { logger } from './logger.js';
+
+/**
+ * Small text helpers for comparing and parsing model output.
+ *
+ * - normalizeText lowercases and strips punctuation so equal answers compare equal
+ * - toWordSet / jaccardSimilarity give a cheap measure of how much two answers overlap
+ * - extractJson pulls the first JSON object out of a chatty model response
+ *
+ * Usage example:
+ * ```javascript
+ * jaccardSimilarity(toWordSet('Paris is the capital.'), toWordSet('The capital is Paris')); // 1
+ * extractJson('Sure! {"score": 0.8}'); // { score: 0.8 }
+ * ```
+ *
+ * Files using these helpers:
+ * - js/engine/aggregators.js
+ * - js/engine/qualityEstimator.js
+ */
+
+/**
+ * Lowercases text and removes punctuation and repeated whitespace.
+ * @param {string} text - Input text.
+ * @returns {string} Normalized text.
+ */
+export function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Returns the set of words longer than two characters in a text.
+ * @param {string} text - Input text.
+ * @returns {Set<string>} Normalized words.
+ */
+export function toWordSet(text) {
+    return new Set(normalizeText(text).split(' ').filter(word => word.length > 2));
+}
+
+/**
+ * Jaccard similarity of two word sets.
+ * @param {Set<string>} a - First set.
+ * @param {Set<string>} b - Second set.
+ * @returns {number} Similarity between 0 and 1 (0 when both sets are empty).
+ */
+export function jaccardSimilarity(a, b) {
+    if (a.size === 0 && b.size === 0) return 0;
+    let intersection = 0;
+    for (const word of a) {
+        if (b.has(word)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Parses the first JSON object in a model response.
+ * @param {string} text - Model response.
+ * @returns {Object|null} The parsed object, or null if there is none.
+ */
+export function extractJson(text) {
+    if (typeof text !== 'string') return null;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        logger.warn('Could not parse JSON from model response:', error.message);
+        return null;
+    }
+}
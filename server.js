@@ -1,36 +1,676 @@
-const express = require('express');
-const { agentSwarm } = require('./js/api/agentSwarm.js');
-const path = require('path');
+import express from 'express';
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { logger } from './js/utils/logger.js';
+import { createHermesBridgeHandler, readOllamaSettings } from './js/proxy/hermesBridge.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware to parse JSON bodies
+// Middleware to parse JSON bodies (proxied chat completions may be larger than the default 100kb)
+app.use('/api/groq', express.json({ limit: 512 * 1024 }));
 app.use(express.json());
 
-// Serve static frontend files from the 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Serve the frontend: the page, its styles and its scripts (not the rest of the repository,
+// which holds the secrets, users and usage files)
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
+
+/**
+ * Route to Ask a Model of the Server's Ollama
+ * 
+ * POST /api/ask-hermes { "question": "...", "model"?: "hermes3:latest", "stream"?: true }
+ * Response: { "response", "model" }, or with `stream` server-sent events: `data: {"token"}` per
+ * token, then `data: {"done": true, "response"}` or `data: {"error"}` (see js/proxy/hermesBridge.js).
+ * This is the endpoint of the 'hermes_bridge' provider (js/providers/hermesBridgeProvider.js).
+ * 
+ * Settings (environment variables): OLLAMA_URL, OLLAMA_MODEL (default model), OLLAMA_TIMEOUT_MS,
+ * OLLAMA_KEEP_ALIVE.
+ */
+app.post('/api/ask-hermes', createHermesBridgeHandler(readOllamaSettings()));
+
+// Groq proxy: the API key stays here, read from GROQ_API_KEY or from the secrets file
+const SECRETS_FILE = process.env.MOA_SECRETS_FILE || path.join(__dirname, 'secrets.json');
+const SESSION_TTL_MS = Number(process.env.MOA_SESSION_TTL_MS) || undefined;
+// Groq API base URL (Groq's own by default; e.g. a gateway in front of it)
+const GROQ_UPSTREAM_URL = process.env.GROQ_BASE_URL || undefined;
+
+let groqProxyPromise;
+
+/**
+ * Returns the Groq proxy's key and helpers, loaded on first use.
+ * 
+ * @returns {Promise<{apiKey: string|null, toUpstreamRequest: Function, sendToGroq: Function, readUsageTokens: Function, estimatePromptTokens: Function}>}
+ *          The proxy; `apiKey` is null when the server has none.
+ */
+function getGroqProxy() {
+  if (!groqProxyPromise) {
+    groqProxyPromise = (async () => {
+      const { loadGroqApiKey, toUpstreamRequest, sendToGroq, readUsageTokens, estimatePromptTokens } = await import('./js/proxy/completionProxy.js');
+      const apiKey = await loadGroqApiKey({ file: SECRETS_FILE });
+      if (!apiKey) {
+        logger.warn(`No Groq API key: set GROQ_API_KEY or add it to ${SECRETS_FILE}. Groq requests will be refused.`);
+      }
+      return { apiKey, toUpstreamRequest, sendToGroq, readUsageTokens, estimatePromptTokens };
+    })();
+  }
+  return groqProxyPromise;
+}
+
+// Fair-use quotas: the users file (API tokens and quota tiers) and where their usage is kept
+const USERS_FILE = process.env.MOA_USERS_FILE || path.join(__dirname, 'users.json');
+const USAGE_FILE = process.env.MOA_USAGE_FILE || path.join(__dirname, 'data', 'usage.json');
+
+let accessPromise;
+
+/**
+ * Returns the users, their quotas and the proxy sessions, loaded on first use.
+ * 
+ * Users and their tiers are read from MOA_USERS_FILE (see js/quota/userDirectory.js); quotas
+ * are those of rate_limiting.fair_use_policy in js/config/moa-config.js, and usage is kept in
+ * MOA_USAGE_FILE (see js/quota/quotaManager.js).
+ * 
+ * @returns {Promise<{users: UserDirectory, quotas: QuotaManager, sessions: SessionStore, anonymous: User, policy: Object}>}
+ *          The access state; `anonymous` is the user of requests without a known token.
+ */
+function getAccess() {
+  if (!accessPromise) {
+    accessPromise = (async () => {
+      const [{ MOA_CONFIG }, { UserDirectory, ANONYMOUS_USER }, { QuotaManager }, { SessionStore }] = await Promise.all([
+        import('./js/config/moa-config.js'),
+        import('./js/quota/userDirectory.js'),
+        import('./js/quota/quotaManager.js'),
+        import('./js/proxy/sessionStore.js'),
+      ]);
+      const policy = (MOA_CONFIG.rate_limiting && MOA_CONFIG.rate_limiting.fair_use_policy) || {};
+      const users = new UserDirectory({ file: USERS_FILE });
+      const quotas = new QuotaManager({ policy, file: USAGE_FILE });
+      await Promise.all([users.load(), quotas.load()]);
+      return { users, quotas, sessions: new SessionStore({ ttlMs: SESSION_TTL_MS }), anonymous: ANONYMOUS_USER, policy };
+    })();
+  }
+  return accessPromise;
+}
+
+/**
+ * Returns the bearer token of a request.
+ * 
+ * @param {Object} req - The Express request.
+ * @returns {string|undefined} The token of its `Authorization: Bearer <token>` header.
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Identifies the user of a request: the owner of its bearer token (a user's API token, or a
+ * proxy session opened with one), else the anonymous user.
+ * 
+ * @param {Object} access - From getAccess.
+ * @param {Object} req - The Express request.
+ * @returns {User} The user.
+ */
+function identifyUser(access, req) {
+  const token = getBearerToken(req);
+  const user = access.users.findByToken(token);
+  if (user) return user;
+  const session = access.sessions.get(token);
+  return session ? session.user : access.anonymous;
+}
+
+/**
+ * Sends the 429 of a request over its user's quota, with the time the quota resets.
+ * 
+ * @param {Object} res - The Express response.
+ * @param {Error} error - From QuotaManager.check.
+ * @param {boolean} [openAIStyle=false] - Nest the error as the OpenAI API does (for the Groq proxy).
+ */
+function sendQuotaError(res, error, openAIStyle = false) {
+  const resetAt = new Date(error.resetAt).toISOString();
+  res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  res.status(429).json(openAIStyle
+    ? { error: { message: error.message, type: 'quota_exceeded', reset_at: resetAt }, usage: error.usage }
+    : { error: error.message, resetAt, usage: error.usage });
+}
+
+/**
+ * Checks the session of a proxy request and sends the error if it is refused.
+ * 
+ * @param {Object} proxy - The Groq proxy (see getGroqProxy).
+ * @param {Object} access - From getAccess.
+ * @param {Object} req - The Express request.
+ * @param {Object} res - The Express response.
+ * @returns {Object|null} The session, or null if the request was refused.
+ */
+function authorizeProxyRequest(proxy, access, req, res) {
+  if (!proxy.apiKey) {
+    res.status(503).json({ error: 'The Groq proxy has no API key.' });
+    return null;
+  }
+  try {
+    return access.sessions.authorize(getBearerToken(req));
+  } catch (error) {
+    if (error.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    res.status(error.status).json({ error: { message: error.message } });
+    return null;
+  }
+}
+
+/**
+ * Relays Groq's response: its status, Retry-After and body, streamed as it arrives.
+ * 
+ * @param {Response} upstream - Groq's response.
+ * @param {Object} res - The Express response.
+ * @returns {Promise<string>} The body, once relayed.
+ */
+async function relayGroqResponse(upstream, res) {
+  const retryAfter = upstream.headers.get('retry-after');
+  if (retryAfter) {
+    res.set('Retry-After', retryAfter);
+  }
+  res.status(upstream.status);
+  res.set('Content-Type', upstream.headers.get('content-type') || 'application/json');
+  const decoder = new TextDecoder();
+  let text = '';
+  if (upstream.body) {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+      text += decoder.decode(chunk, { stream: true });
+    }
+  }
+  res.end();
+  return text + decoder.decode();
+}
+
+/**
+ * Route to Open a Groq Proxy Session
+ * 
+ * The browser calls it once, then sends the token as the bearer token of its /api/groq
+ * requests (see js/providers/groqProxy.js). Sessions expire after MOA_SESSION_TTL_MS (12 hours
+ * by default). A session opened with a user's API token as bearer token belongs to that user;
+ * other sessions are anonymous, and share the anonymous quota.
+ * 
+ * POST /api/session
+ * Response: 201 { "token": "...", "userId": "alice", "createdAt": 1720000000000, "expiresAt": 1720043200000 }
+ * 401 if the API token is unknown, 503 if the server has no Groq API key
+ */
+app.post('/api/session', async (req, res) => {
+  try {
+    const [proxy, access] = await Promise.all([getGroqProxy(), getAccess()]);
+    if (!proxy.apiKey) {
+      return res.status(503).json({ error: 'The Groq proxy has no API key.' });
+    }
+    const token = getBearerToken(req);
+    const user = token ? access.users.findByToken(token) : access.anonymous;
+    if (!user) {
+      return res.status(401).json({ error: 'Unknown API token.' });
+    }
+    res.status(201).json(access.sessions.create(user));
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Route to Close a Groq Proxy Session
+ * 
+ * DELETE /api/session (with the session's bearer token)
+ * Response: 204
+ */
+app.delete('/api/session', async (req, res) => {
+  try {
+    (await getAccess()).sessions.revoke(getBearerToken(req));
+    res.status(204).end();
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Route of the Groq Chat Completions Proxy
+ * 
+ * Same API as Groq's POST /openai/v1/chat/completions, streaming included, with a session
+ * token instead of the API key. Requests are limited in size (see PROXY_LIMITS in
+ * js/proxy/completionProxy.js: 413 beyond them) and in rate per session (429), and count
+ * against the quotas of the session's user: one request, and the tokens Groq reports. Once a
+ * quota is used up, requests get a 429 `{ error: { type: 'quota_exceeded', reset_at } }`.
+ * 
+ * Usage example:
+ * POST /api/groq/chat/completions
+ * Headers: Authorization: Bearer <session token>
+ * Body: { "model": "llama3-8b-8192", "messages": [{ "role": "user", "content": "Hi" }], "max_tokens": 100 }
+ * Response: Groq's response
+ */
+app.post('/api/groq/chat/completions', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  try {
+    const [proxy, access] = await Promise.all([getGroqProxy(), getAccess()]);
+    const session = authorizeProxyRequest(proxy, access, req, res);
+    if (!session) return;
+    const body = proxy.toUpstreamRequest(req.body);
+    access.quotas.check(session.user);
+    access.quotas.record(session.user, { requests: 1 });
+    const upstream = await proxy.sendToGroq('/chat/completions', { apiKey: proxy.apiKey, body, signal: controller.signal, baseUrl: GROQ_UPSTREAM_URL });
+    const text = await relayGroqResponse(upstream, res);
+    if (upstream.ok) {
+      access.quotas.record(session.user, { tokens: proxy.readUsageTokens(text) ?? proxy.estimatePromptTokens(body) });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    if (error.name === 'QuotaExceededError') {
+      return sendQuotaError(res, error, true);
+    }
+    if (res.headersSent) {
+      logger.error('Groq proxy stream failed:', error);
+      return res.end();
+    }
+    const status = error.status || 502;
+    if (status >= 500) {
+      logger.error('Groq proxy error:', error);
+    }
+    res.status(status).json({ error: { message: status >= 500 ? 'Could not reach Groq.' : error.message } });
+  }
+});
+
+/**
+ * Route of the Groq Models Proxy
+ * 
+ * GET /api/groq/models (with a session token)
+ * Response: Groq's model list
+ */
+app.get('/api/groq/models', async (req, res) => {
+  try {
+    const [proxy, access] = await Promise.all([getGroqProxy(), getAccess()]);
+    if (!authorizeProxyRequest(proxy, access, req, res)) return;
+    await relayGroqResponse(await proxy.sendToGroq('/models', { apiKey: proxy.apiKey, baseUrl: GROQ_UPSTREAM_URL }), res);
+  } catch (error) {
+    logger.error('Groq proxy error:', error);
+    res.status(502).json({ error: { message: 'Could not reach Groq.' } });
+  }
+});
+
+// MOA runs API: where runs are kept (in memory only without a file) and where named configurations are read from
+const RUNS_FILE = process.env.MOA_RUNS_FILE;
+const CONFIG_DIR = process.env.MOA_CONFIG_DIR || path.join(__dirname, 'configs');
+// Comment sent on idle event streams so that proxies keep them open
+const SSE_HEARTBEAT_MS = 15000;
+
+let runManagerPromise;
+
+/**
+ * Returns the manager of the MOA runs, created on first use.
+ * 
+ * The engine and its helpers are loaded with import() on the first call. Runs use the
+ * default configuration of js/config/moa-config.js, or a named one from MOA_CONFIG_DIR
+ * (`<name>.json`); their requests go to the providers of their configuration, with the Groq
+ * key of the proxy (see getGroqProxy), sent to GROQ_BASE_URL only.
+ * 
+ * @returns {Promise<RunManager>} The run manager.
+ */
+function getRunManager() {
+  if (!runManagerPromise) {
+    runManagerPromise = (async () => {
+      const [{ MOA_CONFIG }, { createProviderClient }, { GROQ_BASE_URL }, { createPacedClient }, { RunStore }, { RunManager }, { apiKey }] = await Promise.all([
+        import('./js/config/moa-config.js'),
+        import('./js/providers/providers.js'),
+        import('./js/providers/openAICompatibleProvider.js'),
+        import('./js/providers/pacedClient.js'),
+        import('./js/runs/runStore.js'),
+        import('./js/runs/runManager.js'),
+        getGroqProxy(),
+      ]);
+      const store = new RunStore({ file: RUNS_FILE });
+      await store.load();
+      return new RunManager({
+        store,
+        defaultConfig: MOA_CONFIG,
+        getNamedConfig: loadNamedConfig,
+        // The key only ever goes to Groq itself, whatever base_url the configuration names
+        createClient: (config) => createPacedClient(createProviderClient({ config, apiKeys: { groq: apiKey }, baseUrls: { groq: GROQ_BASE_URL } })),
+      });
+    })();
+  }
+  return runManagerPromise;
+}
+
+/**
+ * Reads a named configuration from MOA_CONFIG_DIR.
+ * 
+ * @param {string} name - Configuration name (letters, digits, '_' and '-').
+ * @returns {Promise<Object|null>} The configuration, or null if there is none with that name.
+ */
+async function loadNamedConfig(name) {
+  if (!/^[\w-]+$/.test(name)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(CONFIG_DIR, `${name}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Could not read configuration ${name}:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Describes a run for the API, without its events and result.
+ * 
+ * @param {Object} run - The run (see ServerRun in js/runs/runManager.js).
+ * @returns {Object} The run's id, status, input, configuration, times, model calls and tokens
+ *          so far, final answer (once finished) and the URLs of its events, result and cancellation.
+ */
+function describeRun(run) {
+  return {
+    id: run.id,
+    status: run.status,
+    input: run.input,
+    userId: run.userId,
+    configName: run.configName,
+    inlineConfig: run.inlineConfig,
+    createdAt: run.createdAt,
+    finishedAt: run.finishedAt,
+    ...(run.usage ? { usage: run.usage } : {}),
+    ...(run.error ? { error: run.error } : {}),
+    ...(run.result ? { finalAnswer: run.result.finalAnswer } : {}),
+    links: {
+      self: `/api/runs/${run.id}`,
+      events: `/api/runs/${run.id}/events`,
+      result: `/api/runs/${run.id}/result`,
+      cancel: `/api/runs/${run.id}/cancel`,
+    },
+  };
+}
+
+/**
+ * Returns a run the user may see: their own runs, or any run for an admin.
+ * 
+ * @param {RunManager} runs - The run manager.
+ * @param {User} user - The user asking.
+ * @param {string} id - Run id.
+ * @returns {Object|null} The run, or null if there is none the user may see.
+ */
+function findVisibleRun(runs, user, id) {
+  const run = runs.get(id);
+  return run && canSeeRun(user, run) ? run : null;
+}
+
+/**
+ * @param {User} user - The user asking.
+ * @param {Object} run - A run.
+ * @returns {boolean} Whether the user started the run or is an admin (runs from before users were kept are everyone's).
+ */
+function canSeeRun(user, run) {
+  return user.admin || !run.userId || run.userId === user.id;
+}
+
+/**
+ * Sends the error of a failed API call: its `status` (400, 404, ...) or 500.
+ * 
+ * @param {Object} res - The Express response.
+ * @param {Error} error - The error.
+ */
+function sendApiError(res, error) {
+  const status = error.status || 500;
+  if (status === 500) {
+    logger.error('Runs API error:', error);
+  }
+  res.status(status).json({ error: status === 500 ? 'Internal Server Error' : error.message });
+}
+
+/**
+ * Route to Start an MOA Run
+ * 
+ * Starts a run in the background and answers at once (202) with the run and the URLs to
+ * follow it.
+ * 
+ * Usage example:
+ * POST /api/runs
+ * Body: { "input": "Explain TCP slow start.", "configName": "fast", "config": { "main_temperature": 0.2 },
+ *         "budget": { "maxTokens": 20000 }, "outputSchema": { "answer": { "type": "string", "required": true } } }
+ * Response: { "id": "k2j4...", "status": "running", "links": { "events": "/api/runs/k2j4.../events", ... } }
+ * 
+ * `configName` picks a configuration of MOA_CONFIG_DIR (the default configuration without
+ * one); `config` is merged over it. It may only set the models, layers and layer settings
+ * (INLINE_CONFIG_KEYS in js/config/configValidation.js), never the providers or a base_url,
+ * and is capped in layers, agents, samples and debate rounds; otherwise the run is refused
+ * with a 400. `budget` and `outputSchema` are the engine's run options.
+ * 
+ * The run belongs to the user of the request's bearer token (see identifyUser), and counts
+ * against their quotas: every model call it makes is a request. Its estimated cost (model
+ * calls and tokens, see MoaEngine.estimateCost) is reserved from the quotas when it starts,
+ * and replaced by what it used once it ends, whatever its status. A run whose estimate does
+ * not fit what remains of a quota is refused with a 429 `{ error, resetAt, usage }`.
+ */
+app.post('/api/runs', async (req, res) => {
+  const { input, config, configName, budget, outputSchema } = req.body || {};
+  try {
+    const [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+    const user = identifyUser(access, req);
+    access.quotas.check(user);
+    const run = await runs.start({
+      input, config, configName, budget, outputSchema, userId: user.id,
+      reserve: (estimate) => {
+        const reservation = access.quotas.reserve(user, estimate);
+        return (usage) => access.quotas.settle(reservation, usage);
+      },
+    });
+    logger.info(`Run ${run.id} started by ${user.id}`);
+    res.status(202).json(describeRun(run));
+  } catch (error) {
+    if (error.name === 'QuotaExceededError') {
+      return sendQuotaError(res, error);
+    }
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Route to List the MOA Runs
+ * 
+ * GET /api/runs
+ * Response: { "runs": [{ "id": "...", "status": "completed", ... }] } (newest first): the
+ * caller's runs, or everyone's for an admin
+ */
+app.get('/api/runs', async (req, res) => {
+  try {
+    const [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+    const user = identifyUser(access, req);
+    res.json({ runs: runs.list().filter(run => canSeeRun(user, run)).reverse().map(describeRun) });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Route to Get an MOA Run
+ * 
+ * GET /api/runs/:id
+ * Response: the run, as described by describeRun (404 if there is none with that id, or it is
+ * another user's)
+ */
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+    const run = findVisibleRun(runs, identifyUser(access, req), req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found.' });
+    }
+    res.json(describeRun(run));
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
 
-// Import logger
-const { logger } = require('./js/utils/logger.js');
+/**
+ * Route to Get the Result of an MOA Run
+ * 
+ * GET /api/runs/:id/result
+ * Response: 200 { "id", "status", "error"?, "result" } once the run has finished, with the full
+ * MoaRunResult (final answer, per-layer trace, usage, timings, budget, structured answer);
+ * 202 { "id", "status": "running" } while it runs
+ */
+app.get('/api/runs/:id/result', async (req, res) => {
+  try {
+    const [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+    const run = findVisibleRun(runs, identifyUser(access, req), req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found.' });
+    }
+    if (run.status === 'running') {
+      return res.status(202).json({ id: run.id, status: run.status });
+    }
+    res.json({ id: run.id, status: run.status, ...(run.error ? { error: run.error } : {}), result: run.result });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
+
+/**
+ * Route to Stream the Events of an MOA Run
+ * 
+ * Server-Sent Events: every engine event of the run (see MOA_ENGINE_EVENTS in
+ * js/engine/moaEngine.js) as `id: <n>`, `event: <type>` and `data: <JSON payload>`, the past
+ * ones first. The stream ends after the 'run:end' event `{ status, error? }`. A client that
+ * reconnects with a Last-Event-ID header (as EventSource does) gets only the events after it.
+ * 
+ * Usage example:
+ * const source = new EventSource(`/api/runs/${id}/events`);
+ * source.addEventListener('agent:token', (e) => console.log(JSON.parse(e.data).token));
+ * source.addEventListener('run:end', () => source.close());
+ */
+app.get('/api/runs/:id/events', async (req, res) => {
+  let runs;
+  let access;
+  try {
+    [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+  } catch (error) {
+    return sendApiError(res, error);
+  }
+  if (!findVisibleRun(runs, identifyUser(access, req), req.params.id)) {
+    return res.status(404).json({ error: 'Run not found.' });
+  }
 
-// Modify the /api/ask-hermes route
-app.post('/api/ask-hermes', async (req, res) => {
-  const { question } = req.body;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const afterEventId = Number(req.get('Last-Event-ID') || req.query.after) || 0;
+  unsubscribe = runs.subscribe(req.params.id, afterEventId, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (event.type === 'run:end') {
+      close();
+      res.end();
+    }
+  });
+  if (res.writableEnded) {
+    unsubscribe();
+  }
+  res.on('close', close);
+});
 
-  if (!question) {
-    logger.warn('No question provided by the user.');
-    return res.status(400).json({ error: 'Question is required.' });
+/**
+ * Route to Cancel an MOA Run
+ * 
+ * POST /api/runs/:id/cancel
+ * Response: 202 { "id", "status": "cancelling" }; the run then ends with the status 'cancelled'.
+ * 409 if the run has already finished, 404 if there is none with that id.
+ */
+app.post('/api/runs/:id/cancel', async (req, res) => {
+  try {
+    const [runs, access] = await Promise.all([getRunManager(), getAccess()]);
+    const run = findVisibleRun(runs, identifyUser(access, req), req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found.' });
+    }
+    if (!runs.cancel(run.id)) {
+      return res.status(409).json({ error: `The run has already ended (${run.status}).` });
+    }
+    logger.info(`Run ${run.id} cancelled`);
+    res.status(202).json({ id: run.id, status: 'cancelling' });
+  } catch (error) {
+    sendApiError(res, error);
   }
+});
 
-  logger.info(`Received question: ${question}`);
+/**
+ * Route to Get the Caller's Usage
+ * 
+ * GET /api/usage (with an API or session token; anonymous usage without one)
+ * Response: { "user": { "id", "tier" }, "enforced": true, "usage": { "requests": { "used", "limit", "remaining" },
+ *             "tokens": { ... }, "resetAt": 1720086400000, ... } }
+ */
+app.get('/api/usage', async (req, res) => {
+  try {
+    const access = await getAccess();
+    const user = identifyUser(access, req);
+    res.json({ user: { id: user.id, tier: user.tier }, enforced: Boolean(access.policy.enabled), usage: access.quotas.getUsage(user) });
+  } catch (error) {
+    sendApiError(res, error);
+  }
+});
 
+/**
+ * Route of the Admin Usage View
+ * 
+ * Usage of every user, with their runs by status, next to the open proxy sessions and the
+ * per-model rate limiter stats (see getRateLimitStatus in js/utils/rateLimiter.js).
+ * 
+ * GET /api/admin/usage (with the API token of an admin user)
+ * Response: { "policy": { "enabled", "windowMs", "userQuotas" }, "users": [{ "userId", "tier", "requests", "tokens",
+ *             "resetAt", "total", "runs": { "completed": 3, ... } }], "sessions": { "open": 2 }, "rateLimits": [...] }
+ * 401 without a known token, 403 for a user who is not an admin
+ */
+app.get('/api/admin/usage', async (req, res) => {
   try {
-    const response = await agentSwarm.processQuery(question);
-    res.json({ response: response.result, confidence: response.confidence });
+    const [access, runs, { getAvailableModels, getRateLimitStatus }, { DEFAULT_QUOTA_WINDOW_MS }] = await Promise.all([
+      getAccess(),
+      getRunManager(),
+      import('./js/utils/rateLimiter.js'),
+      import('./js/quota/quotaManager.js'),
+    ]);
+    const user = identifyUser(access, req);
+    if (user === access.anonymous) {
+      return res.status(401).json({ error: 'An admin API token is required.' });
+    }
+    if (!user.admin) {
+      return res.status(403).json({ error: 'Admins only.' });
+    }
+    const runsByUser = {};
+    runs.list().forEach((run) => {
+      const owner = run.userId || access.anonymous.id;
+      const counts = runsByUser[owner] || (runsByUser[owner] = {});
+      counts[run.status] = (counts[run.status] || 0) + 1;
+    });
+    res.json({
+      policy: {
+        enabled: Boolean(access.policy.enabled),
+        windowMs: access.policy.window_ms || DEFAULT_QUOTA_WINDOW_MS,
+        userQuotas: access.policy.user_quotas || {},
+      },
+      users: access.quotas.list().map(usage => ({ ...usage, runs: runsByUser[usage.userId] || {} })),
+      sessions: { open: access.sessions.count() },
+      rateLimits: getAvailableModels().map(getRateLimitStatus).filter(Boolean),
+    });
   } catch (error) {
-    logger.error('Processing error:', error);
-    res.status(500).json({ error: 'Internal Server Error', details: error.message });
+    sendApiError(res, error);
   }
 });
 